@@ -1,9 +1,12 @@
 /**
  * Convert a CSV (semicolon-separated) with "Telefone 1" column to batch JSON.
  * Usage: node scripts/csv-to-batch.js "path/to/file.csv" [output.json]
+ * Phones are normalized with parsePhone (src/phone.js); invalid numbers are skipped and listed.
+ * The batch scripts also read such a CSV directly: npm run batch -- file.csv "--columns=phone=Telefone 1,message=Mensagem".
  */
 const fs = require('fs');
 const path = require('path');
+const { parsePhone } = require('../src/phone');
 
 const csvPath = process.argv[2];
 if (!csvPath) {
@@ -14,17 +17,6 @@ if (!csvPath) {
 const outPath = process.argv[3] || path.join(process.cwd(), 'batch-from-csv.json');
 const defaultMessage = 'Oi, tudo bem? Aqui é o Lucas, da Aptom Imóveis. Vi seu interesse no apartamento da Rua Gastronômica, no centro de Joinville, e queria te ajudar com mais informações.';
 
-function normalizePhone(val) {
-  const digits = String(val || '').replace(/\D/g, '');
-  if (digits.length < 10) return null;
-  let d = digits;
-  if (d.length === 11 && d.startsWith('0')) d = d.slice(1);
-  if (!d.startsWith('55')) d = '55' + d;
-  if (d.length === 12 && d.startsWith('55')) d = d.slice(0, 4) + '9' + d.slice(4);
-  if (d.length < 13) return null;
-  return d;
-}
-
 const raw = fs.readFileSync(csvPath, 'utf8');
 const lines = raw.split(/\r?\n/).filter((l) => l.trim());
 if (lines.length < 2) {
@@ -41,13 +33,23 @@ if (tel1Index === -1) {
 
 const seen = new Set();
 const items = [];
+const invalid = [];
 for (let i = 1; i < lines.length; i++) {
   const cols = lines[i].split(';');
   const tel = (cols[tel1Index] || '').trim();
-  const phone = normalizePhone(tel);
-  if (!phone || seen.has(phone)) continue;
-  seen.add(phone);
-  items.push({ contact: phone, message: defaultMessage });
+  const phone = parsePhone(tel);
+  if (!phone.valid) {
+    if (phone.digits) invalid.push({ line: i + 1, tel, error: phone.error });
+    continue;
+  }
+  if (seen.has(phone.digits)) continue;
+  seen.add(phone.digits);
+  items.push({ contact: phone.digits, message: defaultMessage });
+}
+
+if (invalid.length > 0) {
+  console.warn(`Ignorados ${invalid.length} telefone(s) inválido(s):`);
+  invalid.forEach((c) => console.warn(`  linha ${c.line}: ${c.tel} (${c.error})`));
 }
 
 fs.writeFileSync(outPath, JSON.stringify(items, null, 2), 'utf8');
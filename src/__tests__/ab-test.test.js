@@ -0,0 +1,128 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { insertTemplates } = require('../db');
+const { attributeReply } = require('../reply-attribution');
+const { validateBatchTemplates } = require('../message-renderer');
+const {
+  VARIANT_MODE,
+  BANDIT_MIN_SENT,
+  resolveVariants,
+  pickVariant,
+  assignVariant,
+  wilsonInterval,
+  twoProportionTest,
+  getVariantReport,
+} = require('../ab-test');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+
+describe('statistics', () => {
+  it('computes Wilson intervals', () => {
+    const [lo, hi] = wilsonInterval(10, 100);
+    expect(lo).toBeCloseTo(0.0552, 3);
+    expect(hi).toBeCloseTo(0.1744, 3);
+    expect(wilsonInterval(0, 0)).toEqual([0, 1]);
+  });
+
+  it('runs a two-proportion z-test', () => {
+    const test = twoProportionTest({ successes: 30, n: 100 }, { successes: 15, n: 100 });
+    expect(test.z).toBeCloseTo(2.54, 2);
+    expect(test.pValue).toBeCloseTo(0.0111, 3);
+    expect(test.significant).toBe(true);
+    expect(twoProportionTest({ successes: 11, n: 100 }, { successes: 10, n: 100 }).significant).toBe(false);
+  });
+});
+
+describe('pickVariant', () => {
+  const variants = [
+    { name: 'A', weight: 3 },
+    { name: 'B', weight: 1 },
+  ];
+
+  it('follows the declared weights', () => {
+    expect(pickVariant(variants, { random: () => 0.7 }).name).toBe('A');
+    expect(pickVariant(variants, { random: () => 0.8 }).name).toBe('B');
+  });
+
+  it('in bandit mode favours the best reply rate once every variant is explored', () => {
+    const stats = { A: { sent: BANDIT_MIN_SENT, replied: 1 }, B: { sent: BANDIT_MIN_SENT, replied: 6 } };
+    expect(pickVariant(variants, { mode: VARIANT_MODE.BANDIT, stats, random: () => 0.5 }).name).toBe('B');
+    const unexplored = { A: stats.A, B: { sent: 3, replied: 3 } };
+    expect(pickVariant(variants, { mode: VARIANT_MODE.BANDIT, stats: unexplored, random: () => 0.5 }).name).toBe('A');
+  });
+});
+
+describe('A/B-tested campaigns', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+    insertTemplates(db, ['Retorno sobre o lançamento ao lado do Zum.']);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('resolves template ids and rejects bad declarations', () => {
+    expect(resolveVariants(db, [{ templateId: 1 }, { text: 'Oi {{firstName}}', weight: 2 }])).toEqual([
+      { name: 'A', body: 'Retorno sobre o lançamento ao lado do Zum.', templateId: 1, weight: 1 },
+      { name: 'B', body: 'Oi {{firstName}}', templateId: null, weight: 2 },
+    ]);
+    expect(() => resolveVariants(db, [{ templateId: 99 }, { text: 'Oi' }])).toThrow('template 99 not found');
+    expect(() => resolveVariants(db, [{ text: 'Oi' }])).toThrow('at least 2 variants');
+    expect(() => resolveVariants(db, [{ text: 'Oi' }, { text: 'Olá' }], 'greedy')).toThrow('Unknown variant mode');
+  });
+
+  it('checks every item against every variant', () => {
+    const variants = resolveVariants(db, [{ text: 'Oi' }, { text: 'Oi {{firstName}}' }]);
+    const errors = validateBatchTemplates([{ contact: '5547999990000', message: '{{variant}}' }], { variants });
+    expect(errors).toEqual([expect.objectContaining({ index: 0, error: expect.stringContaining('(variant B)') })]);
+  });
+
+  it('sends each item with its variant and keeps the assignment', async () => {
+    const variants = resolveVariants(db, [{ text: 'Oi {{firstName}}' }, { text: 'Olá {{firstName}}' }]);
+    const items = ['5547999990000', '5547999990001'].map((contact) => ({ contact, firstName: 'Ana', message: '{{variant}}, tudo bem?' }));
+    const campaignId = createCampaign(db, { name: 'ab', items, variants });
+    const fake = createFakeTransport();
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      campaign: { db, id: campaignId },
+    });
+
+    const bodies = { A: 'Oi Ana, tudo bem?', B: 'Olá Ana, tudo bem?' };
+    result.results.forEach((r) => {
+      expect(fake.sent.find((m) => m.chatId === r.contact).body).toBe(bodies[r.variant]);
+    });
+    const first = db.prepare('SELECT id, variant FROM campaign_items ORDER BY id').get();
+    expect(assignVariant(db, campaignId, { campaignItemId: first.id }).name).toBe(first.variant);
+  });
+
+  it('reports reply and opt-out rates per variant', () => {
+    const variants = resolveVariants(db, [{ text: 'A' }, { text: 'B' }]);
+    const items = Array.from({ length: 4 }, (_, i) => ({ contact: `554799999000${i}` }));
+    const campaignId = createCampaign(db, { name: 'ab', items, variants });
+    const sentAt = '2026-03-09T12:00:00.000Z';
+    getPendingItems(db, campaignId).forEach((item, i) => {
+      db.prepare('UPDATE campaign_items SET variant = ?, recipient = ?, sent_at = ? WHERE id = ?').run(i < 2 ? 'A' : 'B', item.contact, sentAt, item.campaignItemId);
+    });
+    const receivedAt = new Date('2026-03-09T13:00:00Z');
+    attributeReply(db, { recipient: '5547999990000', messageId: 'r0', body: 'Tenho interesse', receivedAt });
+    attributeReply(db, { recipient: '5547999990001', messageId: 'r1', body: 'Quero saber o preço', receivedAt });
+    attributeReply(db, { recipient: '5547999990002', messageId: 'r2', body: 'Por favor parar de mandar', receivedAt });
+
+    const report = getVariantReport(db, campaignId);
+
+    expect(report.variants.map(({ name, sent, replied, optedOut }) => ({ name, sent, replied, optedOut }))).toEqual([
+      { name: 'A', sent: 2, replied: 2, optedOut: 0 },
+      { name: 'B', sent: 2, replied: 1, optedOut: 1 },
+    ]);
+    expect(report.comparisons).toEqual([
+      expect.objectContaining({ variant: 'B', control: 'A', reply: expect.objectContaining({ diff: -0.5, significant: false }) }),
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTransport } = require('../transports');
+const { runBatch, STOPPED_BY_OPERATOR } = require('../batch-sender');
+const { openCampaignDb, createCampaign, getPendingItems, getCampaign, CAMPAIGN_STATUS } = require('../campaign-store');
+const { CONTROL_STATE, createBatchControl, readControlState, sendControlCommand, watchControlFile } = require('../batch-control');
+
+const items = ['5547999990000', '5547999990001', '5547999990002'].map((contact) => ({ contact, message: 'Oi' }));
+const fastOptions = { minDelayMs: 0, maxDelayMs: 0, skipVerify: true, skipIfEverSent: false, skipIfSentToday: false };
+
+describe('batch control', () => {
+  it('stops after the current item and leaves the rest pending', async () => {
+    const db = openCampaignDb(':memory:');
+    const campaignId = createCampaign(db, { name: 'stop', items });
+    const fake = createFakeTransport();
+    const control = createBatchControl();
+    const steps = [];
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      ...fastOptions,
+      campaign: { db, id: campaignId },
+      control,
+      onStep: (step) => {
+        steps.push(step.type);
+        if (step.type === 'attempt_start' || (step.type === 'contact_start' && step.current === 1)) control.stop();
+      },
+    });
+
+    expect(fake.sent).toHaveLength(1);
+    expect(result).toMatchObject({ stoppedEarly: true, stopReason: STOPPED_BY_OPERATOR });
+    expect(steps.filter((type) => type === 'stopping')).toHaveLength(1);
+    expect(getPendingItems(db, campaignId).map((item) => item.contact)).toEqual(['5547999990001', '5547999990002']);
+    expect(getCampaign(db, campaignId).status).toBe(CAMPAIGN_STATUS.STOPPED);
+    db.close();
+  });
+
+  it('holds while paused and reports paused / resumed', async () => {
+    const fake = createFakeTransport();
+    const control = createBatchControl();
+    const steps = [];
+    control.pause();
+
+    const run = runBatch(fake, items, { ...fastOptions, control, onStep: (step) => steps.push(step.type) });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(fake.sent).toHaveLength(0);
+    expect(control.state()).toBe(CONTROL_STATE.PAUSED);
+    control.resume();
+    const result = await run;
+
+    expect(result.sent).toBe(3);
+    expect(steps.slice(0, 2)).toEqual(['paused', 'resumed']);
+  });
+
+  it('cuts a wait short on stop', async () => {
+    const control = createBatchControl();
+    const started = Date.now();
+    setTimeout(() => control.stop(), 10);
+    await control.sleep(5000);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('reads commands from the control file and keeps the state file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-control-'));
+    const control = createBatchControl();
+    const watcher = watchControlFile(control, 'campaign-1', { dir, pollMs: 5 });
+    try {
+      expect(readControlState('campaign-1', dir)).toMatchObject({ state: CONTROL_STATE.RUNNING, pid: process.pid });
+      sendControlCommand('campaign-1', 'pause', dir);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(control.isPaused()).toBe(true);
+      expect(readControlState('campaign-1', dir).state).toBe(CONTROL_STATE.PAUSED);
+      expect(() => sendControlCommand('campaign-1', 'restart', dir)).toThrow(/Unknown command/);
+    } finally {
+      watcher.close();
+    }
+    expect(readControlState('campaign-1', dir)).toBeNull();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,56 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { decodeText, detectDelimiter, parseCsv, parseColumnMapping, csvRowsToItems, parseJsonl } = require('../batch-csv');
+const { readBatchFile } = require('../batch-loader');
+
+describe('CSV and JSONL batch files', () => {
+  it('decodes UTF-16 with and without BOM and UTF-8 with BOM', () => {
+    const text = 'phone\tnome\n5547999990000\tJoão\n';
+    expect(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]))).toBe(text);
+    expect(decodeText(Buffer.from(text, 'utf16le'))).toBe(text);
+    expect(decodeText(Buffer.from(text, 'utf16le').swap16())).toBe(text);
+    expect(decodeText(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)]))).toBe(text);
+  });
+
+  it('detects the separator and parses quoted cells', () => {
+    expect(detectDelimiter('a;b;"c,d"\n1;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n')).toBe('\t');
+    expect(detectDelimiter('a,b\n')).toBe(',');
+    expect(parseCsv('nome,mensagem\r\n"Silva, Ana","Oi ""Ana""\ntudo bem?"\r\n\r\n')).toEqual([
+      ['nome', 'mensagem'],
+      ['Silva, Ana', 'Oi "Ana"\ntudo bem?'],
+    ]);
+  });
+
+  it('maps the phone, name and message columns and keeps the others as fields', () => {
+    const rows = parseCsv('Nome;Telefone 1;Texto;Empreendimento;Opt In\nAna;p:+5547999990000;Oi {{firstName}};Vista Mar;sim\nBruno;47999990001;;;não');
+    const mapping = parseColumnMapping('phone=Telefone 1, message=Texto');
+    expect(csvRowsToItems(rows, mapping)).toEqual([
+      { name: 'Ana', contact: 'p:+5547999990000', message: 'Oi {{firstName}}', empreendimento: 'Vista Mar', optIn: true },
+      { name: 'Bruno', contact: '47999990001', optIn: false },
+    ]);
+    expect(() => parseColumnMapping('fone=Telefone')).toThrow(/Invalid column mapping/);
+    expect(() => csvRowsToItems(rows, { message: 'Mensagem' })).toThrow(/CSV column not found for message/);
+    expect(() => csvRowsToItems(parseCsv('nome\nAna'))).toThrow(/CSV column not found for phone/);
+  });
+
+  it('parses JSONL and reports the bad line', () => {
+    expect(parseJsonl('{"contact":"5547999990000","message":"Oi"}\n\n{"contact":"5547999990001","message":"Olá"}\n')).toHaveLength(2);
+    expect(() => parseJsonl('{"contact":"1"}\n{contact}')).toThrow(/^Line 2:/);
+  });
+
+  it('reads a batch file by its extension', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-csv-'));
+    try {
+      const csvPath = path.join(dir, 'leads.csv');
+      fs.writeFileSync(csvPath, Buffer.from('full_name\tphone\tmessage\nAna Lima\t5547999990000\tOi\n', 'utf16le'));
+      expect(readBatchFile(csvPath).list).toEqual([{ name: 'Ana Lima', contact: '5547999990000', message: 'Oi' }]);
+      const jsonlPath = path.join(dir, 'batch.jsonl');
+      fs.writeFileSync(jsonlPath, '{"contact":"5547999990000","message":"Oi"}\n');
+      expect(readBatchFile(jsonlPath).list).toEqual([{ contact: '5547999990000', message: 'Oi' }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,72 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTransport } = require('../transports');
+const { startBatch } = require('../batch-sender');
+const { BATCH_EVENT, SKIP_REASON, getEventLogPath, attachEventLog, readEventLog, replayEvents } = require('../batch-events');
+
+const items = [
+  { contact: '5547999990000', message: 'Oi' },
+  { contact: '5547999990001', message: 'Oi', optOut: true },
+  { contact: '5547999990002', message: 'Oi' },
+  { contact: '5547999990003', message: 'Oi' },
+  { contact: '5547999990004', message: 'Oi {{cidade}}' },
+];
+const options = {
+  minDelayMs: 0,
+  maxDelayMs: 0,
+  verifyDelayMs: 0,
+  maxVerifyRetries: 0,
+  skipIfEverSent: true,
+  retry: { maxRetries: 0 },
+  stopBlockLikeCount: 1,
+};
+
+describe('batch events', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-events-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('emits typed events with skip reason codes and writes them as NDJSON', async () => {
+    const fake = createFakeTransport({ history: { '5547999990002': ['Olá'] }, blockedNumbers: ['5547999990003'] });
+    const run = startBatch(fake, items, options);
+    const seen = [];
+    Object.values(BATCH_EVENT).forEach((event) => run.on(event, (payload) => seen.push({ event, ...payload })));
+    const logPath = getEventLogPath(7, dir);
+    const detach = attachEventLog(run, logPath, { campaignId: 7 });
+    const result = await run.done;
+    detach();
+
+    expect(seen.map((e) => e.event)).toEqual(['started', 'attempt', 'sent', 'verified', 'skipped', 'skipped', 'attempt', 'failed', 'stopped', 'finished']);
+    expect(seen.filter((e) => e.event === 'skipped').map((e) => e.reason)).toEqual([SKIP_REASON.OPT_OUT, SKIP_REASON.ALREADY_RECEIVED]);
+    expect(seen.find((e) => e.event === 'failed')).toMatchObject({ contact: '5547999990003@c.us', blockLike: true, retryScheduled: false });
+    expect(seen.find((e) => e.event === 'stopped').reason).toBe(result.stopReason);
+    seen.forEach((e) => expect(Number.isNaN(Date.parse(e.at))).toBe(false));
+
+    expect(path.basename(logPath)).toBe('campaign-7.ndjson');
+    const logged = readEventLog(logPath);
+    expect(logged).toHaveLength(seen.length);
+    expect(logged[1]).toMatchObject({ event: 'attempt', contact: '5547999990000@c.us', attempt: 1, campaignId: 7 });
+  });
+
+  it('replays a log into a health-report result', async () => {
+    const fake = createFakeTransport({ blockedNumbers: ['5547999990003'] });
+    const run = startBatch(fake, items, { ...options, skipIfEverSent: false, skipIfSentToday: false, stopBlockLikeCount: 0 });
+    const logPath = getEventLogPath(8, dir);
+    attachEventLog(run, logPath);
+    const result = await run.done;
+
+    const replayed = replayEvents(readEventLog(logPath));
+    expect(replayed).toMatchObject({ sent: result.sent, failed: result.failed, verified: 2, stoppedEarly: false, runs: 1 });
+    expect(result.failed).toBe(2);
+    expect(replayed.metrics.skipped).toEqual(result.metrics.skipped);
+    expect(replayed.metrics.timeline.map((e) => [e.contact, e.success])).toEqual(result.metrics.timeline.map((e) => [e.contact, e.success]));
+    expect(replayed.results.map((r) => r.contact)).toEqual(result.results.map((r) => r.contact));
+    expect(replayed.results.find((r) => r.contact === '5547999990004@c.us')).toMatchObject({ success: false });
+    expect(replayed.metrics.attempts).toBe(result.metrics.attempts);
+  });
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeMediaEntries, resolveItemsMedia, getMediaKind, loadMessageMedia } = require('../batch-media');
+
+describe('normalizeMediaEntries', () => {
+  it('accepts a path, an object or a list of both', () => {
+    expect(normalizeMediaEntries('a.pdf')).toEqual([{ path: 'a.pdf', caption: '' }]);
+    expect(normalizeMediaEntries({ path: 'b.jpg', caption: 'Fachada' })).toEqual([{ path: 'b.jpg', caption: 'Fachada' }]);
+    expect(normalizeMediaEntries(['a.pdf', { path: 'b.jpg' }])).toHaveLength(2);
+    expect(normalizeMediaEntries(undefined)).toEqual([]);
+  });
+
+  it('resolves relative paths against baseDir', () => {
+    expect(normalizeMediaEntries('docs/a.pdf', '/batches')).toEqual([{ path: path.join('/batches', 'docs/a.pdf'), caption: '' }]);
+    expect(normalizeMediaEntries('/abs/a.pdf', '/batches')[0].path).toBe('/abs/a.pdf');
+  });
+
+  it('throws on entries without a path', () => {
+    expect(() => normalizeMediaEntries([{ caption: 'x' }])).toThrow(/Invalid media entry/);
+  });
+});
+
+describe('resolveItemsMedia', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-media-'));
+  fs.writeFileSync(path.join(dir, 'brochure.pdf'), '%PDF-1.4');
+
+  it('resolves media next to the batch file and leaves other items untouched', () => {
+    const items = [{ contact: '1', message: 'a' }, { contact: '2', message: 'b', media: { path: 'brochure.pdf', caption: 'Book' } }];
+    const resolved = resolveItemsMedia(items, dir);
+    expect(resolved[0]).toBe(items[0]);
+    expect(resolved[1].media).toEqual([{ path: path.join(dir, 'brochure.pdf'), caption: 'Book' }]);
+  });
+
+  it('throws when a media file is missing', () => {
+    expect(() => resolveItemsMedia([{ contact: '1', media: 'missing.pdf' }], dir)).toThrow(/Media file not found \(item 1\)/);
+  });
+
+  it('loads MessageMedia from the file', () => {
+    const media = loadMessageMedia({ path: path.join(dir, 'brochure.pdf') });
+    expect(media.mimetype).toBe('application/pdf');
+    expect(media.filename).toBe('brochure.pdf');
+  });
+});
+
+describe('getMediaKind', () => {
+  it('maps extensions to kinds', () => {
+    expect(getMediaKind('a.JPG')).toBe('image');
+    expect(getMediaKind('tour.mp4')).toBe('video');
+    expect(getMediaKind('book.pdf')).toBe('document');
+  });
+});
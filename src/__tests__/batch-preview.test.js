@@ -0,0 +1,126 @@
+const {
+  PREVIEW_STATUS,
+  estimateBatchDuration,
+  formatDuration,
+  buildBatchPreview,
+  renderPreviewCsv,
+  renderPreviewHtml,
+} = require('../batch-preview');
+const { openCampaignDb } = require('../campaign-store');
+const { createOptOutRegistry, addOptOut } = require('../opt-out-registry');
+const { createNumberCheckCache, saveNumberCheck } = require('../number-check');
+const { createFrequencyCap, recordContactEvent, EVENT_KIND } = require('../frequency-cap');
+
+const morning = new Date('2026-03-10T12:00:00Z'); // 09:00 in São Paulo
+
+describe('estimateBatchDuration', () => {
+  it('adds delays, per-send time and cooldowns', () => {
+    const d = estimateBatchDuration({
+      sends: 10,
+      minDelayMs: 5000,
+      maxDelayMs: 30000,
+      perSendMs: 2000,
+      cooldownEvery: 4,
+      cooldownMinMs: 60000,
+      cooldownMaxMs: 120000,
+    });
+    expect(d.cooldowns).toBe(2);
+    expect(d.minMs).toBe(10 * 7000 + 2 * 60000);
+    expect(d.maxMs).toBe(10 * 32000 + 2 * 120000);
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats seconds, minutes and hours', () => {
+    expect(formatDuration(40000)).toBe('40s');
+    expect(formatDuration(12 * 60000)).toBe('12min');
+    expect(formatDuration(125 * 60000)).toBe('2h 05min');
+  });
+});
+
+describe('buildBatchPreview', () => {
+  const items = [
+    { contact: '554799998888', message: '{{saudacao}} {{firstName}}!', firstName: 'Ana' },
+    { contact: '5547999997777', message: 'Oi', optOut: true },
+    { contact: '5547999996666', message: 'Oi', suppressed: true },
+    { contact: '5547999995555', message: 'Olá {{firstName}}' },
+    { contact: '5547999994444', message: 'Oi', media: [{ path: '/tmp/book.pdf', caption: 'Book' }] },
+    { contact: '5547999993333', message: 'Oi' },
+  ];
+
+  it('normalizes numbers, applies skip rules and renders messages', () => {
+    const { rows, summary } = buildBatchPreview(items, {
+      now: morning,
+      maxPerRun: 2,
+      minDelayMs: 1000,
+      maxDelayMs: 1000,
+    });
+
+    expect(rows[0]).toMatchObject({
+      contactId: '5547999998888@c.us',
+      wasFixed: true,
+      status: PREVIEW_STATUS.SEND,
+      message: 'Bom dia Ana!',
+    });
+    expect(rows[1]).toMatchObject({ status: PREVIEW_STATUS.SKIP, skipReason: 'opt_out' });
+    expect(rows[2]).toMatchObject({ status: PREVIEW_STATUS.SKIP, skipReason: 'suppression_list' });
+    expect(rows[3]).toMatchObject({ status: PREVIEW_STATUS.ERROR, error: expect.stringMatching(/firstName/) });
+    expect(rows[4]).toMatchObject({ status: PREVIEW_STATUS.SEND, media: ['/tmp/book.pdf'] });
+    expect(rows[5]).toMatchObject({ status: PREVIEW_STATUS.SKIP, skipReason: 'max_per_run' });
+    expect(summary).toMatchObject({
+      total: 6,
+      toSend: 2,
+      fixedNumbers: 1,
+      templateErrors: 1,
+      skipped: { opt_out: 1, suppression_list: 1, max_per_run: 1 },
+    });
+    expect(summary.duration.minMs).toBe(2000);
+  });
+
+  it('skips items without opt-in when required', () => {
+    const { rows } = buildBatchPreview([{ contact: '5547999993333', message: 'Oi' }, { contact: '5547999992222', message: 'Oi', optIn: true }], {
+      requireOptIn: true,
+    });
+    expect(rows.map((r) => r.skipReason)).toEqual(['missing_consent', '']);
+  });
+
+  it('applies the opt-out registry, known invalid numbers and frequency caps like runBatch', () => {
+    const db = openCampaignDb(':memory:');
+    addOptOut(db, '5547999990001');
+    saveNumberCheck(db, '5547999990002', null);
+    recordContactEvent(db, '5547999990003', EVENT_KIND.CONVERSATION, { at: new Date(morning.getTime() - 3600000) });
+    const contacts = ['5547999990000', '5547999990001', '5547999990002', '5547999990003'];
+
+    const { rows, summary } = buildBatchPreview(contacts.map((contact) => ({ contact, message: 'Oi' })), {
+      now: morning,
+      optOuts: createOptOutRegistry(db),
+      numberChecks: createNumberCheckCache(db, { ttlHours: 24 * 365 }),
+      frequencyCap: createFrequencyCap(db, { maxMessages: 0, windowDays: 7, conversationQuietHours: 24 }),
+    });
+    db.close();
+
+    expect(rows.map((r) => r.skipReason)).toEqual(['', 'opt_out', 'invalid_number', 'frequency_cap']);
+    expect(summary.skipped).toEqual({ opt_out: 1, invalid_number: 1, frequency_cap: 1 });
+    expect(renderPreviewCsv({ rows }).split('\n')[4]).toContain(';skip;Limite de frequência;');
+  });
+});
+
+describe('preview output', () => {
+  const preview = buildBatchPreview(
+    [{ contact: '5547999993333', message: 'Linha 1; "aspas"\n<b>Linha 2</b>' }],
+    { minDelayMs: 0, maxDelayMs: 0 }
+  );
+
+  it('renders a ;-separated CSV with quoted fields', () => {
+    const lines = renderPreviewCsv(preview).split('\n');
+    expect(lines[0]).toBe('Linha;Contato;ID normalizado;Número corrigido;Status;Motivo;Mensagem;Mídia');
+    expect(lines[1]).toBe('1;5547999993333;5547999993333@c.us;não;send;;"Linha 1; ""aspas""');
+  });
+
+  it('renders an HTML table with escaped messages', () => {
+    const html = renderPreviewHtml(preview, { title: 'Prévia: teste' });
+    expect(html).toContain('<title>Prévia: teste</title>');
+    expect(html).toContain('&lt;b&gt;Linha 2&lt;/b&gt;');
+    expect(html).toContain('A enviar: 1');
+  });
+});
@@ -0,0 +1,97 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { openCampaignDb, createCampaign, getPendingItems, getCampaignCounts, ITEM_STATUS } = require('../campaign-store');
+const { createBatchControl } = require('../batch-control');
+const { getItemSchedule, isItemExpired, orderBySchedule } = require('../batch-schedule');
+const { addOptOut } = require('../opt-out-registry');
+
+const fastOptions = { minDelayMs: 0, maxDelayMs: 0, skipVerify: true, skipIfEverSent: false, skipIfSentToday: false };
+const inMs = (ms) => new Date(Date.now() + ms).toISOString();
+
+describe('batch schedule', () => {
+  it('reads due time and deadline and orders items by due time', () => {
+    const item = { contact: '1', sendAt: '2026-03-10T14:00:00-03:00', notBefore: '2026-03-10T15:00:00-03:00', notAfter: '2026-03-10T18:00:00-03:00' };
+    expect(getItemSchedule(item)).toEqual({ dueAt: new Date('2026-03-10T18:00:00Z'), notAfter: new Date('2026-03-10T21:00:00Z') });
+    expect(getItemSchedule({ contact: '2' })).toEqual({ dueAt: null, notAfter: null });
+    expect(isItemExpired(item, new Date('2026-03-10T21:00:00Z'))).toBe(false);
+    expect(isItemExpired(item, new Date('2026-03-10T21:00:01Z'))).toBe(true);
+
+    const items = [
+      { contact: 'a', sendAt: '2026-03-11T10:00:00Z' },
+      { contact: 'b' },
+      { contact: 'c', notBefore: '2026-03-10T10:00:00Z' },
+      { contact: 'd' },
+    ];
+    expect(orderBySchedule(items).map((i) => i.contact)).toEqual(['b', 'd', 'c', 'a']);
+    expect(orderBySchedule(items.filter((i) => !i.sendAt && !i.notBefore))).toEqual([items[1], items[3]]);
+  });
+
+  it('holds items until due and expires the ones past notAfter', async () => {
+    const db = openCampaignDb(':memory:');
+    const items = [
+      { contact: '5547999990000', message: 'Mais tarde', sendAt: inMs(120) },
+      { contact: '5547999990001', message: 'Agora' },
+      { contact: '5547999990002', message: 'Atrasado', notAfter: inMs(-60000) },
+      { contact: '5547999990003', message: 'Logo', sendAt: inMs(40) },
+    ];
+    const campaignId = createCampaign(db, { name: 'agendada', items });
+    const fake = createFakeTransport();
+    const steps = [];
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      ...fastOptions,
+      campaign: { db, id: campaignId },
+      onStep: (step) => steps.push(step),
+    });
+
+    expect(fake.sent.map((m) => m.body)).toEqual(['Agora', 'Logo', 'Mais tarde']);
+    expect(steps.filter((s) => s.type === 'schedule_wait').map((s) => s.contactId)).toEqual(['5547999990003@c.us', '5547999990000@c.us']);
+    expect(Date.now()).toBeGreaterThanOrEqual(Date.parse(items[0].sendAt));
+    expect(result.metrics.skipped.expired).toBe(1);
+    expect(result.results.find((r) => r.contact === '5547999990002@c.us')).toEqual({ contact: '5547999990002@c.us', success: true, expired: true });
+    expect(getCampaignCounts(db, campaignId)).toMatchObject({ sent: 3, expired: 1, pending: 0 });
+    const row = db.prepare('SELECT status FROM campaign_items WHERE campaign_id = ? AND contact = ?').get(campaignId, '5547999990002');
+    expect(row.status).toBe(ITEM_STATUS.EXPIRED);
+    db.close();
+  });
+
+  it('skips a held item whose contact opted out while it waited', async () => {
+    const db = openCampaignDb(':memory:');
+    const campaignId = createCampaign(db, { name: 'opt-out no meio', items: [{ contact: '5547999990000', message: 'Oi', sendAt: inMs(60) }] });
+    const fake = createFakeTransport();
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      ...fastOptions,
+      campaign: { db, id: campaignId },
+      onStep: (step) => {
+        if (step.type === 'schedule_wait') addOptOut(db, '5547999990000', { message: 'parar' });
+      },
+    });
+
+    expect(fake.sent).toHaveLength(0);
+    expect(result.results).toEqual([{ contact: '5547999990000@c.us', success: true, skippedOptOut: true }]);
+    const row = db.prepare('SELECT status, skip_reason FROM campaign_items WHERE campaign_id = ?').get(campaignId);
+    expect(row).toEqual({ status: ITEM_STATUS.SKIPPED, skip_reason: 'opt_out' });
+    db.close();
+  });
+
+  it('leaves held items pending with their schedule when the run stops', async () => {
+    const db = openCampaignDb(':memory:');
+    const sendAt = inMs(60000);
+    const campaignId = createCampaign(db, { name: 'retomada', items: [{ contact: '5547999990000', message: 'Oi', sendAt }] });
+    const control = createBatchControl();
+
+    const result = await runBatch(createFakeTransport(), getPendingItems(db, campaignId), {
+      ...fastOptions,
+      campaign: { db, id: campaignId },
+      control,
+      onStep: (step) => {
+        if (step.type === 'schedule_wait') control.stop();
+      },
+    });
+
+    expect(result).toMatchObject({ sent: 0, stoppedEarly: true });
+    expect(getPendingItems(db, campaignId)).toEqual([expect.objectContaining({ contact: '5547999990000', sendAt })]);
+    db.close();
+  });
+});
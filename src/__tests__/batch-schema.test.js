@@ -0,0 +1,66 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { validateBatchItems, formatBatchIssue } = require('../batch-schema');
+const { loadBatchItems } = require('../batch-loader');
+
+describe('batch schema', () => {
+  it('reports every error with its item index', () => {
+    const { errors } = validateBatchItems([
+      { contato: '5547999990000', message: 'Oi' },
+      { contact: 5547999990001, message: 'Oi' },
+      { contact: '5547999990002', message: '  ' },
+      { contact: '5547999990003', message: 'Oi', optIn: 'sim' },
+      { contact: '5547999990004', message: 'Oi', sendAt: 'amanhã' },
+      { contact: '5547999990005', message: 'Oi', notBefore: '2026-03-10T14:00:00-03:00', notAfter: '2026-03-10T09:00:00-03:00' },
+    ]);
+    expect(errors.map((e) => [e.index, e.field])).toEqual([
+      [0, 'contato'],
+      [1, 'contact'],
+      [2, 'message'],
+      [3, 'optIn'],
+      [4, 'sendAt'],
+      [5, 'notAfter'],
+    ]);
+    expect(errors[0].error).toBe('Unknown field "contato" (did you mean "contact"?)');
+    expect(formatBatchIssue(errors[3])).toBe('Item 4 (5547999990003) – optIn: must be true or false (got string "sim")');
+  });
+
+  it('accepts items without message when the batch has variants or the message is generated', () => {
+    const list = [{ contact: '5547999990000' }, { contact: '5547999990001', name: 'Ana', context: 'Quer 2 quartos' }];
+    expect(validateBatchItems(list, { variants: [{ text: 'A' }, { text: 'B' }] }).errors).toEqual([]);
+    expect(validateBatchItems(list).errors.map((e) => e.index)).toEqual([0]);
+  });
+
+  it('warns about invalid and repeated numbers and misspelled optional fields', () => {
+    const { errors, warnings } = validateBatchItems([
+      { contact: '5547999990000', message: 'Oi', nome: 'Ana' },
+      { contact: '+55 47 99999-0000', message: 'Oi' },
+      { contact: '123', message: 'Oi', firstName: 'Ana' },
+    ]);
+    expect(errors).toEqual([]);
+    expect(warnings.map((w) => [w.index, w.field])).toEqual([
+      [0, 'nome'],
+      [1, 'contact'],
+      [2, 'contact'],
+    ]);
+    expect(warnings[1].error).toBe('Same number as item 1');
+  });
+
+  it('makes loadBatchItems refuse the file unless lenient, which leaves the bad items out', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-schema-'));
+    const batchPath = path.join(dir, 'batch.json');
+    fs.writeFileSync(batchPath, JSON.stringify([
+      { contact: '5547999990000', message: 'Oi' },
+      { contact: '5547999990001', message: 'Oi', media: 'falta.pdf' },
+    ]));
+    try {
+      expect(() => loadBatchItems(batchPath)).toThrow(/Item 2 \(5547999990001\) – media: Media file not found/);
+      const loaded = loadBatchItems(batchPath, { lenient: true });
+      expect(loaded.items.map((item) => item.contact)).toEqual(['5547999990000']);
+      expect(loaded.validation.errors).toHaveLength(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
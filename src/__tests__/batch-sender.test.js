@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   randomDelayMs,
   withTimeout,
@@ -8,9 +11,17 @@ const {
   getLastMessageFromMe,
   getLastMessageFromMeWithDate,
   isTodayUnix,
+  sendOnce,
   sendAndVerify,
   runBatch,
 } = require('../batch-sender');
+const {
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  getPendingItems,
+  getCampaignCounts,
+} = require('../campaign-store');
 
 describe('randomDelayMs', () => {
   it('returns value between min and max inclusive', () => {
@@ -83,7 +94,7 @@ describe('resolveChatId', () => {
 describe('normalizeContactId', () => {
   it('adds @c.us when only digits', () => {
     expect(normalizeContactId('5511999999999')).toBe('5511999999999@c.us');
-    expect(normalizeContactId('11999999999')).toBe('1199999999999@c.us');
+    expect(normalizeContactId('11999999999')).toBe('5511999999999@c.us');
   });
 
   it('strips non-digits when building id', () => {
@@ -383,6 +394,65 @@ describe('runBatch', () => {
   });
 });
 
+describe('runBatch with campaign store', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('records item statuses and resumes only pending items', async () => {
+    const campaignId = createCampaign(db, {
+      items: [
+        { contact: '5522222222222', message: 'B', optOut: true },
+        { contact: '5511111111111', message: 'A' },
+        { contact: '5533333333333', message: 'C' },
+      ],
+    });
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+
+    const first = await runBatch({ sendMessage }, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      maxPerRun: 1,
+      campaign: { db, id: campaignId },
+    });
+    expect(first.stoppedEarly).toBe(true);
+    expect(getCampaignCounts(db, campaignId)).toMatchObject({ sent: 1, skipped: 1, pending: 1 });
+    expect(getCampaign(db, campaignId).status).toBe('stopped');
+
+    const resumed = await runBatch({ sendMessage }, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      campaign: { db, id: campaignId },
+    });
+    expect(resumed.results).toEqual([{ contact: '5533333333333@c.us', success: true }]);
+    expect(sendMessage).toHaveBeenCalledTimes(2);
+    expect(getCampaign(db, campaignId).status).toBe('completed');
+  });
+
+  it('stores failed items with error and attempts', async () => {
+    const campaignId = createCampaign(db, { items: [{ contact: '5511111111111', message: 'A' }] });
+    const sendMessage = jest.fn().mockRejectedValue(new Error('Not registered'));
+
+    await runBatch({ sendMessage }, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      campaign: { db, id: campaignId },
+    });
+
+    const row = db.prepare('SELECT status, attempts, error FROM campaign_items WHERE campaign_id = ?').get(campaignId);
+    expect(row).toEqual({ status: 'failed', attempts: 1, error: 'Not registered' });
+  });
+});
+
 describe('isTodayUnix', () => {
   it('returns true for timestamp of today', () => {
     const now = Math.floor(Date.now() / 1000);
@@ -416,6 +486,14 @@ describe('getLastMessageFromMeWithDate', () => {
     const result = await getLastMessageFromMeWithDate(client, '5511999999999@c.us');
     expect(result).toBeNull();
   });
+  it('flags media messages with their caption as body', async () => {
+    const chat = {
+      fetchMessages: jest.fn().mockResolvedValue([{ body: 'Book', timestamp: 3000, hasMedia: true, type: 'document' }]),
+    };
+    const client = { getChatById: jest.fn().mockResolvedValue(chat) };
+    const result = await getLastMessageFromMeWithDate(client, '5511999999999@c.us');
+    expect(result).toEqual({ body: 'Book', timestamp: 3000, hasMedia: true, type: 'document' });
+  });
   it('returns null when getChatById throws', async () => {
     const client = { getChatById: jest.fn().mockRejectedValue(new Error('No chat')) };
     const result = await getLastMessageFromMeWithDate(client, '5511999999999@c.us');
@@ -499,6 +577,61 @@ describe('sendAndVerify', () => {
   });
 });
 
+describe('media attachments', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-sender-media-'));
+  const brochure = path.join(dir, 'brochure.pdf');
+  fs.writeFileSync(brochure, '%PDF-1.4');
+
+  it('sendOnce sends the text, then each attachment with its caption', async () => {
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+    const client = { sendMessage };
+    const result = await sendOnce(client, '5511999999999@c.us', 'Hello', 1000, [{ path: brochure, caption: 'Book' }]);
+    expect(result).toEqual({ success: true });
+    expect(sendMessage).toHaveBeenNthCalledWith(1, '5511999999999@c.us', 'Hello');
+    const [, media, opts] = sendMessage.mock.calls[1];
+    expect(media.mimetype).toBe('application/pdf');
+    expect(opts).toEqual({ caption: 'Book' });
+  });
+
+  it('sendAndVerify matches the last media message and does not resend accepted parts', async () => {
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+    let verifies = 0;
+    const getChatById = jest.fn().mockImplementation(() => {
+      verifies++;
+      const messages =
+        verifies === 1 ? [] : verifies === 2 ? [{ body: 'Hello' }] : [{ body: 'Book', hasMedia: true, type: 'document' }];
+      return Promise.resolve({ fetchMessages: jest.fn().mockResolvedValue(messages) });
+    });
+    const client = { sendMessage, getChatById };
+    const result = await sendAndVerify(client, '5511999999999@c.us', 'Hello', {
+      verifyDelayMs: 0,
+      maxVerifyRetries: 1,
+      media: [{ path: brochure, caption: 'Book' }],
+    });
+    expect(result).toEqual({ success: true, retried: 1 });
+    // Text once, brochure twice (first verify saw only the text).
+    expect(sendMessage).toHaveBeenCalledTimes(3);
+    expect(sendMessage.mock.calls.filter((c) => c[1] === 'Hello')).toHaveLength(1);
+  });
+
+  it('runBatch treats a media-only last message as already received', async () => {
+    const sendMessage = jest.fn();
+    const client = {
+      sendMessage,
+      getChatById: jest.fn().mockResolvedValue({
+        fetchMessages: jest.fn().mockResolvedValue([{ body: '', hasMedia: true, type: 'image' }]),
+      }),
+    };
+    const result = await runBatch(client, [{ contact: '5511999999999', message: 'Hi' }], {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+    });
+    expect(result.results[0].skippedAlreadyReceived).toBe(true);
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+});
+
 describe('withTimeout', () => {
   it('resolves when promise resolves before timeout', async () => {
     const result = await withTimeout(Promise.resolve(42), 1000);
@@ -0,0 +1,86 @@
+const {
+  ITEM_STATUS,
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  getPendingItems,
+  updateItemStatus,
+  getCampaignCounts,
+  finishCampaign,
+} = require('../campaign-store');
+
+describe('campaign-store', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  const items = [
+    { contact: '5511999999999', message: 'A', optIn: true },
+    { contact: '5521988888888', message: 'B' },
+    { contact: '5531977777777', message: 'C' },
+  ];
+
+  describe('createCampaign', () => {
+    it('stores campaign and one pending row per item', () => {
+      const id = createCampaign(db, { batchPath: '/tmp/batch.json', items });
+      const campaign = getCampaign(db, id);
+      expect(campaign.name).toBe('batch.json');
+      expect(campaign.status).toBe(CAMPAIGN_STATUS.RUNNING);
+      expect(campaign.totalItems).toBe(3);
+      expect(getCampaignCounts(db, id).pending).toBe(3);
+    });
+
+    it('does not persist the runtime suppressed flag', () => {
+      const id = createCampaign(db, { items: [{ contact: '5511999999999', message: 'A', suppressed: true }] });
+      const [item] = getPendingItems(db, id);
+      expect(item.suppressed).toBeUndefined();
+      expect(item.message).toBe('A');
+    });
+  });
+
+  describe('getPendingItems', () => {
+    it('returns original payloads in order with campaignItemId', () => {
+      const id = createCampaign(db, { items });
+      const pending = getPendingItems(db, id);
+      expect(pending.map((p) => p.message)).toEqual(['A', 'B', 'C']);
+      expect(pending[0].optIn).toBe(true);
+      expect(typeof pending[0].campaignItemId).toBe('number');
+    });
+
+    it('excludes items that were already processed', () => {
+      const id = createCampaign(db, { items });
+      const [first, second] = getPendingItems(db, id);
+      updateItemStatus(db, first.campaignItemId, { status: ITEM_STATUS.VERIFIED, attempted: true });
+      updateItemStatus(db, second.campaignItemId, { status: ITEM_STATUS.SKIPPED, skipReason: 'opt_out' });
+      expect(getPendingItems(db, id).map((p) => p.message)).toEqual(['C']);
+    });
+  });
+
+  describe('updateItemStatus', () => {
+    it('records attempts and error text', () => {
+      const id = createCampaign(db, { items });
+      const [first] = getPendingItems(db, id);
+      updateItemStatus(db, first.campaignItemId, { status: ITEM_STATUS.FAILED, error: 'Send timeout', attempted: true });
+      const row = db.prepare('SELECT status, attempts, error FROM campaign_items WHERE id = ?').get(first.campaignItemId);
+      expect(row).toEqual({ status: 'failed', attempts: 1, error: 'Send timeout' });
+    });
+  });
+
+  describe('finishCampaign', () => {
+    it('marks stopped while items are pending and completed when none are', () => {
+      const id = createCampaign(db, { items: items.slice(0, 1) });
+      expect(finishCampaign(db, id)).toBe(CAMPAIGN_STATUS.STOPPED);
+      const [first] = getPendingItems(db, id);
+      updateItemStatus(db, first.campaignItemId, { status: ITEM_STATUS.SENT, attempted: true });
+      expect(finishCampaign(db, id)).toBe(CAMPAIGN_STATUS.COMPLETED);
+      expect(getCampaign(db, id).status).toBe(CAMPAIGN_STATUS.COMPLETED);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { ACK, createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { recordSentMessages, recordAck, createAckTracker, getDeliveryReport } = require('../delivery-receipts');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+
+describe('delivery receipts', () => {
+  let db;
+  let campaignId;
+  let itemIds;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+    const items = ['5511999990000', '5511999990001', '5511999990002'].map((contact) => ({ contact, message: 'Oi' }));
+    campaignId = createCampaign(db, { name: 'acks', items });
+    itemIds = getPendingItems(db, campaignId).map((i) => i.campaignItemId);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('moves acks forward only and keeps the first delivered/read times', () => {
+    const sentAt = new Date('2026-03-10T12:00:00Z');
+    recordSentMessages(db, { campaignId, campaignItemId: itemIds[0], messageIds: ['m1'], sentAt });
+
+    expect(recordAck(db, { messageId: 'm1', ack: ACK.READ, at: new Date('2026-03-10T12:10:00Z') })).toBe(true);
+    recordAck(db, { messageId: 'm1', ack: ACK.DEVICE, at: new Date('2026-03-10T12:20:00Z') });
+    recordAck(db, { messageId: 'm1', ack: ACK.ERROR });
+    expect(recordAck(db, { messageId: 'unknown', ack: ACK.READ })).toBe(false);
+
+    const row = db.prepare('SELECT ack, delivered_at, read_at FROM message_receipts WHERE message_id = ?').get('m1');
+    expect(row).toEqual({ ack: ACK.READ, delivered_at: '2026-03-10T12:10:00.000Z', read_at: '2026-03-10T12:10:00.000Z' });
+  });
+
+  it('reports delivery rate, read rate, median time-to-read and single-tick numbers', () => {
+    const sentAt = new Date('2026-03-10T12:00:00Z');
+    itemIds.forEach((campaignItemId, i) => recordSentMessages(db, { campaignId, campaignItemId, messageIds: [`m${i}`], sentAt }));
+    recordAck(db, { messageId: 'm0', ack: ACK.READ, at: new Date('2026-03-10T12:10:00Z') });
+    recordAck(db, { messageId: 'm1', ack: ACK.PLAYED, at: new Date('2026-03-10T12:30:00Z') });
+    recordAck(db, { messageId: 'm2', ack: ACK.SERVER });
+
+    const report = getDeliveryReport(db, campaignId, { singleTickHours: 24, now: new Date('2026-03-11T18:00:00Z') });
+
+    expect(report).toMatchObject({ tracked: 3, delivered: 2, read: 2, played: 1, medianTimeToReadMs: 20 * 60000 });
+    expect(report.readRate).toBeCloseTo(2 / 3);
+    expect(report.byStatus).toEqual({ read: 1, played: 1, sent: 1 });
+    expect(report.singleTick).toEqual([
+      { campaignItemId: itemIds[2], contact: '5511999990002', sentAt: sentAt.toISOString(), hoursSinceSent: 30 },
+    ]);
+  });
+
+  it('applies acks that arrive before the message is tracked', async () => {
+    const fake = createFakeTransport();
+    const tracker = createAckTracker(db, fake);
+    const { id } = await fake.sendText('5511999990000@c.us', 'Oi');
+    tracker.track({ campaignId, campaignItemId: itemIds[0], messageIds: [id] });
+    tracker.stop();
+    expect(getDeliveryReport(db, campaignId).delivered).toBe(1);
+  });
+
+  it('records the messages runBatch sends and their acks', async () => {
+    jest.useFakeTimers();
+    try {
+      const fake = createFakeTransport({ deliveryDelayMs: 1000, readDelayMs: 1000 });
+      const tracker = createAckTracker(db, fake);
+      const items = getPendingItems(db, campaignId);
+
+      const run = runBatch(fake, items, {
+        minDelayMs: 0,
+        maxDelayMs: 0,
+        skipVerify: true,
+        skipIfEverSent: false,
+        skipIfSentToday: false,
+        campaign: { db, id: campaignId },
+        ackTracker: tracker,
+      });
+      await jest.runAllTimersAsync();
+      await run;
+      jest.advanceTimersByTime(2000);
+
+      const report = getDeliveryReport(db, campaignId);
+      expect(report).toMatchObject({ tracked: 3, delivered: 3, read: 3 });
+      tracker.stop();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,119 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTransport } = require('../transports');
+const { openCampaignDb } = require('../campaign-store');
+const { EVENT_KIND, recordContactEvent } = require('../frequency-cap');
+const { addOptOut } = require('../opt-out-registry');
+const {
+  DRIP_CONDITION,
+  ENROLMENT_STATUS,
+  STOP_REASON,
+  parseSequence,
+  saveSequence,
+  enrolContacts,
+  getDueEnrolments,
+  runDripTick,
+  getDripReport,
+  getContactSteps,
+} = require('../drip-sequence');
+
+const DAY_MS = 86400000;
+const runOptions = { minDelayMs: 0, maxDelayMs: 0, verifyDelayMs: 0, maxVerifyRetries: 0, retry: { maxRetries: 0 } };
+
+describe('drip sequences', () => {
+  let db;
+  let dir;
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drip-'));
+  });
+  afterEach(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('checks sequence definitions', () => {
+    const sequence = parseSequence({ name: 'lancamento', steps: [{ message: 'Oi {{name}}' }, { afterDays: 2, message: 'Viu?', conditions: ['no_reply'] }] });
+    expect(sequence.steps[0]).toEqual({ name: 'passo-1', afterDays: 0, message: 'Oi {{name}}', conditions: Object.values(DRIP_CONDITION) });
+    expect(sequence.steps[1].conditions).toEqual([DRIP_CONDITION.NO_REPLY]);
+    expect(() => parseSequence({ steps: [{ afterDays: -1 }, { message: 'x', conditions: ['sunny'] }] })).toThrow(
+      /"name" is required[\s\S]*Step 1: "message" is required[\s\S]*Step 1: "afterDays"[\s\S]*Step 2: "conditions"/
+    );
+  });
+
+  it('sends each step when due and stops contacts who replied, were handed off or opted out', async () => {
+    const brochure = path.join(dir, 'folder.pdf');
+    fs.writeFileSync(brochure, '%PDF');
+    const sequence = parseSequence(
+      {
+        name: 'follow-up',
+        steps: [
+          { name: 'apresentacao', message: 'Oi {{name}}, tudo bem?' },
+          { name: 'lembrete', afterDays: 2, message: 'Conseguiu ver, {{name}}?' },
+          { name: 'folder', afterDays: 5, message: 'Segue o folder', media: 'folder.pdf' },
+        ],
+      },
+      { baseDir: dir }
+    );
+    const sequenceId = saveSequence(db, sequence);
+    const t0 = new Date();
+    const items = [
+      { contact: '5547999990000', name: 'Ana' },
+      { contact: '5547999990001', name: 'Bia' },
+      { contact: '5547999990002', name: 'Caio' },
+      { contact: '5547999990003', name: 'Davi' },
+      { contact: 'sem número' },
+    ];
+    expect(enrolContacts(db, sequenceId, items, { now: t0 })).toEqual({ enrolled: 4, alreadyEnrolled: 0, invalid: 1 });
+    expect(enrolContacts(db, sequenceId, items.slice(0, 1), { now: t0 })).toEqual({ enrolled: 0, alreadyEnrolled: 1, invalid: 0 });
+
+    const fake = createFakeTransport();
+    const handedOff = new Set();
+    const tick = (days) => runDripTick(fake, db, { now: new Date(t0.getTime() + days * DAY_MS), runOptions, isHandedOff: (c) => handedOff.has(c) });
+
+    expect(await tick(0.01)).toMatchObject({ due: 4, sent: 4, stopped: 0 });
+    expect(fake.sent.map((m) => m.body)).toContain('Oi Ana, tudo bem?');
+    expect(getDueEnrolments(db, new Date(t0.getTime() + DAY_MS))).toHaveLength(0);
+
+    recordContactEvent(db, '5547999990000', EVENT_KIND.CONVERSATION, { at: new Date(Date.now() + DAY_MS) });
+    handedOff.add('5547999990001');
+    addOptOut(db, '5547999990002');
+    expect(await tick(2.1)).toMatchObject({ due: 4, sent: 1, stopped: 3 });
+    expect(await tick(3)).toMatchObject({ due: 0 });
+    expect(await tick(7.2)).toMatchObject({ due: 1, sent: 1, completed: 1 });
+
+    const last = fake.sent[fake.sent.length - 1];
+    expect(last).toMatchObject({ hasMedia: true, mediaPath: brochure });
+    expect(fake.sent.map((m) => m.body).slice(4, 6)).toEqual(['Conseguiu ver, Davi?', 'Segue o folder']);
+
+    const [report] = getDripReport(db);
+    expect(report).toMatchObject({ name: 'follow-up', active: 0, completed: 1, stopped: 3 });
+    expect(report.stopReasons).toEqual({ [STOP_REASON.REPLIED]: 1, [STOP_REASON.HANDED_OFF]: 1, [STOP_REASON.OPTED_OUT]: 1 });
+    expect(report.steps.map((s) => [s.sent, s.stopped])).toEqual([[4, 0], [1, 3], [1, 0]]);
+    expect(getContactSteps(db, '+55 47 99999-0000').map((s) => [s.stepIndex, s.outcome, s.reason])).toEqual([
+      [0, 'sent', null],
+      [1, 'stopped', STOP_REASON.REPLIED],
+    ]);
+    const statuses = db.prepare('SELECT contact, status FROM drip_enrolments ORDER BY contact').all();
+    expect(statuses.map((r) => r.status)).toEqual([ENROLMENT_STATUS.STOPPED, ENROLMENT_STATUS.STOPPED, ENROLMENT_STATUS.STOPPED, ENROLMENT_STATUS.COMPLETED]);
+  });
+
+  it('stops contacts whose reply is only in the chat (no listener was running)', async () => {
+    const sequence = parseSequence({ name: 'curta', steps: [{ message: 'Oi' }, { afterDays: 1, message: 'E aí?' }] });
+    const sequenceId = saveSequence(db, sequence);
+    const t0 = new Date();
+    enrolContacts(db, sequenceId, [{ contact: '5547999990000' }, { contact: '5547999990001' }], { now: t0 });
+    let clock = Date.now();
+    const fake = createFakeTransport({ now: () => clock });
+    const tick = (days) => runDripTick(fake, db, { now: new Date(t0.getTime() + days * DAY_MS), runOptions });
+
+    expect(await tick(0.01)).toMatchObject({ sent: 2 });
+    clock += 60000;
+    fake.simulateIncoming('5547999990000', 'Vi sim, obrigado');
+
+    expect(await tick(1.1)).toMatchObject({ due: 2, sent: 1, stopped: 1 });
+    expect(fake.sent.map((m) => m.chatId)).toEqual(['5547999990000@c.us', '5547999990001@c.us', '5547999990001@c.us']);
+    expect(getContactSteps(db, '5547999990000').map((s) => [s.outcome, s.reason])).toEqual([['sent', null], ['stopped', STOP_REASON.REPLIED]]);
+  });
+});
@@ -0,0 +1,67 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+const { EVENT_KIND, FREQUENCY_RULE, recordContactEvent, checkFrequencyCap, createFrequencyCap } = require('../frequency-cap');
+
+describe('frequency cap', () => {
+  let db;
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('limits campaign messages per window across campaigns', () => {
+    const rules = { maxMessages: 2, windowDays: 7 };
+    recordContactEvent(db, '5547999990000', EVENT_KIND.CAMPAIGN, { source: 'campaign:1', at: new Date('2026-03-01T12:00:00Z') });
+    recordContactEvent(db, '554799990000@c.us', EVENT_KIND.CAMPAIGN, { source: 'campaign:2', at: new Date('2026-03-05T12:00:00Z') });
+    expect(checkFrequencyCap(db, '5547999990000', rules, now)).toBeNull();
+
+    recordContactEvent(db, '+55 47 99999-0000', EVENT_KIND.CAMPAIGN, { source: 'campaign:3', at: new Date('2026-03-09T12:00:00Z') });
+    expect(checkFrequencyCap(db, '5547999990000@c.us', rules, now)).toMatchObject({
+      rule: FREQUENCY_RULE.MAX_PER_WINDOW,
+      count: 2,
+      lastAt: '2026-03-09T12:00:00.000Z',
+    });
+    expect(checkFrequencyCap(db, '5547999990000', { maxMessages: 0, windowDays: 7 }, now)).toBeNull();
+  });
+
+  it('holds campaigns back after a recent conversation', () => {
+    const rules = { maxMessages: 5, windowDays: 7, conversationQuietHours: 72 };
+    recordContactEvent(db, '5547999990000', EVENT_KIND.CONVERSATION, { at: new Date('2026-03-08T12:00:00Z') });
+    expect(checkFrequencyCap(db, '5547999990000', rules, now)).toMatchObject({ rule: FREQUENCY_RULE.RECENT_CONVERSATION });
+    expect(checkFrequencyCap(db, '5547999990000', rules, new Date('2026-03-12T12:00:01Z'))).toBeNull();
+  });
+
+  it('makes runBatch skip capped contacts before any chat lookup and records sends', async () => {
+    const frequencyCap = createFrequencyCap(db, { maxMessages: 1, windowDays: 7 });
+    frequencyCap.recordSent('5547999990000', { source: 'campaign:0' });
+    const items = ['5547999990000', '5547999990001'].map((contact) => ({ contact, message: 'Oi' }));
+    const campaignId = createCampaign(db, { name: 'cap', items });
+    const fake = createFakeTransport();
+    const lookups = [];
+    const transport = { ...fake, resolveRecipient: (id) => (lookups.push(id), fake.resolveRecipient(id)) };
+    const steps = [];
+
+    const result = await runBatch(transport, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      campaign: { db, id: campaignId },
+      frequencyCap,
+      onStep: (step) => steps.push(step),
+    });
+
+    expect(new Set(lookups)).toEqual(new Set(['5547999990001@c.us']));
+    expect(result.results[0]).toEqual({ contact: '5547999990000@c.us', success: true, skippedFrequencyCap: true, rule: FREQUENCY_RULE.MAX_PER_WINDOW });
+    expect(result.metrics.skipped.frequencyCap).toBe(1);
+    expect(steps).toContainEqual(expect.objectContaining({ type: 'skipped', skipReason: 'frequency_cap', rule: FREQUENCY_RULE.MAX_PER_WINDOW }));
+    expect(db.prepare('SELECT skip_reason FROM campaign_items ORDER BY id').get().skip_reason).toBe('frequency_cap:max_per_window');
+    expect(frequencyCap.check('5547999990001')).toMatchObject({ rule: FREQUENCY_RULE.MAX_PER_WINDOW });
+    expect(db.prepare('SELECT source FROM contact_events WHERE contact = ?').get('5547999990001').source).toBe(`campaign:${campaignId}`);
+  });
+});
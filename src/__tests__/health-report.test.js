@@ -0,0 +1,77 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { describeOutcome, failRateSeries, renderHealthReportHtml, writeHealthReportHtml, findHealthReport } = require('../health-report');
+
+describe('health report', () => {
+  it('computes the cumulative and rolling fail rate per attempt', () => {
+    const timeline = [true, false, false, true].map((success, i) => ({ at: `2026-03-10T12:0${i}:00.000Z`, success }));
+    expect(failRateSeries(timeline, 2).map((p) => [p.cumulative, p.rolling])).toEqual([
+      [0, 0],
+      [0.5, 0.5],
+      [2 / 3, 1],
+      [0.5, 0.5],
+    ]);
+  });
+
+  it('renders a self-contained page of a run stopped by a guardrail', async () => {
+    const fake = createFakeTransport({ blockedNumbers: ['5547999990001', '5547999990002'] });
+    const items = [
+      { contact: '5547999990000', message: 'Oi' },
+      { contact: '5547999990003', message: 'Oi', optOut: true },
+      { contact: '5547999990001', message: 'Oi' },
+      { contact: '5547999990002', message: 'Oi' },
+      { contact: '5547999990004', message: 'Oi' },
+    ];
+    const result = await runBatch(fake, items, {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      retry: { maxRetries: 0 },
+      stopBlockLikeCount: 2,
+    });
+    expect(result.metrics.timeline).toHaveLength(3);
+    expect(result.metrics.timeline.filter((e) => e.blockLike)).toHaveLength(2);
+
+    const html = renderHealthReportHtml(
+      { generatedAt: '2026-03-10T12:00:00.000Z', campaignId: 7, options: { stopRules: { failRate: 0.25 } }, result },
+      { timeZone: 'America/Sao_Paulo' }
+    );
+    expect(html).toContain('<title>Saúde da campanha 7</title>');
+    expect(html).toContain('Execução interrompida:</strong> Stopped by block-like errors guardrail (2/2).');
+    expect(html).toContain('<tr><td>Opt-out</td><td>1</td></tr>');
+    expect(html).toContain('<polyline');
+    expect(html).toContain('<tr class="failed"><td>3</td><td>5547999990001@c.us</td><td>Falhou</td>');
+    expect(html).not.toMatch(/<script|<link|src="http/);
+  });
+
+  it('writes the page next to the JSON and finds the latest report of a campaign', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-report-'));
+    try {
+      const report = { generatedAt: '2026-03-10T12:00:00.000Z', campaignId: 3, result: { sent: 0, failed: 0, results: [], metrics: {} } };
+      ['batch-health-2026-03-09.json', 'batch-health-2026-03-10.json'].forEach((name) => {
+        fs.writeFileSync(path.join(dir, name), JSON.stringify(report));
+      });
+      fs.writeFileSync(path.join(dir, 'batch-health-2026-03-11.json'), JSON.stringify({ ...report, campaignId: 4 }));
+      const jsonPath = findHealthReport(3, dir);
+      expect(path.basename(jsonPath)).toBe('batch-health-2026-03-10.json');
+      expect(writeHealthReportHtml(report, jsonPath)).toBe(path.join(dir, 'batch-health-2026-03-10.html'));
+      expect(fs.readFileSync(path.join(dir, 'batch-health-2026-03-10.html'), 'utf8')).toContain('Sem tentativas de envio');
+      expect(findHealthReport(5, dir)).toBeNull();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('labels skipped and retried outcomes', () => {
+    expect(describeOutcome({ success: true, skippedFrequencyCap: true, rule: 'max_per_window' })).toEqual({
+      status: 'skip',
+      label: 'Ignorado: limite de frequência (max_per_window)',
+    });
+    expect(describeOutcome({ success: false, error: 'Send timeout', retryScheduled: true }).status).toBe('retry');
+  });
+});
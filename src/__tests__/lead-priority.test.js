@@ -0,0 +1,62 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { renderHealthReportHtml } = require('../health-report');
+const { LEAD_ORDER, getLeadAgeMs, orderByPriority, summarizeLeadAges } = require('../lead-priority');
+
+const now = new Date('2026-02-12T20:00:00Z');
+const hoursAgo = (h) => new Date(now.getTime() - h * 3600000).toISOString();
+const items = [
+  { contact: '5547999990000', message: 'Oi', createdTime: hoursAgo(30) },
+  { contact: '5547999990001', message: 'Oi' },
+  { contact: '5547999990002', message: 'Oi', createdTime: hoursAgo(1) },
+  { contact: '5547999990003', message: 'Oi', createdTime: hoursAgo(50) },
+  { contact: '5547999990004', message: 'Oi', createdTime: hoursAgo(3) },
+];
+const order = (list) => list.map((i) => i.contact.slice(-1)).join('');
+
+describe('lead priority', () => {
+  it('orders newest first and moves hot leads ahead', () => {
+    expect(order(orderByPriority(items, { now }))).toBe('01234');
+    expect(order(orderByPriority(items, { order: LEAD_ORDER.NEWEST, now }))).toBe('24031');
+    expect(order(orderByPriority(items, { hotLeadHours: 4, now }))).toBe('24013');
+    expect(order(orderByPriority(items, { order: LEAD_ORDER.NEWEST, hotLeadHours: 2, now }))).toBe('24031');
+    expect(getLeadAgeMs(items[2], now)).toBe(3600000);
+    expect(getLeadAgeMs(items[1], now)).toBeNull();
+  });
+
+  it('summarizes lead ages of sent results', () => {
+    expect(summarizeLeadAges([{ leadAgeMs: 3000 }, { success: true }, { leadAgeMs: 1000 }, { leadAgeMs: 2000 }, { leadAgeMs: 9000 }])).toEqual({
+      count: 4,
+      medianMs: 2500,
+      minMs: 1000,
+      maxMs: 9000,
+    });
+    expect(summarizeLeadAges([{ success: true }])).toBeNull();
+  });
+
+  it('sends in priority order and reports the lead age at send time', async () => {
+    const fake = createFakeTransport();
+    const fresh = items.map((item) => (item.createdTime ? { ...item, createdTime: new Date(Date.now() - (now - Date.parse(item.createdTime))).toISOString() } : item));
+    const result = await runBatch(fake, fresh, {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      priority: { order: LEAD_ORDER.NEWEST, hotLeadHours: 2 },
+    });
+
+    expect(fake.sent.map((m) => m.chatId.slice(-6, -5))).toEqual(['2', '4', '0', '3', '1']);
+    const hot = result.results[0];
+    expect(hot.contact).toBe('5547999990002@c.us');
+    expect(hot.leadAgeMs).toBeGreaterThanOrEqual(3600000);
+    expect(hot.leadAgeMs).toBeLessThan(3660000);
+    expect(result.results[4].leadAgeMs).toBeUndefined();
+    expect(result.metrics.leadAge).toMatchObject({ count: 4 });
+    expect(result.metrics.leadAge.maxMs).toBeGreaterThanOrEqual(50 * 3600000);
+
+    const html = renderHealthReportHtml({ campaignId: 3, result }, { timeZone: 'America/Sao_Paulo' });
+    expect(html).toContain('Idade do lead no envio');
+    expect(html).toContain('<td>1h 00min</td>');
+  });
+});
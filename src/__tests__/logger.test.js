@@ -0,0 +1,57 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { redact, redactPhones, createLogger, createFileSink } = require('../logger');
+
+function memorySink(level) {
+  const records = [];
+  return { level, records, write: (record) => records.push(record) };
+}
+
+describe('logger', () => {
+  it('masks phone numbers and replaces message bodies', () => {
+    expect(redactPhones('resolveChatId 5547999990000@c.us')).toBe('resolveChatId *********0000@c.us');
+    expect(redactPhones('+55 (47) 99999-0000 at 2026-03-10')).toBe('*********0000 at 2026-03-10');
+    expect(redact({ contactId: '5547999990000@c.us', message: 'Oi Ana, tudo bem?', attempt: 2, error: new Error('No LID for 5547999990000') })).toEqual({
+      contactId: '*********0000@c.us',
+      message: '[17 chars]',
+      attempt: 2,
+      error: 'No LID for *********0000',
+    });
+  });
+
+  it('sends each record to the sinks whose level it reaches, with its component', () => {
+    const consoleSink = memorySink('info');
+    const file = memorySink('debug');
+    const log = createLogger('batch', { sinks: [consoleSink, file] });
+    log.debug('runBatch: contact', { contactId: '5547999990000@c.us', body: 'Oi' });
+    log.warn('rate reduced');
+
+    expect(consoleSink.records.map((r) => r.message)).toEqual(['rate reduced']);
+    expect(file.records).toHaveLength(2);
+    expect(file.records[0]).toMatchObject({ level: 'debug', component: 'batch', data: { contactId: '*********0000@c.us', body: '[2 chars]' } });
+    expect(Number.isNaN(Date.parse(file.records[0].at))).toBe(false);
+  });
+
+  it('keeps the data as is when redaction is off', () => {
+    const sink = memorySink('debug');
+    createLogger('session', { sinks: [sink], redact: false }).info('resolved', { contactId: '5547999990000@c.us' });
+    expect(sink.records[0].data.contactId).toBe('5547999990000@c.us');
+  });
+
+  it('rotates the log file past maxBytes', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    try {
+      const filePath = path.join(dir, 'app.log');
+      const log = createLogger('browser', { sinks: [createFileSink(filePath, { maxBytes: 300, maxFiles: 2 })] });
+      for (let i = 0; i < 12; i++) log.info(`record ${i}`, { filler: 'x'.repeat(40) });
+
+      expect(fs.readdirSync(dir).sort()).toEqual(['app.log', 'app.log.1', 'app.log.2']);
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines[lines.length - 1]).toMatchObject({ component: 'browser', message: 'record 11' });
+      expect(fs.statSync(filePath).size).toBeLessThanOrEqual(300);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  getGreeting,
+  hasTemplateSyntax,
+  expandSpintax,
+  findMissingVariables,
+  renderMessage,
+  validateBatchTemplates,
+} = require('../message-renderer');
+const { runBatch } = require('../batch-sender');
+
+// America/Sao_Paulo is UTC-3 (no DST).
+const at = (isoLocal) => new Date(`${isoLocal}-03:00`);
+const tz = 'America/Sao_Paulo';
+
+describe('getGreeting', () => {
+  it('follows the hour in the given time zone', () => {
+    expect(getGreeting(at('2026-10-16T08:00:00'), tz)).toBe('Bom dia');
+    expect(getGreeting(at('2026-10-16T12:00:00'), tz)).toBe('Boa tarde');
+    expect(getGreeting(at('2026-10-16T18:30:00'), tz)).toBe('Boa noite');
+    expect(getGreeting(at('2026-10-16T02:00:00'), tz)).toBe('Boa noite');
+  });
+});
+
+describe('hasTemplateSyntax', () => {
+  it('detects variables and spintax only', () => {
+    expect(hasTemplateSyntax('Oi {{firstName}}')).toBe(true);
+    expect(hasTemplateSyntax('{Oi|Olá}')).toBe(true);
+    expect(hasTemplateSyntax('Plain text {not spintax}')).toBe(false);
+    expect(hasTemplateSyntax(undefined)).toBe(false);
+  });
+});
+
+describe('expandSpintax', () => {
+  it('picks one option per group, innermost first', () => {
+    expect(expandSpintax('{a|b|c}', () => 0)).toBe('a');
+    expect(expandSpintax('{a|b|c}', () => 0.99)).toBe('c');
+    expect(expandSpintax('{x|{y|z}}!', () => 0.99)).toBe('z!');
+  });
+});
+
+describe('renderMessage', () => {
+  const options = { now: at('2026-10-16T14:00:00'), timeZone: tz, random: () => 0 };
+
+  it('fills variables, greeting and spintax', () => {
+    const item = { contact: '5547999999999', fullName: 'Maria Souza', empreendimento: 'Vista Mar' };
+    const text = renderMessage('{{saudacao}} {{firstName}}! {Aqui é|Sou} {{broker}}, sobre o {{ empreendimento }}.', item, {
+      ...options,
+      defaults: { broker: 'Lucas' },
+    });
+    expect(text).toBe('Boa tarde Maria! Aqui é Lucas, sobre o Vista Mar.');
+  });
+
+  it('prefers item fields over defaults', () => {
+    expect(renderMessage('{{broker}}', { broker: 'Thiago' }, { ...options, defaults: { broker: 'Lucas' } })).toBe('Thiago');
+  });
+
+  it('throws when a variable is missing or empty', () => {
+    expect(() => renderMessage('Oi {{firstName}}, {{empreendimento}}', { contact: '55', name: '' }, options)).toThrow(
+      'Missing template variable(s): firstName, empreendimento (contact 55)'
+    );
+  });
+
+  it('lists missing variables', () => {
+    expect(findMissingVariables('{{a}} {{b}} {{a}}', { b: 1 })).toEqual(['a']);
+  });
+});
+
+describe('validateBatchTemplates', () => {
+  it('reports items that cannot be rendered and ignores plain messages', () => {
+    const errors = validateBatchTemplates([
+      { contact: '1', message: 'Plain' },
+      { contact: '2', message: 'Oi {{firstName}}' },
+      { contact: '3', message: 'Oi {{firstName}}', firstName: 'Ana' },
+    ]);
+    expect(errors).toEqual([{ index: 1, contact: '2', error: expect.stringMatching(/firstName/) }]);
+  });
+});
+
+describe('runBatch with templates', () => {
+  const baseOptions = { minDelayMs: 0, maxDelayMs: 0, skipVerify: true, skipIfEverSent: false, skipIfSentToday: false };
+
+  it('renders the message at send time', async () => {
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+    await runBatch({ sendMessage }, [{ contact: '5511999999999', message: 'Oi {{firstName}}, aqui é {{broker}}', firstName: 'Ana' }], {
+      ...baseOptions,
+      templateDefaults: { broker: 'Bruno' },
+    });
+    expect(sendMessage).toHaveBeenCalledWith('5511999999999@c.us', 'Oi Ana, aqui é Bruno');
+  });
+
+  it('fails the item without sending when a variable is missing', async () => {
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+    const result = await runBatch({ sendMessage }, [{ contact: '5511999999999', message: 'Oi {{firstName}}' }], {
+      ...baseOptions,
+      stopFailRate: 0.1,
+      stopMinAttempts: 1,
+    });
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(result.failed).toBe(1);
+    expect(result.results[0].error).toMatch(/Missing template variable/);
+    expect(result.metrics.templateErrors).toBe(1);
+    expect(result.metrics.attempts).toBe(0);
+  });
+});
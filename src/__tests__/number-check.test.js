@@ -0,0 +1,95 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+const {
+  CHECK_STATUS,
+  numberCandidates,
+  getNumberCheck,
+  saveNumberCheck,
+  validateNumbers,
+  createNumberCheckCache,
+} = require('../number-check');
+
+describe('numberCandidates', () => {
+  it('tries the normalized number, then the Brazilian mobile without the 9', () => {
+    expect(numberCandidates('554799990000')).toEqual(['5547999990000', '554799990000']);
+    expect(numberCandidates('5547999990000@c.us')).toEqual(['5547999990000', '554799990000']);
+    expect(numberCandidates('5547899990000')).toEqual(['5547899990000']);
+    expect(numberCandidates('')).toEqual([]);
+  });
+});
+
+describe('number check cache', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('expires cached results after the TTL', () => {
+    saveNumberCheck(db, '5547999990000', null, new Date('2026-03-01T12:00:00Z'));
+    expect(getNumberCheck(db, '5547999990000', { ttlHours: 48, now: new Date('2026-03-02T12:00:00Z') })).toMatchObject({ registered: null });
+    expect(getNumberCheck(db, '5547999990000', { ttlHours: 48, now: new Date('2026-03-04T12:00:00Z') })).toBeNull();
+    expect(getNumberCheck(db, '5547999990001')).toBeNull();
+  });
+
+  it('validates a batch once per number and reuses the cache', async () => {
+    const fake = createFakeTransport({ invalidNumbers: ['5547999990000', '5547999990002', '554799990002'] });
+    const lookups = [];
+    const transport = { ...fake, lookupNumber: (id) => (lookups.push(id), fake.lookupNumber(id)) };
+    const contacts = ['554799990000', '5547999990001', '5547999990002', '5547999990001'];
+
+    const summary = await validateNumbers(transport, db, contacts, { minDelayMs: 0, maxDelayMs: 0 });
+
+    expect(summary).toMatchObject({ total: 3, valid: 1, corrected: 1, invalid: 1, errors: 0, cached: 0 });
+    expect(summary.results.map((r) => [r.number, r.status, r.registered])).toEqual([
+      ['5547999990000', CHECK_STATUS.CORRECTED, '554799990000'],
+      ['5547999990001', CHECK_STATUS.VALID, '5547999990001'],
+      ['5547999990002', CHECK_STATUS.INVALID, null],
+    ]);
+    expect(lookups).toHaveLength(5);
+
+    const again = await validateNumbers(transport, db, contacts, { minDelayMs: 0, maxDelayMs: 0 });
+    expect(again.cached).toBe(3);
+    expect(lookups).toHaveLength(5);
+  });
+
+  it('reports failed lookups without caching them', async () => {
+    const transport = { lookupNumber: async () => { throw new Error('Evaluation failed'); } };
+    const summary = await validateNumbers(transport, db, ['5547999990000'], { minDelayMs: 0, maxDelayMs: 0 });
+    expect(summary.results[0]).toMatchObject({ status: CHECK_STATUS.ERROR, error: 'Evaluation failed' });
+    expect(getNumberCheck(db, '5547999990000')).toBeNull();
+  });
+
+  it('makes runBatch skip invalid numbers and send to the registered variant', async () => {
+    saveNumberCheck(db, '5547999990000', '554799990000');
+    saveNumberCheck(db, '5547999990001', null);
+    const items = ['5547999990000', '5547999990001', '5547999990002'].map((contact) => ({ contact, message: 'Oi' }));
+    const campaignId = createCampaign(db, { name: 'check', items });
+    const fake = createFakeTransport();
+    const steps = [];
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      campaign: { db, id: campaignId },
+      numberChecks: createNumberCheckCache(db),
+      onStep: (step) => steps.push(step),
+    });
+
+    expect(fake.sent.map((m) => m.chatId)).toEqual(['554799990000@c.us', '5547999990002@c.us']);
+    expect(result.results[1]).toEqual({ contact: '5547999990001@c.us', success: true, skippedInvalidNumber: true });
+    expect(result.metrics.skipped.invalidNumber).toBe(1);
+    expect(steps).toContainEqual({ type: 'number_corrected', contactId: '5547999990000@c.us', sendTo: '554799990000@c.us' });
+    const rows = db.prepare('SELECT contact, status, skip_reason, recipient FROM campaign_items ORDER BY id').all();
+    expect(rows[0]).toMatchObject({ status: 'sent', recipient: '5547999990000' });
+    expect(rows[1]).toMatchObject({ status: 'skipped', skip_reason: 'invalid_number' });
+  });
+});
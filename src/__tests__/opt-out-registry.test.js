@@ -0,0 +1,89 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+const {
+  OPT_OUT_SOURCE,
+  addOptOut,
+  removeOptOut,
+  getOptOut,
+  listOptOuts,
+  parseOptOutList,
+  importOptOuts,
+  importReplyOptOuts,
+} = require('../opt-out-registry');
+
+describe('opt-out registry', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('keeps the first entry of each number, whatever its format', () => {
+    const at = new Date('2026-03-10T12:00:00Z');
+    expect(addOptOut(db, '554799990000@c.us', { source: OPT_OUT_SOURCE.AGENT, message: 'parar', at })).toBe(true);
+    expect(addOptOut(db, '+55 47 99999-0000', { source: OPT_OUT_SOURCE.MANUAL })).toBe(false);
+    expect(getOptOut(db, '5547999990000')).toEqual({
+      contact: '5547999990000',
+      source: OPT_OUT_SOURCE.AGENT,
+      message: 'parar',
+      optedOutAt: '2026-03-10T12:00:00.000Z',
+    });
+    expect(removeOptOut(db, '5547999990000@c.us')).toBe(true);
+    expect(listOptOuts(db)).toEqual([]);
+  });
+
+  it('parses and imports the usual list formats', () => {
+    expect(parseOptOutList(['5547999990000', { contact: '5547999990001', message: 'não quero' }])).toEqual([
+      { contact: '5547999990000' },
+      { contact: '5547999990001', message: 'não quero' },
+    ]);
+    expect(parseOptOutList({ version: 1, contacts: { '5547999990002@c.us': { doNotContact: true }, '5547999990003@c.us': {} } })).toEqual([
+      { contact: '5547999990002@c.us' },
+    ]);
+    expect(parseOptOutList('telefone,nome\n5547999990004,Ana\n')).toEqual([{ contact: '5547999990004' }]);
+
+    expect(importOptOuts(db, parseOptOutList(['5547999990000', '554799990000', 'abc']))).toBe(1);
+    expect(getOptOut(db, '5547999990000').source).toBe(OPT_OUT_SOURCE.IMPORT);
+  });
+
+  it('imports the replies flagged as opt-out', () => {
+    const campaignId = createCampaign(db, { name: 'c', items: [{ contact: '5547999990000' }] });
+    const item = getPendingItems(db, campaignId)[0];
+    db.prepare(
+      'INSERT INTO campaign_replies (message_id, campaign_id, campaign_item_id, recipient, received_at, opt_out) VALUES (?, ?, ?, ?, ?, 1)'
+    ).run('r1', campaignId, item.campaignItemId, '5547999990000', '2026-03-10T12:00:00.000Z');
+    expect(importReplyOptOuts(db)).toBe(1);
+    expect(importReplyOptOuts(db)).toBe(0);
+    expect(getOptOut(db, '5547999990000').optedOutAt).toBe('2026-03-10T12:00:00.000Z');
+  });
+
+  it('makes runBatch skip registered numbers of a campaign', async () => {
+    addOptOut(db, '554799990000', { source: OPT_OUT_SOURCE.AGENT, message: 'Por favor parar' });
+    const items = ['5547999990000', '5547999990001'].map((contact) => ({ contact, message: 'Oi' }));
+    const campaignId = createCampaign(db, { name: 'c', items });
+    const fake = createFakeTransport();
+    const steps = [];
+
+    const result = await runBatch(fake, getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      campaign: { db, id: campaignId },
+      onStep: (step) => steps.push(step),
+    });
+
+    expect(fake.sent.map((m) => m.chatId)).toEqual(['5547999990001@c.us']);
+    expect(steps.filter((s) => s.type === 'skipped' || s.type === 'already_sent')).toEqual([
+      expect.objectContaining({ type: 'skipped', contactId: '5547999990000@c.us', skipReason: 'opt_out' }),
+    ]);
+    expect(result.results[0]).toEqual({ contact: '5547999990000@c.us', success: true, skippedOptOut: true });
+    expect(db.prepare('SELECT skip_reason FROM campaign_items ORDER BY id').get().skip_reason).toBe('opt_out');
+  });
+});
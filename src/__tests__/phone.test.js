@@ -0,0 +1,76 @@
+const { PHONE_TYPE, CONFIDENCE, PHONE_FIX, parsePhone, phoneDigits, samePhone, withoutMobileNine } = require('../phone');
+
+describe('parsePhone (Brazil)', () => {
+  it('keeps a complete mobile as it is', () => {
+    expect(parsePhone('+55 47 99141-6694')).toEqual({
+      input: '+55 47 99141-6694',
+      valid: true,
+      e164: '+5547991416694',
+      digits: '5547991416694',
+      country: 'BR',
+      type: PHONE_TYPE.MOBILE,
+      confidence: CONFIDENCE.HIGH,
+      fixes: [],
+    });
+    expect(parsePhone('5547991416694@c.us').digits).toBe('5547991416694');
+  });
+
+  it('adds the 9 to 8-digit mobiles but not to landlines', () => {
+    const mobile = parsePhone('554788954794');
+    expect(mobile).toMatchObject({ digits: '5547988954794', type: PHONE_TYPE.MOBILE, confidence: CONFIDENCE.MEDIUM });
+    expect(mobile.fixes).toEqual([PHONE_FIX.ADDED_MOBILE_NINE]);
+    expect(parsePhone('554733221100')).toMatchObject({ digits: '554733221100', type: PHONE_TYPE.LANDLINE, confidence: CONFIDENCE.HIGH });
+  });
+
+  it('reads national numbers as the default country', () => {
+    expect(parsePhone('(47) 99141-6694')).toMatchObject({ digits: '5547991416694', fixes: [PHONE_FIX.ADDED_COUNTRY_CODE] });
+    expect(parsePhone('047 99141-6694')).toMatchObject({ digits: '5547991416694', fixes: [PHONE_FIX.ADDED_COUNTRY_CODE, PHONE_FIX.TRUNK_PREFIX] });
+    expect(parsePhone('0 41 47 99141-6694').digits).toBe('5547991416694');
+  });
+
+  it('cleans the Meta prefix and a repeated country code', () => {
+    expect(parsePhone('p:+5547991416694')).toMatchObject({ digits: '5547991416694', confidence: CONFIDENCE.HIGH, fixes: [PHONE_FIX.META_PREFIX] });
+    expect(parsePhone('+55+5547991287012')).toMatchObject({ digits: '5547991287012', fixes: [PHONE_FIX.DUPLICATE_COUNTRY_CODE] });
+  });
+
+  it('rejects unknown DDDs and impossible lengths', () => {
+    expect(parsePhone('5520991416694')).toMatchObject({ valid: false, e164: null, digits: '5520991416694' });
+    expect(parsePhone('+55 47 99914 16694')).toMatchObject({ valid: false, digits: '55479991416694' });
+    expect(parsePhone('5547888509339').valid).toBe(false);
+    expect(parsePhone('')).toMatchObject({ valid: false, digits: '' });
+  });
+});
+
+describe('parsePhone (other countries)', () => {
+  it('parses US numbers', () => {
+    expect(parsePhone('+1 (415) 555-2671')).toMatchObject({ valid: true, digits: '14155552671', country: 'US', type: PHONE_TYPE.UNKNOWN });
+    expect(parsePhone('+1 411 555 2671').valid).toBe(false);
+    expect(parsePhone('4155552671', { defaultCountry: 'US' })).toMatchObject({ digits: '14155552671', confidence: CONFIDENCE.MEDIUM });
+  });
+
+  it('parses Portuguese mobiles and landlines', () => {
+    expect(parsePhone('+351 912 345 678')).toMatchObject({ digits: '351912345678', country: 'PT', type: PHONE_TYPE.MOBILE });
+    expect(parsePhone('00351 213 456 789')).toMatchObject({ digits: '351213456789', type: PHONE_TYPE.LANDLINE, fixes: [PHONE_FIX.INTERNATIONAL_PREFIX] });
+  });
+
+  it('accepts other international numbers with low confidence', () => {
+    expect(parsePhone('+44 20 7946 0958')).toMatchObject({ valid: true, digits: '442079460958', country: null, confidence: CONFIDENCE.LOW });
+    expect(parsePhone('442079460958').valid).toBe(false);
+  });
+});
+
+describe('helpers', () => {
+  it('compares numbers once normalized', () => {
+    expect(samePhone('554788954794', '+55 47 98895-4794')).toBe(true);
+    expect(samePhone('5547988954794@c.us', '47 98895-4794')).toBe(true);
+    expect(samePhone('554733221100', '5547933221100')).toBe(false);
+    expect(samePhone('', '')).toBe(false);
+  });
+
+  it('drops the 9 only from Brazilian mobiles', () => {
+    expect(withoutMobileNine('5547988954794')).toBe('554788954794');
+    expect(withoutMobileNine('554733221100')).toBeNull();
+    expect(withoutMobileNine('14155552671')).toBeNull();
+    expect(phoneDigits('47 98895-4794')).toBe('5547988954794');
+  });
+});
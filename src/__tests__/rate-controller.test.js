@@ -0,0 +1,100 @@
+const { createRateController } = require('../rate-controller');
+const { runBatch, classifySendOutcome } = require('../batch-sender');
+const { runPool } = require('../sender-pool');
+const { createFakeTransport } = require('../transports');
+
+describe('createRateController', () => {
+  const base = { minDelayMs: 1000, maxDelayMs: 3000, cooldownMinMs: 60000, cooldownMaxMs: 60000 };
+
+  it('starts at the configured range', () => {
+    expect(createRateController(base).getDelayRange()).toEqual({ minMs: 1000, maxMs: 3000 });
+  });
+
+  it('slows down on block-like errors and asks for a cooldown', () => {
+    const rate = createRateController(base);
+    const change = rate.record('block_like');
+    expect(change).toMatchObject({ type: 'rate_change', direction: 'slower', factor: 2, minDelayMs: 2000, maxDelayMs: 6000, extraCooldownMs: 60000 });
+    expect(rate.takeCooldown()).toBe(60000);
+    expect(rate.takeCooldown()).toBe(0);
+  });
+
+  it('adds a cooldown only when timeouts or verify failures repeat', () => {
+    const rate = createRateController(base);
+    expect(rate.record('timeout')).toMatchObject({ factor: 1.5, extraCooldownMs: 0 });
+    expect(rate.record('verify_fail')).toMatchObject({ factor: 1.88, extraCooldownMs: 60000 });
+  });
+
+  it('caps the factor at maxFactor', () => {
+    const rate = createRateController({ ...base, maxFactor: 3 });
+    rate.record('block_like');
+    rate.record('block_like');
+    expect(rate.factor).toBe(3);
+    expect(rate.getDelayRange()).toEqual({ minMs: 3000, maxMs: 9000 });
+  });
+
+  it('relaxes back to the configured range after healthy sends', () => {
+    const rate = createRateController({ ...base, recoverAfter: 2 });
+    rate.record('timeout');
+    expect(rate.record('ok')).toBeNull();
+    expect(rate.record('ok')).toMatchObject({ direction: 'faster', factor: 1 });
+    expect(rate.getDelayRange()).toEqual({ minMs: 1000, maxMs: 3000 });
+    expect(rate.record('ok')).toBeNull();
+    expect(rate.history).toHaveLength(2);
+  });
+
+  it('ignores neutral outcomes', () => {
+    const rate = createRateController({ ...base, recoverAfter: 1 });
+    rate.record('block_like');
+    expect(rate.record('neutral')).toBeNull();
+    expect(rate.factor).toBe(2);
+  });
+});
+
+describe('classifySendOutcome', () => {
+  it('maps results to rate signals', () => {
+    expect(classifySendOutcome({ success: false, error: 'Too many requests (429)' }, 0)).toBe('block_like');
+    expect(classifySendOutcome({ success: false, error: 'Send timeout after 15s' }, 0)).toBe('timeout');
+    expect(classifySendOutcome({ success: true, retried: 1 }, 1)).toBe('verify_fail');
+    expect(classifySendOutcome({ success: true }, 0)).toBe('ok');
+    expect(classifySendOutcome({ success: true, alreadySent: true }, 0)).toBe('neutral');
+    expect(classifySendOutcome({ success: false, error: 'invalid wid' }, 0)).toBe('neutral');
+  });
+});
+
+describe('runBatch with adaptiveRate', () => {
+  const options = {
+    minDelayMs: 0,
+    maxDelayMs: 0,
+    skipVerify: true,
+    skipIfEverSent: false,
+    skipIfSentToday: false,
+    adaptiveRate: { cooldownMinMs: 0, cooldownMaxMs: 0, recoverAfter: 2 },
+  };
+
+  it('emits rate_change steps and reports them in metrics', async () => {
+    const fake = createFakeTransport({ blockedNumbers: ['5511999990000'] });
+    const steps = [];
+    const items = ['5511999990000', '5511999990001', '5511999990002'].map((contact) => ({ contact, message: 'Oi' }));
+
+    const result = await runBatch(fake, items, { ...options, onStep: (s) => steps.push(s) });
+
+    const changes = steps.filter((s) => s.type === 'rate_change');
+    expect(changes.map((c) => c.direction)).toEqual(['slower', 'faster']);
+    expect(changes[0]).toMatchObject({ contactId: '5511999990000@c.us', factor: 2 });
+    expect(result.metrics.rateChanges).toHaveLength(2);
+    expect(result.metrics.rateFactor).toBeCloseTo(4 / 3);
+  });
+
+  it('keeps one controller per session in the sender pool', async () => {
+    const blocked = createFakeTransport({ blockedNumbers: ['5511999990000', '5511999990002'] });
+    const healthy = createFakeTransport();
+    const items = ['5511999990000', '5511999990001', '5511999990002', '5511999990003'].map((contact) => ({ contact, message: 'Oi' }));
+
+    const result = await runPool([{ name: 'a', client: blocked }, { name: 'b', client: healthy }], items, options);
+
+    const a = result.sessions.find((s) => s.name === 'a');
+    const b = result.sessions.find((s) => s.name === 'b');
+    expect(b.rateFactor).toBe(1);
+    expect(a.rateChanges.length).toBeGreaterThan(0);
+  });
+});
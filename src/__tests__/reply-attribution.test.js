@@ -0,0 +1,94 @@
+const { createFakeTransport } = require('../transports');
+const { runBatch } = require('../batch-sender');
+const { insertTemplates } = require('../db');
+const { resolveReplySender, attributeReply, getReplyReport } = require('../reply-attribution');
+const { ITEM_STATUS, openCampaignDb, createCampaign, getPendingItems, updateItemStatus } = require('../campaign-store');
+
+const BODIES = ['Retorno sobre o lançamento ao lado do Zum.', 'Estou retornando seu interesse no lançamento.'];
+
+describe('resolveReplySender', () => {
+  it('normalizes the sender number like the batch does and resolves @lid chats', async () => {
+    expect(await resolveReplySender({ from: '554799990000@c.us' })).toBe('5547999990000');
+    expect(await resolveReplySender({ from: '123@lid', getContact: async () => ({ number: '5547999990001' }) })).toBe('5547999990001');
+    expect(await resolveReplySender({ from: '123@lid', getContact: async () => ({}) })).toBe('');
+  });
+});
+
+describe('reply attribution', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+    insertTemplates(db, BODIES);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  function sendItem(campaignId, contact, { sentAt, sender }) {
+    const item = getPendingItems(db, campaignId).find((i) => i.contact === contact);
+    updateItemStatus(db, item.campaignItemId, { status: ITEM_STATUS.SENT, attempted: true, sender, recipient: item.contact, sentAt });
+    return item.campaignItemId;
+  }
+
+  it('matches the most recent campaign item sent to the number within the window', () => {
+    const first = createCampaign(db, { name: 'jan', items: [{ contact: '5547999990000', message: BODIES[0] }] });
+    const second = createCampaign(db, { name: 'fev', items: [{ contact: '5547999990000', message: BODIES[1] }] });
+    sendItem(first, '5547999990000', { sentAt: '2026-03-01T12:00:00.000Z' });
+    const itemId = sendItem(second, '5547999990000', { sentAt: '2026-03-09T12:00:00.000Z', sender: 'lucas' });
+
+    const match = attributeReply(db, {
+      recipient: '5547999990000',
+      messageId: 'in1',
+      receivedAt: new Date('2026-03-10T09:00:00Z'),
+      windowHours: 72,
+    });
+    expect(match).toMatchObject({ campaignId: second, campaignName: 'fev', campaignItemId: itemId, sender: 'lucas' });
+    expect(db.prepare('SELECT campaign_item_id FROM campaign_replies WHERE message_id = ?').get('in1')).toEqual({ campaign_item_id: itemId });
+
+    expect(attributeReply(db, { recipient: '5547999990000', messageId: 'in2', receivedAt: new Date('2026-03-20T09:00:00Z'), windowHours: 72 })).toBeNull();
+  });
+
+  it('reports reply rate per campaign, template and sending profile', () => {
+    const items = ['5547999990000', '5547999990001', '5547999990002'].map((contact, i) => ({
+      contact,
+      message: `{{saudacao}} {{firstName}}, tudo bem?\n\n${BODIES[i % 2]}`,
+    }));
+    const campaignId = createCampaign(db, { name: 'mar', items });
+    items.forEach(({ contact }, i) => sendItem(campaignId, contact, { sentAt: '2026-03-09T12:00:00.000Z', sender: i === 2 ? 'thiago' : 'lucas' }));
+    const receivedAt = new Date('2026-03-09T15:00:00Z');
+    attributeReply(db, { recipient: '5547999990000', messageId: 'a', receivedAt });
+    attributeReply(db, { recipient: '5547999990000', messageId: 'b', receivedAt });
+    attributeReply(db, { recipient: '5547999990002', messageId: 'c', receivedAt });
+
+    const report = getReplyReport(db, { campaignId });
+
+    expect(report).toMatchObject({ sent: 3, replied: 2 });
+    expect(report.byCampaign).toEqual([{ campaignId, name: 'mar', sent: 3, replied: 2, replyRate: 2 / 3 }]);
+    expect(report.byTemplate).toEqual([
+      { template: BODIES[0], sent: 2, replied: 2, replyRate: 1 },
+      { template: BODIES[1], sent: 1, replied: 0, replyRate: 0 },
+    ]);
+    expect(report.bySender).toEqual([
+      { sender: 'thiago', sent: 1, replied: 1, replyRate: 1 },
+      { sender: 'lucas', sent: 2, replied: 1, replyRate: 0.5 },
+    ]);
+  });
+
+  it('attributes replies to items sent by runBatch', async () => {
+    const campaignId = createCampaign(db, { name: 'run', items: [{ contact: '554799990000', message: 'Oi' }] });
+    await runBatch(createFakeTransport(), getPendingItems(db, campaignId), {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      campaign: { db, id: campaignId },
+      sender: 'lucas',
+    });
+
+    const recipient = await resolveReplySender({ from: '5547999990000@c.us' });
+    expect(attributeReply(db, { recipient, messageId: 'r1' })).toMatchObject({ campaignId, sender: 'lucas', message: 'Oi' });
+  });
+});
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEAD_LETTER_REASON,
+  getRetryDelayMs,
+  planRetry,
+  buildDeadLetterEntry,
+  appendDeadLetter,
+} = require('../retry-queue');
+const { runBatch } = require('../batch-sender');
+const { runPool } = require('../sender-pool');
+const { createFakeTransport } = require('../transports');
+const {
+  ITEM_STATUS,
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  getPendingItems,
+  getCampaignCounts,
+  getRetrySummary,
+} = require('../campaign-store');
+
+const baseOptions = {
+  minDelayMs: 0,
+  maxDelayMs: 0,
+  skipVerify: true,
+  skipIfEverSent: false,
+  skipIfSentToday: false,
+  retry: { maxRetries: 2, baseDelayMs: 0 },
+};
+
+/** Fake transport whose sends to the given numbers time out the first `times` attempts. */
+function flakyTransport(numbers, times, fakeOptions) {
+  const fake = createFakeTransport(fakeOptions);
+  const failures = {};
+  const sendText = fake.sendText;
+  fake.sendText = async (chatId, text) => {
+    const digits = chatId.replace(/@.*$/, '');
+    failures[digits] = (failures[digits] || 0) + 1;
+    if (numbers.includes(digits) && failures[digits] <= times) throw new Error('Send timeout after 15s');
+    return sendText(chatId, text);
+  };
+  return fake;
+}
+
+describe('getRetryDelayMs', () => {
+  it('grows exponentially up to maxDelayMs', () => {
+    const policy = { baseDelayMs: 1000, factor: 2, maxDelayMs: 5000 };
+    expect([1, 2, 3, 4].map((n) => getRetryDelayMs(n, policy))).toEqual([1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('planRetry', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  it('schedules transient failures with backoff until the retries run out', () => {
+    const policy = { maxRetries: 1, baseDelayMs: 60000 };
+    const first = planRetry({ contact: '5511' }, { permanent: false, policy, now });
+    expect(first.retryItem).toEqual({ contact: '5511', retryCount: 1, retryAt: '2026-03-10T12:01:00.000Z' });
+    expect(planRetry(first.retryItem, { permanent: false, policy, now })).toEqual({
+      retryItem: null,
+      deadLetterReason: DEAD_LETTER_REASON.GAVE_UP,
+    });
+  });
+
+  it('never retries permanent failures or when retries are disabled', () => {
+    expect(planRetry({}, { permanent: true, policy: {}, now }).deadLetterReason).toBe(DEAD_LETTER_REASON.PERMANENT);
+    expect(planRetry({}, { permanent: false, policy: null, now }).retryItem).toBeNull();
+  });
+});
+
+describe('appendDeadLetter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends entries and replaces the previous record of the same campaign item', () => {
+    const filePath = path.join(dir, 'reports', 'dead-letter.json');
+    const entry = (id, error) =>
+      buildDeadLetterEntry({ contact: `551199999000${id}`, message: 'Oi', campaignItemId: id, retryCount: 2 }, {
+        contactId: `551199999000${id}@c.us`,
+        error,
+        reason: DEAD_LETTER_REASON.GAVE_UP,
+      });
+
+    appendDeadLetter(filePath, [entry(1, 'timeout'), entry(2, 'timeout')]);
+    expect(appendDeadLetter(filePath, [entry(2, 'Too many requests (429)')])).toBe(2);
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(saved[1]).toMatchObject({ campaignItemId: 2, error: 'Too many requests (429)', retries: 2, item: { message: 'Oi' } });
+    expect(saved[1].item).not.toHaveProperty('retryCount');
+  });
+});
+
+describe('runBatch with a retry policy', () => {
+  it('retries transient failures at the end of the run and dead-letters permanent ones', async () => {
+    const fake = flakyTransport(['5511999990000'], 1, { invalidNumbers: ['5511999990001'] });
+    const steps = [];
+    const items = ['5511999990000', '5511999990001', '5511999990002'].map((contact) => ({ contact, message: 'Oi' }));
+
+    const result = await runBatch(fake, items, { ...baseOptions, onStep: (s) => steps.push(s) });
+
+    expect(result.sent).toBe(2);
+    expect(result.failed).toBe(1);
+    expect(result.results).toHaveLength(3);
+    expect(result.results[0]).toMatchObject({ contact: '5511999990000@c.us', success: true, retryCount: 1 });
+    expect(result.metrics.retry).toEqual({ scheduled: 1, succeeded: 1, gaveUp: 0, pending: 0 });
+    expect(result.metrics.failedAttempts).toBe(2);
+    expect(result.deadLetter).toEqual([expect.objectContaining({ contact: '5511999990001', reason: DEAD_LETTER_REASON.PERMANENT })]);
+    expect(steps.map((s) => s.type)).toEqual(expect.arrayContaining(['retry_scheduled', 'retry_start']));
+  });
+
+  it('gives up after maxRetries and keeps one result per item', async () => {
+    const fake = createFakeTransport({ timeoutNumbers: ['5511999990000'] });
+    const result = await runBatch(fake, [{ contact: '5511999990000', message: 'Oi' }], baseOptions);
+
+    expect(result.results).toEqual([expect.objectContaining({ success: false, retryCount: 2 })]);
+    expect(result.metrics.retry).toMatchObject({ scheduled: 2, gaveUp: 1 });
+    expect(result.deadLetter[0]).toMatchObject({ reason: DEAD_LETTER_REASON.GAVE_UP, retries: 2 });
+  });
+
+  it('returns scheduled retries instead of draining them when drainRetries is false', async () => {
+    const fake = createFakeTransport({ timeoutNumbers: ['5511999990000'] });
+    const result = await runBatch(fake, [{ contact: '5511999990000', message: 'Oi' }], { ...baseOptions, drainRetries: false });
+
+    expect(result.retryQueue).toEqual([expect.objectContaining({ contact: '5511999990000', retryCount: 1 })]);
+    expect(result.results[0]).toMatchObject({ retryScheduled: true });
+    expect(result.failed).toBe(0);
+  });
+});
+
+describe('retries in the campaign store', () => {
+  let db;
+
+  beforeEach(() => {
+    db = openCampaignDb(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('keeps items waiting for a retry resumable and summarizes retry outcomes', async () => {
+    const items = ['5511999990000', '5511999990001'].map((contact) => ({ contact, message: 'Oi' }));
+    const id = createCampaign(db, { name: 'retry', items });
+    const fake = flakyTransport(['5511999990000', '5511999990001'], 1);
+
+    // The run stops after two sends, so both retries are left for the next run.
+    const first = await runBatch(fake, getPendingItems(db, id), { ...baseOptions, maxPerRun: 2, campaign: { db, id } });
+    expect(first.metrics.retry.pending).toBe(2);
+    expect(getCampaignCounts(db, id)).toMatchObject({ retry: 2, pending: 0 });
+    expect(getCampaign(db, id).status).toBe(CAMPAIGN_STATUS.STOPPED);
+
+    const resumed = getPendingItems(db, id);
+    expect(resumed[0]).toMatchObject({ retryCount: 1, retryAt: expect.any(String) });
+
+    const second = await runBatch(fake, resumed, { ...baseOptions, campaign: { db, id } });
+    expect(second.sent).toBe(2);
+    expect(getCampaignCounts(db, id)[ITEM_STATUS.SENT]).toBe(2);
+    expect(getRetrySummary(db, id)).toEqual({ retriedSucceeded: 2, gaveUp: 0, waiting: 0 });
+    expect(getCampaign(db, id).status).toBe(CAMPAIGN_STATUS.COMPLETED);
+  });
+});
+
+describe('retries in the sender pool', () => {
+  it('puts transient failures back in the shared queue', async () => {
+    const flaky = flakyTransport(['5511999990000'], 1);
+    const items = [{ contact: '5511999990000', message: 'Oi' }];
+
+    const result = await runPool([{ name: 'a', client: flaky }], items, baseOptions);
+
+    expect(result.sent).toBe(1);
+    expect(result.results).toEqual([expect.objectContaining({ success: true, retryCount: 1, session: 'a' })]);
+    expect(result.metrics.retry).toMatchObject({ scheduled: 1, succeeded: 1, pending: 0 });
+    expect(result.remaining).toBe(0);
+  });
+});
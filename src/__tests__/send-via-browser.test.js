@@ -2,6 +2,7 @@ const {
   WHATSAPP_WEB_SEND_URL,
   openChatAndSendMessage,
   waitForMessageInput,
+  sendMediaOnPage,
 } = require('../send-via-browser');
 
 describe('send-via-browser', () => {
@@ -57,4 +58,46 @@ describe('send-via-browser', () => {
     const el = await waitForMessageInput(page, 500);
     expect(el).toBeNull();
   });
+
+  describe('sendMediaOnPage', () => {
+    const waits = { waitAttachMenuMs: 0, waitMediaPreviewMs: 0, waitAfterSendMs: 0, mediaUploadTimeoutMs: 50 };
+    const element = () => ({ click: jest.fn().mockResolvedValue(), dispose: jest.fn().mockResolvedValue() });
+
+    it('uploads the file through the document menu and waits for the new message', async () => {
+      const menuItem = element();
+      const chooser = { accept: jest.fn().mockResolvedValue() };
+      const page = {
+        $: jest.fn().mockImplementation((sel) => Promise.resolve(sel.includes('plus-rounded') || sel.includes('data-testid="send"') ? element() : null)),
+        evaluate: jest.fn().mockResolvedValueOnce(2).mockResolvedValue(3),
+        evaluateHandle: jest.fn().mockResolvedValue({ asElement: () => menuItem }),
+        waitForFileChooser: jest.fn().mockResolvedValue(chooser),
+        keyboard: { press: jest.fn().mockResolvedValue() },
+      };
+
+      const result = await sendMediaOnPage(page, [{ path: '/tmp/brochure.pdf' }], waits);
+
+      expect(result).toEqual({ success: true });
+      expect(page.evaluateHandle).toHaveBeenCalledWith(expect.any(Function), expect.arrayContaining(['Documento']));
+      expect(chooser.accept).toHaveBeenCalledWith(['/tmp/brochure.pdf']);
+    });
+
+    it('returns error when the attach button is missing', async () => {
+      const page = { $: jest.fn().mockResolvedValue(null), evaluate: jest.fn().mockResolvedValue(0) };
+      const result = await sendMediaOnPage(page, [{ path: '/tmp/a.jpg' }], waits);
+      expect(result).toEqual({ success: false, error: 'Attach button not found' });
+    });
+
+    it('returns error when the attachment never shows up in the chat', async () => {
+      const page = {
+        $: jest.fn().mockImplementation(() => Promise.resolve(element())),
+        evaluate: jest.fn().mockResolvedValue(1),
+        evaluateHandle: jest.fn().mockResolvedValue({ asElement: () => element() }),
+        waitForFileChooser: jest.fn().mockResolvedValue({ accept: jest.fn().mockResolvedValue() }),
+        keyboard: { press: jest.fn().mockResolvedValue() },
+      };
+      const result = await sendMediaOnPage(page, [{ path: '/tmp/a.jpg' }], waits);
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('a.jpg');
+    });
+  });
 });
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSendWindows, createSendWindowPolicy, loadHolidays } = require('../send-window');
+const { runBatch } = require('../batch-sender');
+
+// America/Sao_Paulo is UTC-3 (no DST). 2026-10-16 is a Friday, 2026-10-17 Saturday, 2026-10-19 Monday.
+const at = (isoLocal) => new Date(`${isoLocal}-03:00`);
+
+describe('parseSendWindows', () => {
+  it('parses day ranges and times', () => {
+    const windows = parseSendWindows('mon-fri 09:00-19:00; sat 09:00-13:00');
+    expect(windows).toEqual([
+      { days: [1, 2, 3, 4, 5], startMin: 540, endMin: 1140 },
+      { days: [6], startMin: 540, endMin: 780 },
+    ]);
+  });
+
+  it('throws on invalid entries', () => {
+    expect(() => parseSendWindows('weekdays 9-19')).toThrow(/Invalid send window/);
+    expect(() => parseSendWindows('mon 19:00-09:00')).toThrow(/end must be after start/);
+  });
+});
+
+describe('createSendWindowPolicy', () => {
+  const policy = createSendWindowPolicy({
+    windows: 'mon-fri 09:00-19:00; sat 09:00-13:00',
+    timeZone: 'America/Sao_Paulo',
+    holidays: ['2026-10-12'],
+  });
+
+  it('is open inside a window and closed outside', () => {
+    expect(policy.isOpen(at('2026-10-16T10:00:00'))).toBe(true);
+    expect(policy.isOpen(at('2026-10-16T23:00:00'))).toBe(false);
+    expect(policy.isOpen(at('2026-10-17T12:59:00'))).toBe(true);
+    expect(policy.isOpen(at('2026-10-17T13:00:00'))).toBe(false);
+  });
+
+  it('is closed on holidays', () => {
+    expect(policy.isOpen(at('2026-10-12T10:00:00'))).toBe(false);
+  });
+
+  it('finds the next opening across the night and the weekend', () => {
+    expect(policy.nextOpening(at('2026-10-16T23:00:00')).toISOString()).toBe(at('2026-10-17T09:00:00').toISOString());
+    expect(policy.nextOpening(at('2026-10-17T14:00:00')).toISOString()).toBe(at('2026-10-19T09:00:00').toISOString());
+  });
+
+  it('skips holidays when looking for the next opening', () => {
+    expect(policy.nextOpening(at('2026-10-11T20:00:00')).toISOString()).toBe(at('2026-10-13T09:00:00').toISOString());
+  });
+
+  it('returns null when there is no window at all', () => {
+    expect(createSendWindowPolicy({ windows: [] }).nextOpening(new Date())).toBeNull();
+  });
+});
+
+describe('loadHolidays', () => {
+  it('accepts plain dates and { date } objects', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-')), 'holidays.json');
+    fs.writeFileSync(file, JSON.stringify(['2026-12-25', { date: '2026-11-20', name: 'Consciência Negra' }]));
+    expect(loadHolidays(file)).toEqual(['2026-12-25', '2026-11-20']);
+  });
+});
+
+describe('runBatch with sendWindow', () => {
+  it('pauses while the window is closed and emits window steps', async () => {
+    const sendMessage = jest.fn().mockResolvedValue(undefined);
+    const isOpen = jest.fn().mockReturnValueOnce(false).mockReturnValue(true);
+    const sendWindow = { isOpen, nextOpening: () => new Date(Date.now() + 10) };
+    const steps = [];
+
+    const result = await runBatch({ sendMessage }, [{ contact: '5511999999999', message: 'Hi' }], {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      sendWindow,
+      onStep: (s) => steps.push(s.type),
+    });
+
+    expect(result.sent).toBe(1);
+    expect(result.metrics.windowPauses).toBe(1);
+    expect(steps.slice(0, 2)).toEqual(['window_closed', 'window_opened']);
+  });
+
+  it('stops when no window will open', async () => {
+    const sendMessage = jest.fn();
+    const sendWindow = { isOpen: () => false, nextOpening: () => null };
+
+    const result = await runBatch({ sendMessage }, [{ contact: '5511999999999', message: 'Hi' }], {
+      minDelayMs: 0,
+      maxDelayMs: 0,
+      skipVerify: true,
+      sendWindow,
+    });
+
+    expect(result.stoppedEarly).toBe(true);
+    expect(result.stopReason).toMatch(/no upcoming sending window/);
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+});
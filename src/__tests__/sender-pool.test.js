@@ -0,0 +1,89 @@
+const { runPool, parseSessionsSpec } = require('../sender-pool');
+const { openCampaignDb, createCampaign, getPendingItems, getCampaignCounts } = require('../campaign-store');
+
+const baseOptions = { minDelayMs: 0, maxDelayMs: 0, skipVerify: true, skipIfEverSent: false, skipIfSentToday: false };
+
+function makeItems(n) {
+  return Array.from({ length: n }, (_, i) => ({ contact: `55119999900${String(i).padStart(2, '0')}`, message: `M${i}` }));
+}
+
+describe('parseSessionsSpec', () => {
+  it('parses names with optional caps', () => {
+    expect(parseSessionsSpec('lucas:80, thiago,bruno:0', 100)).toEqual([
+      { name: 'lucas', dailyCap: 80 },
+      { name: 'thiago', dailyCap: 100 },
+      { name: 'bruno', dailyCap: 0 },
+    ]);
+  });
+
+  it('throws on invalid caps', () => {
+    expect(() => parseSessionsSpec('lucas:abc')).toThrow(/Invalid session/);
+  });
+});
+
+describe('runPool', () => {
+  it('distributes items across sessions', async () => {
+    const a = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+    const b = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+
+    const result = await runPool([{ name: 'a', client: a }, { name: 'b', client: b }], makeItems(4), baseOptions);
+
+    expect(result.sent).toBe(4);
+    expect(result.remaining).toBe(0);
+    expect(a.sendMessage).toHaveBeenCalledTimes(2);
+    expect(b.sendMessage).toHaveBeenCalledTimes(2);
+    expect(result.results.map((r) => r.session).sort()).toEqual(['a', 'a', 'b', 'b']);
+  });
+
+  it('retires a session at its daily cap while others continue', async () => {
+    const a = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+    const b = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+    const steps = [];
+
+    const result = await runPool([{ name: 'a', client: a, dailyCap: 1 }, { name: 'b', client: b }], makeItems(4), {
+      ...baseOptions,
+      onStep: (s) => steps.push(s),
+    });
+
+    expect(result.sent).toBe(4);
+    expect(a.sendMessage).toHaveBeenCalledTimes(1);
+    expect(b.sendMessage).toHaveBeenCalledTimes(3);
+    expect(steps.find((s) => s.type === 'session_retired')).toMatchObject({ session: 'a', reason: expect.stringMatching(/Daily cap/) });
+  });
+
+  it('takes a session out of rotation on block-like errors', async () => {
+    const blocked = { sendMessage: jest.fn().mockRejectedValue(new Error('Too many requests (429)')) };
+    const healthy = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+
+    const result = await runPool([{ name: 'blocked', client: blocked }, { name: 'healthy', client: healthy }], makeItems(5), {
+      ...baseOptions,
+      stopBlockLikeCount: 1,
+    });
+
+    const blockedState = result.sessions.find((s) => s.name === 'blocked');
+    expect(blockedState.active).toBe(false);
+    expect(blockedState.retiredReason).toMatch(/block-like/);
+    expect(blocked.sendMessage).toHaveBeenCalledTimes(1);
+    expect(result.sent).toBe(4);
+    expect(result.failed).toBe(1);
+    expect(result.stoppedEarly).toBe(false);
+  });
+
+  it('leaves items pending when all sessions are out of rotation', async () => {
+    const db = openCampaignDb(':memory:');
+    const campaignId = createCampaign(db, { items: makeItems(3) });
+    const a = { sendMessage: jest.fn().mockResolvedValue(undefined) };
+
+    const result = await runPool([{ name: 'a', client: a, dailyCap: 1 }], getPendingItems(db, campaignId), {
+      ...baseOptions,
+      campaign: { db, id: campaignId },
+    });
+
+    expect(result.stoppedEarly).toBe(true);
+    expect(result.remaining).toBe(2);
+    expect(getCampaignCounts(db, campaignId)).toMatchObject({ sent: 1, pending: 2 });
+    const row = db.prepare("SELECT sender FROM campaign_items WHERE status = 'sent'").get();
+    expect(row.sender).toBe('a');
+    db.close();
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ACK, isTransport, toTransport, createFakeTransport, createWwebjsTransport } = require('../transports');
+const { runBatch, sendAndVerify } = require('../batch-sender');
+const { createFirstContactAgent } = require('../services/first-contact-agent');
+
+const baseOptions = { minDelayMs: 0, maxDelayMs: 0, verifyDelayMs: 0, skipIfEverSent: false, skipIfSentToday: false };
+
+describe('toTransport', () => {
+  it('wraps a whatsapp-web.js client and passes transports through', async () => {
+    const client = { sendMessage: jest.fn().mockResolvedValue({ id: { _serialized: 'true_1@c.us_ABC' } }) };
+    const transport = toTransport(client);
+    expect(transport.name).toBe('wwebjs');
+    expect(isTransport(client)).toBe(false);
+    expect(await transport.sendText('5511999999999@c.us', 'Oi')).toEqual({ id: 'true_1@c.us_ABC' });
+    expect(client.sendMessage).toHaveBeenCalledWith('5511999999999@c.us', 'Oi');
+
+    const fake = createFakeTransport();
+    expect(toTransport(fake)).toBe(fake);
+    expect(toTransport(client, { useBrowserSend: true }).name).toBe('browser');
+  });
+
+  it('forwards message_ack events from the client', () => {
+    const handlers = {};
+    const client = {
+      on: (event, fn) => { handlers[event] = fn; },
+      off: jest.fn(),
+    };
+    const acks = [];
+    const unsubscribe = createWwebjsTransport(client).onAck((a) => acks.push(a));
+    handlers.message_ack({ id: { _serialized: 'm1' }, to: '5511@c.us' }, ACK.DEVICE);
+    unsubscribe();
+    expect(acks).toEqual([{ messageId: 'm1', chatId: '5511@c.us', ack: ACK.DEVICE }]);
+    expect(client.off).toHaveBeenCalledWith('message_ack', handlers.message_ack);
+  });
+});
+
+describe('createFakeTransport', () => {
+  it('records sends and returns them as last outgoing', async () => {
+    const fake = createFakeTransport();
+    const chatId = await fake.resolveRecipient('5511999999999');
+    await fake.sendText(chatId, 'Olá');
+    await fake.sendMedia(chatId, { path: '/tmp/planta.pdf', caption: 'Planta' });
+
+    expect(fake.sent.map((m) => m.body)).toEqual(['Olá', 'Planta']);
+    expect(await fake.fetchLastOutgoing(chatId)).toMatchObject({ body: 'Planta', hasMedia: true, type: 'document' });
+    expect(await fake.fetchLastOutgoing('5511000000000@c.us')).toBeNull();
+  });
+
+  it('simulates invalid numbers, timeouts and block-like errors', async () => {
+    const fake = createFakeTransport({ invalidNumbers: ['5511000000001'], timeoutNumbers: ['5511000000002'], blockAfter: 1 });
+    await expect(fake.sendText('5511000000001@c.us', 'x')).rejects.toThrow(/invalid wid/);
+    await expect(fake.sendText('5511000000002@c.us', 'x')).rejects.toThrow(/Send timeout/);
+    await fake.sendText('5511000000003@c.us', 'x');
+    await expect(fake.sendText('5511000000004@c.us', 'x')).rejects.toThrow(/429/);
+  });
+
+  it('delivers acks after the configured delay', async () => {
+    jest.useFakeTimers();
+    try {
+      const fake = createFakeTransport({ deliveryDelayMs: 1000, readDelayMs: 500 });
+      const acks = [];
+      fake.onAck((a) => acks.push(a.ack));
+      await fake.sendText('5511999999999@c.us', 'Oi');
+      expect(acks).toEqual([ACK.SERVER]);
+      jest.advanceTimersByTime(1000);
+      expect(acks).toEqual([ACK.SERVER, ACK.DEVICE]);
+      jest.advanceTimersByTime(500);
+      expect(acks).toEqual([ACK.SERVER, ACK.DEVICE, ACK.READ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('runBatch over the fake transport', () => {
+  it('sends, verifies and reports per-number failures', async () => {
+    const fake = createFakeTransport({
+      invalidNumbers: ['5511999990001'],
+      blockedNumbers: ['5511999990002'],
+    });
+    const items = [
+      { contact: '5511999990000', message: 'Olá {{firstName}}', firstName: 'Ana' },
+      { contact: '5511999990001', message: 'Oi' },
+      { contact: '5511999990002', message: 'Oi' },
+    ];
+
+    const result = await runBatch(fake, items, { ...baseOptions, maxVerifyRetries: 0 });
+
+    expect(result.sent).toBe(1);
+    expect(result.failed).toBe(2);
+    expect(result.metrics.blockLikeErrors).toBe(1);
+    expect(fake.sent).toEqual([expect.objectContaining({ chatId: '5511999990000@c.us', body: 'Olá Ana' })]);
+    expect(result.results[1].error).toMatch(/invalid wid/);
+  });
+
+  it('skips contacts that already received a message', async () => {
+    const fake = createFakeTransport({ history: { '5511999990000': ['Mensagem antiga'] } });
+    const result = await runBatch(fake, [{ contact: '5511999990000', message: 'Oi' }], { ...baseOptions, skipIfEverSent: true });
+
+    expect(result.results[0].skippedAlreadyReceived).toBe(true);
+    expect(fake.sent).toHaveLength(0);
+  });
+
+  it('fails verification when the message never shows in the chat', async () => {
+    const fake = createFakeTransport({ silentNumbers: ['5511999990000'] });
+    const result = await sendAndVerify(fake, '5511999990000@c.us', 'Oi', { verifyDelayMs: 0, maxVerifyRetries: 1 });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Verification failed/);
+    expect(fake.sent).toHaveLength(2);
+  });
+});
+
+describe('first-contact agent over the fake transport', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('replies to an incoming message and remembers the sent id', async () => {
+    const fake = createFakeTransport();
+    const agent = createFirstContactAgent({
+      memoryPath: path.join(dir, 'memory.json'),
+      decisionsLogPath: path.join(dir, 'decisions.jsonl'),
+      replyDelay: { minMs: 0, maxMs: 0 },
+    });
+
+    const result = await agent.handleIncomingMessage(fake, fake.simulateIncoming('5511999990000', 'Oi, quero saber do apartamento'));
+
+    expect(result.action).toBe('reply');
+    expect(fake.sent).toHaveLength(1);
+    expect(fake.sent[0]).toMatchObject({ chatId: '5511999990000@c.us', body: result.replyText });
+    expect(agent.memory.getContact('5511999990000@c.us').lastOutgoingMessageId).toBe(fake.sent[0].id);
+  });
+
+  it('reports an opt-out from an @lid chat with the real phone number', async () => {
+    const fake = createFakeTransport();
+    const optOuts = [];
+    const agent = createFirstContactAgent({
+      memoryPath: path.join(dir, 'memory.json'),
+      decisionsLogPath: path.join(dir, 'decisions.jsonl'),
+      replyDelay: { minMs: 0, maxMs: 0 },
+      onOptOut: (entry) => optOuts.push(entry),
+    });
+    const msg = { ...fake.simulateIncoming('120363041234567', 'parar'), from: '120363041234567@lid', getContact: async () => ({ number: '554799990000' }) };
+
+    await agent.handleIncomingMessage(fake, msg);
+
+    expect(optOuts).toEqual([expect.objectContaining({ contactId: '120363041234567@c.us', phone: '5547999990000', message: 'parar' })]);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * A/B testing of message variants. A campaign declares variants (a message_templates id or a
+ * literal text, each with an allocation weight); every item gets one variant when it is about to be
+ * sent, recorded in campaign_items.variant, so reply and opt-out rates can be compared per variant
+ * (replies come from reply-attribution.js).
+ * Modes: "weighted" keeps the declared allocation for the whole campaign; "bandit" starts with it and,
+ * once every variant has BANDIT_MIN_SENT sends, sends most items with the variant that has the best
+ * reply rate so far (epsilon-greedy: BANDIT_EPSILON of the items keep the declared allocation).
+ */
+const { getTemplateById } = require('./db');
+
+const VARIANT_MODE = {
+  WEIGHTED: 'weighted',
+  BANDIT: 'bandit',
+};
+
+const BANDIT_EPSILON = 0.2;
+const BANDIT_MIN_SENT = 20;
+
+/** z for 95% confidence intervals; comparisons are significant below this p-value. */
+const Z_95 = 1.96;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Validate the variants declared in a batch file and resolve template ids to their body.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<{ name?: string, templateId?: number, text?: string, weight?: number }>} specs
+ * @param {string} [mode] - Declared variantMode; checked here so a typo fails before the campaign is created
+ * @returns {Array<{ name: string, body: string, templateId: number|null, weight: number }>}
+ * @throws {Error} when a variant has no text, points to a missing template, has a bad weight or a repeated name
+ */
+function resolveVariants(db, specs, mode) {
+  if (!Array.isArray(specs) || specs.length === 0) return [];
+  if (specs.length < 2) throw new Error('An A/B test needs at least 2 variants');
+  if (mode != null && !Object.values(VARIANT_MODE).includes(mode)) throw new Error(`Unknown variant mode: ${mode}`);
+  const variants = specs.map((spec, index) => {
+    const name = String((spec && spec.name) || String.fromCharCode(65 + index)).trim();
+    const templateId = spec && spec.templateId != null ? Number(spec.templateId) : null;
+    let body = spec && typeof spec.text === 'string' ? spec.text : '';
+    if (templateId != null) {
+      body = getTemplateById(db, templateId);
+      if (body == null) throw new Error(`Variant ${name}: template ${spec.templateId} not found in message_templates`);
+    }
+    if (!body.trim()) throw new Error(`Variant ${name}: needs templateId or text`);
+    const weight = spec.weight == null ? 1 : Number(spec.weight);
+    if (!Number.isFinite(weight) || weight <= 0) throw new Error(`Variant ${name}: weight must be a positive number`);
+    return { name, body, templateId, weight };
+  });
+  const names = new Set(variants.map((v) => v.name));
+  if (names.size !== variants.length) throw new Error('Variant names must be unique');
+  return variants;
+}
+
+/**
+ * Store a campaign's variants (call inside the transaction that creates the campaign).
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @param {Array<{ name: string, body: string, templateId: number|null, weight: number }>} variants - From resolveVariants
+ * @param {string} [mode] - One of VARIANT_MODE (default weighted)
+ */
+function saveCampaignVariants(db, campaignId, variants, mode = VARIANT_MODE.WEIGHTED) {
+  if (!variants || variants.length === 0) return;
+  if (!Object.values(VARIANT_MODE).includes(mode)) throw new Error(`Unknown variant mode: ${mode}`);
+  const insert = db.prepare(
+    'INSERT INTO campaign_variants (campaign_id, name, body, template_id, weight) VALUES (?, ?, ?, ?, ?)'
+  );
+  variants.forEach((v) => insert.run(campaignId, v.name, v.body, v.templateId, v.weight));
+  db.prepare('UPDATE campaigns SET variant_mode = ? WHERE id = ?').run(mode, campaignId);
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {{ mode: string, variants: Array<{ name: string, body: string, templateId: number|null, weight: number }> }} variants is empty when the campaign is not an A/B test
+ */
+function getCampaignVariants(db, campaignId) {
+  const variants = db
+    .prepare('SELECT name, body, template_id AS templateId, weight FROM campaign_variants WHERE campaign_id = ? ORDER BY id')
+    .all(campaignId);
+  const campaign = db.prepare('SELECT variant_mode FROM campaigns WHERE id = ?').get(campaignId);
+  return { mode: (campaign && campaign.variant_mode) || VARIANT_MODE.WEIGHTED, variants };
+}
+
+/**
+ * Sends, replies and opt-outs per variant so far.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {Object<string, { sent: number, replied: number, optedOut: number }>} by variant name
+ */
+function getVariantStats(db, campaignId) {
+  const rows = db
+    .prepare(
+      `SELECT i.variant,
+              COUNT(*) AS sent,
+              SUM(EXISTS (SELECT 1 FROM campaign_replies r WHERE r.campaign_item_id = i.id)) AS replied,
+              SUM(EXISTS (SELECT 1 FROM campaign_replies r WHERE r.campaign_item_id = i.id AND r.opt_out = 1)) AS optedOut
+         FROM campaign_items i
+        WHERE i.campaign_id = ? AND i.variant IS NOT NULL AND i.sent_at IS NOT NULL
+        GROUP BY i.variant`
+    )
+    .all(campaignId);
+  const stats = {};
+  rows.forEach((r) => {
+    stats[r.variant] = { sent: r.sent, replied: r.replied || 0, optedOut: r.optedOut || 0 };
+  });
+  return stats;
+}
+
+function pickWeighted(variants, random) {
+  const total = variants.reduce((sum, v) => sum + v.weight, 0);
+  let roll = random() * total;
+  for (const v of variants) {
+    roll -= v.weight;
+    if (roll < 0) return v;
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Choose the variant for the next item.
+ * @param {Array<{ name: string, weight: number }>} variants
+ * @param {object} [options]
+ * @param {string} [options.mode] - One of VARIANT_MODE
+ * @param {Object<string, { sent: number, replied: number }>} [options.stats] - From getVariantStats (bandit mode)
+ * @param {function(): number} [options.random] - Math.random by default
+ * @returns {object} one of variants
+ */
+function pickVariant(variants, options = {}) {
+  const random = options.random || Math.random;
+  const stats = options.stats || {};
+  if (options.mode === VARIANT_MODE.BANDIT) {
+    const explored = variants.every((v) => (stats[v.name] ? stats[v.name].sent : 0) >= BANDIT_MIN_SENT);
+    if (explored && random() >= BANDIT_EPSILON) {
+      const rate = (v) => stats[v.name].replied / stats[v.name].sent;
+      return variants.reduce((best, v) => (rate(v) > rate(best) ? v : best));
+    }
+  }
+  return pickWeighted(variants, random);
+}
+
+/**
+ * Variant of a campaign item: the one already recorded for it (a retry or resumed item keeps its
+ * variant) or a new pick, which is recorded. Null when the campaign is not an A/B test.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @param {{ campaignItemId: number }} item
+ * @param {{ random?: function(): number }} [options]
+ * @returns {{ name: string, body: string, templateId: number|null, weight: number }|null}
+ */
+function assignVariant(db, campaignId, item, options = {}) {
+  const { mode, variants } = getCampaignVariants(db, campaignId);
+  if (variants.length === 0 || !item || item.campaignItemId == null) return null;
+  const row = db.prepare('SELECT variant FROM campaign_items WHERE id = ?').get(item.campaignItemId);
+  const existing = row && row.variant ? variants.find((v) => v.name === row.variant) : null;
+  if (existing) return existing;
+  const stats = mode === VARIANT_MODE.BANDIT ? getVariantStats(db, campaignId) : {};
+  const variant = pickVariant(variants, { mode, stats, random: options.random });
+  db.prepare('UPDATE campaign_items SET variant = ? WHERE id = ?').run(variant.name, item.campaignItemId);
+  return variant;
+}
+
+/** Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7). */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Wilson score interval for a proportion.
+ * @param {number} successes
+ * @param {number} n
+ * @param {number} [z]
+ * @returns {[number, number]} [0, 1] when n is 0
+ */
+function wilsonInterval(successes, n, z = Z_95) {
+  if (n <= 0) return [0, 1];
+  const p = successes / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+/**
+ * Two-sided two-proportion z-test (pooled).
+ * @param {{ successes: number, n: number }} a
+ * @param {{ successes: number, n: number }} b
+ * @returns {{ diff: number, z: number, pValue: number, significant: boolean }} diff = rate(a) - rate(b)
+ */
+function twoProportionTest(a, b) {
+  if (a.n <= 0 || b.n <= 0) return { diff: 0, z: 0, pValue: 1, significant: false };
+  const p1 = a.successes / a.n;
+  const p2 = b.successes / b.n;
+  const pooled = (a.successes + b.successes) / (a.n + b.n);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.n + 1 / b.n));
+  const z = se > 0 ? (p1 - p2) / se : 0;
+  const pValue = se > 0 ? 2 * (1 - normalCdf(Math.abs(z))) : 1;
+  return { diff: p1 - p2, z, pValue, significant: pValue < SIGNIFICANCE_LEVEL };
+}
+
+/**
+ * Reply and opt-out rates per variant with 95% Wilson intervals, and each variant compared with
+ * the first declared one (control) by a two-proportion z-test.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {{ mode: string, variants: Array<object>, comparisons: Array<object> }}
+ */
+function getVariantReport(db, campaignId) {
+  const { mode, variants } = getCampaignVariants(db, campaignId);
+  const stats = getVariantStats(db, campaignId);
+  const rows = variants.map((v) => {
+    const s = stats[v.name] || { sent: 0, replied: 0, optedOut: 0 };
+    return {
+      name: v.name,
+      templateId: v.templateId,
+      body: v.body,
+      weight: v.weight,
+      sent: s.sent,
+      replied: s.replied,
+      replyRate: s.sent > 0 ? s.replied / s.sent : 0,
+      replyCi: wilsonInterval(s.replied, s.sent),
+      optedOut: s.optedOut,
+      optOutRate: s.sent > 0 ? s.optedOut / s.sent : 0,
+      optOutCi: wilsonInterval(s.optedOut, s.sent),
+    };
+  });
+  const control = rows[0];
+  const comparisons = rows.slice(1).map((r) => ({
+    variant: r.name,
+    control: control.name,
+    reply: twoProportionTest({ successes: r.replied, n: r.sent }, { successes: control.replied, n: control.sent }),
+    optOut: twoProportionTest({ successes: r.optedOut, n: r.sent }, { successes: control.optedOut, n: control.sent }),
+  }));
+  return { mode, variants: rows, comparisons };
+}
+
+module.exports = {
+  VARIANT_MODE,
+  BANDIT_EPSILON,
+  BANDIT_MIN_SENT,
+  resolveVariants,
+  saveCampaignVariants,
+  getCampaignVariants,
+  getVariantStats,
+  pickVariant,
+  assignVariant,
+  normalCdf,
+  wilsonInterval,
+  twoProportionTest,
+  getVariantReport,
+};
@@ -0,0 +1,222 @@
+/**
+ * Pause, resume and stop-after-current-item for a running batch, instead of Ctrl+C or
+ * kill-wa-browser --force (which can cut a message half-typed and leave Chrome locks behind).
+ * The control is checked between items: a pause holds before the next item, a stop ends the run
+ * after the current one, leaving the rest pending in the campaign for --resume. Waits (delays,
+ * cooldowns, sending window) end early on stop.
+ * Commands arrive through signals (Ctrl+C / SIGTERM = stop, a second one exits at once; SIGUSR1 =
+ * pause/resume) and through a control file per campaign, written by npm run batch-control, which
+ * also reaches the batch running inside npm run listen.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONTROL_COMMAND = {
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STOP: 'stop',
+};
+
+const CONTROL_STATE = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  STOPPING: 'stopping',
+};
+
+/** Directory of the control files (<key>.cmd, written by the command) and state files (<key>.json, written by the run). */
+const DEFAULT_CONTROL_DIR = 'data/batch-control';
+
+/** How often the run looks for a command file. */
+const CONTROL_POLL_MS = 1000;
+
+/**
+ * In-memory control of one run, passed to runBatch as options.control.
+ * @returns {{ pause: function(): boolean, resume: function(): boolean, stop: function(): boolean, apply: function(string): boolean, state: function(): string, isPaused: function(): boolean, isStopping: function(): boolean, waitUntilResumed: function(): Promise<void>, sleep: function(number): Promise<void>, onChange: function(function(string): void): function(): void }}
+ *   pause/resume/stop/apply return false when the command changes nothing; sleep ends early on stop;
+ *   waitUntilResumed resolves on resume or stop; onChange listeners get the command and return an unsubscribe function
+ */
+function createBatchControl() {
+  let paused = false;
+  let stopping = false;
+  const listeners = new Set();
+  const waiters = new Set();
+
+  const notify = (command) => {
+    listeners.forEach((listener) => listener(command));
+    waiters.forEach((wake) => wake());
+    waiters.clear();
+  };
+  const waitForChange = () => new Promise((resolve) => waiters.add(resolve));
+
+  const control = {
+    pause() {
+      if (paused || stopping) return false;
+      paused = true;
+      notify(CONTROL_COMMAND.PAUSE);
+      return true;
+    },
+    resume() {
+      if (!paused || stopping) return false;
+      paused = false;
+      notify(CONTROL_COMMAND.RESUME);
+      return true;
+    },
+    stop() {
+      if (stopping) return false;
+      stopping = true;
+      notify(CONTROL_COMMAND.STOP);
+      return true;
+    },
+    apply(command) {
+      if (command === CONTROL_COMMAND.PAUSE) return control.pause();
+      if (command === CONTROL_COMMAND.RESUME) return control.resume();
+      if (command === CONTROL_COMMAND.STOP) return control.stop();
+      return false;
+    },
+    state() {
+      if (stopping) return CONTROL_STATE.STOPPING;
+      return paused ? CONTROL_STATE.PAUSED : CONTROL_STATE.RUNNING;
+    },
+    isPaused: () => paused && !stopping,
+    isStopping: () => stopping,
+    async waitUntilResumed() {
+      while (paused && !stopping) await waitForChange();
+    },
+    sleep(ms) {
+      if (stopping) return Promise.resolve();
+      return new Promise((resolve) => {
+        const done = () => {
+          clearTimeout(timer);
+          listeners.delete(wake);
+          resolve();
+        };
+        const wake = (command) => command === CONTROL_COMMAND.STOP && done();
+        const timer = setTimeout(done, ms);
+        listeners.add(wake);
+      });
+    },
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+  return control;
+}
+
+/**
+ * Control file paths of a run.
+ * @param {string} key - e.g. "campaign-12"
+ * @param {string} [dir]
+ * @returns {{ commandPath: string, statePath: string }}
+ */
+function getControlPaths(key, dir = DEFAULT_CONTROL_DIR) {
+  const base = path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+  return { commandPath: path.join(base, `${key}.cmd`), statePath: path.join(base, `${key}.json`) };
+}
+
+/**
+ * State written by a running batch (see watchControlFile).
+ * @param {string} key
+ * @param {string} [dir]
+ * @returns {{ state: string, pid: number, updatedAt: string }|null} null when no run is listening
+ */
+function readControlState(key, dir) {
+  try {
+    return JSON.parse(fs.readFileSync(getControlPaths(key, dir).statePath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Ask a running batch to pause, resume or stop (what npm run batch-control does).
+ * @param {string} key
+ * @param {string} command - CONTROL_COMMAND
+ * @param {string} [dir]
+ * @throws {Error} on an unknown command
+ */
+function sendControlCommand(key, command, dir) {
+  if (!Object.values(CONTROL_COMMAND).includes(command)) throw new Error(`Unknown command: ${command}`);
+  const { commandPath } = getControlPaths(key, dir);
+  fs.mkdirSync(path.dirname(commandPath), { recursive: true });
+  fs.writeFileSync(commandPath, command, 'utf8');
+}
+
+/**
+ * Feed a control from its command file (read and removed every CONTROL_POLL_MS) and keep the state
+ * file up to date while the run lasts.
+ * @param {ReturnType<typeof createBatchControl>} control
+ * @param {string} key
+ * @param {{ dir?: string, pollMs?: number }} [options]
+ * @returns {{ close: function(): void }} stops polling and removes both files
+ */
+function watchControlFile(control, key, options = {}) {
+  const { commandPath, statePath } = getControlPaths(key, options.dir);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  try {
+    fs.unlinkSync(commandPath);
+  } catch (_) {}
+  const writeState = () => {
+    try {
+      fs.writeFileSync(statePath, JSON.stringify({ state: control.state(), pid: process.pid, updatedAt: new Date().toISOString() }), 'utf8');
+    } catch (_) {}
+  };
+  writeState();
+  const unsubscribe = control.onChange(writeState);
+  const timer = setInterval(() => {
+    let command;
+    try {
+      command = fs.readFileSync(commandPath, 'utf8').trim().toLowerCase();
+      fs.unlinkSync(commandPath);
+    } catch (_) {
+      return;
+    }
+    control.apply(command);
+  }, options.pollMs || CONTROL_POLL_MS);
+  timer.unref();
+  return {
+    close() {
+      clearInterval(timer);
+      unsubscribe();
+      [commandPath, statePath].forEach((filePath) => {
+        try {
+          fs.unlinkSync(filePath);
+        } catch (_) {}
+      });
+    },
+  };
+}
+
+/**
+ * Ctrl+C / SIGTERM stop the run after the current item (a second one exits at once); SIGUSR1 toggles pause.
+ * @param {ReturnType<typeof createBatchControl>} control
+ * @returns {function(): void} removes the handlers
+ */
+function handleControlSignals(control) {
+  const onStop = () => {
+    if (!control.stop()) {
+      console.error('\nSegundo sinal: encerrando agora.');
+      process.exit(130);
+    }
+  };
+  const onToggle = () => (control.isPaused() ? control.resume() : control.pause());
+  process.on('SIGINT', onStop);
+  process.on('SIGTERM', onStop);
+  if (process.platform !== 'win32') process.on('SIGUSR1', onToggle);
+  return () => {
+    process.off('SIGINT', onStop);
+    process.off('SIGTERM', onStop);
+    if (process.platform !== 'win32') process.off('SIGUSR1', onToggle);
+  };
+}
+
+module.exports = {
+  CONTROL_COMMAND,
+  CONTROL_STATE,
+  createBatchControl,
+  getControlPaths,
+  readControlState,
+  sendControlCommand,
+  watchControlFile,
+  handleControlSignals,
+};
@@ -0,0 +1,223 @@
+/**
+ * CSV and JSONL batch files, read directly by the batch scripts (see readBatchFile in batch-loader.js) so a
+ * leads export can be used without converting it to JSON first.
+ * CSV: UTF-8 or UTF-16 (with or without BOM, e.g. Meta leads exports), comma, semicolon or tab detected
+ * from the header line, quoted cells per RFC 4180. The column mapping says which column is the phone,
+ * the name and the message template; every other column becomes an item field, usable as {{variable}}
+ * (header "Empreendimento" -> {{empreendimento}}). Columns named like a batch field (optIn, notAfter...)
+ * fill that field, with "sim"/"não", "true"/"false", "1"/"0" read as booleans.
+ * JSONL: one item object per line.
+ */
+const { BATCH_ITEM_FIELDS } = require('./batch-schema');
+
+/** Headers tried, in order, when the mapping does not name the column (compared normalized, see columnKey). */
+const DEFAULT_COLUMNS = {
+  phone: ['phone', 'phone_number', 'telefone', 'telefone_1', 'celular', 'whatsapp', 'contact', 'contato', 'numero'],
+  name: ['full_name', 'name', 'nome', 'nome_completo'],
+  message: ['message', 'mensagem'],
+};
+
+const TRUE_VALUES = ['true', '1', 'sim', 's', 'yes', 'y', 'x'];
+const FALSE_VALUES = ['false', '0', 'nao', 'não', 'no', 'n'];
+
+/**
+ * Text of a CSV file: UTF-16 LE/BE (BOM, or NUL bytes in the first characters) or UTF-8.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return buffer.subarray(3).toString('utf8');
+  const sample = buffer.subarray(0, 200 - (Math.min(buffer.length, 200) % 2));
+  let evenNuls = 0;
+  let oddNuls = 0;
+  sample.forEach((byte, i) => {
+    if (byte === 0) i % 2 === 0 ? evenNuls++ : oddNuls++;
+  });
+  if (oddNuls > sample.length / 4) return buffer.subarray(0, buffer.length - (buffer.length % 2)).toString('utf16le');
+  if (evenNuls > sample.length / 4) return Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2))).swap16().toString('utf16le');
+  return buffer.toString('utf8');
+}
+
+/**
+ * Separator of the header line: the most frequent of tab, semicolon and comma outside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const counts = { '\t': 0, ';': 0, ',': 0 };
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && Object.hasOwn(counts, char)) counts[char]++;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ',');
+}
+
+/**
+ * Rows of a CSV text. Quoted cells may contain the separator, line breaks and "" for a quote.
+ * Blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Default detectDelimiter(text)
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((c) => c.trim())) rows.push(row.map((c) => c.trim()));
+    row = [];
+    cell = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+/** Header as a field name: "Telefone 1" -> telefone_1, "Opção" -> opcao. */
+function columnKey(header) {
+  return String(header)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Column mapping as written on the command line or in BATCH_CSV_COLUMNS: "phone=Telefone 1,name=Nome,message=Mensagem".
+ * @param {string} [spec]
+ * @returns {{ phone?: string, name?: string, message?: string }}
+ * @throws {Error} on a key other than phone, name or message, or an entry without "="
+ */
+function parseColumnMapping(spec) {
+  const mapping = {};
+  String(spec || '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .forEach((part) => {
+      const eq = part.indexOf('=');
+      const key = eq > 0 ? part.slice(0, eq).trim().toLowerCase() : '';
+      if (!Object.hasOwn(DEFAULT_COLUMNS, key)) {
+        throw new Error(`Invalid column mapping "${part}" (use phone=<column>, name=<column>, message=<column>)`);
+      }
+      mapping[key] = part.slice(eq + 1).trim();
+    });
+  return mapping;
+}
+
+/** Index of the mapped column, or of the first default header present; -1 when none. */
+function findColumn(keys, mapped, defaults) {
+  if (mapped) return keys.indexOf(columnKey(mapped));
+  for (const name of defaults) {
+    const index = keys.indexOf(name);
+    if (index >= 0) return index;
+  }
+  return -1;
+}
+
+function cellValue(field, value) {
+  if (!field || BATCH_ITEM_FIELDS[field].type !== 'boolean') return value;
+  const lower = value.toLowerCase();
+  if (TRUE_VALUES.includes(lower)) return true;
+  if (FALSE_VALUES.includes(lower)) return false;
+  return value;
+}
+
+/**
+ * Batch items from CSV rows (the first row is the header). Empty cells are left out of the item.
+ * @param {string[][]} rows
+ * @param {{ phone?: string, name?: string, message?: string }} [mapping] - Header of each column (default DEFAULT_COLUMNS)
+ * @returns {Array<object>} { contact, name?, message?, ...other columns }
+ * @throws {Error} when there are no data rows, or no phone column (or a mapped column is missing)
+ */
+function csvRowsToItems(rows, mapping = {}) {
+  if (rows.length < 2) throw new Error('CSV has no header or data rows');
+  const keys = rows[0].map(columnKey);
+  const columns = {};
+  for (const role of Object.keys(DEFAULT_COLUMNS)) {
+    columns[role] = findColumn(keys, mapping[role], DEFAULT_COLUMNS[role]);
+    if (columns[role] < 0 && (mapping[role] || role === 'phone')) {
+      throw new Error(`CSV column not found for ${role}: ${mapping[role] || DEFAULT_COLUMNS[role].join(' / ')} (columns: ${rows[0].join(', ')})`);
+    }
+  }
+  const roleFields = { phone: 'contact', name: 'name', message: 'message' };
+  const fieldByKey = new Map(Object.keys(BATCH_ITEM_FIELDS).map((field) => [columnKey(field).replace(/_/g, ''), field]));
+
+  return rows.slice(1).map((row) => {
+    const item = {};
+    keys.forEach((key, index) => {
+      const value = row[index] || '';
+      if (!value || !key) return;
+      const role = Object.keys(columns).find((r) => columns[r] === index);
+      if (role) {
+        item[roleFields[role]] = value;
+        return;
+      }
+      const field = fieldByKey.get(key.replace(/_/g, '')) || null;
+      item[field || key] = cellValue(field, value);
+    });
+    return item;
+  });
+}
+
+/**
+ * Items of a JSONL file (one JSON object per line; blank lines ignored).
+ * @param {string} text
+ * @returns {Array<*>}
+ * @throws {Error} naming the line that is not valid JSON
+ */
+function parseJsonl(text) {
+  const items = [];
+  String(text)
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        items.push(JSON.parse(line));
+      } catch (err) {
+        throw new Error(`Line ${i + 1}: ${err.message}`);
+      }
+    });
+  return items;
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  decodeText,
+  detectDelimiter,
+  parseCsv,
+  parseColumnMapping,
+  csvRowsToItems,
+  parseJsonl,
+};
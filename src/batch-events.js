@@ -0,0 +1,209 @@
+/**
+ * Typed events of a runBatch run (options.events, or startBatch in batch-sender.js), as opposed to
+ * the loosely typed onStep steps meant for console output: every skip is one "skipped" event with a
+ * reason code, every send attempt ends in "sent" (plus "verified" when checked in the chat) or
+ * "failed", and pauses and early stops have their own events.
+ * The events of a campaign are appended to logs/campaign-<id>.ndjson (one JSON object per line) so a
+ * run can be audited afterwards and replayed into a health report (npm run report:health -- <log>).
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseJsonl } = require('./batch-csv');
+const { getLogger } = require('./logger');
+const { summarizeLeadAges } = require('./lead-priority');
+
+const log = getLogger('batch');
+
+const BATCH_EVENT = {
+  STARTED: 'started',
+  SKIPPED: 'skipped',
+  ATTEMPT: 'attempt',
+  SENT: 'sent',
+  VERIFIED: 'verified',
+  FAILED: 'failed',
+  COOLDOWN: 'cooldown',
+  STOPPED: 'stopped',
+  FINISHED: 'finished',
+};
+
+/** Reason codes of skipped events (also the skip_reason recorded in the campaign store). */
+const SKIP_REASON = {
+  OPT_OUT: 'opt_out',
+  SUPPRESSION_LIST: 'suppression_list',
+  MISSING_CONSENT: 'missing_consent',
+  INVALID_NUMBER: 'invalid_number',
+  FREQUENCY_CAP: 'frequency_cap',
+  ALREADY_RECEIVED: 'already_received',
+  SENT_TODAY: 'sent_today',
+  /** notAfter passed (the item is recorded as expired, not skipped). */
+  EXPIRED: 'expired',
+};
+
+/** metrics.skipped counter and result flag of runBatch for each reason code, used by replayEvents. */
+const SKIP_RESULT = {
+  [SKIP_REASON.OPT_OUT]: ['optOut', 'skippedOptOut'],
+  [SKIP_REASON.SUPPRESSION_LIST]: ['suppressionList', 'skippedSuppressionList'],
+  [SKIP_REASON.MISSING_CONSENT]: ['missingConsent', 'skippedMissingConsent'],
+  [SKIP_REASON.INVALID_NUMBER]: ['invalidNumber', 'skippedInvalidNumber'],
+  [SKIP_REASON.FREQUENCY_CAP]: ['frequencyCap', 'skippedFrequencyCap'],
+  [SKIP_REASON.ALREADY_RECEIVED]: ['alreadyReceived', 'skippedAlreadyReceived'],
+  [SKIP_REASON.SENT_TODAY]: ['sentToday', 'skippedSameDay'],
+  [SKIP_REASON.EXPIRED]: ['expired', 'expired'],
+};
+
+const DEFAULT_EVENT_LOG_DIR = 'logs';
+
+/**
+ * @param {number} campaignId
+ * @param {string} [dir] - Default logs/ in the working directory
+ * @returns {string}
+ */
+function getEventLogPath(campaignId, dir = DEFAULT_EVENT_LOG_DIR) {
+  const base = path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+  return path.join(base, `campaign-${campaignId}.ndjson`);
+}
+
+/**
+ * Append every event of an emitter to an NDJSON file as { event, at, ...payload }. Lines are written
+ * synchronously, so the log is complete up to the last event even if the process dies. A write error
+ * is reported once and does not interrupt the run.
+ * @param {import('events').EventEmitter} emitter - From startBatch, or the one passed as runBatch options.events
+ * @param {string} filePath
+ * @param {object} [fields] - Added to every line (e.g. { campaignId })
+ * @returns {function(): void} stops writing
+ */
+function attachEventLog(emitter, filePath, fields = {}) {
+  let warned = false;
+  const listeners = Object.values(BATCH_EVENT).map((event) => {
+    const listener = (payload) => {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify({ event, ...payload, ...fields })}\n`, 'utf8');
+      } catch (err) {
+        if (!warned) log.warn('Não foi possível gravar o log de eventos', { path: filePath, error: err.message });
+        warned = true;
+      }
+    };
+    emitter.on(event, listener);
+    return [event, listener];
+  });
+  return () => listeners.forEach(([event, listener]) => emitter.off(event, listener));
+}
+
+/**
+ * @param {string} filePath - NDJSON written by attachEventLog
+ * @returns {Array<object>}
+ * @throws {Error} naming the line that is not valid JSON
+ */
+function readEventLog(filePath) {
+  return parseJsonl(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Rebuild a runBatch-like result from logged events (every run in the log, in order): one result per
+ * contact (its last outcome), counters, and metrics.timeline / metrics.cooldowns as read by health-report.js.
+ * @param {Array<object>} events
+ * @returns {{ sent: number, failed: number, verified: number, results: Array<object>, metrics: object, stoppedEarly: boolean, stopReason: string, runs: number }}
+ */
+function replayEvents(events) {
+  const byContact = new Map();
+  const skipped = Object.fromEntries(Object.values(SKIP_RESULT).map(([counter]) => [counter, 0]));
+  const timeline = [];
+  const cooldowns = [];
+  let sent = 0;
+  let failed = 0;
+  let verified = 0;
+  let attempts = 0;
+  let failedAttempts = 0;
+  let blockLikeErrors = 0;
+  let runs = 0;
+  let startedAt = null;
+  let finishedAt = null;
+  let stopReason = '';
+
+  events.forEach((e) => {
+    switch (e.event) {
+      case BATCH_EVENT.STARTED:
+        runs++;
+        if (!startedAt) startedAt = e.at;
+        stopReason = '';
+        break;
+      case BATCH_EVENT.SKIPPED: {
+        const [counter, flag] = SKIP_RESULT[e.reason] || [e.reason, 'skipped'];
+        skipped[counter] = (skipped[counter] || 0) + 1;
+        byContact.set(e.contact, { contact: e.contact, success: true, [flag]: true, ...(e.rule && { rule: e.rule }) });
+        break;
+      }
+      case BATCH_EVENT.ATTEMPT:
+        attempts++;
+        break;
+      case BATCH_EVENT.SENT:
+        sent++;
+        timeline.push({ at: e.at, contact: e.contact, success: true });
+        byContact.set(e.contact, {
+          contact: e.contact,
+          success: true,
+          ...(e.retryCount > 0 && { retryCount: e.retryCount }),
+          ...(e.alreadySent && { alreadySent: true }),
+          ...(e.variant && { variant: e.variant }),
+          ...(e.leadAgeMs != null && { leadAgeMs: e.leadAgeMs }),
+        });
+        break;
+      case BATCH_EVENT.VERIFIED:
+        verified++;
+        break;
+      case BATCH_EVENT.FAILED:
+        if (e.attempted !== false) {
+          failedAttempts++;
+          if (e.blockLike) blockLikeErrors++;
+          timeline.push({ at: e.at, contact: e.contact, success: false, error: e.error, ...(e.blockLike && { blockLike: true }) });
+        }
+        if (!e.retryScheduled) failed++;
+        byContact.set(e.contact, { contact: e.contact, success: false, error: e.error, ...(e.retryScheduled && { retryScheduled: true }) });
+        break;
+      case BATCH_EVENT.COOLDOWN:
+        cooldowns.push({ at: e.at, reason: e.reason, cooldownMs: e.cooldownMs });
+        break;
+      case BATCH_EVENT.STOPPED:
+        stopReason = e.reason;
+        break;
+      case BATCH_EVENT.FINISHED:
+        finishedAt = e.at;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    sent,
+    failed,
+    verified,
+    results: [...byContact.values()],
+    metrics: {
+      startedAt,
+      finishedAt,
+      totalItems: byContact.size,
+      attempts,
+      failedAttempts,
+      failRate: attempts > 0 ? failedAttempts / attempts : 0,
+      blockLikeErrors,
+      skipped,
+      timeline,
+      cooldowns,
+      leadAge: summarizeLeadAges([...byContact.values()]),
+    },
+    stoppedEarly: stopReason !== '',
+    stopReason,
+    runs,
+  };
+}
+
+module.exports = {
+  BATCH_EVENT,
+  SKIP_REASON,
+  getEventLogPath,
+  attachEventLog,
+  readEventLog,
+  replayEvents,
+};
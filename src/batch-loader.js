@@ -1,14 +1,23 @@
 /**
- * Load batch JSON and apply suppression list. Shared by run-batch.js and listen.js.
+ * Load batch files (JSON, JSONL or CSV) and apply suppression list. Shared by run-batch.js and listen.js.
  */
 const fs = require('fs');
 const path = require('path');
-const { getBatchSuppressionFile } = require('./config');
+const { getBatchSuppressionFile, getBatchCsvColumns } = require('./config');
+const { resolveItemsMedia } = require('./batch-media');
+const { phoneDigits } = require('./phone');
+const { validateBatchItems, formatBatchIssue } = require('./batch-schema');
+const { decodeText, parseCsv, parseColumnMapping, csvRowsToItems, parseJsonl } = require('./batch-csv');
+const { getLogger } = require('./logger');
+
+const log = getLogger('batch');
 
 const DEFAULT_SENT_LIST_PATH = 'data/batch-sent.json';
 
 function normalizeContactDigits(contact) {
-  return String(contact || '').replace(/@.*$/, '').replace(/\D/g, '');
+  const raw = String(contact || '');
+  if (raw.includes('@') && !/@c\.us$/i.test(raw)) return raw.replace(/@.*$/, '').replace(/\D/g, '');
+  return phoneDigits(raw);
 }
 
 function loadSuppressionSet() {
@@ -58,29 +67,89 @@ function addToSentList(contactId) {
     fs.mkdirSync(path.dirname(sentPath), { recursive: true });
     fs.writeFileSync(sentPath, JSON.stringify(list, null, 2), 'utf8');
   } catch (err) {
-    console.warn('[batch] Não foi possível salvar em lista de enviados:', err.message);
+    log.warn('Não foi possível salvar em lista de enviados', { error: err.message });
   }
 }
 
 /**
- * Load and prepare batch items from a JSON file.
- * @param {string} batchPath - Path to batch JSON (relative to cwd or absolute)
- * @returns {{ items: Array, absolutePath: string }}
+ * A batch file is either an array of items or, for A/B tests (see ab-test.js), an object
+ * { variants: [{ name, templateId | text, weight }], variantMode: "weighted" | "bandit", items: [...] }.
+ * @param {*} parsed - Parsed batch JSON
+ * @returns {{ list: Array|null, variants: Array<object>|undefined, variantMode: string|undefined }} list is null when the shape is wrong
  */
-function loadBatchItems(batchPath) {
+function splitBatchFile(parsed) {
+  if (Array.isArray(parsed)) return { list: parsed };
+  if (parsed && typeof parsed === 'object' && Array.isArray(parsed.items)) {
+    return { list: parsed.items, variants: parsed.variants, variantMode: parsed.variantMode };
+  }
+  return { list: null };
+}
+
+/**
+ * Read a batch file by its extension: .csv / .tsv (see batch-csv.js), .jsonl / .ndjson (one item per line)
+ * or JSON (array or A/B object, see splitBatchFile).
+ * @param {string} absolutePath
+ * @param {{ columns?: string }} [options] - CSV column mapping, e.g. "phone=Telefone 1,name=Nome"; merged over BATCH_CSV_COLUMNS
+ * @returns {{ list: Array|null, variants: Array<object>|undefined, variantMode: string|undefined }}
+ * @throws {Error} when the file cannot be read or parsed
+ */
+function readBatchFile(absolutePath, options = {}) {
+  const ext = path.extname(absolutePath).toLowerCase();
+  if (ext === '.csv' || ext === '.tsv') {
+    const mapping = { ...parseColumnMapping(getBatchCsvColumns()), ...parseColumnMapping(options.columns) };
+    return { list: csvRowsToItems(parseCsv(decodeText(fs.readFileSync(absolutePath))), mapping) };
+  }
+  if (ext === '.jsonl' || ext === '.ndjson') return { list: parseJsonl(fs.readFileSync(absolutePath, 'utf8')) };
+  return splitBatchFile(JSON.parse(fs.readFileSync(absolutePath, 'utf8')));
+}
+
+/** Issues listed in the error thrown by loadBatchItems (the validate-batch command lists all). */
+const MAX_LISTED_ISSUES = 30;
+
+/**
+ * Load and prepare batch items from a batch file (JSON, JSONL or CSV, see readBatchFile).
+ * Items are checked against the batch schema (batch-schema.js) first. Media paths (item.media) are
+ * resolved against the batch file's directory and must exist.
+ * @param {string} batchPath - Path to batch file (relative to cwd or absolute)
+ * @param {{ lenient?: boolean, columns?: string }} [options] - lenient: leave out the items with errors instead of throwing; columns: CSV column mapping
+ * @returns {{ items: Array, absolutePath: string, variants?: Array<object>, variantMode?: string, validation: { errors: Array<object>, warnings: Array<object> } }} variants as declared in the file (resolve with ab-test.js)
+ * @throws {Error} when the file cannot be read, or has schema errors and lenient is not set
+ */
+function loadBatchItems(batchPath, options = {}) {
   const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
   if (!fs.existsSync(absolutePath)) throw new Error('Batch file not found: ' + absolutePath);
-  const raw = fs.readFileSync(absolutePath, 'utf8');
-  const list = JSON.parse(raw);
+  const { list, variants, variantMode } = readBatchFile(absolutePath, options);
   if (!Array.isArray(list) || list.length === 0) {
     throw new Error('Batch file must be a non-empty array of { contact, message }');
   }
+  const baseDir = path.dirname(absolutePath);
+  const validation = validateBatchItems(list, { variants, baseDir });
+  if (validation.errors.length > 0 && !options.lenient) {
+    const lines = validation.errors.slice(0, MAX_LISTED_ISSUES).map((e) => `  ${formatBatchIssue(e)}`);
+    if (validation.errors.length > MAX_LISTED_ISSUES) lines.push(`  ... e mais ${validation.errors.length - MAX_LISTED_ISSUES} (npm run validate-batch)`);
+    const err = new Error(`Batch inválido: ${validation.errors.length} erro(s). Corrija o arquivo ou use --lenient para ignorar os itens com erro.\n${lines.join('\n')}`);
+    err.validation = validation;
+    throw err;
+  }
+  const invalid = new Set(validation.errors.map((e) => e.index));
+  const valid = list.filter((_, index) => !invalid.has(index));
+  if (valid.length === 0) throw new Error('No valid items in the batch file');
+  const items = resolveItemsMedia(valid, baseDir);
+  return { items: applySuppression(items), absolutePath, variants, variantMode, validation };
+}
+
+/**
+ * Flag items whose contact is in the sent list or suppression file (item.suppressed).
+ * Used for fresh batches and for items resumed from the campaign store.
+ * @param {Array<object>} list
+ * @returns {Array<object>}
+ */
+function applySuppression(list) {
   const supSet = loadSuppressionSet();
-  const items = list.map((item) => {
+  return list.map((item) => {
     const digits = normalizeContactDigits(item && item.contact);
     return { ...item, suppressed: digits ? supSet.has(digits) : false };
   });
-  return { items, absolutePath };
 }
 
-module.exports = { loadBatchItems, addToSentList };
+module.exports = { splitBatchFile, readBatchFile, loadBatchItems, applySuppression, addToSentList };
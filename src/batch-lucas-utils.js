@@ -1,6 +1,7 @@
 /**
  * Utilities for building batch_lucas contact list and messages.
  */
+const { parsePhone } = require('./phone');
 
 /** Full names to exclude from batch lists (case-insensitive, normalized). */
 const EXCLUDED_FULL_NAMES = [
@@ -38,13 +39,15 @@ function isExcludedContact(fullName) {
 }
 
 /**
- * Normalize phone to Brazil WhatsApp: digits only, ensure starts with 55.
- * Removes duplicate leading 55 if present.
+ * Normalize phone to Brazil WhatsApp (parsePhone digits, see phone.js).
+ * A number parsePhone rejects keeps its digits with a 55 prefix, without a duplicate leading 55.
  * @param {string} raw - e.g. "p:+5547991416694" or "+55 47 99912 87012"
  * @returns {string} e.g. "5547991416694"
  */
 function toBrazilWhatsApp(raw) {
-  let digits = String(raw).replace(/\D/g, '');
+  const phone = parsePhone(raw);
+  if (phone.valid) return phone.digits;
+  let digits = phone.digits;
   if (!digits.length) return '';
   if (!digits.startsWith('55')) digits = `55${digits}`;
   while (digits.length > 13 && digits.startsWith('5555')) digits = '55' + digits.slice(4);
@@ -0,0 +1,83 @@
+/**
+ * Media attachments for batch items. An item may carry `media` next to `message`:
+ *   "media": "brochures/vista-mar.pdf"
+ *   "media": { "path": "fotos/fachada.jpg", "caption": "Fachada" }
+ *   "media": [ "brochures/vista-mar.pdf", { "path": "tour.mp4", "caption": "Tour virtual" } ]
+ * Relative paths are resolved against the batch file's directory when the batch is loaded,
+ * so the campaign store keeps absolute paths and a resumed run finds the same files.
+ */
+const fs = require('fs');
+const path = require('path');
+const { MessageMedia } = require('whatsapp-web.js');
+
+const MEDIA_KIND_BY_EXTENSION = {
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.png': 'image',
+  '.webp': 'image',
+  '.gif': 'image',
+  '.mp4': 'video',
+  '.mov': 'video',
+  '.3gp': 'video',
+  '.mp3': 'audio',
+  '.ogg': 'audio',
+  '.m4a': 'audio',
+};
+
+/**
+ * Normalize an item's media field into a list of { path, caption }.
+ * @param {string|{ path: string, caption?: string }|Array<string|{ path: string, caption?: string }>} [media]
+ * @param {string} [baseDir] - Directory relative paths are resolved against (default: keep as is)
+ * @returns {Array<{ path: string, caption: string }>}
+ */
+function normalizeMediaEntries(media, baseDir) {
+  if (media == null || media === '') return [];
+  const list = Array.isArray(media) ? media : [media];
+  return list.map((entry) => {
+    const raw = typeof entry === 'string' ? { path: entry } : entry || {};
+    const filePath = String(raw.path || raw.file || '').trim();
+    if (!filePath) throw new Error('Invalid media entry (expected a file path or { path, caption })');
+    return {
+      path: baseDir && !path.isAbsolute(filePath) ? path.join(baseDir, filePath) : filePath,
+      caption: raw.caption != null ? String(raw.caption) : '',
+    };
+  });
+}
+
+/**
+ * Resolve and check the media of every batch item. Items without media are returned unchanged.
+ * @param {Array<object>} items
+ * @param {string} baseDir - Usually the batch file's directory
+ * @returns {Array<object>}
+ * @throws {Error} when a media file does not exist
+ */
+function resolveItemsMedia(items, baseDir) {
+  return items.map((item, index) => {
+    if (!item || item.media == null) return item;
+    const media = normalizeMediaEntries(item.media, baseDir);
+    media.forEach((m) => {
+      if (!fs.existsSync(m.path)) throw new Error(`Media file not found (item ${index + 1}): ${m.path}`);
+    });
+    return { ...item, media };
+  });
+}
+
+/**
+ * Kind of attachment by file extension: image, video, audio or document (anything else, e.g. PDF).
+ * @param {string} filePath
+ * @returns {'image'|'video'|'audio'|'document'}
+ */
+function getMediaKind(filePath) {
+  return MEDIA_KIND_BY_EXTENSION[path.extname(String(filePath)).toLowerCase()] || 'document';
+}
+
+/**
+ * Load a media entry as whatsapp-web.js MessageMedia.
+ * @param {{ path: string }} entry
+ * @returns {import('whatsapp-web.js').MessageMedia}
+ */
+function loadMessageMedia(entry) {
+  return MessageMedia.fromFilePath(entry.path);
+}
+
+module.exports = { normalizeMediaEntries, resolveItemsMedia, getMediaKind, loadMessageMedia };
@@ -0,0 +1,258 @@
+/**
+ * Dry-run preview of a batch: runs the offline part of the send pipeline (number normalization,
+ * suppression / opt-in / opt-out rules — including the opt-out registry —, numbers known not to be
+ * on WhatsApp, frequency caps, maxPerRun, template rendering) without touching WhatsApp, and
+ * estimates how long the run will take. Skips that need the chat history (already received, sent
+ * today) can only be known on the real run.
+ */
+const { normalizeContactWithFix } = require('./batch-sender');
+const { normalizeMediaEntries } = require('./batch-media');
+const { hasTemplateSyntax, renderMessage } = require('./message-renderer');
+const { escapeHtml } = require('./wa-links-server');
+const { isItemExpired } = require('./batch-schedule');
+const { SKIP_REASON } = require('./batch-events');
+
+const PREVIEW_STATUS = {
+  SEND: 'send',
+  SKIP: 'skip',
+  ERROR: 'error',
+};
+
+/** Labels for skip reasons (SKIP_REASON codes of runBatch, plus max_per_run). */
+const SKIP_REASON_LABELS = {
+  [SKIP_REASON.OPT_OUT]: 'Opt-out',
+  [SKIP_REASON.SUPPRESSION_LIST]: 'Lista de supressão / já enviados',
+  [SKIP_REASON.MISSING_CONSENT]: 'Sem opt-in',
+  [SKIP_REASON.INVALID_NUMBER]: 'Fora do WhatsApp (validate-numbers)',
+  [SKIP_REASON.FREQUENCY_CAP]: 'Limite de frequência',
+  [SKIP_REASON.EXPIRED]: 'Prazo (notAfter) vencido',
+  max_per_run: 'Acima do limite por execução (fica para a próxima)',
+};
+
+/** Same checks, in the same order, as the start of each item in runBatch. */
+function getSkipReason(item, contactId, options, now) {
+  const { optOuts, numberChecks, frequencyCap } = options;
+  if (item.optOut === true || item.unsubscribed === true || (optOuts && optOuts.has(contactId))) return SKIP_REASON.OPT_OUT;
+  if (item.suppressed === true) return SKIP_REASON.SUPPRESSION_LIST;
+  const optIn = item.optIn === true || item.consented === true || item.hasConsent === true;
+  if (options.requireOptIn === true && !optIn) return SKIP_REASON.MISSING_CONSENT;
+  const numberCheck = numberChecks ? numberChecks.get(contactId) : null;
+  if (numberCheck && !numberCheck.registered) return SKIP_REASON.INVALID_NUMBER;
+  if (isItemExpired(item, now)) return SKIP_REASON.EXPIRED;
+  if (frequencyCap && frequencyCap.check(contactId, now)) return SKIP_REASON.FREQUENCY_CAP;
+  return '';
+}
+
+/**
+ * Estimate the duration of a run from its delay and cooldown settings.
+ * @param {object} options
+ * @param {number} options.sends - Number of messages that will be sent
+ * @param {number} options.minDelayMs
+ * @param {number} options.maxDelayMs
+ * @param {number} [options.cooldownEvery]
+ * @param {number} [options.cooldownMinMs]
+ * @param {number} [options.cooldownMaxMs]
+ * @param {number} [options.perSendMs] - Fixed time each send takes on top of the delay (verification wait, browser pause)
+ * @returns {{ minMs: number, maxMs: number, cooldowns: number }}
+ */
+function estimateBatchDuration(options) {
+  const sends = Math.max(0, options.sends || 0);
+  const perSendMs = options.perSendMs || 0;
+  const every = options.cooldownEvery > 0 ? options.cooldownEvery : 0;
+  const cooldowns = every > 0 ? Math.floor(sends / every) : 0;
+  const coolMin = options.cooldownMinMs || 0;
+  const coolMax = Math.max(coolMin, options.cooldownMaxMs || 0);
+  return {
+    minMs: sends * (options.minDelayMs + perSendMs) + cooldowns * coolMin,
+    maxMs: sends * (Math.max(options.minDelayMs, options.maxDelayMs) + perSendMs) + cooldowns * coolMax,
+    cooldowns,
+  };
+}
+
+/**
+ * Format milliseconds as "2h 05min", "12min" or "40s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+  const totalMinutes = Math.round(totalSeconds / 60);
+  if (totalMinutes < 60) return `${totalMinutes}min`;
+  return `${Math.floor(totalMinutes / 60)}h ${String(totalMinutes % 60).padStart(2, '0')}min`;
+}
+
+/**
+ * Build the preview rows and summary for a batch.
+ * @param {Array<object>} items - Loaded batch items (after applySuppression)
+ * @param {object} [options]
+ * @param {boolean} [options.requireOptIn]
+ * @param {number} [options.maxPerRun] - 0 = no limit
+ * @param {object} [options.templateDefaults] - See message-renderer.js
+ * @param {Date} [options.now] - Time used for {{saudacao}}, expired notAfter deadlines and frequency caps (default now)
+ * @param {{ has: function(string): boolean }} [options.optOuts] - Opt-out registry (createOptOutRegistry in opt-out-registry.js)
+ * @param {{ get: function(string): object|null }} [options.numberChecks] - Cached number checks (createNumberCheckCache in number-check.js)
+ * @param {{ check: function(string, Date=): object|null }} [options.frequencyCap] - createFrequencyCap in frequency-cap.js
+ * @param {number} [options.minDelayMs]
+ * @param {number} [options.maxDelayMs]
+ * @param {number} [options.cooldownEvery]
+ * @param {number} [options.cooldownMinMs]
+ * @param {number} [options.cooldownMaxMs]
+ * @param {number} [options.perSendMs]
+ * @returns {{ rows: Array<{ index: number, contact: string, contactId: string, wasFixed: boolean, status: string, skipReason: string, message: string, media: string[], error: string }>, summary: object }}
+ */
+function buildBatchPreview(items, options = {}) {
+  const maxPerRun = options.maxPerRun > 0 ? options.maxPerRun : 0;
+  const skipped = {};
+  let toSend = 0;
+  let fixedNumbers = 0;
+  let templateErrors = 0;
+
+  const rows = items.map((item, i) => {
+    const { normalized, wasFixed } = normalizeContactWithFix(item.contact);
+    const row = {
+      index: i + 1,
+      contact: String(item.contact ?? ''),
+      contactId: String(normalized),
+      wasFixed,
+      status: PREVIEW_STATUS.SEND,
+      skipReason: '',
+      message: typeof item.message === 'string' ? item.message : '',
+      media: normalizeMediaEntries(item.media).map((m) => m.path),
+      error: '',
+    };
+    if (wasFixed) fixedNumbers++;
+
+    if (hasTemplateSyntax(item.message)) {
+      try {
+        row.message = renderMessage(item.message, item, { defaults: options.templateDefaults, now: options.now });
+      } catch (err) {
+        row.error = err.message;
+      }
+    }
+
+    let skipReason = getSkipReason(item, row.contactId, options, options.now || new Date());
+    if (!skipReason && !row.error && maxPerRun > 0 && toSend >= maxPerRun) skipReason = 'max_per_run';
+    if (skipReason) {
+      row.status = PREVIEW_STATUS.SKIP;
+      row.skipReason = skipReason;
+      skipped[skipReason] = (skipped[skipReason] || 0) + 1;
+    } else if (row.error) {
+      row.status = PREVIEW_STATUS.ERROR;
+      templateErrors++;
+    } else {
+      toSend++;
+    }
+    return row;
+  });
+
+  const duration = estimateBatchDuration({
+    sends: toSend,
+    minDelayMs: options.minDelayMs || 0,
+    maxDelayMs: options.maxDelayMs || 0,
+    cooldownEvery: options.cooldownEvery,
+    cooldownMinMs: options.cooldownMinMs,
+    cooldownMaxMs: options.cooldownMaxMs,
+    perSendMs: options.perSendMs,
+  });
+
+  return {
+    rows,
+    summary: { total: items.length, toSend, skipped, fixedNumbers, templateErrors, duration },
+  };
+}
+
+function escapeCsv(val) {
+  const s = String(val ?? '').replace(/"/g, '""');
+  return /[;"\n]/.test(s) ? `"${s}"` : s;
+}
+
+/**
+ * CSV (";"-separated, opens in Excel pt-BR) with one line per item.
+ * @param {{ rows: Array<object> }} preview - From buildBatchPreview
+ * @returns {string}
+ */
+function renderPreviewCsv(preview) {
+  const header = 'Linha;Contato;ID normalizado;Número corrigido;Status;Motivo;Mensagem;Mídia';
+  const lines = preview.rows.map((r) =>
+    [
+      r.index,
+      escapeCsv(r.contact),
+      r.contactId,
+      r.wasFixed ? 'sim' : 'não',
+      r.status,
+      escapeCsv(r.error || SKIP_REASON_LABELS[r.skipReason] || ''),
+      escapeCsv(r.message),
+      escapeCsv(r.media.join(' | ')),
+    ].join(';')
+  );
+  return [header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Standalone HTML page with the summary and one table row per item.
+ * @param {{ rows: Array<object>, summary: object }} preview - From buildBatchPreview
+ * @param {{ title?: string }} [options]
+ * @returns {string}
+ */
+function renderPreviewHtml(preview, options = {}) {
+  const { summary } = preview;
+  const title = escapeHtml(options.title || 'Prévia do lote');
+  const skippedText = Object.entries(summary.skipped)
+    .map(([reason, n]) => `${escapeHtml(SKIP_REASON_LABELS[reason] || reason)}: ${n}`)
+    .join(' · ') || 'nenhum';
+  const rows = preview.rows
+    .map((r) => {
+      const reason = r.error || SKIP_REASON_LABELS[r.skipReason] || '';
+      const media = r.media.map((m) => `<div class="media">📎 ${escapeHtml(m)}</div>`).join('');
+      return `    <tr class="${r.status}">
+      <td>${r.index}</td>
+      <td>${escapeHtml(r.contact)}</td>
+      <td>${escapeHtml(r.contactId)}${r.wasFixed ? ' <span class="fixed">corrigido</span>' : ''}</td>
+      <td>${r.status}</td>
+      <td>${escapeHtml(reason)}</td>
+      <td class="msg">${escapeHtml(r.message).replace(/\n/g, '<br>')}${media}</td>
+    </tr>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; margin: 1.5rem; color: #1f2c34; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border: 1px solid #d1d7db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f0f2f5; }
+    tr.skip td { color: #667781; }
+    tr.error td { background: #fde8e8; }
+    .msg { white-space: normal; max-width: 40rem; }
+    .fixed { background: #fff3c4; border-radius: 4px; padding: 0 0.3rem; font-size: 0.8rem; }
+    .media { color: #667781; font-size: 0.8rem; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p>Itens: ${summary.total} · A enviar: ${summary.toSend} · Números corrigidos: ${summary.fixedNumbers} · Erros de template: ${summary.templateErrors}</p>
+  <p>Ignorados: ${skippedText}</p>
+  <p>Duração estimada: ${formatDuration(summary.duration.minMs)} – ${formatDuration(summary.duration.maxMs)} (${summary.duration.cooldowns} cooldown(s); sem contar pausas fora da janela de envio)</p>
+  <table>
+    <tr><th>#</th><th>Contato</th><th>ID normalizado</th><th>Status</th><th>Motivo</th><th>Mensagem</th></tr>
+${rows}
+  </table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  PREVIEW_STATUS,
+  SKIP_REASON_LABELS,
+  estimateBatchDuration,
+  formatDuration,
+  buildBatchPreview,
+  renderPreviewCsv,
+  renderPreviewHtml,
+};
@@ -0,0 +1,73 @@
+/**
+ * Per-item send times for batch files: sendAt (send at this time), notBefore (not earlier than) and
+ * notAfter (deadline), all ISO date/time strings checked by batch-schema.js.
+ * runBatch sends the items in order of due time (items without a time first, in file order), holds
+ * each one until it is due and marks the ones whose notAfter passed as expired instead of sending
+ * them late. The fields stay in the campaign item payload, so a --resume after a restart picks up the
+ * schedule of whatever was still pending.
+ */
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * When an item may be sent: the later of sendAt and notBefore, and its deadline.
+ * @param {{ sendAt?: string, notBefore?: string, notAfter?: string }} item
+ * @returns {{ dueAt: Date|null, notAfter: Date|null }} null when the item has no such field (or an unparsable one)
+ */
+function getItemSchedule(item) {
+  const times = [parseTime(item && item.sendAt), parseTime(item && item.notBefore)].filter((ms) => ms != null);
+  const notAfter = parseTime(item && item.notAfter);
+  return {
+    dueAt: times.length > 0 ? new Date(Math.max(...times)) : null,
+    notAfter: notAfter != null ? new Date(notAfter) : null,
+  };
+}
+
+/**
+ * @param {object} item
+ * @param {Date} [now]
+ * @returns {boolean} whether the item's notAfter deadline has passed
+ */
+function isItemExpired(item, now = new Date()) {
+  const { notAfter } = getItemSchedule(item);
+  return notAfter != null && now.getTime() > notAfter.getTime();
+}
+
+/**
+ * How long an item still has to wait before it is due (0 when due or unscheduled).
+ * @param {object} item
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function getItemWaitMs(item, now = new Date()) {
+  const { dueAt } = getItemSchedule(item);
+  return dueAt ? Math.max(0, dueAt.getTime() - now.getTime()) : 0;
+}
+
+/**
+ * Items in send order: unscheduled items first (in their order), then by due time. Stable, and the
+ * same array order when no item is scheduled.
+ * @param {Array<object>} items
+ * @returns {Array<object>} a new array
+ */
+function orderBySchedule(items) {
+  const dueMs = (item) => {
+    const { dueAt } = getItemSchedule(item);
+    return dueAt ? dueAt.getTime() : -Infinity;
+  };
+  return items
+    .map((item, index) => ({ item, index, due: dueMs(item) }))
+    .sort((a, b) => (a.due === b.due ? a.index - b.index : a.due - b.due))
+    .map((entry) => entry.item);
+}
+
+module.exports = {
+  getItemSchedule,
+  isItemExpired,
+  getItemWaitMs,
+  orderBySchedule,
+};
@@ -0,0 +1,191 @@
+/**
+ * Schema of batch items, checked before a campaign is created so that a typo ("contato"), an empty
+ * message or a number written as a JSON number is reported up front with its item index instead of
+ * surfacing mid-run. Fields not listed in BATCH_ITEM_FIELDS are allowed: they are template variables
+ * ({{firstName}}, {{city}}...), but one that looks like a misspelled field is flagged.
+ */
+const fs = require('fs');
+const { normalizeMediaEntries } = require('./batch-media');
+const { parsePhone, phoneDigits } = require('./phone');
+
+/**
+ * Known item fields. type: string | boolean | datetime | text (string or object) | media (see batch-media.js).
+ * message is required unless the item is generated by the LLM (name + context, send-list-puppeteer.js)
+ * or the batch declares A/B variants (the variant is the message).
+ */
+const BATCH_ITEM_FIELDS = {
+  contact: { type: 'string', required: true },
+  message: { type: 'string' },
+  optIn: { type: 'boolean' },
+  consented: { type: 'boolean' },
+  hasConsent: { type: 'boolean' },
+  optOut: { type: 'boolean' },
+  unsubscribed: { type: 'boolean' },
+  name: { type: 'string' },
+  context: { type: 'text' },
+  media: { type: 'media' },
+  sendAt: { type: 'datetime' },
+  notBefore: { type: 'datetime' },
+  notAfter: { type: 'datetime' },
+  /** When the lead came in (created_time of the Meta export), for lead-priority.js; lead: its campaign / form metadata. */
+  createdTime: { type: 'datetime' },
+  lead: { type: 'text' },
+};
+
+/** Portuguese names people use for the fields (exports, hand-written files). */
+const FIELD_ALIASES = {
+  contato: 'contact',
+  telefone: 'contact',
+  numero: 'contact',
+  número: 'contact',
+  phone: 'contact',
+  mensagem: 'message',
+  texto: 'message',
+  nome: 'name',
+  midia: 'media',
+  mídia: 'media',
+};
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const up = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = up;
+    }
+  }
+  return prev[b.length];
+}
+
+/** Known field an unknown key was probably meant to be, or null. */
+function suggestField(key) {
+  const lower = key.toLowerCase();
+  if (Object.hasOwn(FIELD_ALIASES, lower)) return FIELD_ALIASES[lower];
+  const known = Object.keys(BATCH_ITEM_FIELDS);
+  const match = known.find((field) => field.toLowerCase() === lower)
+    || known.find((field) => field.length > 4 && editDistance(field.toLowerCase(), lower) <= 2);
+  return match || null;
+}
+
+function typeError(type, value) {
+  const got = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : `must be a string (got ${got})`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${got}${typeof value === 'string' ? ` "${value}"` : ''})`;
+    case 'text':
+      return typeof value === 'string' || (value && typeof value === 'object' && !Array.isArray(value)) ? null : `must be a string or an object (got ${got})`;
+    case 'datetime':
+      return typeof value === 'string' && Number.isFinite(Date.parse(value)) ? null : 'must be an ISO date/time, e.g. "2026-03-10T14:00:00-03:00"';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check every item of a batch and report every problem, not only the first.
+ * @param {Array<object>} list - Batch items (the array, or the items of an A/B batch)
+ * @param {object} [options]
+ * @param {Array<object>} [options.variants] - Declared A/B variants (items may then omit message)
+ * @param {string} [options.baseDir] - Batch file directory; when given, media files must exist
+ * @returns {{ errors: Array<{ index: number|null, contact: string, field: string|null, error: string }>, warnings: Array<{ index: number|null, contact: string, field: string|null, error: string }> }}
+ *   errors: the item cannot be sent as written; warnings: it can, but probably not as intended (invalid number, duplicate, misspelled optional field)
+ */
+function validateBatchItems(list, options = {}) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push({ index: null, contact: '', field: null, error: 'Batch must be a non-empty array of { contact, message }' });
+    return { errors, warnings };
+  }
+  const hasVariants = Array.isArray(options.variants) && options.variants.length > 0;
+  const firstIndexByNumber = new Map();
+
+  list.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ index, contact: '', field: null, error: 'Item must be an object { contact, message }' });
+      return;
+    }
+    const contact = item.contact != null ? String(item.contact) : '';
+    const add = (target, field, error) => target.push({ index, contact, field, error });
+
+    const isKnown = (key) => Object.hasOwn(BATCH_ITEM_FIELDS, key);
+    for (const key of Object.keys(item)) {
+      if (isKnown(key)) continue;
+      const suggestion = suggestField(key);
+      if (suggestion && item[suggestion] == null) {
+        const target = BATCH_ITEM_FIELDS[suggestion].required || suggestion === 'message' ? errors : warnings;
+        add(target, key, `Unknown field "${key}" (did you mean "${suggestion}"?)`);
+      }
+    }
+
+    for (const [field, rule] of Object.entries(BATCH_ITEM_FIELDS)) {
+      const value = item[field];
+      if (value == null) continue;
+      if (rule.type === 'media') {
+        try {
+          const entries = normalizeMediaEntries(value, options.baseDir);
+          if (options.baseDir) {
+            entries.filter((m) => !fs.existsSync(m.path)).forEach((m) => add(errors, field, `Media file not found: ${m.path}`));
+          }
+        } catch (err) {
+          add(errors, field, err.message);
+        }
+        continue;
+      }
+      if (field === 'contact' && typeof value === 'number') {
+        add(errors, field, `must be a string; write it in quotes ("${value}") so no digit is lost`);
+        continue;
+      }
+      const error = typeError(rule.type, value);
+      if (error) add(errors, field, error);
+    }
+
+    if (item.contact == null || (typeof item.contact === 'string' && !item.contact.trim())) {
+      if (!Object.keys(item).some((key) => !isKnown(key) && suggestField(key) === 'contact')) add(errors, 'contact', 'Missing contact');
+    } else if (typeof item.contact === 'string') {
+      const phone = parsePhone(item.contact);
+      if (!/@(?!c\.us)/i.test(item.contact) && !phone.valid) add(warnings, 'contact', `Not a valid phone number (${phone.error})`);
+      const digits = phoneDigits(item.contact);
+      if (digits && firstIndexByNumber.has(digits)) add(warnings, 'contact', `Same number as item ${firstIndexByNumber.get(digits) + 1}`);
+      else if (digits) firstIndexByNumber.set(digits, index);
+    }
+
+    const generated = item.name && item.context;
+    if (!hasVariants && !generated && (item.message == null || (typeof item.message === 'string' && !item.message.trim()))) {
+      if (!Object.keys(item).some((key) => !isKnown(key) && suggestField(key) === 'message')) add(errors, 'message', 'Missing or empty message');
+    }
+
+    const notBefore = Date.parse(item.notBefore);
+    const notAfter = Date.parse(item.notAfter);
+    if (Number.isFinite(notBefore) && Number.isFinite(notAfter) && notBefore > notAfter) {
+      add(errors, 'notAfter', 'notAfter is earlier than notBefore');
+    }
+    const sendAt = Date.parse(item.sendAt);
+    if (Number.isFinite(sendAt) && Number.isFinite(notAfter) && sendAt > notAfter) {
+      add(errors, 'sendAt', 'sendAt is later than notAfter');
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * One line per issue, as printed by the scripts.
+ * @param {{ index: number|null, contact: string, field: string|null, error: string }} issue
+ * @returns {string}
+ */
+function formatBatchIssue(issue) {
+  const where = issue.index == null ? 'Batch' : `Item ${issue.index + 1}${issue.contact ? ` (${issue.contact})` : ''}`;
+  return `${where}${issue.field ? ` – ${issue.field}` : ''}: ${issue.error}`;
+}
+
+module.exports = {
+  BATCH_ITEM_FIELDS,
+  validateBatchItems,
+  formatBatchIssue,
+};
@@ -1,15 +1,22 @@
-const fs = require('fs');
-const path = require('path');
+const { EventEmitter } = require('events');
 const { getBatchDelayRange, getBatchSendTimeoutMs } = require('./config');
-const { openChatAndSendMessage: openChatAndSendMessageBrowser } = require('./send-via-browser');
-
-const DEBUG_LOG = path.join(__dirname, '..', 'debug-386a07.log');
-function debugLog(payload) {
-  try {
-    fs.appendFileSync(DEBUG_LOG, JSON.stringify(payload) + '\n');
-  } catch (_) {}
-  fetch('http://127.0.0.1:7780/ingest/2d06ff85-62dc-47c7-a26c-754c464f4f22',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'386a07'},body:JSON.stringify(payload)}).catch(()=>{});
-}
+const { ITEM_STATUS, updateItemStatus, finishCampaign } = require('./campaign-store');
+const { normalizeMediaEntries } = require('./batch-media');
+const { hasTemplateSyntax, renderMessage, applyVariantText } = require('./message-renderer');
+const { toTransport, createBrowserTransport } = require('./transports');
+const { createRateController } = require('./rate-controller');
+const { planRetry, buildDeadLetterEntry, normalizeRetryPolicy, DEAD_LETTER_REASON } = require('./retry-queue');
+const { createAckTracker } = require('./delivery-receipts');
+const { assignVariant } = require('./ab-test');
+const { parsePhone, contactDigits } = require('./phone');
+const { createOptOutRegistry } = require('./opt-out-registry');
+const { BATCH_EVENT, SKIP_REASON } = require('./batch-events');
+const { orderBySchedule, isItemExpired, getItemWaitMs, getItemSchedule } = require('./batch-schedule');
+const { orderByPriority, getLeadAgeMs, summarizeLeadAges } = require('./lead-priority');
+const { withTimeout, resolveChatId, getLastMessageFromMeWithDate } = require('./transports/wwebjs');
+const { getLogger } = require('./logger');
+
+const log = getLogger('batch');
 
 /**
  * Random delay between minMs and maxMs (inclusive).
@@ -33,6 +40,7 @@ function sleep(ms) {
 
 /**
  * Errors that should not be retried because they are likely permanent for this recipient/campaign.
+ * Everything else is treated as transient and may go to the retry queue (see retry-queue.js).
  * @param {string} errMsg
  * @returns {boolean}
  */
@@ -69,23 +77,44 @@ function isBlockLikeError(errMsg) {
 }
 
 /**
- * Run a promise with a timeout; rejects with Error('Send timeout') if not settled in time.
- * @param {Promise} promise
- * @param {number} ms
- * @returns {Promise}
+ * Classify a send result for the adaptive rate controller (see rate-controller.js).
+ * @param {{ success: boolean, error?: string, alreadySent?: boolean }} result
+ * @param {number} verifyFailures - verify_fail steps seen while sending this item
+ * @returns {'ok'|'block_like'|'timeout'|'verify_fail'|'neutral'}
+ */
+function classifySendOutcome(result, verifyFailures) {
+  if (!result.success && isBlockLikeError(result.error)) return 'block_like';
+  if (!result.success && /timeout/i.test(String(result.error || ''))) return 'timeout';
+  if (verifyFailures > 0) return 'verify_fail';
+  return result.success && !result.alreadySent ? 'ok' : 'neutral';
+}
+
+/** stopReason of a run ended by a stop request (options.control). */
+const STOPPED_BY_OPERATOR = 'Stopped by operator (stop after current item).';
+
+/**
+ * Health guardrail shared by runBatch and the sender pool: returns a stop reason when the
+ * fail-rate or block-like error thresholds are reached, or '' when sending may continue.
+ * @param {{ attempts: number, failed: number, blockLikeErrors: number }} counters
+ * @param {{ stopFailRate?: number, stopMinAttempts?: number, stopBlockLikeCount?: number }} rules
+ * @returns {string}
  */
-function withTimeout(promise, ms) {
-  if (ms <= 0) return promise;
-  let timeoutId;
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => reject(new Error(`Send timeout after ${ms / 1000}s`)), ms);
-  });
-  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+function getGuardrailStopReason(counters, rules) {
+  const { attempts, failed, blockLikeErrors } = counters;
+  const { stopFailRate = 0, stopMinAttempts = 0, stopBlockLikeCount = 0 } = rules;
+  if (stopFailRate > 0 && stopMinAttempts > 0 && attempts >= stopMinAttempts && failed / attempts >= stopFailRate) {
+    return `Stopped by fail-rate guardrail (${(failed / attempts * 100).toFixed(1)}% >= ${(stopFailRate * 100).toFixed(1)}%).`;
+  }
+  if (stopBlockLikeCount > 0 && blockLikeErrors >= stopBlockLikeCount) {
+    return `Stopped by block-like errors guardrail (${blockLikeErrors}/${stopBlockLikeCount}).`;
+  }
+  return '';
 }
 
 /**
  * Ensure Brazilian-style number has 13 digits by inserting '9' between 4th and 5th digit as needed.
  * (55 + 2-digit area + 9 + 8 digits = 13; missing 9s are inserted after the area code.)
+ * @deprecated Length-based guess (also adds a 9 to landlines); use parsePhone from phone.js.
  * @param {string} digits - Digits only
  * @returns {string} - Same or extended to 13 digits
  */
@@ -98,31 +127,23 @@ function ensureBrazilian13Digits(digits) {
 }
 
 /**
- * Normalize contact and optionally detect if it was fixed (for resend logic).
+ * Normalize contact and detect if the number itself was changed (for resend logic and the dry-run preview).
+ * Uses parsePhone (phone.js); numbers it cannot parse keep their digits. Ids that are not @c.us
+ * (e.g. @lid) are returned as they are.
  * @param {string} contact - Phone with or without @c.us
- * @returns {{ normalized: string, wasFixed: boolean }}
+ * @returns {{ normalized: string, wasFixed: boolean, phone?: object }} - wasFixed: the digits differ from the ones given (e.g. the mobile 9 or the country code was added); phone: the parsePhone result
  */
 function normalizeContactWithFix(contact) {
-  const trimmed = String(contact).trim().replace(/\D/g, '');
-  if (!trimmed) return { normalized: contact, wasFixed: false };
-  if (trimmed.includes('@')) return { normalized: contact, wasFixed: false };
-  // #region agent log
-  const isBrazilian = trimmed.startsWith('55') || (trimmed.length <= 11 && trimmed.length >= 10 && !/^1\d{10}$/.test(trimmed));
-  if (!isBrazilian) {
-    const normalized = `${trimmed}@c.us`;
-    fetch('http://127.0.0.1:7780/ingest/2d06ff85-62dc-47c7-a26c-754c464f4f22',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'1c1dbc'},body:JSON.stringify({sessionId:'1c1dbc',location:'batch-sender.js:normalizeContactWithFix',message:'Non-BR contact: skip Brazilian 9-insert',data:{input:contact,trimmed,normalized},timestamp:Date.now(),hypothesisId:'H1'})}).catch(()=>{});
-    return { normalized, wasFixed: false };
-  }
-  // #endregion
-  const hadWrongLength = trimmed.length < 13 && trimmed.length >= 4;
-  const digits = ensureBrazilian13Digits(trimmed);
-  const normalized = `${digits}@c.us`;
-  return { normalized, wasFixed: hadWrongLength };
+  const raw = String(contact).trim();
+  if (raw.includes('@') && !/@c\.us$/i.test(raw)) return { normalized: raw, wasFixed: false };
+  const phone = parsePhone(raw);
+  if (!phone.digits) return { normalized: contact, wasFixed: false };
+  return { normalized: `${phone.digits}@c.us`, wasFixed: phone.digits !== raw.replace(/\D/g, ''), phone };
 }
 
 /**
- * Normalize contact to WhatsApp ID (e.g. "5511999999999" or "5511999999999@c.us" -> "5511999999999@c.us").
- * Numbers with &lt; 13 digits get a '9' inserted between 4th and 5th digit (Brazilian mobile format).
+ * Normalize contact to WhatsApp ID (e.g. "5511999999999", "+55 11 99999-9999" or "11999999999" -> "5511999999999@c.us").
+ * See parsePhone (phone.js) for the country rules.
  * @param {string} contact - Phone with or without @c.us
  * @returns {string}
  */
@@ -136,92 +157,6 @@ const VERIFY_DELAY_MS = 2000;
 /** Default max reattempts when verification fails (send succeeded but last message doesn't match). */
 const DEFAULT_MAX_VERIFY_RETRIES = 2;
 
-/**
- * Normalize contactId to digits-only prefix for matching (e.g. "5511999999999@c.us" -> "5511999999999").
- * @param {string} contactId
- * @returns {string}
- */
-function contactDigits(contactId) {
-  return String(contactId).replace(/@.*$/, '').replace(/\D/g, '');
-}
-
-/**
- * Resolve chat ID to the format required by WhatsApp (LID when needed).
- * Avoids "No LID for user" when sending to numbers that require LID (Lexical ID).
- * Tries: existing chat by number (often has LID) -> getContactLidAndPhone (lid then pn) -> getNumberId -> original.
- * @param {Client} client - whatsapp-web.js Client (must be ready)
- * @param {string} contactId - e.g. "5511999999999@c.us"
- * @returns {Promise<string>} - contactId to use for sendMessage/getChatById (lid or pn or original)
- */
-async function resolveChatId(client, contactId) {
-  const digits = contactDigits(contactId);
-  // #region agent log
-  debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:entry',message:'resolveChatId entry',data:{contactId,digits},timestamp:Date.now(),hypothesisId:'H2'});
-  // #endregion
-
-  // 1) If we have getChats, find an existing chat for this number; its id may already be LID
-  if (typeof client.getChats === 'function') {
-    try {
-      const chats = await client.getChats();
-      const match = chats.find((c) => {
-        if (!c || !c.id) return false;
-        const id = typeof c.id === 'string' ? c.id : c.id._serialized;
-        if (!id) return false;
-        const chatDigits = id.replace(/@.*$/, '').replace(/\D/g, '');
-        return chatDigits === digits || id === contactId;
-      });
-      if (match) {
-        const id = typeof match.id === 'string' ? match.id : match.id._serialized;
-        if (id) {
-          // #region agent log
-          debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:exit',message:'resolved via getChats',data:{contactId,resolvedId:id},timestamp:Date.now(),hypothesisId:'H2'});
-          // #endregion
-          return id;
-        }
-      }
-    } catch (e) {
-      // #region agent log
-      debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:getChats-catch',message:'getChats threw',data:{contactId,error:String(e&&e.message)},timestamp:Date.now(),hypothesisId:'H2'});
-      // #endregion
-    }
-  }
-
-  // 2) getContactLidAndPhone returns { lid, pn }; prefer lid for sendMessage (may throw for some contacts)
-  if (typeof client.getContactLidAndPhone === 'function') {
-    try {
-      const result = await client.getContactLidAndPhone([contactId]);
-      if (Array.isArray(result) && result[0]) {
-        const { lid, pn } = result[0];
-        if (lid) return lid;
-        if (pn) return pn;
-      }
-    } catch (_) {}
-  }
-
-  // 3) getNumberId can return the canonical ID (sometimes LID)
-  if (typeof client.getNumberId === 'function') {
-    try {
-      const wid = await client.getNumberId(contactId);
-      if (wid && typeof wid === 'object' && wid._serialized) {
-        // #region agent log
-        debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:exit',message:'resolved via getNumberId',data:{contactId,resolvedId:wid._serialized},timestamp:Date.now(),hypothesisId:'H2'});
-        // #endregion
-        return wid._serialized;
-      }
-      if (typeof wid === 'string') return wid;
-    } catch (e) {
-      // #region agent log
-      debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:getNumberId-catch',message:'getNumberId threw',data:{contactId,error:String(e&&e.message)},timestamp:Date.now(),hypothesisId:'H2'});
-      // #endregion
-    }
-  }
-
-  // #region agent log
-  debugLog({sessionId:'386a07',location:'batch-sender.js:resolveChatId:exit',message:'fallback to original contactId',data:{contactId},timestamp:Date.now(),hypothesisId:'H2'});
-  // #endregion
-  return contactId;
-}
-
 /** True if the error message indicates "No LID for user" (WhatsApp LID requirement). */
 function isNoLidError(err) {
   const msg = err && (err.message || String(err));
@@ -241,31 +176,6 @@ async function getLastMessageFromMe(client, contactId, limit = 30) {
   return withDate ? withDate.body : null;
 }
 
-/**
- * Get the last message we sent in a chat with its timestamp, or null if none or error.
- * @param {Client} client - whatsapp-web.js Client (must be ready)
- * @param {string} contactId - WhatsApp id e.g. "5511999999999@c.us"
- * @param {number} [limit] - Max messages to fetch from us (default 30)
- * @returns {Promise<{ body: string, timestamp: number }|null>} - timestamp is Unix seconds
- */
-async function getLastMessageFromMeWithDate(client, contactId, limit = 30) {
-  try {
-    const chat = await client.getChatById(contactId);
-    const messages = await chat.fetchMessages({ fromMe: true, limit });
-    if (!Array.isArray(messages) || messages.length === 0) return null;
-    const last = messages[messages.length - 1];
-    if (!last) return null;
-    const body = typeof last.body === 'string' ? last.body : '';
-    const timestamp = typeof last.timestamp === 'number' ? last.timestamp : 0;
-    return { body, timestamp };
-  } catch (e) {
-    // #region agent log
-    debugLog({sessionId:'386a07',location:'batch-sender.js:getLastMessageFromMeWithDate:catch',message:'getChatById or fetchMessages failed',data:{contactId,error:String(e&&e.message)},timestamp:Date.now(),hypothesisId:'H3'});
-    // #endregion
-    return null;
-  }
-}
-
 /** Return true if the Unix timestamp (seconds) falls on today (local date). */
 function isTodayUnix(unixSeconds) {
   if (!Number.isFinite(unixSeconds)) return false;
@@ -276,58 +186,84 @@ function isTodayUnix(unixSeconds) {
     d.getDate() === today.getDate();
 }
 
+/**
+ * Split what has to be sent for one item into parts, in order: the text (if any), then each media
+ * attachment with its caption. Verification compares our last message with the last part.
+ * @param {string|object} message - Text, or a ready MessageMedia (e.g. voice notes)
+ * @param {*} [media] - Item media field (see batch-media.js)
+ * @returns {Array<{ content?: string|object, media?: { path: string, caption: string } }>}
+ */
+function buildSendParts(message, media) {
+  const parts = [];
+  if (message != null && message !== '') parts.push({ content: message });
+  normalizeMediaEntries(media).forEach((entry) => parts.push({ media: entry }));
+  return parts;
+}
+
+/** Send one part (text or media with caption) to chatId through the transport. */
+function sendPart(transport, chatId, part, timeoutMs) {
+  if (!part.media) return transport.sendText(chatId, part.content, { timeoutMs });
+  return transport.sendMedia(chatId, part.media, { timeoutMs });
+}
+
+/**
+ * True if our last message in the chat is this part: same text, or a media message with the same caption.
+ * @param {{ body: string, hasMedia?: boolean }|null} last - From getLastMessageFromMeWithDate
+ * @param {{ content?: string|object, media?: { caption: string } }} part
+ */
+function lastMessageMatchesPart(last, part) {
+  if (!last || !part) return false;
+  if (part.media) return last.hasMedia === true && (!part.media.caption || last.body === part.media.caption);
+  return last.hasMedia !== true && last.body === part.content;
+}
+
 /**
  * Send one message by opening the chat via WhatsApp Web send URL in a NEW tab and simulating type + Enter.
  * Uses client.pupBrowser (new tab) so the main WhatsApp Web page is never navigated, avoiding
- * "Execution context was destroyed" and duplicate ready events.
+ * "Execution context was destroyed" and duplicate ready events. Same as sendOnce over the browser transport.
  * @param {Client} client - whatsapp-web.js Client (must have pupBrowser)
  * @param {string} contactId - e.g. "5511999999999@c.us"
  * @param {string} message - Full message text (including name)
  * @param {number} sendTimeoutMs - Used as navigation/send timeout
+ * @param {*} [media] - Item media field; attachments are uploaded after the text (see batch-media.js)
  * @returns {Promise<{ success: boolean, error?: string }>}
  */
-async function sendViaBrowser(client, contactId, message, sendTimeoutMs) {
-  if (!client.pupBrowser) return { success: false, error: 'No browser (pupBrowser) available' };
-  const digits = contactDigits(contactId);
-  const pageOrBrowser = client.pupPage || client.pupBrowser;
-  const result = await openChatAndSendMessageBrowser(pageOrBrowser, digits, message, {
-    timeoutMs: sendTimeoutMs || 60000,
-  });
-  if (result.success && client.pupPage) {
-    try {
-      await client.pupPage.goto('https://web.whatsapp.com', { waitUntil: 'domcontentloaded', timeout: 10000 });
-    } catch (_) {}
-  }
-  return result;
+function sendViaBrowser(client, contactId, message, sendTimeoutMs, media) {
+  return sendOnce(createBrowserTransport({ client }), contactId, message, sendTimeoutMs, media);
 }
 
 /**
  * Send one message without verification (used when skipVerify is true).
  * Resolves LID when needed to avoid "No LID for user". Retries with @lid format if that error occurs.
- * @param {Client} client
+ * @param {Client|import('./transports').Transport} client - whatsapp-web.js Client or a transport
  * @param {string} contactId
- * @param {string} message
+ * @param {string|object} message - Text or MessageMedia
  * @param {number} sendTimeoutMs
- * @returns {Promise<{ success: boolean, error?: string }>}
+ * @param {*} [media] - Item media field; each attachment is sent after the text (see batch-media.js)
+ * @returns {Promise<{ success: boolean, error?: string, messageIds?: string[] }>} messageIds: ids of the sent messages (when the transport returns them)
  */
-async function sendOnce(client, contactId, message, sendTimeoutMs) {
-  let chatId = await resolveChatId(client, contactId);
-  // #region agent log
-  debugLog({sessionId:'386a07',location:'batch-sender.js:sendOnce:beforeSend',message:'before sendMessage',data:{contactId,chatId},timestamp:Date.now(),hypothesisId:'H5'});
-  // #endregion
+async function sendOnce(client, contactId, message, sendTimeoutMs, media) {
+  const transport = toTransport(client);
+  let chatId = await transport.resolveRecipient(contactId);
+  const parts = buildSendParts(message, media);
+  const messageIds = [];
+  const send = async (id, part) => {
+    const sentPart = await sendPart(transport, id, part, sendTimeoutMs);
+    if (sentPart && sentPart.id) messageIds.push(sentPart.id);
+  };
+  let next = 0;
+  log.debug('sendOnce: before send', { contactId, chatId });
   try {
-    await withTimeout(client.sendMessage(chatId, message), sendTimeoutMs);
-    return { success: true };
+    for (; next < parts.length; next++) await send(chatId, parts[next]);
+    return { success: true, ...(messageIds.length > 0 && { messageIds }) };
   } catch (err) {
-    // #region agent log
-    debugLog({sessionId:'386a07',location:'batch-sender.js:sendOnce:catch',message:'sendMessage failed',data:{contactId,chatId,error:String(err&&err.message)},timestamp:Date.now(),hypothesisId:'H5'});
-    // #endregion
+    log.debug('sendOnce: send failed', { contactId, chatId, error: err && err.message });
     if (isNoLidError(err) && contactId.endsWith('@c.us')) {
       const lidId = `${contactDigits(contactId)}@lid`;
       if (lidId !== chatId) {
         try {
-          await withTimeout(client.sendMessage(lidId, message), sendTimeoutMs);
-          return { success: true };
+          for (; next < parts.length; next++) await send(lidId, parts[next]);
+          return { success: true, ...(messageIds.length > 0 && { messageIds }) };
         } catch (err2) {
           return { success: false, error: err2 && (err2.message || String(err2)) };
         }
@@ -340,12 +276,16 @@ async function sendOnce(client, contactId, message, sendTimeoutMs) {
 /**
  * Send one message and optionally verify it appears as our last message; reattempt if not.
  * Can optionally check first: if last message in chat already matches, skip send and report alreadySent.
- * @param {Client} client
+ * With media, the text goes first and each attachment after it; verification checks that our last
+ * message is the last attachment (media message with the same caption). A failed part is resent
+ * from where it stopped, so parts already accepted are not sent twice.
+ * @param {Client|import('./transports').Transport} client - whatsapp-web.js Client or a transport
  * @param {string} contactId
  * @param {string} message
- * @param {object} opts - { sendTimeoutMs, verifyDelayMs, maxVerifyRetries, checkAlreadySent, onStep }
+ * @param {object} opts - { sendTimeoutMs, verifyDelayMs, maxVerifyRetries, checkAlreadySent, media, onStep }
+ * @param {*} [opts.media] - Item media field (see batch-media.js)
  * @param {function(object): void} [opts.onStep] - Called with { type, contactId, attempt?, success?, error?, reason?, lastBody?, alreadySent? } for verbose logging
- * @returns {Promise<{ success: boolean, error?: string, retried?: number, alreadySent?: boolean }>}
+ * @returns {Promise<{ success: boolean, error?: string, retried?: number, alreadySent?: boolean, messageIds?: string[] }>} messageIds: ids of every message sent (including resent parts)
  */
 async function sendAndVerify(client, contactId, message, opts = {}) {
   const sendTimeoutMs = opts.sendTimeoutMs ?? getBatchSendTimeoutMs();
@@ -353,16 +293,25 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
   const maxVerifyRetries = opts.maxVerifyRetries ?? DEFAULT_MAX_VERIFY_RETRIES;
   const checkAlreadySent = opts.checkAlreadySent !== false;
   const onStep = opts.onStep || (() => {});
-
-  let chatId = await resolveChatId(client, contactId);
-  // #region agent log
-  debugLog({sessionId:'386a07',location:'batch-sender.js:sendAndVerify:beforeSend',message:'before sendMessage',data:{contactId,chatId},timestamp:Date.now(),hypothesisId:'H5'});
-  // #endregion
-  const doSend = (id) => withTimeout(client.sendMessage(id, message), sendTimeoutMs);
+  const parts = buildSendParts(message, opts.media);
+  const lastPart = parts[parts.length - 1];
+  const expectedLength = lastPart && lastPart.media ? lastPart.media.caption.length : String(message).length;
+
+  const transport = toTransport(client);
+  let chatId = await transport.resolveRecipient(contactId);
+  log.debug('sendAndVerify: before send', { contactId, chatId });
+  let nextPart = 0;
+  const messageIds = [];
+  const doSend = async (id) => {
+    for (; nextPart < parts.length; nextPart++) {
+      const sentPart = await sendPart(transport, id, parts[nextPart], sendTimeoutMs);
+      if (sentPart && sentPart.id) messageIds.push(sentPart.id);
+    }
+  };
 
   if (checkAlreadySent) {
-    const lastBody = await getLastMessageFromMe(client, chatId);
-    if (lastBody === message) {
+    const last = await transport.fetchLastOutgoing(chatId);
+    if (lastMessageMatchesPart(last, lastPart)) {
       onStep({
         type: 'already_sent',
         contactId,
@@ -381,9 +330,7 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
       onStep({ type: 'send_ok', contactId, attempt });
     } catch (err) {
       lastError = err && (err.message || String(err));
-      // #region agent log
-      debugLog({sessionId:'386a07',location:'batch-sender.js:sendAndVerify:catch',message:'sendMessage failed',data:{contactId,chatId,error:lastError},timestamp:Date.now(),hypothesisId:'H5'});
-      // #endregion
+      log.debug('sendAndVerify: send failed', { contactId, chatId, error: lastError });
       if (isNoLidError(err) && contactId.endsWith('@c.us')) {
         const lidId = `${contactDigits(contactId)}@lid`;
         if (lidId !== chatId) {
@@ -412,11 +359,12 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
 
     await sleep(verifyDelayMs);
     onStep({ type: 'verify_start', contactId, attempt });
-    const lastBody = await getLastMessageFromMe(client, chatId);
-    if (lastBody === message) {
+    const last = await transport.fetchLastOutgoing(chatId);
+    if (lastMessageMatchesPart(last, lastPart)) {
       onStep({ type: 'verify_match', contactId, attempt });
-      return { success: true, retried: attempt };
+      return { success: true, retried: attempt, ...(messageIds.length > 0 && { messageIds }) };
     }
+    const lastBody = last ? last.body : null;
     lastError =
       lastBody == null
         ? 'Verification failed: no last message from us'
@@ -424,7 +372,7 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
     const reason =
       lastBody == null
         ? 'No message from us in chat'
-        : `Last message does not match (expected ${message.length} chars, got ${lastBody.length})`;
+        : `Last message does not match (expected ${expectedLength} chars, got ${lastBody.length})`;
     onStep({
       type: 'verify_fail',
       contactId,
@@ -436,6 +384,8 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
       onStep({ type: 'done', contactId, success: false, error: lastError });
       return { success: false, error: lastError };
     }
+    // Resend only the last part: the earlier ones were accepted by the transport.
+    nextPart = Math.max(0, parts.length - 1);
     onStep({ type: 'reattempt', contactId, nextAttempt: attempt + 1 });
   }
 
@@ -447,10 +397,10 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
  * Send messages to multiple contacts as a batch, with random delay before each send
  * to reduce the risk of being flagged as spam. All messages are sent through the same
  * client (same browser session); do not create a new client per message.
- * After each send, the client is used to verify the last message in that chat; if it
+ * After each send, the transport is used to verify the last message in that chat; if it
  * does not match the sent text, the send is reattempted up to maxVerifyRetries times.
- * @param {Client} client - whatsapp-web.js Client (must be ready); single session for all sends
- * @param {Array<{ contact: string, message: string }>} items - List of { contact, message }
+ * @param {Client|import('./transports').Transport} client - whatsapp-web.js Client (must be ready) or a transport (see transports/); single session for all sends
+ * @param {Array<{ contact: string, message: string, media?: *, sendAt?: string, notBefore?: string, notAfter?: string }>} items - List of { contact, message, media? } (media: see batch-media.js). Items with sendAt/notBefore are sent in order of due time and held until due (schedule_wait step); an item past its notAfter is recorded as expired instead of being sent late (see batch-schedule.js).
  * @param {object} [options]
  * @param {number} [options.minDelayMs] - Min delay before each message (default from config)
  * @param {number} [options.maxDelayMs] - Max delay before each message (default from config)
@@ -458,13 +408,30 @@ async function sendAndVerify(client, contactId, message, opts = {}) {
  * @param {number} [options.verifyDelayMs] - Delay after send before checking last message (default 2000)
  * @param {number} [options.maxVerifyRetries] - Reattempts when verification fails (default 2)
  * @param {boolean} [options.skipVerify] - If true, send only (no verify/reattempt). For tests or when verification is not needed.
- * @param {boolean} [options.useBrowserSend] - If true, send by navigating to send URL and simulating type+Enter (avoids "número desconhecido").
+ * @param {boolean} [options.useBrowserSend] - If true, send by navigating to send URL and simulating type+Enter (avoids "número desconhecido"). Ignored when client is already a transport.
  * @param {boolean} [options.skipIfEverSent] - If true (default), skip contact when we have ever sent any message in that chat (only send to users who have not received previously).
  * @param {boolean} [options.skipIfSentToday] - When skipIfEverSent is false: if true (default), skip when our last message was sent today.
  * @param {boolean} [options.checkAlreadySent] - If false, send even when last message in chat already matches (e.g. with --force).
  * @param {function(number, number, string): void} [options.onProgress] - Called as (currentIndex, total, contactId) before each send
- * @param {function(object): void} [options.onStep] - Called with step details for each send/verify (type, contactId, attempt?, error?, reason?, etc.) for verbose logging
- * @returns {Promise<{ sent: number, failed: number, results: Array<{ contact: string, success: boolean, error?: string, retried?: number, alreadySent?: boolean, skippedSameDay?: boolean, skippedAlreadyReceived?: boolean }> }>}
+ * @param {function(object): void} [options.onStep] - Called with step details for each send/verify (type, contactId, attempt?, error?, reason?, etc.) for verbose logging. Items left out by a rule (opt-out, suppression list, opt-in, invalid number, frequency cap) come as a skipped step with skipReason (SKIP_REASON of batch-events.js); already_sent is only for the chat-history checks
+ * @param {{ isOpen: function(Date): boolean, nextOpening: function(Date): Date|null }} [options.sendWindow] - Sending-window policy (see send-window.js). Checked before each send; when closed the run pauses until the next window opens, emitting window_closed / window_opened steps.
+ * @param {{ db: import('better-sqlite3').Database, id: number }} [options.campaign] - Campaign store (see campaign-store.js). Items carrying campaignItemId get their status, attempts and error recorded; the campaign is marked completed or stopped at the end. In A/B-tested campaigns each item is sent with its variant (ab-test.js).
+ * @param {boolean} [options.finishCampaign] - If false, leave the campaign status untouched at the end (used by the sender pool, which runs one item at a time).
+ * @param {string} [options.sender] - Session/profile name recorded on campaign items (per-session daily caps).
+ * @param {object} [options.adaptiveRate] - Adaptive send rate (see rate-controller.js: maxFactor, recoverAfter, cooldownMinMs, cooldownMaxMs). Delays grow on block-like errors, timeouts and verify failures and relax on healthy sends; every change is emitted as a rate_change step.
+ * @param {object} [options.rateController] - Existing controller from createRateController (the sender pool keeps one per session across runBatch calls); takes precedence over adaptiveRate.
+ * @param {object} [options.templateDefaults] - Default template variables (e.g. { broker }). Messages with {{variables}} or {a|b} spintax are rendered right before sending (see message-renderer.js); an item that cannot be rendered is recorded as failed without sending.
+ * @param {object} [options.retry] - Retry policy for transient failures (see retry-queue.js: maxRetries, baseDelayMs, maxDelayMs, factor). A failed item whose error is not permanent is recorded as "retry" and sent again after its backoff; without this option every failure is final. Items with retryCount/retryAt (resumed from the campaign store) wait for retryAt and skip the chat-history checks.
+ * @param {{ track: function(object): void, stop: function(): void }} [options.ackTracker] - From createAckTracker (delivery-receipts.js). With a campaign and no tracker, runBatch listens to the transport's acks itself for the length of the run; pass a long-lived one (e.g. in listen.js) to keep recording reads after the run.
+ * @param {{ get: function(string): ({ registered: string|null }|null) }} [options.numberChecks] - From createNumberCheckCache (number-check.js). Numbers cached as not on WhatsApp are skipped; the others are sent to the number WhatsApp has them registered under (with or without the 9).
+ * @param {{ check: function(string): ({ rule: string, reason: string }|null), recordSent: function(string, object=): void }} [options.frequencyCap] - From createFrequencyCap (frequency-cap.js). Checked before any chat lookup; a blocked item is skipped with the rule that blocked it. Every successful send is recorded in it.
+ * @param {{ has: function(string): boolean }} [options.optOuts] - Opt-out registry (createOptOutRegistry in opt-out-registry.js); defaults to the campaign database's. Checked as each item comes up, together with the item's optOut flag.
+ * @param {object} [options.control] - From createBatchControl (batch-control.js). Checked between items: a pause holds before the next send (steps paused / resumed), a stop ends the run after the current item (step stopping, stopReason "Stopped by operator") and cuts the waits short. Items not reached stay pending.
+ * @param {import('events').EventEmitter} [options.events] - Receives the typed events of the run (see batch-events.js): started, skipped (with a reason code), attempt, sent, verified, failed, cooldown, stopped, finished. startBatch creates one.
+ * @param {{ order?: string, hotLeadHours?: number }} [options.priority] - Lead-freshness order by item createdTime (see lead-priority.js: newest first and/or hot leads first); scheduled items still wait for their time. Sent results carry leadAgeMs, the lead age at send time.
+ * @param {boolean} [options.drainRetries] - If false, do not retry at the end of the run; scheduled items are returned in retryQueue instead (the sender pool puts them back in its queue). Default true.
+ * @returns {Promise<{ sent: number, failed: number, results: Array<{ contact: string, success: boolean, error?: string, retried?: number, retryCount?: number, retryScheduled?: boolean, alreadySent?: boolean, skippedSameDay?: boolean, skippedAlreadyReceived?: boolean, skippedFrequencyCap?: boolean, rule?: string }>, deadLetter: Array<object>, retryQueue: Array<object> }>} deadLetter: permanent failures and given-up retries (see buildDeadLetterEntry); retryQueue: items still waiting for a retry when the run ended;
+ *   metrics.timeline: one { at, contact, success, error?, blockLike? } per send attempt and metrics.cooldowns: { at, reason, cooldownMs } per pause (read by health-report.js); metrics.leadAge: lead ages at send time (summarizeLeadAges), null without createdTime
  */
 async function runBatch(client, items, options = {}) {
   const range = getBatchDelayRange();
@@ -474,7 +441,7 @@ async function runBatch(client, items, options = {}) {
   const onProgress = options.onProgress || (() => {});
   const onStep = options.onStep || (() => {});
   const skipVerify = options.skipVerify === true;
-  const useBrowserSend = options.useBrowserSend === true;
+  const transport = toTransport(client, { useBrowserSend: options.useBrowserSend === true });
   const skipIfEverSent = options.skipIfEverSent !== false;
   const skipIfSentToday = options.skipIfSentToday !== false;
   const checkAlreadySent = options.checkAlreadySent !== false;
@@ -486,94 +453,262 @@ async function runBatch(client, items, options = {}) {
   const stopFailRate = Number.isFinite(options.stopFailRate) ? options.stopFailRate : 0;
   const stopMinAttempts = Number.isFinite(options.stopMinAttempts) ? options.stopMinAttempts : 0;
   const stopBlockLikeCount = Number.isFinite(options.stopBlockLikeCount) ? options.stopBlockLikeCount : 0;
+  const campaign = options.campaign && options.campaign.db ? options.campaign : null;
+  const sendWindow = options.sendWindow || null;
+
+  const sender = options.sender || null;
+  const rate = options.rateController
+    || (options.adaptiveRate ? createRateController({ minDelayMs, maxDelayMs, ...options.adaptiveRate }) : null);
+  const rateHistoryStart = rate ? rate.history.length : 0;
+  const retryPolicy = options.retry ? normalizeRetryPolicy(options.retry) : null;
+  const ackTracker = options.ackTracker || (campaign ? createAckTracker(campaign.db, transport) : null);
+  const drainRetries = options.drainRetries !== false;
+  const numberChecks = options.numberChecks || null;
+  const frequencyCap = options.frequencyCap || null;
+  const control = options.control || null;
+  const events = options.events || null;
+  const emit = (event, payload) => {
+    if (events) events.emit(event, { at: new Date().toISOString(), ...payload });
+  };
+  const wait = (ms) => (control ? control.sleep(ms) : sleep(ms));
+  const unsubscribeControl = control
+    ? control.onChange((command) => {
+      if (command === 'stop') onStep({ type: 'stopping', reason: 'Parada solicitada: termina o item atual e encerra.' });
+    })
+    : null;
+  // Holds while paused; true when a stop was requested.
+  const holdForControl = async () => {
+    if (!control) return false;
+    if (control.isPaused()) {
+      onStep({ type: 'paused', reason: 'Envio pausado; aguardando retomada.' });
+      await control.waitUntilResumed();
+      if (!control.isStopping()) onStep({ type: 'resumed' });
+    }
+    return control.isStopping();
+  };
+  const optOuts = options.optOuts || (campaign ? createOptOutRegistry(campaign.db) : null);
+
+  function recordItem(item, update) {
+    if (!campaign || !item || item.campaignItemId == null) return;
+    updateItemStatus(campaign.db, item.campaignItemId, { ...update, sender });
+  }
 
   const results = [];
   let sent = 0;
   let failed = 0;
   const total = items.length;
   let attempts = 0;
+  let failedAttempts = 0;
   let blockLikeErrors = 0;
-  // #region agent log
-  debugLog({sessionId:'386a07',location:'batch-sender.js:runBatch:entry',message:'runBatch started',data:{total,skipIfEverSent,useBrowserSend},timestamp:Date.now(),hypothesisId:'H4'});
-  // #endregion
+  const retryQueue = [];
+  // Result slot of an item scheduled for a retry, so the retry outcome replaces it (one result per item).
+  const retrySlots = new Map();
+  const retry = { scheduled: 0, succeeded: 0, gaveUp: 0 };
+  const deadLetter = [];
+  const startedAt = new Date().toISOString();
+  const timeline = [];
+  const cooldowns = [];
+  const pause = (reason, cooldownMs) => {
+    onStep({ type: 'cooldown', reason, cooldownMs });
+    emit(BATCH_EVENT.COOLDOWN, { reason, cooldownMs });
+    cooldowns.push({ at: new Date().toISOString(), reason, cooldownMs });
+    return wait(cooldownMs);
+  };
+  log.debug('runBatch started', { total, skipIfEverSent, transport: transport.name });
   let stoppedEarly = false;
   let stopReason = '';
   let processedCount = 0;
+  let windowPauses = 0;
+  let templateErrors = 0;
   const skipped = {
     optOut: 0,
     missingConsent: 0,
     suppressionList: 0,
     alreadyReceived: 0,
     sentToday: 0,
+    invalidNumber: 0,
+    frequencyCap: 0,
+    expired: 0,
+  };
+  // Due time, not file order, decides who goes next; unscheduled items keep their (priority) order, first.
+  const queue = orderBySchedule(options.priority ? orderByPriority(items, options.priority) : items);
+  const expire = (item, contactId) => {
+    const { notAfter } = getItemSchedule(item);
+    const reason = `Prazo do item (notAfter ${notAfter.toISOString()}) vencido; não enviado.`;
+    skipped.expired++;
+    results.push({ contact: contactId, success: true, expired: true });
+    recordItem(item, { status: ITEM_STATUS.EXPIRED, skipReason: SKIP_REASON.EXPIRED });
+    onStep({ type: 'expired', contactId, notAfter: notAfter.toISOString(), reason });
+    emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.EXPIRED, notAfter: notAfter.toISOString(), message: reason });
+  };
+  // Checked when an item comes up and again after its waits (an item may be held for hours).
+  const skipIfOptedOut = (item, contactId) => {
+    if (item.optOut !== true && item.unsubscribed !== true && !(optOuts != null && optOuts.has(contactId))) return false;
+    skipped.optOut++;
+    results.push({ contact: contactId, success: true, skippedOptOut: true });
+    recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.OPT_OUT });
+    onStep({ type: 'skipped', contactId, skipReason: SKIP_REASON.OPT_OUT, reason: 'Contato marcado como opt-out; ignorado.' });
+    emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.OPT_OUT, message: 'Contato marcado como opt-out; ignorado.' });
+    return true;
   };
+  const skipIfCapped = (item, contactId) => {
+    const capped = frequencyCap ? frequencyCap.check(contactId) : null;
+    if (!capped) return false;
+    skipped.frequencyCap++;
+    results.push({ contact: contactId, success: true, skippedFrequencyCap: true, rule: capped.rule });
+    recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: `${SKIP_REASON.FREQUENCY_CAP}:${capped.rule}` });
+    onStep({ type: 'skipped', contactId, skipReason: SKIP_REASON.FREQUENCY_CAP, rule: capped.rule, reason: capped.reason });
+    emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.FREQUENCY_CAP, rule: capped.rule, message: capped.reason });
+    return true;
+  };
+  emit(BATCH_EVENT.STARTED, { total, ...(campaign && { campaignId: campaign.id }) });
 
-  for (let i = 0; i < total; i++) {
+  // Batch items first, then (when draining) the retry queue, earliest due first.
+  for (let i = 0; i < total || (drainRetries && retryQueue.length > 0); i++) {
     if (maxPerRun > 0 && processedCount >= maxPerRun) {
       stoppedEarly = true;
       stopReason = `Stopped by maxPerRun limit (${maxPerRun}).`;
       break;
     }
+    if (await holdForControl()) {
+      stoppedEarly = true;
+      stopReason = STOPPED_BY_OPERATOR;
+      break;
+    }
 
-    const { contact, message } = items[i];
-    const optIn = items[i] && (items[i].optIn === true || items[i].consented === true || items[i].hasConsent === true);
-    const optedOut = items[i] && (items[i].optOut === true || items[i].unsubscribed === true);
-    const suppressed = items[i] && items[i].suppressed === true;
+    const draining = i >= total;
+    if (draining) retryQueue.sort((a, b) => Date.parse(a.retryAt) - Date.parse(b.retryAt));
+    const item = draining ? retryQueue.shift() : queue[i];
+    const isRetry = item.retryCount > 0;
+    const { contact, media } = item;
+    const optIn = item.optIn === true || item.consented === true || item.hasConsent === true;
+    const suppressed = item.suppressed === true;
     const contactId = normalizeContactId(contact);
-    // #region agent log
-    debugLog({sessionId:'386a07',location:'batch-sender.js:runBatch:contact',message:'raw and normalized contact',data:{rawContact:contact,contactId,index:i},timestamp:Date.now(),hypothesisId:'H4'});
-    // #endregion
-
-    if (optedOut) {
-      skipped.optOut++;
-      results.push({ contact: contactId, success: true, skippedOptOut: true });
-      onStep({ type: 'already_sent', contactId, reason: 'Contato marcado como opt-out; ignorado.' });
-      continue;
-    }
+    log.debug('runBatch: contact', { rawContact: contact, contactId, index: i });
+
+    if (skipIfOptedOut(item, contactId)) continue;
     if (suppressed) {
       skipped.suppressionList++;
       results.push({ contact: contactId, success: true, skippedSuppressionList: true });
-      onStep({ type: 'already_sent', contactId, reason: 'Contato presente na lista de supressão; ignorado.' });
+      recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.SUPPRESSION_LIST });
+      onStep({ type: 'skipped', contactId, skipReason: SKIP_REASON.SUPPRESSION_LIST, reason: 'Contato presente na lista de supressão; ignorado.' });
+      emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.SUPPRESSION_LIST, message: 'Contato presente na lista de supressão; ignorado.' });
       continue;
     }
     if (requireOptIn && !optIn) {
       skipped.missingConsent++;
       results.push({ contact: contactId, success: true, skippedMissingConsent: true });
-      onStep({ type: 'already_sent', contactId, reason: 'Contato sem consentimento explícito (opt-in); ignorado.' });
+      recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.MISSING_CONSENT });
+      onStep({ type: 'skipped', contactId, skipReason: SKIP_REASON.MISSING_CONSENT, reason: 'Contato sem consentimento explícito (opt-in); ignorado.' });
+      emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.MISSING_CONSENT, message: 'Contato sem consentimento explícito (opt-in); ignorado.' });
+      continue;
+    }
+    const numberCheck = numberChecks ? numberChecks.get(contactId) : null;
+    if (numberCheck && !numberCheck.registered) {
+      skipped.invalidNumber++;
+      results.push({ contact: contactId, success: true, skippedInvalidNumber: true });
+      recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.INVALID_NUMBER });
+      onStep({ type: 'skipped', contactId, skipReason: SKIP_REASON.INVALID_NUMBER, reason: 'Número não está no WhatsApp (validate-numbers); ignorado.' });
+      emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.INVALID_NUMBER, message: 'Número não está no WhatsApp (validate-numbers); ignorado.' });
+      continue;
+    }
+    if (isItemExpired(item)) {
+      expire(item, contactId);
       continue;
     }
+    if (skipIfCapped(item, contactId)) continue;
+    // The item keeps its normalized number (results, campaign recipient); only the send goes to the registered one.
+    const sendTo = numberCheck && numberCheck.registered !== contactDigits(contactId) ? `${numberCheck.registered}@c.us` : contactId;
+
+    const delayRange = rate ? rate.getDelayRange() : { minMs: minDelayMs, maxMs: maxDelayMs };
+    const delay = randomDelayMs(delayRange.minMs, delayRange.maxMs);
+    await wait(delay);
+
+    const retryWaitMs = isRetry && item.retryAt ? Math.max(0, Date.parse(item.retryAt) - Date.now()) : 0;
+    if (retryWaitMs > 0) {
+      onStep({ type: 'retry_wait', contactId, retry: item.retryCount, retryAt: item.retryAt, waitMs: retryWaitMs });
+      await wait(retryWaitMs);
+    }
+
+    const scheduleWaitMs = getItemWaitMs(item);
+    if (scheduleWaitMs > 0) {
+      onStep({ type: 'schedule_wait', contactId, dueAt: getItemSchedule(item).dueAt.toISOString(), waitMs: scheduleWaitMs });
+      await wait(scheduleWaitMs);
+    }
+
+    if (sendWindow && !sendWindow.isOpen(new Date())) {
+      const opensAt = sendWindow.nextOpening(new Date());
+      if (!opensAt) {
+        stoppedEarly = true;
+        stopReason = 'Stopped: no upcoming sending window (check BATCH_SEND_WINDOWS and holidays).';
+        break;
+      }
+      const waitMs = Math.max(0, opensAt.getTime() - Date.now());
+      windowPauses++;
+      onStep({
+        type: 'window_closed',
+        contactId,
+        opensAt: opensAt.toISOString(),
+        waitMs,
+        reason: 'Fora da janela de envio; aguardando a próxima abertura.',
+      });
+      await wait(waitMs);
+      if (!control || !control.isStopping()) onStep({ type: 'window_opened', contactId });
+    }
 
-    const delay = randomDelayMs(minDelayMs, maxDelayMs);
-    await sleep(delay);
+    // A pause or stop that came during the waits applies before this item is sent.
+    if (await holdForControl()) {
+      if (draining) retryQueue.unshift(item);
+      stoppedEarly = true;
+      stopReason = STOPPED_BY_OPERATOR;
+      break;
+    }
+    // The waits (schedule, sending window) may have run past the deadline, and the contact may have
+    // opted out, replied or reached the cap meanwhile.
+    if (skipIfOptedOut(item, contactId)) continue;
+    if (isItemExpired(item)) {
+      expire(item, contactId);
+      continue;
+    }
+    if (skipIfCapped(item, contactId)) continue;
 
-    onProgress(i + 1, total, contactId);
-    onStep({ type: 'contact_start', contactId, current: i + 1, total, delayMs: delay });
+    if (draining) {
+      onStep({ type: 'retry_start', contactId, retry: item.retryCount, maxRetries: retryPolicy.maxRetries, delayMs: delay });
+    } else {
+      onProgress(i + 1, total, contactId);
+      onStep({ type: 'contact_start', contactId, current: i + 1, total, delayMs: delay, ...(isRetry && { retry: item.retryCount }) });
+    }
+    if (sendTo !== contactId) onStep({ type: 'number_corrected', contactId, sendTo });
 
     let resolvedId;
-    if (skipIfEverSent || skipIfSentToday) {
+    if (!isRetry && (skipIfEverSent || skipIfSentToday)) {
       try {
-        resolvedId = await resolveChatId(client, contactId);
+        resolvedId = await transport.resolveRecipient(sendTo);
       } catch (e) {
-        // #region agent log
-        debugLog({sessionId:'386a07',location:'batch-sender.js:runBatch:resolveChatId-throw',message:'resolveChatId threw (skipIfEverSent path)',data:{contactId,error:String(e&&e.message)},timestamp:Date.now(),hypothesisId:'H2'});
-        // #endregion
+        log.debug('runBatch: resolveRecipient threw', { contactId, error: e && e.message });
         throw e;
       }
     }
 
-    if (skipIfEverSent) {
-      const lastFromMe = await getLastMessageFromMe(client, resolvedId);
-      if (lastFromMe != null && lastFromMe !== '') {
+    if (isRetry) {
+      // The first attempt already passed the history checks; a message from that attempt that did
+      // reach the chat is caught by checkAlreadySent in sendAndVerify.
+    } else if (skipIfEverSent) {
+      const lastFromMe = await transport.fetchLastOutgoing(resolvedId);
+      if (lastFromMe && (lastFromMe.body !== '' || lastFromMe.hasMedia)) {
         onStep({
           type: 'already_sent',
           contactId,
           reason: 'Contato já recebeu mensagem anteriormente; ignorado (apenas quem ainda não recebeu).',
         });
         results.push({ contact: contactId, success: true, skippedAlreadyReceived: true });
+        recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.ALREADY_RECEIVED });
+        emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.ALREADY_RECEIVED });
         skipped.alreadyReceived++;
         continue;
       }
     } else if (skipIfSentToday) {
-      const lastFromMe = await getLastMessageFromMeWithDate(client, resolvedId);
+      const lastFromMe = await transport.fetchLastOutgoing(resolvedId);
       if (lastFromMe && isTodayUnix(lastFromMe.timestamp)) {
         onStep({
           type: 'already_sent',
@@ -581,16 +716,39 @@ async function runBatch(client, items, options = {}) {
           reason: 'Última mensagem já enviada hoje; ignorado (um envio por contato por dia).',
         });
         results.push({ contact: contactId, success: true, skippedSameDay: true });
+        recordItem(item, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.SENT_TODAY });
+        emit(BATCH_EVENT.SKIPPED, { contact: contactId, reason: SKIP_REASON.SENT_TODAY });
         skipped.sentToday++;
         continue;
       }
     }
 
+    // A/B-tested campaigns: the variant is picked only now, so skipped items do not count for any variant.
+    const variant = campaign ? assignVariant(campaign.db, campaign.id, item) : null;
+    const message = variant ? applyVariantText(item.message, variant.body) : item.message;
+    let text = message;
+    if (hasTemplateSyntax(message)) {
+      try {
+        text = renderMessage(message, item, { defaults: options.templateDefaults });
+      } catch (err) {
+        templateErrors++;
+        failed++;
+        results.push({ contact: contactId, success: false, error: err.message });
+        recordItem(item, { status: ITEM_STATUS.FAILED, error: err.message });
+        deadLetter.push(buildDeadLetterEntry(item, { contactId, error: err.message, reason: DEAD_LETTER_REASON.TEMPLATE }));
+        onStep({ type: 'send_fail', contactId, attempt: 0, error: err.message });
+        emit(BATCH_EVENT.FAILED, { contact: contactId, error: err.message, reason: DEAD_LETTER_REASON.TEMPLATE, attempted: false, retryScheduled: false });
+        continue;
+      }
+    }
+
     attempts++;
+    emit(BATCH_EVENT.ATTEMPT, { contact: contactId, attempt: attempts, ...(sendTo !== contactId && { sendTo }), ...(isRetry && { retryCount: item.retryCount }), ...(variant && { variant: variant.name }) });
     let result;
-    if (useBrowserSend) {
+    let verifyFailures = 0;
+    if (transport.verifiesOnSend) {
       onStep({ type: 'attempt_start', contactId, attempt: 0, maxAttempts: 1 });
-      result = await sendViaBrowser(client, contactId, message, sendTimeoutMs);
+      result = await sendOnce(transport, sendTo, text, sendTimeoutMs, media);
       if (result.success) {
         onStep({ type: 'send_ok', contactId, attempt: 0 });
         await sleep(2500);
@@ -598,73 +756,168 @@ async function runBatch(client, items, options = {}) {
         onStep({ type: 'send_fail', contactId, attempt: 0, error: result.error });
       }
     } else if (skipVerify) {
-      result = await sendOnce(client, contactId, message, sendTimeoutMs);
+      result = await sendOnce(transport, sendTo, text, sendTimeoutMs, media);
     } else {
-      result = await sendAndVerify(client, contactId, message, {
+      result = await sendAndVerify(transport, sendTo, text, {
         sendTimeoutMs,
         verifyDelayMs: options.verifyDelayMs,
         maxVerifyRetries: options.maxVerifyRetries,
         checkAlreadySent,
-        onStep,
+        media,
+        onStep: (step) => {
+          if (step.type === 'verify_fail') verifyFailures++;
+          onStep(step);
+        },
       });
     }
 
+    const setResult = (r) => {
+      if (retrySlots.has(item)) results[retrySlots.get(item)] = r;
+      else results.push(r);
+    };
     if (result.success) {
-      results.push({
+      const leadAgeMs = getLeadAgeMs(item);
+      setResult({
         contact: contactId,
         success: true,
         ...(result.retried != null && result.retried > 0 && { retried: result.retried }),
+        ...(isRetry && { retryCount: item.retryCount }),
         ...(result.alreadySent && { alreadySent: true }),
+        ...(variant && { variant: variant.name }),
+        ...(leadAgeMs != null && { leadAgeMs }),
       });
+      const verified = !transport.verifiesOnSend && !skipVerify;
+      recordItem(item, {
+        status: verified ? ITEM_STATUS.VERIFIED : ITEM_STATUS.SENT,
+        attempted: true,
+        recipient: contactDigits(contactId),
+        sentAt: new Date().toISOString(),
+      });
+      if (frequencyCap) frequencyCap.recordSent(contactId, { source: campaign ? `campaign:${campaign.id}` : 'batch' });
+      if (ackTracker && campaign && item.campaignItemId != null && result.messageIds) {
+        ackTracker.track({ campaignId: campaign.id, campaignItemId: item.campaignItemId, messageIds: result.messageIds });
+      }
       sent++;
+      if (isRetry) retry.succeeded++;
+      timeline.push({ at: new Date().toISOString(), contact: contactId, success: true });
+      emit(BATCH_EVENT.SENT, {
+        contact: contactId,
+        ...(isRetry && { retryCount: item.retryCount }),
+        ...(result.alreadySent && { alreadySent: true }),
+        ...(variant && { variant: variant.name }),
+        ...(leadAgeMs != null && { leadAgeMs }),
+      });
+      if (verified) emit(BATCH_EVENT.VERIFIED, { contact: contactId });
     } else {
-      results.push({ contact: contactId, success: false, error: result.error });
-      failed++;
-      if (isBlockLikeError(result.error)) blockLikeErrors++;
+      failedAttempts++;
+      const blockLike = isBlockLikeError(result.error);
+      if (blockLike) blockLikeErrors++;
+      timeline.push({ at: new Date().toISOString(), contact: contactId, success: false, error: result.error, ...(blockLike && { blockLike }) });
+      const { retryItem, deadLetterReason } = planRetry(item, {
+        permanent: isPermanentSendError(result.error),
+        policy: retryPolicy,
+      });
+      if (retryItem) {
+        setResult({ contact: contactId, success: false, error: result.error, retryScheduled: true, retryCount: item.retryCount || 0 });
+        retrySlots.set(retryItem, retrySlots.has(item) ? retrySlots.get(item) : results.length - 1);
+        retryQueue.push(retryItem);
+        retry.scheduled++;
+        recordItem(item, {
+          status: ITEM_STATUS.RETRY,
+          error: result.error,
+          attempted: true,
+          retryCount: retryItem.retryCount,
+          retryAt: retryItem.retryAt,
+        });
+        onStep({ type: 'retry_scheduled', contactId, retry: retryItem.retryCount, retryAt: retryItem.retryAt, error: result.error });
+        emit(BATCH_EVENT.FAILED, { contact: contactId, error: result.error, blockLike, retryScheduled: true, retryAt: retryItem.retryAt });
+      } else {
+        setResult({ contact: contactId, success: false, error: result.error, ...(isRetry && { retryCount: item.retryCount }) });
+        recordItem(item, { status: ITEM_STATUS.FAILED, error: result.error, attempted: true });
+        deadLetter.push(buildDeadLetterEntry(item, { contactId, error: result.error, reason: deadLetterReason }));
+        failed++;
+        if (isRetry) retry.gaveUp++;
+        emit(BATCH_EVENT.FAILED, { contact: contactId, error: result.error, blockLike, retryScheduled: false, reason: deadLetterReason });
+      }
     }
     processedCount++;
 
-    if (cooldownEvery > 0 && processedCount > 0 && processedCount % cooldownEvery === 0) {
-      const coolMs = randomDelayMs(Math.max(0, cooldownMinMs), Math.max(cooldownMinMs, cooldownMaxMs));
-      onStep({ type: 'cooldown', reason: `Cooldown após ${processedCount} envios processados.`, cooldownMs: coolMs });
-      await sleep(coolMs);
+    if (rate) {
+      const rateChange = rate.record(classifySendOutcome(result, verifyFailures));
+      if (rateChange) onStep({ ...rateChange, contactId });
+      const extraCooldownMs = rate.takeCooldown();
+      if (extraCooldownMs > 0) await pause('Cooldown extra: ritmo reduzido após erros.', extraCooldownMs);
     }
 
-    if (
-      stopFailRate > 0 &&
-      stopMinAttempts > 0 &&
-      attempts >= stopMinAttempts &&
-      failed / attempts >= stopFailRate
-    ) {
-      stoppedEarly = true;
-      stopReason = `Stopped by fail-rate guardrail (${(failed / attempts * 100).toFixed(1)}% >= ${(stopFailRate * 100).toFixed(1)}%).`;
-      break;
+    if (cooldownEvery > 0 && processedCount > 0 && processedCount % cooldownEvery === 0) {
+      const coolMs = randomDelayMs(Math.max(0, cooldownMinMs), Math.max(cooldownMinMs, cooldownMaxMs));
+      await pause(`Cooldown após ${processedCount} envios processados.`, coolMs);
     }
 
-    if (stopBlockLikeCount > 0 && blockLikeErrors >= stopBlockLikeCount) {
+    // Counts every failed attempt (also those queued for a retry); template errors are
+    // batch-content problems, not a sign of an unhealthy number.
+    const guardrailReason = getGuardrailStopReason(
+      { attempts, failed: failedAttempts, blockLikeErrors },
+      { stopFailRate, stopMinAttempts, stopBlockLikeCount }
+    );
+    if (guardrailReason) {
       stoppedEarly = true;
-      stopReason = `Stopped by block-like errors guardrail (${blockLikeErrors}/${stopBlockLikeCount}).`;
+      stopReason = guardrailReason;
       break;
     }
   }
 
+  if (unsubscribeControl) unsubscribeControl();
+  if (stoppedEarly) emit(BATCH_EVENT.STOPPED, { reason: stopReason });
+  emit(BATCH_EVENT.FINISHED, { sent, failed, attempts, pendingRetries: retryQueue.length });
+  if (campaign && options.finishCampaign !== false) finishCampaign(campaign.db, campaign.id);
+  if (ackTracker && !options.ackTracker) ackTracker.stop();
+
   return {
     sent,
     failed,
     results,
     metrics: {
+      startedAt,
+      finishedAt: new Date().toISOString(),
       totalItems: total,
       attempts,
       processedCount,
-      failRate: attempts > 0 ? failed / attempts : 0,
+      failedAttempts,
+      failRate: attempts > 0 ? failedAttempts / attempts : 0,
       blockLikeErrors,
+      windowPauses,
+      templateErrors,
+      rateFactor: rate ? rate.factor : 1,
+      rateChanges: rate ? rate.history.slice(rateHistoryStart) : [],
+      retry: { ...retry, pending: retryQueue.length },
       skipped,
+      timeline,
+      cooldowns,
+      leadAge: summarizeLeadAges(results),
     },
+    deadLetter,
+    retryQueue,
     stoppedEarly,
     stopReason,
   };
 }
 
+/**
+ * runBatch as an event emitter: returns at once with the typed events of the run (see batch-events.js)
+ * and a done promise with runBatch's result. The run starts on the next tick, so listeners attached
+ * right after the call see every event.
+ * @param {Client|import('./transports').Transport} client
+ * @param {Array<object>} items
+ * @param {object} [options] - Same as runBatch (options.events is replaced)
+ * @returns {EventEmitter & { done: Promise<object> }}
+ */
+function startBatch(client, items, options = {}) {
+  const events = new EventEmitter();
+  events.done = new Promise((resolve) => setImmediate(resolve)).then(() => runBatch(client, items, { ...options, events }));
+  return events;
+}
+
 module.exports = {
   randomDelayMs,
   sleep,
@@ -672,18 +925,23 @@ module.exports = {
   ensureBrazilian13Digits,
   normalizeContactWithFix,
   normalizeContactId,
-  contactDigits,
   resolveChatId,
   isNoLidError,
   getLastMessageFromMe,
   getLastMessageFromMeWithDate,
   isTodayUnix,
+  buildSendParts,
+  lastMessageMatchesPart,
   isPermanentSendError,
   isBlockLikeError,
+  getGuardrailStopReason,
+  STOPPED_BY_OPERATOR,
+  classifySendOutcome,
   sendViaBrowser,
   sendOnce,
   sendAndVerify,
   runBatch,
+  startBatch,
   VERIFY_DELAY_MS,
   DEFAULT_MAX_VERIFY_RETRIES,
 };
@@ -0,0 +1,243 @@
+/**
+ * Persistent campaign store on top of db.js. Each batch run is a campaign; each batch
+ * item is a campaign_items row with its status (pending, retry, skipped, sent, verified, failed),
+ * attempts and error text. Items in "retry" failed with a transient error and wait for their
+ * backoff (retry_at, see retry-queue.js); they are resumed together with the pending ones. The original batch JSON is copied into the store and never
+ * rewritten, so an interrupted run can be resumed with only the pending items.
+ */
+const fs = require('fs');
+const path = require('path');
+const { openDb, initSchema, DEFAULT_DB_PATH } = require('./db');
+const { saveCampaignVariants } = require('./ab-test');
+
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  RETRY: 'retry',
+  SKIPPED: 'skipped',
+  SENT: 'sent',
+  VERIFIED: 'verified',
+  FAILED: 'failed',
+  /** notAfter of the item passed before it could be sent (see batch-schedule.js). */
+  EXPIRED: 'expired',
+};
+
+const CAMPAIGN_STATUS = {
+  RUNNING: 'running',
+  STOPPED: 'stopped',
+  COMPLETED: 'completed',
+};
+
+/**
+ * Open the SQLite database (creating its directory) and ensure the schema exists.
+ * @param {string} [dbPath]
+ * @returns {import('better-sqlite3').Database}
+ */
+function openCampaignDb(dbPath = DEFAULT_DB_PATH) {
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = openDb(dbPath);
+  initSchema(db);
+  return db;
+}
+
+/**
+ * Create a campaign and one pending row per batch item.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ name?: string, batchPath?: string, items: Array<object>, variants?: Array<object>, variantMode?: string }} params - variants: from resolveVariants (ab-test.js), makes the campaign an A/B test
+ * @returns {number} campaign id
+ */
+function createCampaign(db, { name, batchPath, items, variants, variantMode }) {
+  const insertCampaign = db.prepare(
+    'INSERT INTO campaigns (name, batch_path, status, total_items) VALUES (?, ?, ?, ?)'
+  );
+  const insertItem = db.prepare(
+    'INSERT INTO campaign_items (campaign_id, item_index, contact, payload) VALUES (?, ?, ?, ?)'
+  );
+  const create = db.transaction(() => {
+    const campaignName = name || (batchPath ? path.basename(batchPath) : 'campaign');
+    const info = insertCampaign.run(campaignName, batchPath || null, CAMPAIGN_STATUS.RUNNING, items.length);
+    const campaignId = Number(info.lastInsertRowid);
+    items.forEach((item, index) => {
+      const { suppressed, ...payload } = item || {};
+      insertItem.run(campaignId, index, String((item && item.contact) || ''), JSON.stringify(payload));
+    });
+    saveCampaignVariants(db, campaignId, variants, variantMode);
+    return campaignId;
+  });
+  return create();
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {{ id: number, name: string, batchPath: string|null, status: string, totalItems: number, createdAt: string, updatedAt: string }|null}
+ */
+function getCampaign(db, campaignId) {
+  const row = db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    batchPath: row.batch_path,
+    status: row.status,
+    totalItems: row.total_items,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @param {string} status - One of CAMPAIGN_STATUS
+ */
+function setCampaignStatus(db, campaignId, status) {
+  db.prepare("UPDATE campaigns SET status = ?, updated_at = datetime('now') WHERE id = ?").run(status, campaignId);
+}
+
+/**
+ * Load the items that still have to be processed (pending or waiting for a retry), in original batch order.
+ * Each returned item is the original batch payload plus campaignItemId (row id); items waiting
+ * for a retry also carry retryCount and retryAt.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {Array<object>}
+ */
+function getPendingItems(db, campaignId) {
+  const rows = db
+    .prepare(
+      `SELECT id, payload, status, retry_count, retry_at FROM campaign_items
+        WHERE campaign_id = ? AND status IN (?, ?) ORDER BY item_index`
+    )
+    .all(campaignId, ITEM_STATUS.PENDING, ITEM_STATUS.RETRY);
+  return rows.map((r) => ({
+    ...JSON.parse(r.payload),
+    campaignItemId: r.id,
+    ...(r.status === ITEM_STATUS.RETRY && { retryCount: r.retry_count, retryAt: r.retry_at }),
+  }));
+}
+
+/**
+ * Status of every item of a campaign, in batch order (e.g. to act on each outcome after a run).
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {Array<{ id: number, itemIndex: number, contact: string, status: string, skipReason: string|null, error: string|null, sentAt: string|null }>}
+ */
+function getItemOutcomes(db, campaignId) {
+  return db
+    .prepare(
+      `SELECT id, item_index AS itemIndex, contact, status, skip_reason AS skipReason, error, sent_at AS sentAt
+         FROM campaign_items WHERE campaign_id = ? ORDER BY item_index`
+    )
+    .all(campaignId);
+}
+
+/**
+ * Record the outcome of one item.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignItemId
+ * @param {{ status: string, error?: string, skipReason?: string, attempted?: boolean, sender?: string, retryCount?: number, retryAt?: string, recipient?: string, sentAt?: string }} update - retryCount/retryAt: set when status is retry; recipient (digits of the number messaged) and sentAt (ISO): set when sent, used for reply attribution
+ */
+function updateItemStatus(db, campaignItemId, { status, error, skipReason, attempted, sender, retryCount, retryAt, recipient, sentAt }) {
+  db.prepare(
+    `UPDATE campaign_items
+       SET status = ?, error = ?, skip_reason = ?, attempts = attempts + ?, sender = COALESCE(?, sender),
+           retry_count = COALESCE(?, retry_count), retry_at = ?, recipient = COALESCE(?, recipient),
+           sent_at = COALESCE(?, sent_at), updated_at = datetime('now')
+     WHERE id = ?`
+  ).run(
+    status,
+    error || null,
+    skipReason || null,
+    attempted ? 1 : 0,
+    sender || null,
+    Number.isInteger(retryCount) ? retryCount : null,
+    retryAt || null,
+    recipient || null,
+    sentAt || null,
+    campaignItemId
+  );
+}
+
+/**
+ * Count messages a sender (session/profile) delivered today, across all campaigns (local date).
+ * Used for per-session daily caps.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} sender
+ * @returns {number}
+ */
+function countSentTodayBySender(db, sender) {
+  const row = db
+    .prepare(
+      `SELECT COUNT(*) AS n FROM campaign_items
+        WHERE sender = ? AND status IN (?, ?)
+          AND date(updated_at, 'localtime') = date('now', 'localtime')`
+    )
+    .get(sender, ITEM_STATUS.SENT, ITEM_STATUS.VERIFIED);
+  return row.n;
+}
+
+/**
+ * Count items per status.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {{ pending: number, retry: number, skipped: number, sent: number, verified: number, failed: number, expired: number }}
+ */
+function getCampaignCounts(db, campaignId) {
+  const counts = { pending: 0, retry: 0, skipped: 0, sent: 0, verified: 0, failed: 0, expired: 0 };
+  const rows = db
+    .prepare('SELECT status, COUNT(*) AS n FROM campaign_items WHERE campaign_id = ? GROUP BY status')
+    .all(campaignId);
+  rows.forEach((r) => {
+    counts[r.status] = r.n;
+  });
+  return counts;
+}
+
+/**
+ * How retried items ended up: delivered after at least one retry, given up (failed after
+ * retrying), or still waiting for the next retry.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {{ retriedSucceeded: number, gaveUp: number, waiting: number }}
+ */
+function getRetrySummary(db, campaignId) {
+  const row = db
+    .prepare(
+      `SELECT
+         SUM(CASE WHEN status IN (?, ?) AND retry_count > 0 THEN 1 ELSE 0 END) AS retriedSucceeded,
+         SUM(CASE WHEN status = ? AND retry_count > 0 THEN 1 ELSE 0 END) AS gaveUp,
+         SUM(CASE WHEN status = ? THEN 1 ELSE 0 END) AS waiting
+       FROM campaign_items WHERE campaign_id = ?`
+    )
+    .get(ITEM_STATUS.SENT, ITEM_STATUS.VERIFIED, ITEM_STATUS.FAILED, ITEM_STATUS.RETRY, campaignId);
+  return { retriedSucceeded: row.retriedSucceeded || 0, gaveUp: row.gaveUp || 0, waiting: row.waiting || 0 };
+}
+
+/**
+ * Mark the campaign completed when no pending (or retry) items remain, otherwise stopped (resumable).
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @returns {string} the new status
+ */
+function finishCampaign(db, campaignId) {
+  const { pending, retry } = getCampaignCounts(db, campaignId);
+  const status = pending + retry > 0 ? CAMPAIGN_STATUS.STOPPED : CAMPAIGN_STATUS.COMPLETED;
+  setCampaignStatus(db, campaignId, status);
+  return status;
+}
+
+module.exports = {
+  ITEM_STATUS,
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  setCampaignStatus,
+  getPendingItems,
+  getItemOutcomes,
+  updateItemStatus,
+  countSentTodayBySender,
+  getCampaignCounts,
+  getRetrySummary,
+  finishCampaign,
+};
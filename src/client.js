@@ -5,10 +5,11 @@ const { getAuthDataPath, getSessionClientId, getPuppeteerExecutablePath } = requ
  * Creates a WhatsApp client with persistent session.
  * Same SESSION_ID (e.g. same phone/user) reuses stored auth and does not require QR scan every time.
  * @param {object} [options] - Optional puppeteer/device options
+ * @param {string} [options.clientId] - Session id to use instead of SESSION_ID (e.g. one per profile in the sender pool)
  * @returns {Client}
  */
 function createClient(options = {}) {
-  const clientId = getSessionClientId();
+  const clientId = options.clientId || getSessionClientId();
   const dataPath = getAuthDataPath();
   const executablePath = getPuppeteerExecutablePath();
 
@@ -12,6 +12,8 @@ const BATCH_SEND_TIMEOUT_MS = parseInt(process.env.BATCH_SEND_TIMEOUT_MS || '150
 const BATCH_SKIP_IF_EVER_SENT = process.env.BATCH_SKIP_IF_EVER_SENT === 'true';
 const BATCH_REQUIRE_OPT_IN = process.env.BATCH_REQUIRE_OPT_IN === 'true';
 const BATCH_SUPPRESSION_FILE = (process.env.BATCH_SUPPRESSION_FILE || '').trim();
+/** Default column mapping of CSV batch files (batch-csv.js), e.g. "phone=Telefone 1,name=Nome,message=Mensagem"; --columns overrides it. */
+const BATCH_CSV_COLUMNS = (process.env.BATCH_CSV_COLUMNS || '').trim();
 const BATCH_MAX_PER_RUN = parseInt(process.env.BATCH_MAX_PER_RUN || '0', 10);
 const BATCH_COOLDOWN_EVERY = parseInt(process.env.BATCH_COOLDOWN_EVERY || '0', 10);
 const BATCH_COOLDOWN_MIN_MS = parseInt(process.env.BATCH_COOLDOWN_MIN_MS || '90000', 10);
@@ -19,12 +21,54 @@ const BATCH_COOLDOWN_MAX_MS = parseInt(process.env.BATCH_COOLDOWN_MAX_MS || '180
 const BATCH_STOP_FAIL_RATE = parseFloat(process.env.BATCH_STOP_FAIL_RATE || '0.25');
 const BATCH_STOP_MIN_ATTEMPTS = parseInt(process.env.BATCH_STOP_MIN_ATTEMPTS || '20', 10);
 const BATCH_BLOCKLIKE_STOP_COUNT = parseInt(process.env.BATCH_BLOCKLIKE_STOP_COUNT || '5', 10);
+/** Adaptive send rate (rate-controller.js): slow down on errors, relax on healthy sends. Default on; 'false' disables. */
+const BATCH_ADAPTIVE_RATE = process.env.BATCH_ADAPTIVE_RATE !== 'false';
+const BATCH_ADAPTIVE_MAX_FACTOR = parseFloat(process.env.BATCH_ADAPTIVE_MAX_FACTOR || '4');
+const BATCH_ADAPTIVE_RECOVER_AFTER = parseInt(process.env.BATCH_ADAPTIVE_RECOVER_AFTER || '5', 10);
+/** Retry queue for transient send failures (retry-queue.js): retries per item and exponential backoff. 0 retries = every failure is final. */
+const BATCH_RETRY_MAX = parseInt(process.env.BATCH_RETRY_MAX || '2', 10);
+const BATCH_RETRY_BASE_MS = parseInt(process.env.BATCH_RETRY_BASE_MS || '60000', 10);
+const BATCH_RETRY_MAX_DELAY_MS = parseInt(process.env.BATCH_RETRY_MAX_DELAY_MS || '900000', 10);
+/** Lead freshness (lead-priority.js): send order by createdTime ("file" or "newest") and leads moved ahead when at most this many hours old (0 = off). */
+const BATCH_LEAD_ORDER = (process.env.BATCH_LEAD_ORDER || 'file').trim().toLowerCase();
+const BATCH_HOT_LEAD_HOURS = parseFloat(process.env.BATCH_HOT_LEAD_HOURS || '0');
+/** Delivery report: messages still at a single tick (not delivered) after this many hours are flagged as likely invalid. */
+const BATCH_SINGLE_TICK_HOURS = parseFloat(process.env.BATCH_SINGLE_TICK_HOURS || '24');
+/** Reply attribution: an inbound message counts as a reply to the latest campaign message sent to that number within this many hours. */
+const REPLY_ATTRIBUTION_WINDOW_HOURS = parseFloat(process.env.REPLY_ATTRIBUTION_WINDOW_HOURS || '72');
+/** Number check (number-check.js): cached WhatsApp registration results are trusted for this many hours; lookups wait a random delay in the range. */
+const NUMBER_CHECK_TTL_HOURS = parseFloat(process.env.NUMBER_CHECK_TTL_HOURS || '336');
+const NUMBER_CHECK_DELAY_MIN_MS = parseInt(process.env.NUMBER_CHECK_DELAY_MIN_MS || '2000', 10);
+const NUMBER_CHECK_DELAY_MAX_MS = parseInt(process.env.NUMBER_CHECK_DELAY_MAX_MS || '5000', 10);
+/** Frequency capping across campaigns (see frequency-cap.js); 0 turns a rule off. */
+const FREQUENCY_CAP_MAX_MESSAGES = parseInt(process.env.FREQUENCY_CAP_MAX_MESSAGES || '0', 10);
+const FREQUENCY_CAP_WINDOW_DAYS = parseFloat(process.env.FREQUENCY_CAP_WINDOW_DAYS || '7');
+const FREQUENCY_CAP_CONVERSATION_HOURS = parseFloat(process.env.FREQUENCY_CAP_CONVERSATION_HOURS || '0');
+/** Default daily cap per session in the sender pool (0 = unlimited); override per session with name:cap. */
+const BATCH_POOL_DAILY_CAP = parseInt(process.env.BATCH_POOL_DAILY_CAP || '100', 10);
+/** Weekly sending windows, e.g. "mon-fri 09:00-19:00; sat 09:00-13:00". Empty = send at any time. */
+const BATCH_SEND_WINDOWS = (process.env.BATCH_SEND_WINDOWS || '').trim();
+const BATCH_TIMEZONE = (process.env.BATCH_TIMEZONE || 'America/Sao_Paulo').trim();
+/** JSON array of holiday dates (YYYY-MM-DD) on which batches do not send. */
+const BATCH_HOLIDAYS_FILE = (process.env.BATCH_HOLIDAYS_FILE || '').trim();
+/** Country of phone numbers written without a country code (phone.js): BR, US or PT. */
+const PHONE_DEFAULT_COUNTRY = (process.env.PHONE_DEFAULT_COUNTRY || 'BR').trim().toUpperCase();
+/** Default {{broker}} for message templates when the batch item has no broker field. */
+const BATCH_BROKER_NAME = (process.env.BATCH_BROKER_NAME || '').trim();
 const ENABLE_FIRST_CONTACT_AGENT = process.env.ENABLE_FIRST_CONTACT_AGENT === 'true' || process.env.ENABLE_FIRST_CONTACT_AGENT === '1';
 const FIRST_CONTACT_CONFIDENCE_THRESHOLD = parseFloat(process.env.FIRST_CONTACT_CONFIDENCE_THRESHOLD || '0.72');
 const FIRST_CONTACT_REPLY_DELAY_MIN_MS = parseInt(process.env.FIRST_CONTACT_REPLY_DELAY_MIN_MS || '500', 10);
 const FIRST_CONTACT_REPLY_DELAY_MAX_MS = parseInt(process.env.FIRST_CONTACT_REPLY_DELAY_MAX_MS || '2000', 10);
 const FIRST_CONTACT_MEMORY_PATH = process.env.FIRST_CONTACT_MEMORY_PATH || 'data/first-contact-memory.json';
 const FIRST_CONTACT_DECISIONS_LOG_PATH = process.env.FIRST_CONTACT_DECISIONS_LOG_PATH || 'data/first-contact-decisions.jsonl';
+/** Diagnostic logging (logger.js): console level, optional rotating file and HTTP collector, redaction of phones and message bodies. */
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').trim().toLowerCase();
+const LOG_FILE = (process.env.LOG_FILE || '').trim();
+const LOG_FILE_LEVEL = (process.env.LOG_FILE_LEVEL || 'debug').trim().toLowerCase();
+const LOG_FILE_MAX_BYTES = parseInt(process.env.LOG_FILE_MAX_BYTES || '5242880', 10);
+const LOG_FILE_MAX_FILES = parseInt(process.env.LOG_FILE_MAX_FILES || '3', 10);
+const LOG_HTTP_URL = (process.env.LOG_HTTP_URL || '').trim();
+const LOG_REDACT = process.env.LOG_REDACT !== 'false';
 const FIRST_CONTACT_REQUIRE_HUMAN_FOR_SENSITIVE = process.env.FIRST_CONTACT_REQUIRE_HUMAN_FOR_SENSITIVE !== 'false';
 const PUPPETEER_EXECUTABLE_PATH = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
@@ -74,6 +118,10 @@ function getBatchSuppressionFile() {
   return BATCH_SUPPRESSION_FILE;
 }
 
+function getBatchCsvColumns() {
+  return BATCH_CSV_COLUMNS;
+}
+
 function getBatchMaxPerRun() {
   return Number.isFinite(BATCH_MAX_PER_RUN) ? BATCH_MAX_PER_RUN : 0;
 }
@@ -94,6 +142,96 @@ function getBatchHealthStopRules() {
   };
 }
 
+/**
+ * Adaptive rate settings for runBatch / the sender pool, or null when BATCH_ADAPTIVE_RATE=false.
+ * Extra cooldowns use the BATCH_COOLDOWN_MIN_MS / MAX_MS range.
+ * @returns {{ maxFactor: number, recoverAfter: number, cooldownMinMs: number, cooldownMaxMs: number }|null}
+ */
+function getBatchAdaptiveRate() {
+  if (!BATCH_ADAPTIVE_RATE) return null;
+  const cooldown = getBatchCooldown();
+  return {
+    maxFactor: Number.isFinite(BATCH_ADAPTIVE_MAX_FACTOR) && BATCH_ADAPTIVE_MAX_FACTOR > 1 ? BATCH_ADAPTIVE_MAX_FACTOR : 4,
+    recoverAfter: Number.isFinite(BATCH_ADAPTIVE_RECOVER_AFTER) && BATCH_ADAPTIVE_RECOVER_AFTER > 0 ? BATCH_ADAPTIVE_RECOVER_AFTER : 5,
+    cooldownMinMs: cooldown.minMs,
+    cooldownMaxMs: cooldown.maxMs,
+  };
+}
+
+/**
+ * Retry policy for transient send failures (see retry-queue.js).
+ * @returns {{ maxRetries: number, baseDelayMs: number, maxDelayMs: number }}
+ */
+function getBatchRetryPolicy() {
+  return {
+    maxRetries: Number.isFinite(BATCH_RETRY_MAX) && BATCH_RETRY_MAX >= 0 ? BATCH_RETRY_MAX : 2,
+    baseDelayMs: Number.isFinite(BATCH_RETRY_BASE_MS) && BATCH_RETRY_BASE_MS >= 0 ? BATCH_RETRY_BASE_MS : 60000,
+    maxDelayMs: Number.isFinite(BATCH_RETRY_MAX_DELAY_MS) && BATCH_RETRY_MAX_DELAY_MS >= 0 ? BATCH_RETRY_MAX_DELAY_MS : 900000,
+  };
+}
+
+/**
+ * Send order by lead freshness (see lead-priority.js).
+ * @returns {{ order: 'file'|'newest', hotLeadHours: number }}
+ */
+function getBatchLeadPriority() {
+  return {
+    order: BATCH_LEAD_ORDER === 'newest' ? 'newest' : 'file',
+    hotLeadHours: Number.isFinite(BATCH_HOT_LEAD_HOURS) && BATCH_HOT_LEAD_HOURS > 0 ? BATCH_HOT_LEAD_HOURS : 0,
+  };
+}
+
+function getBatchSingleTickHours() {
+  return Number.isFinite(BATCH_SINGLE_TICK_HOURS) && BATCH_SINGLE_TICK_HOURS > 0 ? BATCH_SINGLE_TICK_HOURS : 24;
+}
+
+function getReplyAttributionWindowHours() {
+  return Number.isFinite(REPLY_ATTRIBUTION_WINDOW_HOURS) && REPLY_ATTRIBUTION_WINDOW_HOURS > 0 ? REPLY_ATTRIBUTION_WINDOW_HOURS : 72;
+}
+
+function getNumberCheckTtlHours() {
+  return Number.isFinite(NUMBER_CHECK_TTL_HOURS) && NUMBER_CHECK_TTL_HOURS > 0 ? NUMBER_CHECK_TTL_HOURS : 336;
+}
+
+function getNumberCheckDelayRange() {
+  return {
+    minMs: Number.isFinite(NUMBER_CHECK_DELAY_MIN_MS) ? NUMBER_CHECK_DELAY_MIN_MS : 2000,
+    maxMs: Number.isFinite(NUMBER_CHECK_DELAY_MAX_MS) ? NUMBER_CHECK_DELAY_MAX_MS : 5000,
+  };
+}
+
+/**
+ * @returns {{ maxMessages: number, windowDays: number, conversationQuietHours: number }}
+ */
+function getFrequencyCapRules() {
+  return {
+    maxMessages: Number.isFinite(FREQUENCY_CAP_MAX_MESSAGES) && FREQUENCY_CAP_MAX_MESSAGES > 0 ? FREQUENCY_CAP_MAX_MESSAGES : 0,
+    windowDays: Number.isFinite(FREQUENCY_CAP_WINDOW_DAYS) && FREQUENCY_CAP_WINDOW_DAYS > 0 ? FREQUENCY_CAP_WINDOW_DAYS : 7,
+    conversationQuietHours: Number.isFinite(FREQUENCY_CAP_CONVERSATION_HOURS) && FREQUENCY_CAP_CONVERSATION_HOURS > 0 ? FREQUENCY_CAP_CONVERSATION_HOURS : 0,
+  };
+}
+
+function getPhoneDefaultCountry() {
+  return PHONE_DEFAULT_COUNTRY || 'BR';
+}
+
+function getBatchPoolDailyCap() {
+  return Number.isFinite(BATCH_POOL_DAILY_CAP) ? BATCH_POOL_DAILY_CAP : 100;
+}
+
+/** Default template variables for batch messages (see message-renderer.js). */
+function getBatchTemplateDefaults() {
+  return BATCH_BROKER_NAME ? { broker: BATCH_BROKER_NAME } : {};
+}
+
+function getBatchSendWindowConfig() {
+  return {
+    windows: BATCH_SEND_WINDOWS,
+    timeZone: BATCH_TIMEZONE || 'America/Sao_Paulo',
+    holidaysFile: BATCH_HOLIDAYS_FILE,
+  };
+}
+
 function isFirstContactAgentEnabled() {
   return ENABLE_FIRST_CONTACT_AGENT;
 }
@@ -117,6 +255,18 @@ function getFirstContactDecisionsLogPath() {
   return FIRST_CONTACT_DECISIONS_LOG_PATH;
 }
 
+function getLogConfig() {
+  return {
+    level: LOG_LEVEL,
+    file: LOG_FILE,
+    fileLevel: LOG_FILE_LEVEL,
+    fileMaxBytes: Number.isFinite(LOG_FILE_MAX_BYTES) && LOG_FILE_MAX_BYTES > 0 ? LOG_FILE_MAX_BYTES : 5242880,
+    fileMaxFiles: Number.isFinite(LOG_FILE_MAX_FILES) && LOG_FILE_MAX_FILES > 0 ? LOG_FILE_MAX_FILES : 3,
+    httpUrl: LOG_HTTP_URL,
+    redact: LOG_REDACT,
+  };
+}
+
 function getFirstContactRequireHumanForSensitive() {
   return FIRST_CONTACT_REQUIRE_HUMAN_FOR_SENSITIVE;
 }
@@ -181,14 +331,28 @@ module.exports = {
   getBatchSkipIfEverSent,
   getBatchRequireOptIn,
   getBatchSuppressionFile,
+  getBatchCsvColumns,
   getBatchMaxPerRun,
   getBatchCooldown,
   getBatchHealthStopRules,
+  getBatchAdaptiveRate,
+  getBatchRetryPolicy,
+  getBatchLeadPriority,
+  getBatchSingleTickHours,
+  getReplyAttributionWindowHours,
+  getNumberCheckTtlHours,
+  getNumberCheckDelayRange,
+  getFrequencyCapRules,
+  getBatchPoolDailyCap,
+  getPhoneDefaultCountry,
+  getBatchSendWindowConfig,
+  getBatchTemplateDefaults,
   isFirstContactAgentEnabled,
   getFirstContactConfidenceThreshold,
   getFirstContactReplyDelayRange,
   getFirstContactMemoryPath,
   getFirstContactDecisionsLogPath,
+  getLogConfig,
   getFirstContactRequireHumanForSensitive,
   getPuppeteerExecutablePath,
   getOpenAiApiKey,
@@ -202,6 +366,7 @@ module.exports = {
   BATCH_SEND_TIMEOUT_MS,
   BATCH_REQUIRE_OPT_IN,
   BATCH_SUPPRESSION_FILE,
+  BATCH_CSV_COLUMNS,
   BATCH_MAX_PER_RUN,
   BATCH_COOLDOWN_EVERY,
   BATCH_COOLDOWN_MIN_MS,
@@ -209,6 +374,28 @@ module.exports = {
   BATCH_STOP_FAIL_RATE,
   BATCH_STOP_MIN_ATTEMPTS,
   BATCH_BLOCKLIKE_STOP_COUNT,
+  BATCH_ADAPTIVE_RATE,
+  BATCH_ADAPTIVE_MAX_FACTOR,
+  BATCH_ADAPTIVE_RECOVER_AFTER,
+  BATCH_RETRY_MAX,
+  BATCH_RETRY_BASE_MS,
+  BATCH_RETRY_MAX_DELAY_MS,
+  BATCH_LEAD_ORDER,
+  BATCH_HOT_LEAD_HOURS,
+  BATCH_SINGLE_TICK_HOURS,
+  REPLY_ATTRIBUTION_WINDOW_HOURS,
+  NUMBER_CHECK_TTL_HOURS,
+  NUMBER_CHECK_DELAY_MIN_MS,
+  NUMBER_CHECK_DELAY_MAX_MS,
+  FREQUENCY_CAP_MAX_MESSAGES,
+  FREQUENCY_CAP_WINDOW_DAYS,
+  FREQUENCY_CAP_CONVERSATION_HOURS,
+  BATCH_POOL_DAILY_CAP,
+  BATCH_SEND_WINDOWS,
+  BATCH_TIMEZONE,
+  BATCH_HOLIDAYS_FILE,
+  PHONE_DEFAULT_COUNTRY,
+  BATCH_BROKER_NAME,
   ENABLE_FIRST_CONTACT_AGENT,
   FIRST_CONTACT_CONFIDENCE_THRESHOLD,
   FIRST_CONTACT_REPLY_DELAY_MIN_MS,
@@ -216,6 +403,13 @@ module.exports = {
   FIRST_CONTACT_MEMORY_PATH,
   FIRST_CONTACT_DECISIONS_LOG_PATH,
   FIRST_CONTACT_REQUIRE_HUMAN_FOR_SENSITIVE,
+  LOG_LEVEL,
+  LOG_FILE,
+  LOG_FILE_LEVEL,
+  LOG_FILE_MAX_BYTES,
+  LOG_FILE_MAX_FILES,
+  LOG_HTTP_URL,
+  LOG_REDACT,
   AI_KNOWLEDGE_PDF,
   AI_KNOWLEDGE_CONTEXTO,
 };
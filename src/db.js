@@ -1,6 +1,14 @@
 /**
- * SQLite database for message templates. Used to store and pick random
- * message variations for batch WhatsApp sends (no reuse in same batch).
+ * SQLite database for message templates and campaign progress. Templates are
+ * picked randomly for batch WhatsApp sends (no reuse in same batch); campaigns
+ * and their items persist batch runs so they can be resumed (see campaign-store.js),
+ * message_receipts keeps the delivery acks of each sent message (see delivery-receipts.js) and
+ * campaign_replies links inbound messages to the campaign item that prompted them (see reply-attribution.js);
+ * campaign_variants holds the message variants of A/B-tested campaigns (see ab-test.js),
+ * number_checks caches whether each number is on WhatsApp (see number-check.js),
+ * contact_events keeps the campaign messages and conversations per contact for frequency capping (see frequency-cap.js),
+ * opt_outs is the registry of numbers that asked not to be contacted (see opt-out-registry.js) and
+ * drip_sequences / drip_enrolments / drip_steps hold the follow-up sequences, who is in them and every step per contact (see drip-sequence.js).
  */
 const Database = require('better-sqlite3');
 const path = require('path');
@@ -27,7 +35,145 @@ function initSchema(db) {
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
     CREATE INDEX IF NOT EXISTS idx_message_templates_id ON message_templates(id);
+
+    CREATE TABLE IF NOT EXISTS campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      batch_path TEXT,
+      status TEXT NOT NULL DEFAULT 'running',
+      total_items INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS campaign_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL REFERENCES campaigns(id),
+      item_index INTEGER NOT NULL,
+      contact TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      skip_reason TEXT,
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (campaign_id, item_index)
+    );
+    CREATE INDEX IF NOT EXISTS idx_campaign_items_status ON campaign_items(campaign_id, status);
+
+    CREATE TABLE IF NOT EXISTS message_receipts (
+      message_id TEXT PRIMARY KEY,
+      campaign_id INTEGER NOT NULL REFERENCES campaigns(id),
+      campaign_item_id INTEGER NOT NULL REFERENCES campaign_items(id),
+      ack INTEGER NOT NULL DEFAULT 0,
+      sent_at TEXT NOT NULL,
+      delivered_at TEXT,
+      read_at TEXT,
+      played_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_message_receipts_item ON message_receipts(campaign_id, campaign_item_id);
+
+    CREATE TABLE IF NOT EXISTS campaign_replies (
+      message_id TEXT PRIMARY KEY,
+      campaign_id INTEGER NOT NULL REFERENCES campaigns(id),
+      campaign_item_id INTEGER NOT NULL REFERENCES campaign_items(id),
+      recipient TEXT NOT NULL,
+      received_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_campaign_replies_item ON campaign_replies(campaign_id, campaign_item_id);
+
+    CREATE TABLE IF NOT EXISTS campaign_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      campaign_id INTEGER NOT NULL REFERENCES campaigns(id),
+      name TEXT NOT NULL,
+      body TEXT NOT NULL,
+      template_id INTEGER,
+      weight REAL NOT NULL DEFAULT 1,
+      UNIQUE (campaign_id, name)
+    );
+
+    CREATE TABLE IF NOT EXISTS number_checks (
+      number TEXT PRIMARY KEY,
+      registered TEXT,
+      checked_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS contact_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contact TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      source TEXT,
+      at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_contact_events_contact ON contact_events(contact, kind, at);
+
+    CREATE TABLE IF NOT EXISTS opt_outs (
+      contact TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      message TEXT,
+      opted_out_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS drip_sequences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      definition TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS drip_enrolments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sequence_id INTEGER NOT NULL REFERENCES drip_sequences(id),
+      contact TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      next_step INTEGER NOT NULL DEFAULT 0,
+      next_at TEXT,
+      last_step_at TEXT,
+      stop_reason TEXT,
+      enrolled_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      UNIQUE (sequence_id, contact)
+    );
+    CREATE INDEX IF NOT EXISTS idx_drip_enrolments_due ON drip_enrolments(status, next_at);
+
+    CREATE TABLE IF NOT EXISTS drip_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      enrolment_id INTEGER NOT NULL REFERENCES drip_enrolments(id),
+      step_index INTEGER NOT NULL,
+      outcome TEXT NOT NULL,
+      reason TEXT,
+      campaign_id INTEGER,
+      campaign_item_id INTEGER,
+      at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_drip_steps_enrolment ON drip_steps(enrolment_id, step_index);
   `);
+  ensureColumns(db, 'campaigns', { variant_mode: 'TEXT' });
+  ensureColumns(db, 'campaign_items', {
+    sender: 'TEXT',
+    retry_count: 'INTEGER NOT NULL DEFAULT 0',
+    retry_at: 'TEXT',
+    recipient: 'TEXT',
+    sent_at: 'TEXT',
+    variant: 'TEXT',
+  });
+  ensureColumns(db, 'campaign_replies', { opt_out: 'INTEGER NOT NULL DEFAULT 0' });
+  db.exec('CREATE INDEX IF NOT EXISTS idx_campaign_items_recipient ON campaign_items(recipient, sent_at)');
+}
+
+/**
+ * Add columns that were introduced after a table was first created (SQLite has no ADD COLUMN IF NOT EXISTS).
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {Record<string, string>} columns - name -> SQL type/definition
+ */
+function ensureColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name));
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+  }
 }
 
 /**
@@ -58,6 +204,17 @@ function getRandomTemplates(db, count) {
   return rows.map((r) => r.body);
 }
 
+/**
+ * Body of one template, or null when the id does not exist.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} id
+ * @returns {string|null}
+ */
+function getTemplateById(db, id) {
+  const row = db.prepare('SELECT body FROM message_templates WHERE id = ?').get(id);
+  return row ? row.body : null;
+}
+
 /**
  * Count templates in DB.
  * @param {import('better-sqlite3').Database} db
@@ -72,7 +229,9 @@ module.exports = {
   DEFAULT_DB_PATH,
   openDb,
   initSchema,
+  ensureColumns,
   insertTemplates,
   getRandomTemplates,
+  getTemplateById,
   countTemplates,
 };
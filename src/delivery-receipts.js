@@ -0,0 +1,159 @@
+/**
+ * Delivery and read receipts for campaign messages. Every message a batch sends is stored in
+ * message_receipts (see db.js) with the campaign item it belongs to; whatsapp-web.js message_ack
+ * events (through transport.onAck) then move it along sent -> delivered -> read -> played (voice).
+ * Acks keep coming after a run ends (a lead may read hours later); they are only captured while
+ * some process with a tracker is connected, e.g. `npm run listen`.
+ */
+const { ACK } = require('./transports');
+
+/** Report names for ack values. */
+const ACK_NAMES = {
+  [ACK.ERROR]: 'error',
+  [ACK.PENDING]: 'pending',
+  [ACK.SERVER]: 'sent',
+  [ACK.DEVICE]: 'delivered',
+  [ACK.READ]: 'read',
+  [ACK.PLAYED]: 'played',
+};
+
+/** Acks seen before their message was recorded (the first ack often beats sendMessage's return). */
+const MAX_EARLY_ACKS = 500;
+
+/**
+ * Store the ids of the messages sent for one campaign item.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ campaignId: number, campaignItemId: number, messageIds: string[], sentAt?: Date }} params
+ */
+function recordSentMessages(db, { campaignId, campaignItemId, messageIds, sentAt = new Date() }) {
+  const insert = db.prepare(
+    'INSERT OR IGNORE INTO message_receipts (message_id, campaign_id, campaign_item_id, sent_at) VALUES (?, ?, ?, ?)'
+  );
+  const insertAll = db.transaction((ids) => {
+    ids.forEach((id) => insert.run(id, campaignId, campaignItemId, sentAt.toISOString()));
+  });
+  insertAll(messageIds.filter(Boolean));
+}
+
+/**
+ * Apply one ack to a stored message. The ack only moves forward (an ERROR only replaces PENDING);
+ * the first time a message reaches delivered / read / played that moment is kept.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ messageId: string, ack: number, at?: Date }} params
+ * @returns {boolean} false when the message is not a campaign message
+ */
+function recordAck(db, { messageId, ack, at = new Date() }) {
+  const iso = at.toISOString();
+  const info = db
+    .prepare(
+      `UPDATE message_receipts
+          SET ack = CASE WHEN @ack < 0 THEN (CASE WHEN ack <= 0 THEN @ack ELSE ack END) ELSE MAX(ack, @ack) END,
+              delivered_at = CASE WHEN @ack >= ${ACK.DEVICE} THEN COALESCE(delivered_at, @at) ELSE delivered_at END,
+              read_at = CASE WHEN @ack >= ${ACK.READ} THEN COALESCE(read_at, @at) ELSE read_at END,
+              played_at = CASE WHEN @ack >= ${ACK.PLAYED} THEN COALESCE(played_at, @at) ELSE played_at END
+        WHERE message_id = @messageId`
+    )
+    .run({ messageId, ack, at: iso });
+  return info.changes > 0;
+}
+
+/**
+ * Listen to a transport's acks and store them for campaign messages.
+ * Use track() for each sent item; acks that arrive before track() are kept briefly and applied then.
+ * @param {import('better-sqlite3').Database} db
+ * @param {import('./transports').Transport} transport
+ * @returns {{ track: function({ campaignId: number, campaignItemId: number, messageIds: string[] }): void, stop: function(): void }}
+ */
+function createAckTracker(db, transport) {
+  const early = new Map();
+
+  const unsubscribe = transport.onAck(({ messageId, ack }) => {
+    if (!messageId) return;
+    const at = new Date();
+    if (recordAck(db, { messageId, ack, at })) return;
+    const seen = early.get(messageId) || [];
+    seen.push({ ack, at });
+    early.set(messageId, seen);
+    if (early.size > MAX_EARLY_ACKS) early.delete(early.keys().next().value);
+  });
+
+  return {
+    track({ campaignId, campaignItemId, messageIds }) {
+      recordSentMessages(db, { campaignId, campaignItemId, messageIds });
+      messageIds.forEach((messageId) => {
+        (early.get(messageId) || []).forEach(({ ack, at }) => recordAck(db, { messageId, ack, at }));
+        early.delete(messageId);
+      });
+    },
+    stop() {
+      unsubscribe();
+      early.clear();
+    },
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Delivery report of a campaign, per item (an item with text + media counts once, by its most advanced message).
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} campaignId
+ * @param {{ singleTickHours?: number, now?: Date }} [options] - singleTickHours: flag items still at a single tick after this many hours (default 24)
+ * @returns {{ tracked: number, delivered: number, read: number, played: number, errors: number, deliveryRate: number, readRate: number, medianTimeToReadMs: number|null, byStatus: object, singleTick: Array<{ campaignItemId: number, contact: string, sentAt: string, hoursSinceSent: number }> }}
+ */
+function getDeliveryReport(db, campaignId, options = {}) {
+  const singleTickHours = Number.isFinite(options.singleTickHours) ? options.singleTickHours : 24;
+  const now = options.now || new Date();
+  const rows = db
+    .prepare(
+      `SELECT r.campaign_item_id AS campaignItemId, i.contact,
+              MAX(r.ack) AS ack, MIN(r.sent_at) AS sentAt, MIN(r.read_at) AS readAt
+         FROM message_receipts r JOIN campaign_items i ON i.id = r.campaign_item_id
+        WHERE r.campaign_id = ?
+        GROUP BY r.campaign_item_id
+        ORDER BY i.item_index`
+    )
+    .all(campaignId);
+
+  const byStatus = {};
+  const timesToRead = [];
+  const singleTick = [];
+  rows.forEach((r) => {
+    const name = ACK_NAMES[r.ack] || String(r.ack);
+    byStatus[name] = (byStatus[name] || 0) + 1;
+    if (r.readAt) timesToRead.push(Date.parse(r.readAt) - Date.parse(r.sentAt));
+    const hoursSinceSent = (now.getTime() - Date.parse(r.sentAt)) / 3600000;
+    if (r.ack >= ACK.PENDING && r.ack <= ACK.SERVER && hoursSinceSent >= singleTickHours) {
+      singleTick.push({ campaignItemId: r.campaignItemId, contact: r.contact, sentAt: r.sentAt, hoursSinceSent: Math.floor(hoursSinceSent) });
+    }
+  });
+
+  const tracked = rows.length;
+  const delivered = rows.filter((r) => r.ack >= ACK.DEVICE).length;
+  const read = rows.filter((r) => r.ack >= ACK.READ).length;
+  return {
+    tracked,
+    delivered,
+    read,
+    played: rows.filter((r) => r.ack >= ACK.PLAYED).length,
+    errors: rows.filter((r) => r.ack < 0).length,
+    deliveryRate: tracked > 0 ? delivered / tracked : 0,
+    readRate: tracked > 0 ? read / tracked : 0,
+    medianTimeToReadMs: median(timesToRead),
+    byStatus,
+    singleTick,
+  };
+}
+
+module.exports = {
+  ACK_NAMES,
+  recordSentMessages,
+  recordAck,
+  createAckTracker,
+  getDeliveryReport,
+};
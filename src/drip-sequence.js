@@ -0,0 +1,452 @@
+/**
+ * Drip sequences: multi-step follow-up cadences instead of hand-built follow-up batch files.
+ * A sequence is a list of steps, each with a message (template, see message-renderer.js), optional
+ * media and afterDays: the wait after the previous step was sent (after enrolment for the first step).
+ * Before a step goes out its conditions are checked:
+ * - no_reply: no private message from the contact since the previous step (contact_events, recorded
+ *   by npm run listen and by the drip scheduler itself, and the chat itself through the transport, for
+ *   replies that came in while neither was running);
+ * - not_handed_off: the first-contact agent has not handed the contact over to a broker;
+ * - not_opted_out: the contact is not in the opt-out registry (opt-out-registry.js).
+ * A contact that fails one leaves the sequence (stopped, with the reason). Contacts due for the same
+ * step are sent together through runBatch as a campaign named drip:<sequence>:<step>, so sending
+ * windows, frequency caps, number checks, retries and guardrails apply as in any batch. Every step
+ * outcome (sent, failed, skipped, stopped) is recorded per contact in drip_steps.
+ * Drip campaigns are not meant for --resume: contacts a run did not reach stay due for the next tick.
+ */
+const fs = require('fs');
+const path = require('path');
+const { phoneDigits } = require('./phone');
+const { normalizeMediaEntries } = require('./batch-media');
+const { createCampaign, getPendingItems, getItemOutcomes, ITEM_STATUS } = require('./campaign-store');
+const { createOptOutRegistry } = require('./opt-out-registry');
+const { EVENT_KIND } = require('./frequency-cap');
+const { SKIP_REASON } = require('./batch-events');
+const { runBatch, normalizeContactId } = require('./batch-sender');
+const { toTransport } = require('./transports');
+const { getLogger } = require('./logger');
+
+const log = getLogger('batch');
+
+const DRIP_CONDITION = {
+  NO_REPLY: 'no_reply',
+  NOT_HANDED_OFF: 'not_handed_off',
+  NOT_OPTED_OUT: 'not_opted_out',
+};
+
+const ENROLMENT_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  STOPPED: 'stopped',
+};
+
+const STEP_OUTCOME = {
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+  STOPPED: 'stopped',
+};
+
+/** Why a contact left a sequence early (besides the permanent skip reasons of runBatch). */
+const STOP_REASON = {
+  REPLIED: 'replied',
+  HANDED_OFF: 'handed_off',
+  OPTED_OUT: 'opted_out',
+  SEND_FAILED: 'send_failed',
+};
+
+/** Skips of runBatch that will not change by waiting: the contact leaves the sequence. Other skips (frequency cap...) try again later. */
+const FINAL_SKIP_REASONS = new Set([SKIP_REASON.OPT_OUT, SKIP_REASON.SUPPRESSION_LIST, SKIP_REASON.MISSING_CONSENT, SKIP_REASON.INVALID_NUMBER]);
+
+/** How long a step skipped for a passing reason (e.g. frequency cap) waits before the next try. */
+const SKIP_RETRY_MS = 86400000;
+
+const DAY_MS = 86400000;
+
+/**
+ * Check and normalize a sequence definition.
+ * @param {{ name: string, steps: Array<{ name?: string, afterDays?: number, message: string, media?: *, conditions?: string[] }> }} definition
+ * @param {{ baseDir?: string }} [options] - Directory relative media paths are resolved against
+ * @returns {{ name: string, steps: Array<{ name: string, afterDays: number, message: string, media?: Array<object>, conditions: string[] }> }}
+ * @throws {Error} listing every problem
+ */
+function parseSequence(definition, options = {}) {
+  const errors = [];
+  const def = definition && typeof definition === 'object' ? definition : {};
+  const name = typeof def.name === 'string' ? def.name.trim() : '';
+  if (!name) errors.push('"name" is required.');
+  const steps = Array.isArray(def.steps) ? def.steps : [];
+  if (steps.length === 0) errors.push('"steps" must be a non-empty array.');
+  const conditionNames = Object.values(DRIP_CONDITION);
+
+  const parsed = steps.map((step, i) => {
+    const label = `Step ${i + 1}`;
+    const s = step && typeof step === 'object' ? step : {};
+    if (typeof s.message !== 'string' || !s.message.trim()) errors.push(`${label}: "message" is required.`);
+    const afterDays = s.afterDays == null ? 0 : Number(s.afterDays);
+    if (!Number.isFinite(afterDays) || afterDays < 0) errors.push(`${label}: "afterDays" must be a number >= 0.`);
+    const conditions = s.conditions == null ? conditionNames : s.conditions;
+    if (!Array.isArray(conditions) || conditions.some((c) => !conditionNames.includes(c))) {
+      errors.push(`${label}: "conditions" must be a list of ${conditionNames.join(', ')}.`);
+    }
+    return {
+      name: typeof s.name === 'string' && s.name.trim() ? s.name.trim() : `passo-${i + 1}`,
+      afterDays,
+      message: typeof s.message === 'string' ? s.message : '',
+      ...(s.media != null && { media: normalizeMediaEntries(s.media, options.baseDir) }),
+      conditions: Array.isArray(conditions) ? [...conditions] : [],
+    };
+  });
+
+  if (errors.length > 0) throw new Error(`Invalid sequence${name ? ` "${name}"` : ''}:\n  ${errors.join('\n  ')}`);
+  return { name, steps: parsed };
+}
+
+/**
+ * Read a sequence JSON file; media paths are relative to the file and must exist.
+ * @param {string} filePath
+ * @returns {ReturnType<typeof parseSequence>}
+ */
+function loadSequenceFile(filePath) {
+  const sequence = parseSequence(JSON.parse(fs.readFileSync(filePath, 'utf8')), { baseDir: path.dirname(filePath) });
+  sequence.steps.forEach((step, i) => {
+    (step.media || []).forEach((m) => {
+      if (!fs.existsSync(m.path)) throw new Error(`Media file not found (step ${i + 1}): ${m.path}`);
+    });
+  });
+  return sequence;
+}
+
+/**
+ * Store a sequence, replacing the definition of one with the same name (enrolled contacts keep their step).
+ * @param {import('better-sqlite3').Database} db
+ * @param {ReturnType<typeof parseSequence>} sequence
+ * @returns {number} sequence id
+ */
+function saveSequence(db, sequence) {
+  db.prepare(
+    `INSERT INTO drip_sequences (name, definition) VALUES (?, ?)
+     ON CONFLICT(name) DO UPDATE SET definition = excluded.definition, updated_at = datetime('now')`
+  ).run(sequence.name, JSON.stringify(sequence));
+  return db.prepare('SELECT id FROM drip_sequences WHERE name = ?').get(sequence.name).id;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} name
+ * @returns {{ id: number, name: string, steps: Array<object> }|null}
+ */
+function getSequence(db, name) {
+  const row = db.prepare('SELECT id, definition FROM drip_sequences WHERE name = ?').get(name);
+  return row ? { id: row.id, ...JSON.parse(row.definition) } : null;
+}
+
+/**
+ * Put batch contacts into a sequence; the first step is due afterDays after now. A contact already in
+ * the sequence (in any status) is left as is. Item fields other than message, media and the send times are kept for the templates.
+ * @param {import('better-sqlite3').Database} db
+ * @param {number} sequenceId
+ * @param {Array<object>} items - Batch items ({ contact, name?, ... })
+ * @param {{ now?: Date }} [options]
+ * @returns {{ enrolled: number, alreadyEnrolled: number, invalid: number }}
+ */
+function enrolContacts(db, sequenceId, items, options = {}) {
+  const now = options.now || new Date();
+  const sequence = JSON.parse(db.prepare('SELECT definition FROM drip_sequences WHERE id = ?').get(sequenceId).definition);
+  const firstAt = new Date(now.getTime() + sequence.steps[0].afterDays * DAY_MS).toISOString();
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO drip_enrolments (sequence_id, contact, payload, status, next_step, next_at, enrolled_at, updated_at)
+     VALUES (?, ?, ?, ?, 0, ?, ?, ?)`
+  );
+  const summary = { enrolled: 0, alreadyEnrolled: 0, invalid: 0 };
+  db.transaction(() => {
+    items.forEach((item) => {
+      const digits = phoneDigits(item && item.contact);
+      if (!digits) {
+        summary.invalid++;
+        return;
+      }
+      // Send times of the enrolment batch would apply to every step; the sequence sets its own.
+      const { message, media, sendAt, notBefore, notAfter, ...payload } = item;
+      const info = insert.run(sequenceId, digits, JSON.stringify({ ...payload, contact: digits }), ENROLMENT_STATUS.ACTIVE, firstAt, now.toISOString(), now.toISOString());
+      if (info.changes > 0) summary.enrolled++;
+      else summary.alreadyEnrolled++;
+    });
+  })();
+  return summary;
+}
+
+/**
+ * Active enrolments whose next step is due.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Date} [now]
+ * @returns {Array<{ id: number, sequenceId: number, sequence: object, contact: string, payload: object, nextStep: number, lastStepAt: string|null, enrolledAt: string }>}
+ */
+function getDueEnrolments(db, now = new Date()) {
+  return db
+    .prepare(
+      `SELECT e.id, e.sequence_id, s.definition, e.contact, e.payload, e.next_step, e.last_step_at, e.enrolled_at
+         FROM drip_enrolments e JOIN drip_sequences s ON s.id = e.sequence_id
+        WHERE e.status = ? AND e.next_at <= ? ORDER BY e.next_at, e.id`
+    )
+    .all(ENROLMENT_STATUS.ACTIVE, now.toISOString())
+    .map((r) => ({
+      id: r.id,
+      sequenceId: r.sequence_id,
+      sequence: JSON.parse(r.definition),
+      contact: r.contact,
+      payload: JSON.parse(r.payload),
+      nextStep: r.next_step,
+      lastStepAt: r.last_step_at,
+      enrolledAt: r.enrolled_at,
+    }));
+}
+
+/**
+ * Whether the contact sent a private message after a given time, by the contact_events rows.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {function(string, string): boolean} (contact digits, ISO time)
+ */
+function createReplyCheck(db) {
+  const statement = db.prepare('SELECT 1 FROM contact_events WHERE contact = ? AND kind = ? AND at > ? LIMIT 1');
+  return (contact, since) => Boolean(statement.get(contact, EVENT_KIND.CONVERSATION, since));
+}
+
+/**
+ * First condition of the step the contact fails, or null when the step may go out. no_reply is only
+ * checked against contact_events here; runDripTick also reads the chat.
+ * @param {import('better-sqlite3').Database} db
+ * @param {ReturnType<typeof getDueEnrolments>[number]} enrolment
+ * @param {{ conditions: string[] }} step
+ * @param {{ optOuts?: { has: function(string): boolean }, isHandedOff?: function(string): boolean, hasReplied?: function(string, string): boolean }} [options] - hasReplied: from createReplyCheck (default: one for db)
+ * @returns {{ condition: string, reason: string }|null}
+ */
+function checkStepConditions(db, enrolment, step, options = {}) {
+  const { contact } = enrolment;
+  const optOuts = options.optOuts || createOptOutRegistry(db);
+  for (const condition of step.conditions) {
+    if (condition === DRIP_CONDITION.NOT_OPTED_OUT && (optOuts.has(contact) || enrolment.payload.optOut === true)) {
+      return { condition, reason: STOP_REASON.OPTED_OUT };
+    }
+    if (condition === DRIP_CONDITION.NOT_HANDED_OFF && options.isHandedOff && options.isHandedOff(contact)) {
+      return { condition, reason: STOP_REASON.HANDED_OFF };
+    }
+    if (condition === DRIP_CONDITION.NO_REPLY) {
+      const hasReplied = options.hasReplied || createReplyCheck(db);
+      if (hasReplied(contact, enrolment.lastStepAt || enrolment.enrolledAt)) return { condition, reason: STOP_REASON.REPLIED };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the chat shows a message from the contact after the previous step; false when the
+ * transport cannot read the chat.
+ * @param {import('./transports').Transport} transport
+ * @param {ReturnType<typeof getDueEnrolments>[number]} enrolment
+ * @returns {Promise<boolean>}
+ */
+async function hasReplyInChat(transport, enrolment) {
+  if (typeof transport.fetchLastIncoming !== 'function') return false;
+  const since = Date.parse(enrolment.lastStepAt || enrolment.enrolledAt);
+  try {
+    const last = await transport.fetchLastIncoming(await transport.resolveRecipient(normalizeContactId(enrolment.contact)));
+    return Boolean(last && last.timestamp * 1000 > since);
+  } catch (err) {
+    log.warn('drip: could not read the chat for replies', { contact: enrolment.contact, error: err.message });
+    return false;
+  }
+}
+
+function recordStep(db, enrolmentId, stepIndex, outcome, { reason, campaignId, campaignItemId, at } = {}) {
+  db.prepare(
+    `INSERT INTO drip_steps (enrolment_id, step_index, outcome, reason, campaign_id, campaign_item_id, at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(enrolmentId, stepIndex, outcome, reason || null, campaignId || null, campaignItemId || null, (at || new Date()).toISOString());
+}
+
+function updateEnrolment(db, enrolmentId, { status, nextStep, nextAt, lastStepAt, stopReason }) {
+  db.prepare(
+    `UPDATE drip_enrolments
+        SET status = COALESCE(?, status), next_step = COALESCE(?, next_step), next_at = ?,
+            last_step_at = COALESCE(?, last_step_at), stop_reason = COALESCE(?, stop_reason), updated_at = ?
+      WHERE id = ?`
+  ).run(status || null, Number.isInteger(nextStep) ? nextStep : null, nextAt || null, lastStepAt || null, stopReason || null, new Date().toISOString(), enrolmentId);
+}
+
+function stopEnrolment(db, enrolment, reason, details = {}) {
+  recordStep(db, enrolment.id, enrolment.nextStep, details.outcome || STEP_OUTCOME.STOPPED, { ...details, reason });
+  updateEnrolment(db, enrolment.id, { status: ENROLMENT_STATUS.STOPPED, stopReason: reason });
+}
+
+/**
+ * Send every due step: check the conditions, then one runBatch per sequence step with the contacts due
+ * for it, and move each contact on (or out) according to its outcome. Stops after a run that a
+ * guardrail or the operator ended early.
+ * @param {Client|import('./transports').Transport} client
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {object} [options.runOptions] - runBatch options (delays, send window, frequency cap, retry, onStep...); campaign and the chat-history skips are set here
+ * @param {function(string): boolean} [options.isHandedOff] - Whether the contact (digits) was handed over to a broker
+ * @param {{ has: function(string): boolean }} [options.optOuts] - Default: the database's opt-out registry
+ * @param {function(object): void} [options.onGroup] - Called with { sequence, step, stepIndex, contacts, campaignId } before each run
+ * @returns {Promise<{ due: number, sent: number, failed: number, skipped: number, stopped: number, completed: number, campaigns: number[], stoppedEarly: boolean, stopReason: string }>}
+ */
+async function runDripTick(client, db, options = {}) {
+  const now = options.now || new Date();
+  const optOuts = options.optOuts || createOptOutRegistry(db);
+  const hasReplied = createReplyCheck(db);
+  const transport = toTransport(client, { useBrowserSend: Boolean(options.runOptions && options.runOptions.useBrowserSend) });
+  const due = getDueEnrolments(db, now);
+  const summary = { due: due.length, sent: 0, failed: 0, skipped: 0, stopped: 0, completed: 0, campaigns: [], stoppedEarly: false, stopReason: '' };
+
+  const groups = new Map();
+  for (const enrolment of due) {
+    const step = enrolment.sequence.steps[enrolment.nextStep];
+    if (!step) {
+      updateEnrolment(db, enrolment.id, { status: ENROLMENT_STATUS.COMPLETED });
+      summary.completed++;
+      continue;
+    }
+    let blocked = checkStepConditions(db, enrolment, step, { optOuts, isHandedOff: options.isHandedOff, hasReplied });
+    if (!blocked && step.conditions.includes(DRIP_CONDITION.NO_REPLY) && (await hasReplyInChat(transport, enrolment))) {
+      blocked = { condition: DRIP_CONDITION.NO_REPLY, reason: STOP_REASON.REPLIED };
+    }
+    if (blocked) {
+      stopEnrolment(db, enrolment, blocked.reason);
+      summary.stopped++;
+      continue;
+    }
+    const key = `${enrolment.sequenceId}:${enrolment.nextStep}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(enrolment);
+  }
+
+  for (const enrolments of groups.values()) {
+    const { sequence, nextStep: stepIndex } = enrolments[0];
+    const step = sequence.steps[stepIndex];
+    const items = enrolments.map((e) => ({ ...e.payload, contact: e.contact, message: step.message, ...(step.media && { media: step.media }) }));
+    const campaignId = createCampaign(db, { name: `drip:${sequence.name}:${step.name}`, items });
+    summary.campaigns.push(campaignId);
+    if (options.onGroup) options.onGroup({ sequence, step, stepIndex, contacts: enrolments.length, campaignId });
+
+    const result = await runBatch(client, getPendingItems(db, campaignId), {
+      ...options.runOptions,
+      // The sequence decides who gets the next step; earlier steps are in the chat on purpose.
+      skipIfEverSent: false,
+      skipIfSentToday: false,
+      optOuts,
+      campaign: { db, id: campaignId },
+    });
+
+    const outcomes = getItemOutcomes(db, campaignId);
+    enrolments.forEach((enrolment, i) => {
+      const row = outcomes[i];
+      const details = { campaignId, campaignItemId: row.id };
+      if (row.status === ITEM_STATUS.SENT || row.status === ITEM_STATUS.VERIFIED) {
+        const sentAt = row.sentAt ? new Date(row.sentAt) : new Date();
+        recordStep(db, enrolment.id, stepIndex, STEP_OUTCOME.SENT, { ...details, at: sentAt });
+        summary.sent++;
+        const next = sequence.steps[stepIndex + 1];
+        if (next) {
+          updateEnrolment(db, enrolment.id, { nextStep: stepIndex + 1, nextAt: new Date(sentAt.getTime() + next.afterDays * DAY_MS).toISOString(), lastStepAt: sentAt.toISOString() });
+        } else {
+          updateEnrolment(db, enrolment.id, { status: ENROLMENT_STATUS.COMPLETED, nextStep: stepIndex + 1, lastStepAt: sentAt.toISOString() });
+          summary.completed++;
+        }
+      } else if (row.status === ITEM_STATUS.SKIPPED) {
+        const skipReason = String(row.skipReason || '');
+        summary.skipped++;
+        if (FINAL_SKIP_REASONS.has(skipReason)) {
+          stopEnrolment(db, enrolment, skipReason, { ...details, outcome: STEP_OUTCOME.SKIPPED });
+          summary.stopped++;
+        } else {
+          recordStep(db, enrolment.id, stepIndex, STEP_OUTCOME.SKIPPED, { ...details, reason: skipReason });
+          updateEnrolment(db, enrolment.id, { nextAt: new Date(now.getTime() + SKIP_RETRY_MS).toISOString() });
+        }
+      } else if (row.status === ITEM_STATUS.FAILED) {
+        stopEnrolment(db, enrolment, STOP_REASON.SEND_FAILED, { ...details, outcome: STEP_OUTCOME.FAILED });
+        summary.failed++;
+        summary.stopped++;
+      }
+      // pending / retry: the run ended before this contact; it stays due for the next tick.
+    });
+
+    if (result.stoppedEarly) {
+      summary.stoppedEarly = true;
+      summary.stopReason = result.stopReason;
+      break;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Per sequence: contacts by status, stop reasons and step outcomes.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{ name: string, steps: Array<{ name: string, afterDays: number, sent: number, failed: number, skipped: number, stopped: number }>, active: number, completed: number, stopped: number, stopReasons: Record<string, number>, nextDueAt: string|null }>}
+ */
+function getDripReport(db) {
+  return db.prepare('SELECT id, definition FROM drip_sequences ORDER BY name').all().map((row) => {
+    const sequence = JSON.parse(row.definition);
+    const report = {
+      name: sequence.name,
+      steps: sequence.steps.map((s) => ({ name: s.name, afterDays: s.afterDays, sent: 0, failed: 0, skipped: 0, stopped: 0 })),
+      active: 0,
+      completed: 0,
+      stopped: 0,
+      stopReasons: {},
+      nextDueAt: null,
+    };
+    db.prepare('SELECT status, stop_reason AS stopReason, COUNT(*) AS n, MIN(next_at) AS nextAt FROM drip_enrolments WHERE sequence_id = ? GROUP BY status, stop_reason')
+      .all(row.id)
+      .forEach((r) => {
+        report[r.status] = (report[r.status] || 0) + r.n;
+        if (r.status === ENROLMENT_STATUS.STOPPED) report.stopReasons[r.stopReason] = (report.stopReasons[r.stopReason] || 0) + r.n;
+        if (r.status === ENROLMENT_STATUS.ACTIVE) report.nextDueAt = r.nextAt;
+      });
+    db.prepare(
+      `SELECT d.step_index AS stepIndex, d.outcome, COUNT(*) AS n FROM drip_steps d
+         JOIN drip_enrolments e ON e.id = d.enrolment_id WHERE e.sequence_id = ? GROUP BY d.step_index, d.outcome`
+    )
+      .all(row.id)
+      .forEach((r) => {
+        if (report.steps[r.stepIndex]) report.steps[r.stepIndex][r.outcome] = r.n;
+      });
+    return report;
+  });
+}
+
+/**
+ * Steps recorded for one contact, in order.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact
+ * @returns {Array<{ sequence: string, stepIndex: number, outcome: string, reason: string|null, campaignId: number|null, at: string }>}
+ */
+function getContactSteps(db, contact) {
+  return db
+    .prepare(
+      `SELECT s.name AS sequence, d.step_index AS stepIndex, d.outcome, d.reason, d.campaign_id AS campaignId, d.at
+         FROM drip_steps d JOIN drip_enrolments e ON e.id = d.enrolment_id JOIN drip_sequences s ON s.id = e.sequence_id
+        WHERE e.contact = ? ORDER BY d.at, d.id`
+    )
+    .all(phoneDigits(contact));
+}
+
+module.exports = {
+  DRIP_CONDITION,
+  ENROLMENT_STATUS,
+  STEP_OUTCOME,
+  STOP_REASON,
+  parseSequence,
+  loadSequenceFile,
+  saveSequence,
+  getSequence,
+  enrolContacts,
+  getDueEnrolments,
+  checkStepConditions,
+  runDripTick,
+  getDripReport,
+  getContactSteps,
+};
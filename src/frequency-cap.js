@@ -0,0 +1,100 @@
+/**
+ * Cross-campaign frequency capping. Every marketing message sent to a contact (runBatch,
+ * send-list-puppeteer) and every private message received from one (listen.js) is recorded in
+ * contact_events (see db.js), whatever campaign or script it came from. Before a send the rules are
+ * checked against that history, with no chat lookup:
+ * - max_per_window: at most maxMessages campaign messages per windowDays (FREQUENCY_CAP_MAX_MESSAGES / FREQUENCY_CAP_WINDOW_DAYS);
+ * - recent_conversation: no campaign message within conversationQuietHours of the contact's last
+ *   message (FREQUENCY_CAP_CONVERSATION_HOURS), so a broker's ongoing conversation is not interrupted.
+ * A rule set to 0 is off; events are recorded either way so enabling a rule later has history.
+ */
+const { phoneDigits } = require('./phone');
+
+const EVENT_KIND = {
+  CAMPAIGN: 'campaign',
+  CONVERSATION: 'conversation',
+};
+
+const FREQUENCY_RULE = {
+  MAX_PER_WINDOW: 'max_per_window',
+  RECENT_CONVERSATION: 'recent_conversation',
+};
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact - Number or WhatsApp id (normalized with phoneDigits)
+ * @param {string} kind - EVENT_KIND
+ * @param {{ source?: string, at?: Date }} [options] - source: e.g. "campaign:12" or "send-list-puppeteer"
+ */
+function recordContactEvent(db, contact, kind, options = {}) {
+  const digits = phoneDigits(contact);
+  if (!digits) return;
+  const at = options.at || new Date();
+  db.prepare('INSERT INTO contact_events (contact, kind, source, at) VALUES (?, ?, ?, ?)').run(digits, kind, options.source || null, at.toISOString());
+}
+
+/**
+ * First rule that blocks a new campaign message to the contact, or null when it may be sent.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact
+ * @param {{ maxMessages?: number, windowDays?: number, conversationQuietHours?: number }} rules
+ * @param {Date} [now]
+ * @returns {{ rule: string, reason: string, count?: number, lastAt?: string }|null}
+ */
+function checkFrequencyCap(db, contact, rules, now = new Date()) {
+  const digits = phoneDigits(contact);
+  if (!digits || !rules) return null;
+
+  if (rules.conversationQuietHours > 0) {
+    const since = new Date(now.getTime() - rules.conversationQuietHours * 3600000).toISOString();
+    const row = db
+      .prepare('SELECT MAX(at) AS lastAt FROM contact_events WHERE contact = ? AND kind = ? AND at >= ?')
+      .get(digits, EVENT_KIND.CONVERSATION, since);
+    if (row && row.lastAt) {
+      return {
+        rule: FREQUENCY_RULE.RECENT_CONVERSATION,
+        reason: `Conversa com o contato nas últimas ${rules.conversationQuietHours}h; ignorado.`,
+        lastAt: row.lastAt,
+      };
+    }
+  }
+
+  if (rules.maxMessages > 0 && rules.windowDays > 0) {
+    const since = new Date(now.getTime() - rules.windowDays * 86400000).toISOString();
+    const row = db
+      .prepare('SELECT COUNT(*) AS count, MAX(at) AS lastAt FROM contact_events WHERE contact = ? AND kind = ? AND at >= ?')
+      .get(digits, EVENT_KIND.CAMPAIGN, since);
+    if (row.count >= rules.maxMessages) {
+      return {
+        rule: FREQUENCY_RULE.MAX_PER_WINDOW,
+        reason: `Limite de ${rules.maxMessages} mensagem(ns) de campanha em ${rules.windowDays} dia(s) atingido; ignorado.`,
+        count: row.count,
+        lastAt: row.lastAt,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Policy object for runBatch (options.frequencyCap) and the scripts.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ maxMessages?: number, windowDays?: number, conversationQuietHours?: number }} rules - See getFrequencyCapRules (config.js)
+ * @returns {{ rules: object, check: function(string, Date=): (object|null), recordSent: function(string, { source?: string }=): void, recordConversation: function(string, Date=): void }}
+ */
+function createFrequencyCap(db, rules) {
+  return {
+    rules,
+    check: (contactId, now) => checkFrequencyCap(db, contactId, rules, now),
+    recordSent: (contactId, options = {}) => recordContactEvent(db, contactId, EVENT_KIND.CAMPAIGN, options),
+    recordConversation: (contactId, at) => recordContactEvent(db, contactId, EVENT_KIND.CONVERSATION, { at }),
+  };
+}
+
+module.exports = {
+  EVENT_KIND,
+  FREQUENCY_RULE,
+  recordContactEvent,
+  checkFrequencyCap,
+  createFrequencyCap,
+};
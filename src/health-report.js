@@ -0,0 +1,266 @@
+/**
+ * HTML version of the campaign health report that run-batch.js saves as reports/batch-health-*.json:
+ * totals, skip reasons, fail rate over the run, block-like errors, cooldowns, per-contact outcomes and
+ * the guardrail that stopped the run. The page is self-contained (inline CSS and SVG, no scripts or
+ * external files) so it can be opened offline or sent by e-mail. Written next to the JSON at the end of
+ * every run; npm run report:health rebuilds it from any stored JSON report or replays it from the
+ * NDJSON event log of a campaign (batch-events.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./wa-links-server');
+const { formatDuration } = require('./batch-preview');
+const { getBatchSendWindowConfig } = require('./config');
+
+/** Attempts in the rolling fail rate of the chart. */
+const ROLLING_WINDOW = 10;
+
+/** Labels of the metrics.skipped counters of runBatch. */
+const SKIPPED_LABELS = {
+  optOut: 'Opt-out',
+  missingConsent: 'Sem opt-in',
+  suppressionList: 'Lista de supressão',
+  alreadyReceived: 'Já receberam',
+  sentToday: 'Já enviado hoje',
+  invalidNumber: 'Fora do WhatsApp',
+  frequencyCap: 'Limite de frequência',
+  expired: 'Expirados (notAfter)',
+};
+
+/**
+ * Outcome of one runBatch result, as shown in the per-contact table.
+ * @param {object} r - Item of result.results
+ * @returns {{ status: 'sent'|'skip'|'retry'|'failed', label: string }}
+ */
+function describeOutcome(r) {
+  if (r.skippedOptOut) return { status: 'skip', label: 'Ignorado: opt-out' };
+  if (r.skippedMissingConsent) return { status: 'skip', label: 'Ignorado: sem opt-in' };
+  if (r.skippedSuppressionList) return { status: 'skip', label: 'Ignorado: lista de supressão' };
+  if (r.skippedAlreadyReceived) return { status: 'skip', label: 'Ignorado: já recebeu' };
+  if (r.skippedSameDay) return { status: 'skip', label: 'Ignorado: já enviado hoje' };
+  if (r.skippedInvalidNumber) return { status: 'skip', label: 'Ignorado: fora do WhatsApp' };
+  if (r.skippedFrequencyCap) return { status: 'skip', label: `Ignorado: limite de frequência (${r.rule})` };
+  if (r.expired) return { status: 'skip', label: 'Expirado: prazo notAfter vencido' };
+  if (r.alreadySent) return { status: 'skip', label: 'Já enviado' };
+  if (r.retryScheduled) return { status: 'retry', label: 'Falha temporária (aguardando nova tentativa)' };
+  if (!r.success) return { status: 'failed', label: 'Falhou' };
+  return { status: 'sent', label: r.retried > 0 || r.retryCount > 0 ? 'Enviado após nova tentativa' : 'Enviado' };
+}
+
+/**
+ * Cumulative and rolling fail rate after each attempt of metrics.timeline.
+ * @param {Array<{ at: string, success: boolean }>} timeline
+ * @param {number} [window]
+ * @returns {Array<{ at: string, cumulative: number, rolling: number }>}
+ */
+function failRateSeries(timeline, window = ROLLING_WINDOW) {
+  let failures = 0;
+  return timeline.map((entry, i) => {
+    if (!entry.success) failures++;
+    const recent = timeline.slice(Math.max(0, i + 1 - window), i + 1);
+    return {
+      at: entry.at,
+      cumulative: failures / (i + 1),
+      rolling: recent.filter((e) => !e.success).length / recent.length,
+    };
+  });
+}
+
+function formatTime(iso, timeZone) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleString('pt-BR', { timeZone });
+}
+
+function percent(rate) {
+  return `${((rate || 0) * 100).toFixed(1)}%`;
+}
+
+/** Inline SVG: cumulative and rolling fail rate per attempt, block-like errors in red, stop threshold dashed. */
+function renderFailRateChart(timeline, stopFailRate, timeZone) {
+  const series = failRateSeries(timeline);
+  const width = 800;
+  const height = 200;
+  const pad = 30;
+  const x = (i) => pad + (series.length > 1 ? (i / (series.length - 1)) * (width - 2 * pad) : (width - 2 * pad) / 2);
+  const y = (rate) => height - pad - rate * (height - 2 * pad);
+  const line = (key) => series.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  const blockDots = timeline
+    .map((e, i) => (e.blockLike ? `<circle cx="${x(i).toFixed(1)}" cy="${y(series[i].rolling).toFixed(1)}" r="4" fill="#d93025"><title>${escapeHtml(String(e.error || ''))}</title></circle>` : ''))
+    .join('');
+  const threshold = stopFailRate > 0
+    ? `<line x1="${pad}" x2="${width - pad}" y1="${y(stopFailRate)}" y2="${y(stopFailRate)}" stroke="#d93025" stroke-dasharray="4 4"/><text x="${width - pad}" y="${y(stopFailRate) - 4}" text-anchor="end" class="axis">limite ${percent(stopFailRate)}</text>`
+    : '';
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Taxa de falha por tentativa">
+    <line x1="${pad}" x2="${width - pad}" y1="${y(0)}" y2="${y(0)}" stroke="#d1d7db"/>
+    <line x1="${pad}" x2="${width - pad}" y1="${y(1)}" y2="${y(1)}" stroke="#f0f2f5"/>
+    <text x="${pad - 4}" y="${y(0) + 4}" text-anchor="end" class="axis">0%</text>
+    <text x="${pad - 4}" y="${y(1) + 4}" text-anchor="end" class="axis">100%</text>
+    <text x="${pad}" y="${height - 8}" class="axis">${escapeHtml(formatTime(series[0].at, timeZone))}</text>
+    <text x="${width - pad}" y="${height - 8}" text-anchor="end" class="axis">${escapeHtml(formatTime(series[series.length - 1].at, timeZone))}</text>
+    ${threshold}
+    <polyline points="${line('cumulative')}" fill="none" stroke="#667781" stroke-width="2"/>
+    <polyline points="${line('rolling')}" fill="none" stroke="#f29900" stroke-width="2"/>
+    ${blockDots}
+  </svg>
+  <p class="legend"><span style="color:#667781">━ acumulada</span> · <span style="color:#f29900">━ últimas ${ROLLING_WINDOW} tentativas</span> · <span style="color:#d93025">● erro com padrão de bloqueio</span></p>`;
+}
+
+/**
+ * Self-contained HTML page of a campaign health report.
+ * @param {object} report - Content of reports/batch-health-*.json (see run-batch.js)
+ * @param {{ timeZone?: string }} [options] - Zone of the times shown (default BATCH_TIMEZONE)
+ * @returns {string}
+ */
+function renderHealthReportHtml(report, options = {}) {
+  const timeZone = options.timeZone || getBatchSendWindowConfig().timeZone;
+  const result = report.result || {};
+  const metrics = result.metrics || {};
+  const results = result.results || [];
+  const timeline = metrics.timeline || [];
+  const cooldowns = metrics.cooldowns || [];
+  const skipped = metrics.skipped || {};
+  const stopRules = (report.options && report.options.stopRules) || {};
+  const counts = report.campaignCounts || {};
+  const delivery = report.delivery || null;
+  const title = escapeHtml(`Saúde da campanha${report.campaignId ? ` ${report.campaignId}` : ''}`);
+  const skippedTotal = Object.values(skipped).reduce((sum, n) => sum + n, 0);
+  const durationMs = metrics.startedAt && metrics.finishedAt ? Date.parse(metrics.finishedAt) - Date.parse(metrics.startedAt) : null;
+  const cooldownMs = cooldowns.reduce((sum, c) => sum + c.cooldownMs, 0);
+  const blockLike = timeline.filter((e) => e.blockLike);
+
+  const stop = result.stoppedEarly
+    ? `<div class="stop"><strong>Execução interrompida:</strong> ${escapeHtml(result.stopReason || 'guardrail acionado.')}</div>`
+    : '';
+  const recommendation = report.recommendation
+    ? `<p class="${report.recommendation.healthy ? 'healthy' : 'unhealthy'}">${report.recommendation.healthy ? 'Saudável' : 'Atenção'}: ${escapeHtml(report.recommendation.action)}${report.recommendation.suggestedNextMaxPerRun ? ` (próximo limite sugerido: ${report.recommendation.suggestedNextMaxPerRun})` : ''}</p>`
+    : '';
+  const skippedRows = Object.entries(skipped)
+    .map(([key, n]) => `    <tr><td>${escapeHtml(SKIPPED_LABELS[key] || key)}</td><td>${n}</td></tr>`)
+    .join('\n');
+  const chart = timeline.length > 0
+    ? renderFailRateChart(timeline, stopRules.failRate, timeZone)
+    : '<p class="muted">Sem tentativas de envio registradas nesta execução.</p>';
+  const blockRows = blockLike.length > 0
+    ? blockLike.map((e) => `    <tr><td>${escapeHtml(formatTime(e.at, timeZone))}</td><td>${escapeHtml(e.contact)}</td><td>${escapeHtml(String(e.error || ''))}</td></tr>`).join('\n')
+    : '    <tr><td colspan="3" class="muted">Nenhum.</td></tr>';
+  const cooldownRows = cooldowns.length > 0
+    ? cooldowns.map((c) => `    <tr><td>${escapeHtml(formatTime(c.at, timeZone))}</td><td>${escapeHtml(c.reason)}</td><td>${formatDuration(c.cooldownMs)}</td></tr>`).join('\n')
+    : '    <tr><td colspan="3" class="muted">Nenhum.</td></tr>';
+  const contactRows = results
+    .map((r, i) => {
+      const outcome = describeOutcome(r);
+      const leadAge = r.leadAgeMs != null ? formatDuration(r.leadAgeMs) : '';
+      return `    <tr class="${outcome.status}"><td>${i + 1}</td><td>${escapeHtml(r.contact)}</td><td>${escapeHtml(outcome.label)}</td><td>${leadAge}</td><td>${escapeHtml(String(r.error || ''))}</td></tr>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; margin: 1.5rem; color: #1f2c34; max-width: 70rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; margin-bottom: 1rem; }
+    th, td { border: 1px solid #d1d7db; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    th { background: #f0f2f5; }
+    .totals td:first-child { width: 18rem; }
+    tr.skip td, .muted { color: #667781; }
+    tr.retry td { background: #fff3c4; }
+    tr.failed td { background: #fde8e8; }
+    .stop { background: #fde8e8; border: 1px solid #d93025; border-radius: 4px; padding: 0.6rem 0.8rem; }
+    .healthy { color: #188038; }
+    .unhealthy { color: #d93025; }
+    .axis { font-size: 11px; fill: #667781; }
+    .legend { font-size: 0.8rem; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p class="muted">Gerado em ${escapeHtml(formatTime(report.generatedAt, timeZone))}${report.batchPath ? ` · ${escapeHtml(report.batchPath)}` : ''}</p>
+  ${stop}
+  ${recommendation}
+  <h2>Totais</h2>
+  <table class="totals">
+    <tr><td>Itens no lote</td><td>${metrics.totalItems != null ? metrics.totalItems : results.length}</td></tr>
+    <tr><td>Enviados</td><td>${result.sent || 0}</td></tr>
+    <tr><td>Falhas</td><td>${result.failed || 0}</td></tr>
+    <tr><td>Ignorados</td><td>${skippedTotal}</td></tr>
+    <tr><td>Tentativas</td><td>${metrics.attempts || 0}</td></tr>
+    <tr><td>Taxa de falha</td><td>${percent(metrics.failRate)}</td></tr>
+    <tr><td>Erros com padrão de bloqueio</td><td>${metrics.blockLikeErrors || 0}</td></tr>
+    <tr><td>Cooldowns</td><td>${cooldowns.length} (${formatDuration(cooldownMs)})</td></tr>
+    ${metrics.leadAge ? `<tr><td>Idade do lead no envio</td><td>mediana ${formatDuration(metrics.leadAge.medianMs)} (de ${formatDuration(metrics.leadAge.minMs)} a ${formatDuration(metrics.leadAge.maxMs)}, ${metrics.leadAge.count} lead(s) com data)</td></tr>` : ''}
+    ${durationMs != null ? `<tr><td>Duração</td><td>${formatDuration(durationMs)}</td></tr>` : ''}
+    ${counts.pending != null ? `<tr><td>Campanha</td><td>pendentes: ${counts.pending}, verificados: ${counts.verified}, enviados: ${counts.sent}, ignorados: ${counts.skipped}, falhas: ${counts.failed}</td></tr>` : ''}
+    ${delivery ? `<tr><td>Entrega (no fim da execução)</td><td>entregues: ${delivery.delivered}/${delivery.tracked}, lidas: ${delivery.read}/${delivery.tracked}</td></tr>` : ''}
+  </table>
+  <h2>Motivos de ignorados</h2>
+  <table>
+    <tr><th>Motivo</th><th>Contatos</th></tr>
+${skippedRows}
+  </table>
+  <h2>Taxa de falha ao longo da execução</h2>
+  ${chart}
+  <h2>Erros com padrão de bloqueio</h2>
+  <table>
+    <tr><th>Quando</th><th>Contato</th><th>Erro</th></tr>
+${blockRows}
+  </table>
+  <h2>Cooldowns</h2>
+  <table>
+    <tr><th>Quando</th><th>Motivo</th><th>Pausa</th></tr>
+${cooldownRows}
+  </table>
+  <h2>Contatos</h2>
+  <table>
+    <tr><th>#</th><th>Contato</th><th>Resultado</th><th>Idade do lead</th><th>Erro</th></tr>
+${contactRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML page next to its JSON report (same name, .html).
+ * @param {object} report
+ * @param {string} jsonPath - Path of the batch-health-*.json file (or of the campaign-<id>.ndjson event log)
+ * @returns {string} path of the HTML file
+ */
+function writeHealthReportHtml(report, jsonPath) {
+  const htmlPath = path.join(path.dirname(jsonPath), `${path.basename(jsonPath, path.extname(jsonPath))}.html`);
+  fs.writeFileSync(htmlPath, renderHealthReportHtml(report), 'utf8');
+  return htmlPath;
+}
+
+/**
+ * Stored JSON report of a campaign's latest run.
+ * @param {number} campaignId
+ * @param {string} [reportDir] - Default reports/ in the working directory
+ * @returns {string|null} path, or null when no report of that campaign exists
+ */
+function findHealthReport(campaignId, reportDir = path.join(process.cwd(), 'reports')) {
+  if (!fs.existsSync(reportDir)) return null;
+  const files = fs
+    .readdirSync(reportDir)
+    .filter((name) => /^batch-health-.*\.json$/.test(name))
+    .sort()
+    .reverse();
+  for (const name of files) {
+    const filePath = path.join(reportDir, name);
+    try {
+      if (JSON.parse(fs.readFileSync(filePath, 'utf8')).campaignId === campaignId) return filePath;
+    } catch (_) {}
+  }
+  return null;
+}
+
+module.exports = {
+  SKIPPED_LABELS,
+  describeOutcome,
+  failRateSeries,
+  renderHealthReportHtml,
+  writeHealthReportHtml,
+  findHealthReport,
+};
@@ -0,0 +1,89 @@
+/**
+ * Lead freshness: leads from ad forms go cold within hours, so the order of a run can follow the
+ * createdTime of each item (created_time of the Meta leads export, carried by build-batch-from-csv.js
+ * and by CSV batches) instead of the file order.
+ * - order "newest": newest leads first; items without createdTime last, in file order;
+ * - hotLeadHours: leads at most that old when the run starts go ahead of all others (newest first),
+ *   whatever the order; 0 = off.
+ * runBatch also records the lead age at send time on each sent result (leadAgeMs) and sums it up in
+ * metrics.leadAge, shown in the run report.
+ */
+
+const LEAD_ORDER = {
+  FILE: 'file',
+  NEWEST: 'newest',
+};
+
+/**
+ * @param {{ createdTime?: string }} item
+ * @returns {Date|null} null when the item has no (parsable) createdTime
+ */
+function getLeadCreatedAt(item) {
+  const ms = item && item.createdTime ? Date.parse(item.createdTime) : NaN;
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+/**
+ * @param {object} item
+ * @param {Date} [at]
+ * @returns {number|null} age of the lead in ms at the given time, or null without createdTime
+ */
+function getLeadAgeMs(item, at = new Date()) {
+  const createdAt = getLeadCreatedAt(item);
+  return createdAt ? Math.max(0, at.getTime() - createdAt.getTime()) : null;
+}
+
+/**
+ * Items in priority order (a new array; file order when no option applies). Stable.
+ * @param {Array<object>} items
+ * @param {{ order?: string, hotLeadHours?: number, now?: Date }} [priority] - order: LEAD_ORDER (default file)
+ * @returns {Array<object>}
+ */
+function orderByPriority(items, priority = {}) {
+  const now = priority.now || new Date();
+  const newest = priority.order === LEAD_ORDER.NEWEST;
+  const hotMs = priority.hotLeadHours > 0 ? priority.hotLeadHours * 3600000 : 0;
+  const entries = items.map((item, index) => {
+    const createdAt = getLeadCreatedAt(item);
+    const ageMs = createdAt ? now.getTime() - createdAt.getTime() : null;
+    return { item, index, createdMs: createdAt ? createdAt.getTime() : null, hot: hotMs > 0 && ageMs != null && ageMs <= hotMs };
+  });
+  const byNewest = (a, b) => {
+    if (a.createdMs === b.createdMs) return a.index - b.index;
+    if (a.createdMs == null) return 1;
+    if (b.createdMs == null) return -1;
+    return b.createdMs - a.createdMs;
+  };
+  return entries
+    .sort((a, b) => {
+      if (a.hot !== b.hot) return a.hot ? -1 : 1;
+      if (a.hot || newest) return byNewest(a, b);
+      return a.index - b.index;
+    })
+    .map((entry) => entry.item);
+}
+
+/**
+ * Lead ages of the sent results of a run.
+ * @param {Array<{ leadAgeMs?: number }>} results
+ * @returns {{ count: number, medianMs: number, maxMs: number, minMs: number }|null} null when no sent result has an age
+ */
+function summarizeLeadAges(results) {
+  const ages = results.map((r) => r.leadAgeMs).filter((ms) => Number.isFinite(ms)).sort((a, b) => a - b);
+  if (ages.length === 0) return null;
+  const mid = Math.floor(ages.length / 2);
+  return {
+    count: ages.length,
+    medianMs: ages.length % 2 ? ages[mid] : Math.round((ages[mid - 1] + ages[mid]) / 2),
+    minMs: ages[0],
+    maxMs: ages[ages.length - 1],
+  };
+}
+
+module.exports = {
+  LEAD_ORDER,
+  getLeadCreatedAt,
+  getLeadAgeMs,
+  orderByPriority,
+  summarizeLeadAges,
+};
@@ -7,6 +7,10 @@
  * @param {function} [handlers.onGroupMessage] - (msg) => {} only group chats
  * @param {function} [handlers.onMessageCreate] - (msg) => {} message_create event (includes own messages)
  */
+const { getLogger } = require('./logger');
+
+const log = getLogger('session');
+
 function attachListeners(client, handlers = {}) {
   const { onMessage, onPrivateMessage, onGroupMessage, onMessageCreate } = handlers;
 
@@ -20,7 +24,7 @@ function attachListeners(client, handlers = {}) {
         if (onPrivateMessage) onPrivateMessage(msg);
       }
     } catch (err) {
-      console.error('[listeners] getChat error:', err.message);
+      log.error('getChat error', { error: err.message });
     }
   });
 
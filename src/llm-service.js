@@ -3,10 +3,8 @@
  * Analisa as strings do chat e determina a próxima ação.
  */
 
-// Spintax básico para não mandar a exata mesma mensagem
-function getRandomOption(options) {
-  return options[Math.floor(Math.random() * options.length)];
-}
+// Spintax para não mandar a exata mesma mensagem (mesmo motor dos templates de lote)
+const { expandSpintax } = require('./message-renderer');
 
 function parseWhatsAppDate(dateStr) {
   // Datas no WhatsApp podem ser: "10:45", "Ontem", "Quarta-feira", "25/02/2026"
@@ -75,10 +73,7 @@ async function generateMessage(agentName, clientData, chatHistory) {
 
   // 1. Regra: Sem histórico
   if (!hasHistory) {
-    const greetings = ['Olá', 'Oi', 'Opa'];
-    const greetings2 = ['tudo bem?', 'como vai?', 'tudo certo?'];
-    
-    let msg = `${getRandomOption(greetings)} ${name}, ${getRandomOption(greetings2)} `;
+    let msg = expandSpintax(`{Olá|Oi|Opa} ${name}, {tudo bem?|como vai?|tudo certo?} `);
     msg += `Aqui é o ${agentName} da Aptom Imóveis. `;
     msg += `Vi que você se cadastrou buscando sobre ${context}. Como posso te ajudar nessa pesquisa?`;
 
@@ -111,9 +106,7 @@ async function generateMessage(agentName, clientData, chatHistory) {
   }
 
   // 4. Regra: Histórico Antigo (Reaquecimento)
-  const greetings = ['Olá', 'Oi', 'Opa'];
-  const greetings2 = ['tudo bem?', 'tudo certo?'];
-  let msg = `${getRandomOption(greetings)} ${name}, ${getRandomOption(greetings2)} `;
+  let msg = expandSpintax(`{Olá|Oi|Opa} ${name}, {tudo bem?|tudo certo?} `);
   msg += `Aqui é o ${agentName} da Aptom Imóveis novamente. `;
   msg += `Faz um tempinho que conversamos sobre ${context}... você ainda está pesquisando imóveis na região ou já encontrou algo?`;
 
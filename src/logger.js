@@ -0,0 +1,194 @@
+/**
+ * Diagnostic logging for the library modules: levels, named components (batch, agent, browser,
+ * session) and sinks. By default only the console gets records (LOG_LEVEL, default info); LOG_FILE adds
+ * a size-rotated file and LOG_HTTP_URL a collector that receives each record as a JSON POST, both at
+ * LOG_FILE_LEVEL (default debug). Phone numbers and message bodies are redacted before any sink sees
+ * them unless LOG_REDACT=false, so a debug trace of a run can be shared without exposing leads.
+ * Console output meant for the operator (progress, summaries) stays in the scripts.
+ */
+const fs = require('fs');
+const path = require('path');
+const { getLogConfig } = require('./config');
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/** Data fields that hold message text; replaced by their length when redacting. */
+const BODY_FIELDS = new Set(['message', 'body', 'text', 'lastBody', 'caption', 'transcript', 'reply']);
+
+/** Digit runs of phone-number length, optionally with +, spaces, dots, dashes or parentheses in between. */
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+function levelValue(level) {
+  return LOG_LEVELS[String(level || '').toLowerCase()] ?? LOG_LEVELS.info;
+}
+
+/**
+ * Mask phone-like numbers in a string, keeping the last 4 digits (5547999990000@c.us -> *********0000@c.us).
+ * @param {string} text
+ * @returns {string}
+ */
+function redactPhones(text) {
+  return String(text).replace(PHONE_PATTERN, (match) => {
+    const digits = match.replace(/\D/g, '');
+    if (digits.length < 10) return match;
+    return `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+  });
+}
+
+/**
+ * Copy of log data with phone numbers masked and message bodies replaced by their length.
+ * @param {*} value
+ * @param {string} [key] - Field name of value in its parent object
+ * @returns {*}
+ */
+function redact(value, key) {
+  if (value == null) return value;
+  if (key && BODY_FIELDS.has(key) && typeof value === 'string') return `[${value.length} chars]`;
+  if (typeof value === 'string') return redactPhones(value);
+  if (value instanceof Error) return redactPhones(value.message);
+  if (Array.isArray(value)) return value.map((v) => redact(v));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+function formatData(data) {
+  return Object.entries(data)
+    .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+    .join(' ');
+}
+
+/**
+ * @param {{ level?: string }} [options]
+ * @returns {{ level: string, write: function(object): void }} prints "[component] message key=value ..."
+ */
+function createConsoleSink(options = {}) {
+  return {
+    level: options.level || 'info',
+    write(record) {
+      const line = `[${record.component}] ${record.message}${record.data ? ` ${formatData(record.data)}` : ''}`;
+      if (record.level === 'error') console.error(line);
+      else if (record.level === 'warn') console.warn(line);
+      else console.log(line);
+    },
+  };
+}
+
+/**
+ * One JSON record per line; when the file would grow past maxBytes it becomes <file>.1 (older ones
+ * shift to .2 ... .maxFiles, the oldest is dropped).
+ * @param {string} filePath
+ * @param {{ level?: string, maxBytes?: number, maxFiles?: number }} [options]
+ * @returns {{ level: string, write: function(object): void }}
+ */
+function createFileSink(filePath, options = {}) {
+  const maxBytes = options.maxBytes > 0 ? options.maxBytes : 5 * 1024 * 1024;
+  const maxFiles = options.maxFiles > 0 ? options.maxFiles : 3;
+  const rotate = () => {
+    for (let i = maxFiles; i >= 1; i--) {
+      const from = i === 1 ? filePath : `${filePath}.${i - 1}`;
+      if (!fs.existsSync(from)) continue;
+      if (i === maxFiles && fs.existsSync(`${filePath}.${i}`)) fs.unlinkSync(`${filePath}.${i}`);
+      fs.renameSync(from, `${filePath}.${i}`);
+    }
+  };
+  return {
+    level: options.level || 'debug',
+    write(record) {
+      const line = `${JSON.stringify(record)}\n`;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        if (size > 0 && size + Buffer.byteLength(line) > maxBytes) rotate();
+        fs.appendFileSync(filePath, line, 'utf8');
+      } catch (_) {}
+    },
+  };
+}
+
+/**
+ * POST every record as JSON to a log collector. Fire-and-forget: a collector that is down never
+ * slows down or breaks a run.
+ * @param {string} url
+ * @param {{ level?: string }} [options]
+ * @returns {{ level: string, write: function(object): void }}
+ */
+function createHttpSink(url, options = {}) {
+  return {
+    level: options.level || 'debug',
+    write(record) {
+      fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(record) }).catch(() => {});
+    },
+  };
+}
+
+/**
+ * @param {string} component - batch, agent, browser, session, ...
+ * @param {{ sinks: Array<{ level?: string, write: function(object): void }>, redact?: boolean }|function(): object} setup - Sinks and redaction (default on); a function is read on every record
+ * @returns {{ debug: function(string, object=): void, info: function(string, object=): void, warn: function(string, object=): void, error: function(string, object=): void }}
+ */
+function createLogger(component, setup) {
+  const log = (level) => (message, data) => {
+    const { sinks, redact: shouldRedact = true } = typeof setup === 'function' ? setup() : setup;
+    const targets = sinks.filter((sink) => LOG_LEVELS[level] >= levelValue(sink.level));
+    if (targets.length === 0) return;
+    const record = {
+      at: new Date().toISOString(),
+      level,
+      component,
+      message: shouldRedact ? redactPhones(message) : String(message),
+      ...(data != null && { data: shouldRedact ? redact(data) : data }),
+    };
+    targets.forEach((sink) => sink.write(record));
+  };
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+let shared = null;
+
+/** Sinks from the LOG_* settings, built on first use. */
+function getSharedSetup() {
+  if (!shared) {
+    const config = getLogConfig();
+    const sinks = [createConsoleSink({ level: config.level })];
+    if (config.file) sinks.push(createFileSink(config.file, { level: config.fileLevel, maxBytes: config.fileMaxBytes, maxFiles: config.fileMaxFiles }));
+    if (config.httpUrl) sinks.push(createHttpSink(config.httpUrl, { level: config.fileLevel }));
+    shared = { sinks, redact: config.redact };
+  }
+  return shared;
+}
+
+/**
+ * Logger of a component, writing to the sinks configured in .env (or set with configureLogging).
+ * @param {string} component
+ */
+function getLogger(component) {
+  return createLogger(component, getSharedSetup);
+}
+
+/**
+ * Replace the shared sinks (e.g. silence the console in a test); null goes back to the .env settings.
+ * @param {{ sinks: Array<object>, redact?: boolean }|null} setup
+ */
+function configureLogging(setup) {
+  shared = setup;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  redactPhones,
+  redact,
+  createConsoleSink,
+  createFileSink,
+  createHttpSink,
+  createLogger,
+  getLogger,
+  configureLogging,
+};
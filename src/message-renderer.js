@@ -0,0 +1,156 @@
+/**
+ * Message rendering for batch items, done at send time:
+ * - `{a|b|c}` spintax: one option picked at random (nesting allowed: `{Oi|Olá {tudo bem|beleza}}`)
+ * - `{{variable}}`: taken from the item fields (firstName, broker, empreendimento, ...) or from
+ *   defaults passed by the script (e.g. broker from the profile)
+ * - `{{saudacao}}` / `{{greeting}}`: "Bom dia" / "Boa tarde" / "Boa noite" at send time (BATCH_TIMEZONE)
+ * `{{firstName}}` falls back to the first word of fullName / name. A variable that is missing or
+ * empty is an error, so a batch never goes out with a blank where the lead's name should be.
+ * In A/B-tested campaigns (ab-test.js) the variant text fills `{{variant}}` in the item message, or is the
+ * whole message when the item has no such placeholder; it is applied before rendering, so it can use variables too.
+ */
+const { getZonedParts } = require('./send-window');
+const { getBatchSendWindowConfig } = require('./config');
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const VARIANT_PATTERN = /\{\{\s*variant\s*\}\}/g;
+const SPINTAX_PATTERN = /\{([^{}]*\|[^{}]*)\}/;
+
+/**
+ * Time-of-day greeting in the given zone: Bom dia (05–11h), Boa tarde (12–17h), Boa noite otherwise.
+ * @param {Date} [now]
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function getGreeting(now = new Date(), timeZone = getBatchSendWindowConfig().timeZone) {
+  const hour = Math.floor(getZonedParts(now, timeZone).minuteOfDay / 60);
+  if (hour >= 5 && hour < 12) return 'Bom dia';
+  if (hour >= 12 && hour < 18) return 'Boa tarde';
+  return 'Boa noite';
+}
+
+/** True if the text has template variables or spintax (plain messages are sent untouched). */
+function hasTemplateSyntax(text) {
+  if (typeof text !== 'string') return false;
+  VARIABLE_PATTERN.lastIndex = 0;
+  return VARIABLE_PATTERN.test(text) || SPINTAX_PATTERN.test(text);
+}
+
+/**
+ * Expand spintax, innermost groups first.
+ * @param {string} text
+ * @param {function(): number} [random] - Math.random by default
+ * @returns {string}
+ */
+function expandSpintax(text, random = Math.random) {
+  let out = String(text);
+  let match = SPINTAX_PATTERN.exec(out);
+  while (match) {
+    const options = match[1].split('|');
+    const picked = options[Math.min(options.length - 1, Math.floor(random() * options.length))];
+    out = out.slice(0, match.index) + picked + out.slice(match.index + match[0].length);
+    match = SPINTAX_PATTERN.exec(out);
+  }
+  return out;
+}
+
+function buildVariables(item, options) {
+  const vars = { ...(options.defaults || {}), ...(item || {}) };
+  if (vars.firstName == null || vars.firstName === '') {
+    const fullName = String(vars.fullName || vars.name || '').trim();
+    if (fullName) vars.firstName = fullName.split(/\s+/)[0];
+  }
+  const greeting = getGreeting(options.now || new Date(), options.timeZone);
+  vars.saudacao = greeting;
+  vars.greeting = greeting;
+  return vars;
+}
+
+/**
+ * List the variables used by a template that the item does not provide.
+ * @param {string} template
+ * @param {object} item
+ * @param {object} [options] - Same as renderMessage
+ * @returns {string[]}
+ */
+function findMissingVariables(template, item, options = {}) {
+  const vars = buildVariables(item, options);
+  const missing = new Set();
+  String(template).replace(VARIABLE_PATTERN, (_, name) => {
+    if (vars[name] == null || String(vars[name]).trim() === '') missing.add(name);
+    return '';
+  });
+  return [...missing];
+}
+
+/**
+ * Message of an item once its A/B variant is applied.
+ * @param {string} [message] - Item message; `{{variant}}` marks where the variant text goes
+ * @param {string} variantText
+ * @returns {string}
+ */
+function applyVariantText(message, variantText) {
+  VARIANT_PATTERN.lastIndex = 0;
+  if (typeof message === 'string' && VARIANT_PATTERN.test(message)) return message.replace(VARIANT_PATTERN, () => variantText);
+  return variantText;
+}
+
+/**
+ * Render one message for one item.
+ * @param {string} template - Message text with {{variables}} and {a|b} spintax
+ * @param {object} item - Batch item; its fields are the variables
+ * @param {object} [options]
+ * @param {object} [options.defaults] - Variables used when the item does not have them (e.g. { broker })
+ * @param {Date} [options.now] - Send time for {{saudacao}} (default now)
+ * @param {string} [options.timeZone] - Zone for {{saudacao}} (default BATCH_TIMEZONE)
+ * @param {function(): number} [options.random] - Random source for spintax
+ * @returns {string}
+ * @throws {Error} when a variable is missing or empty
+ */
+function renderMessage(template, item, options = {}) {
+  const missing = findMissingVariables(template, item, options);
+  if (missing.length > 0) {
+    const contact = item && item.contact ? ` (contact ${item.contact})` : '';
+    throw new Error(`Missing template variable(s): ${missing.join(', ')}${contact}`);
+  }
+  const vars = buildVariables(item, options);
+  const withVars = String(template).replace(VARIABLE_PATTERN, (_, name) => String(vars[name]).trim());
+  return expandSpintax(withVars, options.random);
+}
+
+/**
+ * Check every item's message before a run starts, so a bad batch fails before the first send.
+ * @param {Array<object>} items
+ * @param {object} [options] - Same as renderMessage, plus:
+ * @param {Array<{ name: string, body: string }>} [options.variants] - A/B variants; each item is checked with every variant
+ * @returns {Array<{ index: number, contact: string, error: string }>} one entry per item that cannot be rendered
+ */
+function validateBatchTemplates(items, options = {}) {
+  const errors = [];
+  const variants = options.variants && options.variants.length > 0 ? options.variants : [null];
+  items.forEach((item, index) => {
+    if (!item) return;
+    for (const variant of variants) {
+      const message = variant ? applyVariantText(item.message, variant.body) : item.message;
+      if (!hasTemplateSyntax(message)) continue;
+      try {
+        renderMessage(message, item, options);
+      } catch (err) {
+        const error = variant ? `${err.message} (variant ${variant.name})` : err.message;
+        errors.push({ index, contact: String(item.contact || ''), error });
+        break;
+      }
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  getGreeting,
+  hasTemplateSyntax,
+  expandSpintax,
+  findMissingVariables,
+  applyVariantText,
+  renderMessage,
+  validateBatchTemplates,
+};
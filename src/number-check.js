@@ -0,0 +1,163 @@
+/**
+ * Pre-send WhatsApp registration check. Lead lists (e.g. Meta forms) carry typos and numbers with or
+ * without the mobile 9, which otherwise only show up as send errors ("No LID for user", "not a
+ * WhatsApp user"). validateNumbers asks WhatsApp about each number at a slow pace (transport.lookupNumber),
+ * trying the normalized number and its variant without the 9, and caches the answer in number_checks
+ * (see db.js) for NUMBER_CHECK_TTL_HOURS. runBatch only reads the cache (createNumberCheckCache):
+ * numbers known to be invalid are skipped and the others are sent to the variant that is registered.
+ */
+const { normalizeContactId, randomDelayMs, sleep } = require('./batch-sender');
+const { contactDigits, withoutMobileNine } = require('./phone');
+
+const DEFAULT_TTL_HOURS = 336;
+
+const CHECK_STATUS = {
+  VALID: 'valid',
+  CORRECTED: 'corrected',
+  INVALID: 'invalid',
+  ERROR: 'error',
+};
+
+/**
+ * Numbers to try for a contact, most likely first: the number as the batch normalizes it and, for a
+ * Brazilian mobile, the same number without the 9 (see withoutMobileNine in phone.js).
+ * @param {string} contact
+ * @returns {string[]} digits
+ */
+function numberCandidates(contact) {
+  const number = contactDigits(normalizeContactId(contact));
+  if (!number) return [];
+  const withoutNine = withoutMobileNine(number);
+  return withoutNine ? [number, withoutNine] : [number];
+}
+
+/**
+ * Cached check of a number, or null when it was never checked or the result is older than ttlHours.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} number - Normalized digits (see numberCandidates)
+ * @param {{ ttlHours?: number, now?: Date }} [options]
+ * @returns {{ number: string, registered: string|null, checkedAt: string }|null} registered: digits WhatsApp knows the number by, null when it is not on WhatsApp
+ */
+function getNumberCheck(db, number, options = {}) {
+  const ttlHours = options.ttlHours > 0 ? options.ttlHours : DEFAULT_TTL_HOURS;
+  const now = options.now || new Date();
+  const row = db.prepare('SELECT number, registered, checked_at FROM number_checks WHERE number = ?').get(number);
+  if (!row || Date.parse(row.checked_at) < now.getTime() - ttlHours * 3600000) return null;
+  return { number: row.number, registered: row.registered, checkedAt: row.checked_at };
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} number - Normalized digits
+ * @param {string|null} registered - Registered digits, or null when the number is not on WhatsApp
+ * @param {Date} [checkedAt]
+ */
+function saveNumberCheck(db, number, registered, checkedAt = new Date()) {
+  db.prepare(
+    `INSERT INTO number_checks (number, registered, checked_at) VALUES (?, ?, ?)
+     ON CONFLICT(number) DO UPDATE SET registered = excluded.registered, checked_at = excluded.checked_at`
+  ).run(number, registered || null, checkedAt.toISOString());
+}
+
+/**
+ * Ask WhatsApp about each candidate of a contact until one is registered.
+ * @param {function(string): Promise<string|null>} lookup - transport.lookupNumber (or a paced wrapper)
+ * @param {string} contact
+ * @returns {Promise<string|null>} registered digits, or null when no candidate is on WhatsApp
+ */
+async function checkNumber(lookup, contact) {
+  for (const candidate of numberCandidates(contact)) {
+    const registered = await lookup(`${candidate}@c.us`);
+    if (registered) return registered;
+  }
+  return null;
+}
+
+function statusOf(result) {
+  if (result.error) return CHECK_STATUS.ERROR;
+  if (!result.registered) return CHECK_STATUS.INVALID;
+  return result.registered === result.number ? CHECK_STATUS.VALID : CHECK_STATUS.CORRECTED;
+}
+
+/**
+ * Check every contact of a batch (repeated numbers once) and cache the answers. Cached results younger
+ * than ttlHours are reused; every lookup after the first waits a random delay in [minDelayMs, maxDelayMs].
+ * A lookup that fails is reported as an error and not cached.
+ * @param {import('./transports').Transport} transport
+ * @param {import('better-sqlite3').Database} db
+ * @param {string[]} contacts
+ * @param {object} [options]
+ * @param {number} [options.ttlHours]
+ * @param {number} [options.minDelayMs] - Default 2000
+ * @param {number} [options.maxDelayMs] - Default 5000
+ * @param {boolean} [options.force] - Ignore the cache and check every number again
+ * @param {function(object): void} [options.onResult] - Called with each result as it is known
+ * @returns {Promise<{ total: number, valid: number, corrected: number, invalid: number, errors: number, cached: number, results: Array<{ contact: string, number: string, registered: string|null, cached: boolean, status: string, error?: string }> }>}
+ */
+async function validateNumbers(transport, db, contacts, options = {}) {
+  const minDelayMs = options.minDelayMs ?? 2000;
+  const maxDelayMs = options.maxDelayMs ?? 5000;
+  const onResult = options.onResult || (() => {});
+  let lookups = 0;
+  const lookup = async (contactId) => {
+    if (lookups++ > 0) await sleep(randomDelayMs(minDelayMs, maxDelayMs));
+    return transport.lookupNumber(contactId);
+  };
+
+  const seen = new Set();
+  const results = [];
+  for (const contact of contacts) {
+    const number = contactDigits(normalizeContactId(contact));
+    if (!number || seen.has(number)) continue;
+    seen.add(number);
+    const cached = options.force ? null : getNumberCheck(db, number, { ttlHours: options.ttlHours });
+    let result;
+    if (cached) {
+      result = { contact, number, registered: cached.registered, cached: true };
+    } else {
+      try {
+        const registered = await checkNumber(lookup, contact);
+        saveNumberCheck(db, number, registered);
+        result = { contact, number, registered, cached: false };
+      } catch (err) {
+        result = { contact, number, registered: null, cached: false, error: err.message || String(err) };
+      }
+    }
+    result.status = statusOf(result);
+    results.push(result);
+    onResult(result);
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    total: results.length,
+    valid: count(CHECK_STATUS.VALID),
+    corrected: count(CHECK_STATUS.CORRECTED),
+    invalid: count(CHECK_STATUS.INVALID),
+    errors: count(CHECK_STATUS.ERROR),
+    cached: results.filter((r) => r.cached).length,
+    results,
+  };
+}
+
+/**
+ * Read-only view of the cache for runBatch (options.numberChecks).
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ ttlHours?: number }} [options]
+ * @returns {{ get: function(string): ({ number: string, registered: string|null, checkedAt: string }|null) }} get takes a normalized contact id
+ */
+function createNumberCheckCache(db, options = {}) {
+  return {
+    get: (contactId) => getNumberCheck(db, contactDigits(contactId), options),
+  };
+}
+
+module.exports = {
+  CHECK_STATUS,
+  numberCandidates,
+  getNumberCheck,
+  saveNumberCheck,
+  checkNumber,
+  validateNumbers,
+  createNumberCheckCache,
+};
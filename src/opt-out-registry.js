@@ -0,0 +1,155 @@
+/**
+ * Central opt-out registry: one row per number that asked not to be contacted, with where it came
+ * from (the first-contact agent, a manual command or an import), when, and the message that asked.
+ * Stored in opt_outs (see db.js). Every sender consults it right before sending: runBatch (and so
+ * run-batch, the sender pool and listen), send-list-puppeteer.js, resend-fixed-numbers.js and the wa.me
+ * links page. Numbers are kept as phoneDigits (phone.js), so 554799990000 and +55 47 99999-0000 match.
+ */
+const { phoneDigits } = require('./phone');
+
+const OPT_OUT_SOURCE = {
+  AGENT: 'agent',
+  MANUAL: 'manual',
+  IMPORT: 'import',
+};
+
+function toEntry(row) {
+  return { contact: row.contact, source: row.source, message: row.message, optedOutAt: row.opted_out_at };
+}
+
+/**
+ * Register an opt-out. A number already registered keeps its first entry.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact - Number or WhatsApp id
+ * @param {{ source?: string, message?: string, at?: Date }} [options] - source: OPT_OUT_SOURCE (default manual); message: text the contact sent
+ * @returns {boolean} true when the number was not registered yet
+ */
+function addOptOut(db, contact, options = {}) {
+  const digits = phoneDigits(contact);
+  if (!digits) return false;
+  const at = options.at || new Date();
+  const info = db
+    .prepare('INSERT OR IGNORE INTO opt_outs (contact, source, message, opted_out_at) VALUES (?, ?, ?, ?)')
+    .run(digits, options.source || OPT_OUT_SOURCE.MANUAL, options.message || null, at.toISOString());
+  return info.changes > 0;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact
+ * @returns {boolean} true when the number was registered
+ */
+function removeOptOut(db, contact) {
+  const digits = phoneDigits(contact);
+  if (!digits) return false;
+  return db.prepare('DELETE FROM opt_outs WHERE contact = ?').run(digits).changes > 0;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} contact
+ * @returns {{ contact: string, source: string, message: string|null, optedOutAt: string }|null}
+ */
+function getOptOut(db, contact) {
+  const digits = phoneDigits(contact);
+  if (!digits) return null;
+  const row = db.prepare('SELECT contact, source, message, opted_out_at FROM opt_outs WHERE contact = ?').get(digits);
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * @param {import('better-sqlite3').Database} db
+ * @returns {Array<{ contact: string, source: string, message: string|null, optedOutAt: string }>} newest first
+ */
+function listOptOuts(db) {
+  return db.prepare('SELECT contact, source, message, opted_out_at FROM opt_outs ORDER BY opted_out_at DESC').all().map(toEntry);
+}
+
+/**
+ * Entries of an opt-out list in any of the formats it usually arrives in: a JSON array of numbers or of
+ * { contact, message } objects (e.g. BATCH_SUPPRESSION_FILE), the first-contact agent's memory file
+ * (contacts marked doNotContact) or plain text with one number per line (CSV: first column).
+ * @param {*} data - Parsed JSON, or the file's text
+ * @returns {Array<{ contact: string, message?: string }>}
+ */
+function parseOptOutList(data) {
+  if (Array.isArray(data)) {
+    return data
+      .map((v) => (v && typeof v === 'object' ? { contact: String(v.contact || v.number || v.phone || ''), message: v.message } : { contact: String(v) }))
+      .filter((e) => e.contact);
+  }
+  if (data && typeof data === 'object' && data.contacts && typeof data.contacts === 'object') {
+    return Object.entries(data.contacts)
+      .filter(([, c]) => c && c.doNotContact)
+      .map(([contact]) => ({ contact }));
+  }
+  if (typeof data === 'string') {
+    return data
+      .split(/\r?\n/)
+      .map((line) => line.split(/[,;\t]/)[0].trim())
+      .filter((contact) => /\d/.test(contact))
+      .map((contact) => ({ contact }));
+  }
+  return [];
+}
+
+/**
+ * Register every entry not registered yet.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Array<{ contact: string, message?: string }>} entries - From parseOptOutList
+ * @param {{ source?: string }} [options] - Default OPT_OUT_SOURCE.IMPORT
+ * @returns {number} entries added
+ */
+function importOptOuts(db, entries, options = {}) {
+  const source = options.source || OPT_OUT_SOURCE.IMPORT;
+  let added = 0;
+  db.transaction(() => {
+    for (const entry of entries) {
+      if (addOptOut(db, entry.contact, { source, message: entry.message })) added++;
+    }
+  })();
+  return added;
+}
+
+/**
+ * Register the replies reply-attribution.js flagged as opt-outs (campaign_replies.opt_out) that are not
+ * in the registry yet, e.g. those received while the first-contact agent was off.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number} entries added
+ */
+function importReplyOptOuts(db) {
+  const rows = db.prepare('SELECT recipient, MIN(received_at) AS receivedAt FROM campaign_replies WHERE opt_out = 1 GROUP BY recipient').all();
+  let added = 0;
+  db.transaction(() => {
+    for (const row of rows) {
+      if (addOptOut(db, row.recipient, { source: OPT_OUT_SOURCE.IMPORT, message: null, at: new Date(row.receivedAt) })) added++;
+    }
+  })();
+  return added;
+}
+
+/**
+ * View of the registry for the senders (runBatch options.optOuts, the wa.me links page).
+ * Each call reads the table, so an opt-out registered during a run is honoured by the next send.
+ * @param {import('better-sqlite3').Database} db
+ * @returns {{ has: function(string): boolean, get: function(string): (object|null), add: function(string, object=): boolean }}
+ */
+function createOptOutRegistry(db) {
+  return {
+    has: (contact) => getOptOut(db, contact) != null,
+    get: (contact) => getOptOut(db, contact),
+    add: (contact, options) => addOptOut(db, contact, options),
+  };
+}
+
+module.exports = {
+  OPT_OUT_SOURCE,
+  addOptOut,
+  removeOptOut,
+  getOptOut,
+  listOptOuts,
+  parseOptOutList,
+  importOptOuts,
+  importReplyOptOuts,
+  createOptOutRegistry,
+};
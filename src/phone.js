@@ -0,0 +1,215 @@
+/**
+ * Phone number normalization with per-country rules, shared by the batch, the scripts and the
+ * listeners. parsePhone returns a structured result (E.164, country, line type, confidence and the
+ * fixes applied) instead of guessing by length.
+ * Supported countries: Brazil (DDD validation, mobile vs landline — only 8-digit mobiles get the 9 —,
+ * trunk 0 and carrier code, the "p:+55" prefix of Meta lead forms), the US (NANP) and Portugal.
+ * Numbers without a country code are read as national numbers of PHONE_DEFAULT_COUNTRY (BR by default)
+ * first; numbers of other countries are accepted when written with + or 00, with low confidence.
+ */
+const { getPhoneDefaultCountry } = require('./config');
+
+const PHONE_TYPE = {
+  MOBILE: 'mobile',
+  LANDLINE: 'landline',
+  UNKNOWN: 'unknown',
+};
+
+const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+const PHONE_FIX = {
+  META_PREFIX: 'removed_meta_prefix',
+  INTERNATIONAL_PREFIX: 'removed_international_prefix',
+  DUPLICATE_COUNTRY_CODE: 'removed_duplicate_country_code',
+  TRUNK_PREFIX: 'removed_trunk_prefix',
+  ADDED_COUNTRY_CODE: 'added_country_code',
+  ADDED_MOBILE_NINE: 'added_mobile_nine',
+};
+
+/** Fixes that are a guess about the number rather than a cleanup of how it was written. */
+const GUESSED_FIXES = new Set([PHONE_FIX.ADDED_COUNTRY_CODE, PHONE_FIX.ADDED_MOBILE_NINE]);
+
+const BR_DDD = new Set(
+  [
+    '11', '12', '13', '14', '15', '16', '17', '18', '19', '21', '22', '24', '27', '28',
+    '31', '32', '33', '34', '35', '37', '38', '41', '42', '43', '44', '45', '46', '47', '48', '49',
+    '51', '53', '54', '55', '61', '62', '63', '64', '65', '66', '67', '68', '69',
+    '71', '73', '74', '75', '77', '79', '81', '82', '83', '84', '85', '86', '87', '88', '89',
+    '91', '92', '93', '94', '95', '96', '97', '98', '99',
+  ]
+);
+
+/**
+ * Brazil: DDD + 9-digit mobile (starting with 9) or 8-digit landline (starting with 2-5). An 8-digit
+ * number starting with 6-9 is a mobile written before the extra 9 and gets it.
+ * Accepts the trunk 0 (0 47 ...) and the carrier code (0 XX 47 ...).
+ */
+function parseBrazil(national) {
+  const fixes = [];
+  let n = national;
+  if (n.startsWith('0')) {
+    if (n.length === 11 || n.length === 12) n = n.slice(1);
+    else if (n.length === 13 || n.length === 14) n = n.slice(3);
+    if (n !== national) fixes.push(PHONE_FIX.TRUNK_PREFIX);
+  }
+  if (n.length !== 10 && n.length !== 11) return null;
+  const ddd = n.slice(0, 2);
+  if (!BR_DDD.has(ddd)) return null;
+  const subscriber = n.slice(2);
+  if (subscriber.length === 9) {
+    return subscriber.startsWith('9') ? { national: n, type: PHONE_TYPE.MOBILE, fixes } : null;
+  }
+  if (/^[6-9]/.test(subscriber)) {
+    fixes.push(PHONE_FIX.ADDED_MOBILE_NINE);
+    return { national: `${ddd}9${subscriber}`, type: PHONE_TYPE.MOBILE, fixes };
+  }
+  if (/^[2-5]/.test(subscriber)) return { national: n, type: PHONE_TYPE.LANDLINE, fixes };
+  return null;
+}
+
+/** US (NANP): area code and exchange start with 2-9; mobiles and landlines share the ranges. */
+function parseUnitedStates(national) {
+  if (!/^[2-9]\d{2}[2-9]\d{6}$/.test(national) || national.slice(1, 3) === '11') return null;
+  return { national, type: PHONE_TYPE.UNKNOWN, fixes: [] };
+}
+
+/** Portugal: 9 digits; mobiles start with 91, 92, 93 or 96, landlines with 2. */
+function parsePortugal(national) {
+  if (/^9[1236]\d{7}$/.test(national)) return { national, type: PHONE_TYPE.MOBILE, fixes: [] };
+  if (/^2\d{8}$/.test(national)) return { national, type: PHONE_TYPE.LANDLINE, fixes: [] };
+  return null;
+}
+
+const COUNTRIES = {
+  BR: { code: '55', parse: parseBrazil },
+  US: { code: '1', parse: parseUnitedStates },
+  PT: { code: '351', parse: parsePortugal },
+};
+
+function buildResult(input, country, parsed, fixes) {
+  const allFixes = [...fixes, ...parsed.fixes];
+  const digits = COUNTRIES[country].code + parsed.national;
+  return {
+    input,
+    valid: true,
+    e164: `+${digits}`,
+    digits,
+    country,
+    type: parsed.type,
+    confidence: allFixes.some((f) => GUESSED_FIXES.has(f)) ? CONFIDENCE.MEDIUM : CONFIDENCE.HIGH,
+    fixes: allFixes,
+  };
+}
+
+function invalidResult(input, digits, fixes, error) {
+  return { input, valid: false, e164: null, digits, country: null, type: PHONE_TYPE.UNKNOWN, confidence: CONFIDENCE.LOW, fixes, error };
+}
+
+/**
+ * Parse a phone number as typed in a lead list, a batch file or a WhatsApp id (5511...@c.us).
+ * @param {string} raw
+ * @param {{ defaultCountry?: string }} [options] - Country of numbers without a country code (default PHONE_DEFAULT_COUNTRY)
+ * @returns {{ input: string, valid: boolean, e164: string|null, digits: string, country: string|null, type: string, confidence: string, fixes: string[], error?: string }}
+ *   digits: E.164 without the + (the WhatsApp id without @c.us); for an invalid number, the digits as typed
+ */
+function parsePhone(raw, options = {}) {
+  const input = raw == null ? '' : String(raw);
+  const defaultCountry = COUNTRIES[options.defaultCountry] ? options.defaultCountry : getPhoneDefaultCountry();
+  const fixes = [];
+  let text = input.trim().replace(/@c\.us$/i, '');
+  if (/^p:/i.test(text)) {
+    text = text.slice(2).trim();
+    fixes.push(PHONE_FIX.META_PREFIX);
+  }
+  let digits = text.replace(/\D/g, '');
+  if (!digits) return invalidResult(input, '', fixes, 'No digits');
+  let international = text.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+    fixes.push(PHONE_FIX.INTERNATIONAL_PREFIX);
+  }
+
+  if (!international && COUNTRIES[defaultCountry]) {
+    const parsed = COUNTRIES[defaultCountry].parse(digits);
+    if (parsed) return buildResult(input, defaultCountry, parsed, [...fixes, PHONE_FIX.ADDED_COUNTRY_CODE]);
+  }
+
+  const match = Object.entries(COUNTRIES).find(([, rules]) => digits.startsWith(rules.code));
+  if (match) {
+    const [country, rules] = match;
+    let national = digits.slice(rules.code.length);
+    const localFixes = [];
+    // "+55 55 47 ...": the country code typed twice (Meta forms, copy-paste)
+    while (!rules.parse(national) && national.startsWith(rules.code)) {
+      national = national.slice(rules.code.length);
+      localFixes.push(PHONE_FIX.DUPLICATE_COUNTRY_CODE);
+    }
+    const parsed = rules.parse(national);
+    if (parsed) return buildResult(input, country, parsed, [...fixes, ...localFixes]);
+    return invalidResult(input, digits, fixes, `Not a valid ${country} number`);
+  }
+
+  if (international && digits.length >= 8 && digits.length <= 15) {
+    return { input, valid: true, e164: `+${digits}`, digits, country: null, type: PHONE_TYPE.UNKNOWN, confidence: CONFIDENCE.LOW, fixes };
+  }
+  return invalidResult(input, digits, fixes, international ? 'Not a valid international number' : `Not a valid ${defaultCountry} number`);
+}
+
+/**
+ * Digits to compare or store a number by (parsePhone(raw).digits).
+ * @param {string} raw
+ * @returns {string}
+ */
+function phoneDigits(raw) {
+  return parsePhone(raw).digits;
+}
+
+/**
+ * Digits of a WhatsApp chat id as they are (5547...@c.us, 1203...@lid), without normalizing them:
+ * for an @lid id these are the LID digits, not the phone number.
+ * @param {string} contactId
+ * @returns {string}
+ */
+function contactDigits(contactId) {
+  return String(contactId || '').replace(/@.*$/, '').replace(/\D/g, '');
+}
+
+/**
+ * True when two numbers are the same phone once normalized (e.g. 554788954794 and +55 47 98895-4794).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function samePhone(a, b) {
+  const da = phoneDigits(a);
+  return da.length >= 8 && da === phoneDigits(b);
+}
+
+/**
+ * The same Brazilian mobile without the extra 9 (some old numbers are still registered on WhatsApp
+ * that way), or null for any other number.
+ * @param {string} raw
+ * @returns {string|null} digits
+ */
+function withoutMobileNine(raw) {
+  const phone = parsePhone(raw);
+  if (phone.country !== 'BR' || phone.type !== PHONE_TYPE.MOBILE) return null;
+  return phone.digits.slice(0, 4) + phone.digits.slice(5);
+}
+
+module.exports = {
+  PHONE_TYPE,
+  CONFIDENCE,
+  PHONE_FIX,
+  COUNTRIES,
+  parsePhone,
+  phoneDigits,
+  contactDigits,
+  samePhone,
+  withoutMobileNine,
+};
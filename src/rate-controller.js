@@ -0,0 +1,122 @@
+/**
+ * Adaptive send rate: instead of only stopping a run (guardrails), slow it down while the number
+ * shows signs of trouble and speed back up when sends are healthy again.
+ * - Each block-like error, send timeout or verification failure multiplies the delay range by a
+ *   penalty factor (capped at maxFactor). A block-like error, or two troubled sends in a row,
+ *   also asks for one extra cooldown pause.
+ * - After recoverAfter healthy sends in a row the factor is divided by RECOVER_STEP, down to 1
+ *   (the configured delay range).
+ * The caller classifies each send (see batch-sender.js) and reports every change as an onStep event.
+ */
+
+/** Delay multiplier applied per kind of trouble. */
+const PENALTY_FACTORS = {
+  block_like: 2,
+  timeout: 1.5,
+  verify_fail: 1.25,
+};
+
+const PENALTY_REASONS = {
+  block_like: 'Erro com padrão de bloqueio',
+  timeout: 'Timeout no envio',
+  verify_fail: 'Falha na verificação da mensagem',
+};
+
+/** Factor is divided by this on each recovery step. */
+const RECOVER_STEP = 1.5;
+
+/**
+ * @param {object} options
+ * @param {number} options.minDelayMs - Configured delay range (factor 1)
+ * @param {number} options.maxDelayMs
+ * @param {number} [options.maxFactor] - Upper bound for the multiplier (default 4)
+ * @param {number} [options.recoverAfter] - Healthy sends in a row before relaxing one step (default 5)
+ * @param {number} [options.cooldownMinMs] - Extra cooldown range (default 90–180s)
+ * @param {number} [options.cooldownMaxMs]
+ * @param {function(): number} [options.random] - Random source for the cooldown length
+ * @returns {{ getDelayRange: function(): { minMs: number, maxMs: number }, record: function(string): object|null, takeCooldown: function(): number, readonly factor: number, history: Array<object> }}
+ */
+function createRateController(options) {
+  const baseMin = Math.max(0, options.minDelayMs || 0);
+  const baseMax = Math.max(baseMin, options.maxDelayMs || 0);
+  const maxFactor = options.maxFactor > 1 ? options.maxFactor : 4;
+  const recoverAfter = options.recoverAfter > 0 ? options.recoverAfter : 5;
+  const cooldownMinMs = Number.isFinite(options.cooldownMinMs) ? options.cooldownMinMs : 90000;
+  const cooldownMaxMs = Math.max(cooldownMinMs, Number.isFinite(options.cooldownMaxMs) ? options.cooldownMaxMs : 180000);
+  const random = options.random || Math.random;
+
+  let factor = 1;
+  let healthyStreak = 0;
+  let troubleStreak = 0;
+  let pendingCooldownMs = 0;
+  const history = [];
+
+  function getDelayRange() {
+    return { minMs: Math.round(baseMin * factor), maxMs: Math.round(baseMax * factor) };
+  }
+
+  function change(previousFactor, direction, reason, extraCooldownMs) {
+    const range = getDelayRange();
+    const event = {
+      type: 'rate_change',
+      direction,
+      reason,
+      previousFactor: Math.round(previousFactor * 100) / 100,
+      factor: Math.round(factor * 100) / 100,
+      minDelayMs: range.minMs,
+      maxDelayMs: range.maxMs,
+      extraCooldownMs,
+      at: new Date().toISOString(),
+    };
+    history.push(event);
+    return event;
+  }
+
+  /**
+   * Feed the outcome of one send.
+   * @param {'ok'|'block_like'|'timeout'|'verify_fail'|'neutral'} kind - neutral: no signal (e.g. invalid number, already sent)
+   * @returns {object|null} rate_change event when the rate changed, else null
+   */
+  function record(kind) {
+    const previousFactor = factor;
+    if (PENALTY_FACTORS[kind]) {
+      healthyStreak = 0;
+      troubleStreak++;
+      factor = Math.min(maxFactor, factor * PENALTY_FACTORS[kind]);
+      let extraCooldownMs = 0;
+      if (kind === 'block_like' || troubleStreak >= 2) {
+        extraCooldownMs = cooldownMinMs + Math.floor(random() * (cooldownMaxMs - cooldownMinMs + 1));
+        pendingCooldownMs = Math.max(pendingCooldownMs, extraCooldownMs);
+      }
+      if (factor === previousFactor && !extraCooldownMs) return null;
+      return change(previousFactor, 'slower', PENALTY_REASONS[kind], extraCooldownMs);
+    }
+    if (kind !== 'ok') return null;
+    troubleStreak = 0;
+    if (factor === 1) return null;
+    healthyStreak++;
+    if (healthyStreak < recoverAfter) return null;
+    healthyStreak = 0;
+    factor = Math.max(1, factor / RECOVER_STEP);
+    return change(previousFactor, 'faster', `${recoverAfter} envios saudáveis seguidos`, 0);
+  }
+
+  /** Extra cooldown requested since the last call (ms, 0 = none); clears it. */
+  function takeCooldown() {
+    const ms = pendingCooldownMs;
+    pendingCooldownMs = 0;
+    return ms;
+  }
+
+  return {
+    getDelayRange,
+    record,
+    takeCooldown,
+    get factor() {
+      return factor;
+    },
+    history,
+  };
+}
+
+module.exports = { createRateController, PENALTY_FACTORS, RECOVER_STEP };
@@ -0,0 +1,157 @@
+/**
+ * Reply attribution: link inbound private messages to the campaign item that prompted them.
+ * A message counts as a reply to the most recent campaign item sent to the same number within the
+ * attribution window (REPLY_ATTRIBUTION_WINDOW_HOURS); the match is stored in campaign_replies (see db.js).
+ * Numbers are compared by their normalized digits (campaign_items.recipient, set when an item is sent),
+ * so a reply from 554799990000@c.us still matches a send to 5547999990000.
+ */
+const { normalizeContactId } = require('./batch-sender');
+const { contactDigits } = require('./phone');
+const { getCampaign } = require('./campaign-store');
+const { applyVariantText } = require('./message-renderer');
+const { detectIntentByRules, INTENTS } = require('./services/first-contact-policy');
+
+const DEFAULT_WINDOW_HOURS = 72;
+
+/**
+ * Digits of the number that sent an inbound message, normalized like the batch normalizes recipients.
+ * Chats that arrive as @lid are resolved to the phone number through msg.getContact() when possible.
+ * @param {object} msg - whatsapp-web.js Message
+ * @returns {Promise<string>} '' when the number cannot be resolved
+ */
+async function resolveReplySender(msg) {
+  let from = String((msg && msg.from) || '');
+  if (from.endsWith('@lid') && typeof msg.getContact === 'function') {
+    try {
+      const contact = await msg.getContact();
+      from = contact && contact.number ? contact.number : '';
+    } catch (_) {
+      from = '';
+    }
+  }
+  if (!/^\d/.test(from) || from.endsWith('@lid') || from.endsWith('@g.us')) return '';
+  return contactDigits(normalizeContactId(from));
+}
+
+/**
+ * Find the campaign item an inbound message replies to and store the match. A reply whose text
+ * asks to stop (opt-out keywords of first-contact-policy.js) is flagged as an opt-out.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ recipient: string, messageId: string, body?: string, receivedAt?: Date, windowHours?: number }} params - recipient: digits from resolveReplySender
+ * @returns {{ campaignId: number, campaignName: string, campaignItemId: number, sentAt: string, sender: string|null, message: string|null }|null} null when no campaign message was sent to the number within the window
+ */
+function attributeReply(db, { recipient, messageId, body, receivedAt = new Date(), windowHours = DEFAULT_WINDOW_HOURS }) {
+  if (!recipient) return null;
+  const receivedIso = receivedAt.toISOString();
+  const windowStart = new Date(receivedAt.getTime() - windowHours * 3600000).toISOString();
+  const row = db
+    .prepare(
+      `SELECT id, campaign_id, sent_at, sender, payload FROM campaign_items
+        WHERE recipient = ? AND sent_at IS NOT NULL AND sent_at >= ? AND sent_at <= ?
+        ORDER BY sent_at DESC LIMIT 1`
+    )
+    .get(recipient, windowStart, receivedIso);
+  if (!row) return null;
+
+  if (messageId) {
+    const optOut = body ? detectIntentByRules(body).intent === INTENTS.OPT_OUT : false;
+    db.prepare(
+      `INSERT OR IGNORE INTO campaign_replies (message_id, campaign_id, campaign_item_id, recipient, received_at, opt_out)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(messageId, row.campaign_id, row.id, recipient, receivedIso, optOut ? 1 : 0);
+  }
+  const campaign = getCampaign(db, row.campaign_id);
+  let message = null;
+  try {
+    const payload = JSON.parse(row.payload);
+    message = typeof payload.message === 'string' ? payload.message : null;
+  } catch (_) {}
+  return {
+    campaignId: row.campaign_id,
+    campaignName: campaign ? campaign.name : '',
+    campaignItemId: row.id,
+    sentAt: row.sent_at,
+    sender: row.sender || null,
+    message,
+  };
+}
+
+/**
+ * Template body (from message_templates) a batch message was built from, or null.
+ * @param {string|null} message
+ * @param {string[]} templateBodies
+ * @returns {string|null}
+ */
+function findTemplateBody(message, templateBodies) {
+  if (typeof message !== 'string') return null;
+  return templateBodies.find((body) => message.includes(body)) || null;
+}
+
+function addCount(groups, key, replied) {
+  const group = groups.get(key) || { sent: 0, replied: 0 };
+  group.sent++;
+  if (replied) group.replied++;
+  groups.set(key, group);
+}
+
+function toRows(groups, keyName) {
+  return [...groups.entries()]
+    .map(([key, g]) => ({ [keyName]: key, sent: g.sent, replied: g.replied, replyRate: g.sent > 0 ? g.replied / g.sent : 0 }))
+    .sort((a, b) => b.replyRate - a.replyRate || b.sent - a.sent);
+}
+
+/**
+ * Reply rate per campaign, per template body and per sending profile. Only items with a recorded
+ * send time count as sent (items sent before reply attribution existed are left out).
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ campaignId?: number }} [options] - limit to one campaign
+ * @returns {{ sent: number, replied: number, replyRate: number, byCampaign: Array<{ campaignId: number, name: string, sent: number, replied: number, replyRate: number }>, byTemplate: Array<{ template: string|null, sent: number, replied: number, replyRate: number }>, bySender: Array<{ sender: string|null, sent: number, replied: number, replyRate: number }> }}
+ */
+function getReplyReport(db, options = {}) {
+  const campaignFilter = Number.isInteger(options.campaignId) ? 'AND i.campaign_id = @campaignId' : '';
+  const rows = db
+    .prepare(
+      `SELECT i.id, i.campaign_id AS campaignId, c.name, i.sender, i.payload, v.body AS variantBody,
+              EXISTS (SELECT 1 FROM campaign_replies r WHERE r.campaign_item_id = i.id) AS replied
+         FROM campaign_items i JOIN campaigns c ON c.id = i.campaign_id
+         LEFT JOIN campaign_variants v ON v.campaign_id = i.campaign_id AND v.name = i.variant
+        WHERE i.sent_at IS NOT NULL ${campaignFilter}
+        ORDER BY i.campaign_id, i.item_index`
+    )
+    .all(Number.isInteger(options.campaignId) ? { campaignId: options.campaignId } : {});
+  const templateBodies = db.prepare('SELECT body FROM message_templates').all().map((t) => t.body);
+
+  const byCampaign = new Map();
+  const names = new Map();
+  const byTemplate = new Map();
+  const bySender = new Map();
+  rows.forEach((r) => {
+    const replied = r.replied === 1;
+    let message = null;
+    try {
+      message = JSON.parse(r.payload).message;
+    } catch (_) {}
+    if (r.variantBody != null) message = applyVariantText(message, r.variantBody);
+    names.set(r.campaignId, r.name);
+    addCount(byCampaign, r.campaignId, replied);
+    addCount(byTemplate, findTemplateBody(message, templateBodies), replied);
+    addCount(bySender, r.sender || null, replied);
+  });
+
+  const replied = rows.filter((r) => r.replied === 1).length;
+  return {
+    sent: rows.length,
+    replied,
+    replyRate: rows.length > 0 ? replied / rows.length : 0,
+    byCampaign: toRows(byCampaign, 'campaignId').map((r) => ({ campaignId: r.campaignId, name: names.get(r.campaignId), ...r })),
+    byTemplate: toRows(byTemplate, 'template'),
+    bySender: toRows(bySender, 'sender'),
+  };
+}
+
+module.exports = {
+  resolveReplySender,
+  attributeReply,
+  findTemplateBody,
+  getReplyReport,
+};
@@ -0,0 +1,135 @@
+/**
+ * Retry queue and dead-letter file for batch sends.
+ * A failed send is either transient (timeouts, rate limits, browser hiccups) or permanent for that
+ * recipient (see isPermanentSendError in batch-sender.js). Transient failures are scheduled again
+ * with exponential backoff: runBatch retries them at the end of the run, and the campaign store
+ * keeps them (status "retry") so a later --resume picks up whatever was left. Permanent failures,
+ * and transient ones that used up their retries, go to a dead-letter JSON with the error reason.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 60000,
+  maxDelayMs: 900000,
+  factor: 2,
+};
+
+const DEAD_LETTER_REASON = {
+  /** Error will not go away by retrying (invalid number, blocked, opt-out). */
+  PERMANENT: 'permanent',
+  /** Transient error that kept failing until the retries ran out (or retries are disabled). */
+  GAVE_UP: 'gave_up',
+  /** Message template could not be rendered for the item. */
+  TEMPLATE: 'template_error',
+};
+
+/**
+ * Fill in defaults and drop invalid values.
+ * @param {{ maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number, factor?: number }} [policy]
+ * @returns {{ maxRetries: number, baseDelayMs: number, maxDelayMs: number, factor: number }}
+ */
+function normalizeRetryPolicy(policy = {}) {
+  const pick = (key, valid) => (Number.isFinite(policy[key]) && valid(policy[key]) ? policy[key] : DEFAULT_RETRY_POLICY[key]);
+  const baseDelayMs = pick('baseDelayMs', (v) => v >= 0);
+  return {
+    maxRetries: Math.floor(pick('maxRetries', (v) => v >= 0)),
+    baseDelayMs,
+    maxDelayMs: Math.max(baseDelayMs, pick('maxDelayMs', (v) => v >= 0)),
+    factor: pick('factor', (v) => v >= 1),
+  };
+}
+
+/**
+ * Backoff before retry number retryNumber (1 = first retry): baseDelayMs * factor^(retryNumber - 1), capped at maxDelayMs.
+ * @param {number} retryNumber
+ * @param {object} [policy] - See normalizeRetryPolicy
+ * @returns {number}
+ */
+function getRetryDelayMs(retryNumber, policy) {
+  const p = normalizeRetryPolicy(policy);
+  const exponent = Math.max(0, retryNumber - 1);
+  return Math.min(p.maxDelayMs, Math.round(p.baseDelayMs * Math.pow(p.factor, exponent)));
+}
+
+/**
+ * Decide what happens to an item whose send failed.
+ * Items carry retryCount (retries already done) and retryAt (ISO date the next retry is due) once scheduled.
+ * @param {object} item - Batch item
+ * @param {{ permanent: boolean, policy?: object|null, now?: Date }} failure - permanent: see isPermanentSendError; policy null = retries disabled
+ * @returns {{ retryItem: object|null, deadLetterReason: string }} retryItem is a copy of the item with the next retryCount/retryAt
+ */
+function planRetry(item, { permanent, policy, now = new Date() }) {
+  if (permanent) return { retryItem: null, deadLetterReason: DEAD_LETTER_REASON.PERMANENT };
+  const retryCount = (item && item.retryCount) || 0;
+  if (!policy || retryCount >= normalizeRetryPolicy(policy).maxRetries) {
+    return { retryItem: null, deadLetterReason: DEAD_LETTER_REASON.GAVE_UP };
+  }
+  const nextRetry = retryCount + 1;
+  const retryAt = new Date(now.getTime() + getRetryDelayMs(nextRetry, policy)).toISOString();
+  return { retryItem: { ...item, retryCount: nextRetry, retryAt }, deadLetterReason: '' };
+}
+
+/**
+ * One dead-letter record.
+ * @param {object} item - Batch item
+ * @param {{ contactId: string, error: string, reason: string, now?: Date }} details
+ * @returns {{ contact: string, contactId: string, campaignItemId: number|null, reason: string, error: string, retries: number, failedAt: string, item: object }}
+ */
+function buildDeadLetterEntry(item, { contactId, error, reason, now = new Date() }) {
+  const { campaignItemId, retryCount, retryAt, ...payload } = item || {};
+  return {
+    contact: String((item && item.contact) || ''),
+    contactId,
+    campaignItemId: campaignItemId ?? null,
+    reason,
+    error: String(error || ''),
+    retries: retryCount || 0,
+    failedAt: now.toISOString(),
+    item: payload,
+  };
+}
+
+/**
+ * Dead-letter file of a campaign: reports/dead-letter-campaign-<id>.json (one file across resumed runs).
+ * @param {number} campaignId
+ * @param {string} [dir] - Default <cwd>/reports
+ * @returns {string}
+ */
+function getDeadLetterPath(campaignId, dir = path.join(process.cwd(), 'reports')) {
+  return path.join(dir, `dead-letter-campaign-${campaignId}.json`);
+}
+
+/**
+ * Append entries to a dead-letter JSON file (array), creating it if needed. An entry for the same
+ * campaign item replaces the previous one, so resuming a campaign does not duplicate records.
+ * @param {string} filePath
+ * @param {Array<object>} entries - From buildDeadLetterEntry
+ * @returns {number} total entries in the file
+ */
+function appendDeadLetter(filePath, entries) {
+  let existing = [];
+  if (fs.existsSync(filePath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (Array.isArray(parsed)) existing = parsed;
+    } catch (_) {}
+  }
+  const replaced = new Set(entries.map((e) => e.campaignItemId).filter((id) => id != null));
+  const merged = existing.filter((e) => e.campaignItemId == null || !replaced.has(e.campaignItemId)).concat(entries);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(merged, null, 2), 'utf8');
+  return merged.length;
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  DEAD_LETTER_REASON,
+  normalizeRetryPolicy,
+  getRetryDelayMs,
+  planRetry,
+  buildDeadLetterEntry,
+  getDeadLetterPath,
+  appendDeadLetter,
+};
@@ -15,8 +15,8 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { createClient } = require('../client');
-const { resolveChatId, ensureBrazilian13Digits } = require('../batch-sender');
-const { toBrazilWhatsApp } = require('../batch-lucas-utils');
+const { resolveChatId } = require('../batch-sender');
+const { phoneDigits, samePhone } = require('../phone');
 
 const CHAT_COMPLETIONS_URL = 'https://api.openai.com/v1/chat/completions';
 const MSG_LIMIT = 50;
@@ -33,31 +33,19 @@ function extractNameFromMessage(message) {
   return m ? m[1].trim() : '';
 }
 
-/**
- * Match two phone numbers (Brazilian format).
- */
-function phonesMatch(target, contactRaw) {
-  const norm = (s) => String(s || '').replace(/\D/g, '');
-  const t = ensureBrazilian13Digits(norm(target));
-  const r = norm(contactRaw || '');
-  const c = ensureBrazilian13Digits(r.startsWith('55') ? r : '55' + r);
-  if (t.length < 10 || c.length < 10) return false;
-  return t === c || (c.length >= 10 && t.endsWith(c)) || (t.length >= 10 && c.endsWith(t));
-}
-
 /**
  * Find chat by phone number, matching both @c.us and LID chats.
  * Includes archived chats. Tries chat.id first, then getContact() for LID chats.
  */
 async function findChatByPhone(client, targetDigits) {
-  const target = ensureBrazilian13Digits(String(targetDigits || '').replace(/\D/g, ''));
+  const target = phoneDigits(targetDigits);
   if (target.length < 10) return null;
 
   const matchId = (id) => {
     if (!id) return false;
     const s = typeof id === 'string' ? id : id._serialized || '';
     const digits = s.replace(/@.*$/, '').replace(/\D/g, '');
-    return phonesMatch(target, digits);
+    return samePhone(target, digits);
   };
 
   try {
@@ -69,7 +57,7 @@ async function findChatByPhone(client, targetDigits) {
         const contact = await chat.getContact();
         if (!contact) continue;
         const raw = contact.number || contact.id?._serialized || contact.id || '';
-        if (phonesMatch(target, raw)) return chat;
+        if (samePhone(target, String(raw).replace(/@.*$/, ''))) return chat;
       } catch (_) {}
     }
 
@@ -92,7 +80,7 @@ async function findChatByPhone(client, targetDigits) {
     for (const chatId of archivedIds) {
       if (!chatId) continue;
       const digits = String(chatId).replace(/@.*$/, '').replace(/\D/g, '');
-      if (phonesMatch(target, digits)) {
+      if (samePhone(target, digits)) {
         try {
           const chat = await client.getChatById(chatId);
           if (chat) return chat;
@@ -529,8 +517,7 @@ async function main() {
       console.error('   ou: node analyze-conversations.js --number <número>');
       process.exit(1);
     }
-    const raw = num.startsWith('55') ? num : '55' + num;
-    const digits = ensureBrazilian13Digits(raw);
+    const digits = phoneDigits(num);
     items = [{ contact: digits, message: '' }];
     outPath = args.find((a) => a.endsWith('.csv')) || args[1];
   } else {
@@ -590,8 +577,7 @@ async function main() {
   for (let i = 0; i < items.length; i++) {
     const { contact, message } = items[i];
   await closeOtherTabs(client);
-  const raw = toBrazilWhatsApp(contact);
-  const digits = ensureBrazilian13Digits(raw);
+  const digits = phoneDigits(contact);
   const contactId = digits + '@c.us';
     const name = extractNameFromMessage(message) || (items.length === 1 ? 'Cliente' : digits);
 
@@ -666,7 +652,7 @@ async function main() {
 
   const sendTo = (process.env.REPORT_SEND_TO || '').trim().replace(/\D/g, '');
   if (sendTo) {
-    const destDigits = ensureBrazilian13Digits(sendTo.startsWith('55') ? sendTo : '55' + sendTo);
+    const destDigits = phoneDigits(sendTo);
     const msgToSend = `📋 *Relatório de Análise*\n\n${md}${rows[0]?.fullThread ? `\n\n📩 _Conversa completa:_\n${rows[0].fullThread}` : ''}`;
     try {
       const destId = destDigits + '@c.us';
@@ -0,0 +1,28 @@
+/**
+ * Pause, resume or stop a running batch (npm run batch, send-list-puppeteer.js or listen --send-batch)
+ * through its control file (see batch-control.js). Stop ends the run after the item in progress; the
+ * rest of the campaign stays pending for --resume.
+ * Usage: node src/scripts/batch-control.js <pause|resume|stop|status> <campaignId>
+ */
+const { CONTROL_COMMAND, readControlState, sendControlCommand } = require('../batch-control');
+
+const [command, idArg] = process.argv.slice(2);
+const campaignId = parseInt(idArg, 10);
+const commands = [...Object.values(CONTROL_COMMAND), 'status'];
+if (!commands.includes(command) || !Number.isInteger(campaignId)) {
+  console.error('Usage: node src/scripts/batch-control.js <pause|resume|stop|status> <campaignId>');
+  process.exit(1);
+}
+
+const key = `campaign-${campaignId}`;
+const state = readControlState(key);
+if (!state) {
+  console.error(`Campanha ${campaignId}: nenhum envio em andamento.`);
+  process.exit(1);
+}
+if (command === 'status') {
+  console.log(`Campanha ${campaignId}: ${state.state} (processo ${state.pid}, desde ${state.updatedAt}).`);
+} else {
+  sendControlCommand(key, command);
+  console.log(`Comando "${command}" enviado para a campanha ${campaignId} (estado atual: ${state.state}); aplicado em até 1s.`);
+}
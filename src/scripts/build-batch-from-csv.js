@@ -1,9 +1,12 @@
 /**
  * Build a batch JSON from a leads CSV (e.g. from batch_lucas).
  * - Parses CSV (UTF-16 tab-separated) for full_name and phone
- * - Normalizes phone to Brazil WhatsApp format (55 + DDD + number)
+ * - Normalizes phone with parsePhone (phone.js); invalid numbers (bad DDD, wrong length) are skipped and listed
  * - Picks one random message template per contact (no reuse) from SQLite
- * - Output: [{ contact, message }, ...] with message "Boa tarde {firstName}, tudo bem?\n\n{body}"
+ * - Keeps created_time as createdTime (send order by lead freshness, see lead-priority.js) and the lead,
+ *   campaign, ad and form ids/names of the Meta export in lead
+ * - Output: [{ contact, message, firstName, createdTime, lead, ... }, ...] with message "{{saudacao}} {{firstName}}, tudo bem?\n\n{body}"
+ *   (rendered at send time by message-renderer.js, so the greeting matches the hour of the send)
  *
  * Usage: node src/scripts/build-batch-from-csv.js <path-to-leads.csv> [output.json]
  * Example: node src/scripts/build-batch-from-csv.js "batch_lucas/[VIDEO 01][DIA]_Leads_2026-02-08_2026-02-11 (1).csv" batch_lucas/batch-output.json
@@ -11,7 +14,8 @@
 const fs = require('fs');
 const path = require('path');
 const { openDb, getRandomTemplates, countTemplates } = require('../db');
-const { toBrazilWhatsApp, firstName, isExcludedContact } = require('../batch-lucas-utils');
+const { firstName, isExcludedContact } = require('../batch-lucas-utils');
+const { parsePhone } = require('../phone');
 
 const csvPath = process.argv[2];
 const outPath = process.argv[3];
@@ -39,6 +43,39 @@ function parseCsvRows(filePath) {
   return lines.map((line) => line.split('\t').map((cell) => cell.replace(/^"|"$/g, '').trim()));
 }
 
+/** Meta export columns kept in item.lead (ids without their "l:", "c:", "f:"... prefix). */
+const LEAD_COLUMNS = {
+  id: 'id',
+  campaign_id: 'campaignId',
+  campaign_name: 'campaignName',
+  adset_name: 'adsetName',
+  ad_name: 'adName',
+  form_id: 'formId',
+  form_name: 'formName',
+  platform: 'platform',
+};
+
+/**
+ * Lead metadata of a CSV row.
+ * @param {string[]} header - Normalized header
+ * @param {string[]} row
+ * @returns {{ createdTime?: string, lead?: object }}
+ */
+function leadFields(header, row) {
+  const createdCol = header.indexOf('created_time');
+  const createdTime = createdCol >= 0 ? row[createdCol] || '' : '';
+  const lead = {};
+  Object.entries(LEAD_COLUMNS).forEach(([column, key]) => {
+    const col = header.indexOf(column);
+    const value = col >= 0 ? String(row[col] || '').replace(/^[a-z]{1,3}:(?=\S)/, '') : '';
+    if (value) lead[key] = value;
+  });
+  return {
+    ...(createdTime && Number.isFinite(Date.parse(createdTime)) && { createdTime }),
+    ...(Object.keys(lead).length > 0 && { lead }),
+  };
+}
+
 function main() {
   const rows = parseCsvRows(absoluteCsvPath);
   if (rows.length < 2) {
@@ -60,18 +97,27 @@ function main() {
   }
 
   const contacts = [];
+  const invalid = [];
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
     const fullName = row[nameCol] || '';
     if (isExcludedContact(fullName)) continue;
     const phoneRaw = row[phoneCol] || '';
-    const phone = toBrazilWhatsApp(phoneRaw);
-    if (!phone || phone.length < 12) continue;
-    contacts.push({ fullName, phone });
+    const phone = parsePhone(phoneRaw);
+    if (!phone.valid) {
+      if (phone.digits) invalid.push({ fullName, phoneRaw, error: phone.error });
+      continue;
+    }
+    contacts.push({ fullName, phone: phone.digits, ...leadFields(header, row) });
+  }
+
+  if (invalid.length > 0) {
+    console.warn(`Ignorados ${invalid.length} telefone(s) inválido(s):`);
+    invalid.forEach((c) => console.warn(`  ${c.fullName}: ${c.phoneRaw} (${c.error})`));
   }
 
   if (contacts.length === 0) {
-    console.error('No valid contacts (Brazil WhatsApp format) found in CSV.');
+    console.error('No valid phone numbers found in CSV.');
     process.exit(1);
   }
 
@@ -94,19 +140,20 @@ function main() {
   db.close();
 
   const items = contacts.map((c, i) => {
-    const first = firstName(c.fullName);
-    const greeting = `Boa tarde ${first}, tudo bem?`;
-    const message = `${greeting}\n\n${bodies[i]}`;
+    const message = `{{saudacao}} {{firstName}}, tudo bem?\n\n${bodies[i]}`;
 
     // Cada lead vindo dos formulários da Meta já possui opt-in explícito.
     // Marcamos isso no JSON para cumprir a regra de consentimento (LGPD) do batch sender.
     return {
       contact: c.phone,
       message,
+      firstName: firstName(c.fullName),
       fullName: c.fullName,
       city: 'Joinville',
       tags: ['lead_meta', 'imoveis_joinville'],
       optIn: true,
+      ...(c.createdTime && { createdTime: c.createdTime }),
+      ...(c.lead && { lead: c.lead }),
     };
   });
 
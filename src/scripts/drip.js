@@ -0,0 +1,231 @@
+/**
+ * Drip follow-up sequences (see drip-sequence.js).
+ * Usage:
+ *   node src/scripts/drip.js enrol <sequence.json> <batch-file> [--columns=phone=Telefone 1,name=Nome]
+ *     Saves the sequence (replacing an older definition with the same name) and enrols the batch contacts.
+ *   node src/scripts/drip.js run [--every=<minutes>]
+ *     Sends the due steps once and exits; with --every keeps running and checks again every <minutes>.
+ *     While running, private messages are recorded as conversations, so a contact who replies leaves the sequence;
+ *     before each step the chat is read too, for replies that came in while nothing was running.
+ *   node src/scripts/drip.js status [<contact>]
+ *     Contacts per sequence and step outcomes; with a contact, every step recorded for it.
+ * run needs a saved session (npm run session); the browser runs headless. Steps respect the batch
+ * settings of .env (send window, frequency cap, cooldowns, guardrails, retries).
+ */
+const path = require('path');
+const { createClient } = require('../client');
+const { attachListeners } = require('../listeners');
+const { readBatchFile } = require('../batch-loader');
+const { openCampaignDb } = require('../campaign-store');
+const { validateBatchTemplates } = require('../message-renderer');
+const { loadSendWindowPolicy } = require('../send-window');
+const { createNumberCheckCache } = require('../number-check');
+const { createFrequencyCap } = require('../frequency-cap');
+const { resolveReplySender, attributeReply } = require('../reply-attribution');
+const { loadStore } = require('../services/contact-memory');
+const { loadSequenceFile, saveSequence, enrolContacts, runDripTick, getDripReport, getContactSteps } = require('../drip-sequence');
+const {
+  getBatchSendTimeoutMs,
+  getBatchRequireOptIn,
+  getBatchMaxPerRun,
+  getBatchCooldown,
+  getBatchHealthStopRules,
+  getBatchAdaptiveRate,
+  getBatchRetryPolicy,
+  getBatchTemplateDefaults,
+  getReplyAttributionWindowHours,
+  getNumberCheckTtlHours,
+  getFrequencyCapRules,
+  getSessionClientId,
+} = require('../config');
+
+const USAGE = [
+  'Usage:',
+  '  node src/scripts/drip.js enrol <sequence.json> <batch-file> [--columns=phone=Telefone 1,name=Nome]',
+  '  node src/scripts/drip.js run [--every=<minutes>]',
+  '  node src/scripts/drip.js status [<contact>]',
+];
+
+const args = process.argv.slice(2);
+const [command, ...rest] = args.filter((a) => !a.startsWith('--'));
+const flag = (name) => {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+const resolvePath = (p) => (path.isAbsolute(p) ? p : path.join(process.cwd(), p));
+
+function enrol() {
+  const [sequencePath, batchPath] = rest;
+  if (!sequencePath || !batchPath) {
+    console.error(USAGE.join('\n'));
+    process.exit(1);
+  }
+  let sequence;
+  let list;
+  try {
+    sequence = loadSequenceFile(resolvePath(sequencePath));
+    list = readBatchFile(resolvePath(batchPath), { columns: flag('columns') || '' }).list;
+  } catch (e) {
+    console.error('Erro ao ler a sequência ou o lote:', e.message);
+    process.exit(1);
+  }
+  const templateErrors = sequence.steps.flatMap((step, i) =>
+    validateBatchTemplates(list.map((item) => ({ ...item, message: step.message })), { defaults: getBatchTemplateDefaults() })
+      .map((e) => `  passo ${i + 1} (${step.name}), contato ${e.contact}: ${e.error}`)
+  );
+  if (templateErrors.length > 0) {
+    console.error('Variáveis de modelo faltando; nenhum contato inscrito:');
+    templateErrors.slice(0, 20).forEach((line) => console.error(line));
+    if (templateErrors.length > 20) console.error(`  ... e mais ${templateErrors.length - 20}`);
+    process.exit(1);
+  }
+
+  const db = openCampaignDb();
+  try {
+    const sequenceId = saveSequence(db, sequence);
+    const summary = enrolContacts(db, sequenceId, list);
+    console.log(`Sequência "${sequence.name}" (${sequence.steps.length} passos): ${summary.enrolled} inscrito(s), ${summary.alreadyEnrolled} já na sequência, ${summary.invalid} número(s) inválido(s).`);
+    console.log('Envie os passos com: npm run drip -- run --every=15');
+  } finally {
+    db.close();
+  }
+}
+
+function status() {
+  const db = openCampaignDb();
+  try {
+    const [contact] = rest;
+    if (contact) {
+      const steps = getContactSteps(db, contact);
+      if (steps.length === 0) console.log('Nenhum passo registrado para', contact);
+      steps.forEach((s) => console.log(`${s.at}  ${s.sequence} passo ${s.stepIndex + 1}: ${s.outcome}${s.reason ? ` (${s.reason})` : ''}${s.campaignId ? ` campanha ${s.campaignId}` : ''}`));
+      return;
+    }
+    const report = getDripReport(db);
+    if (report.length === 0) console.log('Nenhuma sequência. Inscreva contatos com: npm run drip -- enrol <sequence.json> <batch>');
+    report.forEach((seq) => {
+      console.log(`${seq.name}: ativos ${seq.active} | concluídos ${seq.completed} | parados ${seq.stopped}${seq.nextDueAt ? ` | próximo passo em ${seq.nextDueAt}` : ''}`);
+      const reasons = Object.entries(seq.stopReasons).map(([reason, n]) => `${reason} ${n}`).join(', ');
+      if (reasons) console.log(`  Motivos de parada: ${reasons}`);
+      seq.steps.forEach((s, i) => console.log(`  ${i + 1}. ${s.name} (+${s.afterDays}d): enviados ${s.sent} | falhas ${s.failed} | ignorados ${s.skipped} | parados ${s.stopped}`));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+function run() {
+  const everyMinutes = Number(flag('every')) || 0;
+  const db = openCampaignDb();
+  const client = createClient({ headless: true });
+  const frequencyCap = createFrequencyCap(db, getFrequencyCapRules());
+  let started = false;
+  let ticking = false;
+  let timer = null;
+
+  function finish(code) {
+    if (timer) clearInterval(timer);
+    db.close();
+    client.destroy().catch(() => {}).finally(() => process.exit(code));
+  }
+
+  const isHandedOff = (digits) => {
+    const entry = loadStore().contacts[`${digits}@c.us`];
+    return Boolean(entry && entry.handedOff);
+  };
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const cooldown = getBatchCooldown();
+      const stopRules = getBatchHealthStopRules();
+      const summary = await runDripTick(client, db, {
+        isHandedOff,
+        runOptions: {
+          sendTimeoutMs: getBatchSendTimeoutMs(),
+          requireOptIn: getBatchRequireOptIn(),
+          maxPerRun: getBatchMaxPerRun(),
+          cooldownEvery: cooldown.every,
+          cooldownMinMs: cooldown.minMs,
+          cooldownMaxMs: cooldown.maxMs,
+          stopFailRate: stopRules.failRate,
+          stopMinAttempts: stopRules.minAttempts,
+          stopBlockLikeCount: stopRules.blockLikeCount,
+          sender: getSessionClientId(),
+          sendWindow: loadSendWindowPolicy(),
+          templateDefaults: getBatchTemplateDefaults(),
+          adaptiveRate: getBatchAdaptiveRate(),
+          retry: getBatchRetryPolicy(),
+          numberChecks: createNumberCheckCache(db, { ttlHours: getNumberCheckTtlHours() }),
+          frequencyCap,
+          onStep: (step) => {
+            if (step.type === 'contact_start') console.log('[drip]', `${step.current}/${step.total}`, step.contactId);
+            if (step.type === 'done' && !step.success) console.log('[drip] Falha', step.contactId, step.error);
+          },
+        },
+        onGroup: ({ sequence, step, stepIndex, contacts, campaignId }) => {
+          console.log(`[drip] ${sequence.name}, passo ${stepIndex + 1} (${step.name}): ${contacts} contato(s), campanha ${campaignId}.`);
+        },
+      });
+      console.log(`[drip] Devidos: ${summary.due} | enviados: ${summary.sent} | falhas: ${summary.failed} | ignorados: ${summary.skipped} | parados: ${summary.stopped} | concluídos: ${summary.completed}`);
+      if (summary.stoppedEarly) console.log('[drip] Envio interrompido:', summary.stopReason);
+    } catch (err) {
+      console.error('[drip] Erro:', err.message || err);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  attachListeners(client, {
+    onPrivateMessage(msg) {
+      if (msg.fromMe) return;
+      resolveReplySender(msg)
+        .then((recipient) => {
+          if (!recipient) return;
+          const receivedAt = msg.timestamp ? new Date(msg.timestamp * 1000) : new Date();
+          frequencyCap.recordConversation(recipient, receivedAt);
+          attributeReply(db, { recipient, messageId: msg.id?._serialized || '', body: msg.body, receivedAt, windowHours: getReplyAttributionWindowHours() });
+        })
+        .catch((err) => console.error('[drip] erro ao registrar resposta:', err.message));
+    },
+  });
+
+  client.on('qr', () => {
+    console.error('Sessão não encontrada: rode "npm run session" para escanear o QR code e tente de novo.');
+    finish(1);
+  });
+
+  client.on('auth_failure', (msg) => {
+    console.error('Auth failure:', msg);
+    finish(1);
+  });
+
+  client.on('ready', async () => {
+    if (started) return;
+    started = true;
+    await tick();
+    if (!everyMinutes) {
+      finish(0);
+      return;
+    }
+    console.log(`[drip] Verificando passos devidos a cada ${everyMinutes} min (Ctrl+C para sair).`);
+    timer = setInterval(tick, everyMinutes * 60000);
+  });
+
+  process.on('SIGINT', () => finish(0));
+
+  console.log('Conectando ao WhatsApp...');
+  client.initialize().catch((err) => {
+    console.error('Connection failed:', err && err.message ? err.message : err);
+    finish(1);
+  });
+}
+
+if (command === 'enrol') enrol();
+else if (command === 'run') run();
+else if (command === 'status') status();
+else {
+  console.error(USAGE.join('\n'));
+  process.exit(1);
+}
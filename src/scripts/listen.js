@@ -3,6 +3,12 @@
  * After sync, suggests next reply based on recent messages (and transcribes voice when needed).
  * Usage: npm run listen   [optional: RUN_BATCH=batch.json or --send-batch=batch.json]
  * Set ENABLE_REPLY_SUGGESTION=true and OPENAI_API_KEY in .env to enable suggestions.
+ * While connected it also records delivery/read acks of campaign messages (see delivery-receipts.js),
+ * so reads that happen hours after a batch still reach the campaign report, and links each private
+ * message to the campaign that prompted it (see reply-attribution.js; the first-contact agent gets the campaign too).
+ * Private messages are also recorded as conversations for frequency capping (see frequency-cap.js).
+ * The batch of --send-batch is controlled with npm run batch-control -- pause|resume|stop <campaignId>
+ * (see batch-control.js); Ctrl+C still stops the whole listener. Its events go to logs/campaign-<id>.ndjson.
  */
 const path = require('path');
 const fs = require('fs');
@@ -11,8 +17,21 @@ const { attachListeners } = require('../listeners');
 const { suggestReply } = require('../services/reply-suggestion');
 const { createFirstContactAgent } = require('../services/first-contact-agent');
 const { isFirstContactAgentEnabled, getAuthDataPath, getSessionClientId } = require('../config');
-const { runBatch } = require('../batch-sender');
-const { loadBatchItems, addToSentList } = require('../batch-loader');
+const { startBatch } = require('../batch-sender');
+const { createBatchControl, watchControlFile } = require('../batch-control');
+const { getEventLogPath, attachEventLog } = require('../batch-events');
+const { toTransport } = require('../transports');
+const { createAckTracker } = require('../delivery-receipts');
+const { resolveReplySender, attributeReply } = require('../reply-attribution');
+const { loadBatchItems, applySuppression, addToSentList } = require('../batch-loader');
+const { openCampaignDb, createCampaign, getPendingItems } = require('../campaign-store');
+const { loadSendWindowPolicy } = require('../send-window');
+const { validateBatchTemplates } = require('../message-renderer');
+const { resolveVariants } = require('../ab-test');
+const { createNumberCheckCache } = require('../number-check');
+const { createFrequencyCap } = require('../frequency-cap');
+const { addOptOut, OPT_OUT_SOURCE } = require('../opt-out-registry');
+const { appendDeadLetter, getDeadLetterPath } = require('../retry-queue');
 const {
   getBatchSendTimeoutMs,
   getBatchSkipIfEverSent,
@@ -20,6 +39,13 @@ const {
   getBatchMaxPerRun,
   getBatchCooldown,
   getBatchHealthStopRules,
+  getBatchAdaptiveRate,
+  getBatchRetryPolicy,
+  getBatchLeadPriority,
+  getBatchTemplateDefaults,
+  getReplyAttributionWindowHours,
+  getNumberCheckTtlHours,
+  getFrequencyCapRules,
 } = require('../config');
 
 if (process.argv.some((a) => a.startsWith('--send-batch=')) || process.env.RUN_BATCH) {
@@ -37,13 +63,48 @@ const headless = process.env.LISTEN_HEADLESS !== 'false' && process.env.LISTEN_H
 const client = createClient({ headless });
 const enableSuggestion = process.env.ENABLE_REPLY_SUGGESTION === 'true' || process.env.ENABLE_REPLY_SUGGESTION === '1';
 const enableFirstContactAgent = isFirstContactAgentEnabled();
-const firstContactAgent = enableFirstContactAgent ? createFirstContactAgent() : null;
+const firstContactAgent = enableFirstContactAgent ? createFirstContactAgent({ onOptOut: registerAgentOptOut }) : null;
 
 const batchPathFromEnv = process.env.RUN_BATCH || '';
 const batchPathFromArg = (process.argv.slice(2).find((a) => a.startsWith('--send-batch=')) || '').replace('--send-batch=', '');
 const batchForce = process.env.RUN_BATCH_FORCE === 'true' || process.env.RUN_BATCH_FORCE === '1';
 const batchPathToRun = batchPathFromArg || batchPathFromEnv || '';
 
+let campaignDb = null;
+let frequencyCap = null;
+
+/**
+ * Match a private message to the campaign item that prompted it (null before the client is ready
+ * or when no campaign message was sent to the number within the attribution window).
+ * The message is also recorded as a conversation with the contact (FREQUENCY_CAP_CONVERSATION_HOURS).
+ */
+async function attributeIncoming(msg) {
+  if (!campaignDb || msg.fromMe) return null;
+  const recipient = await resolveReplySender(msg);
+  const messageId = msg.id?._serialized || '';
+  const receivedAt = msg.timestamp ? new Date(msg.timestamp * 1000) : new Date();
+  if (recipient) frequencyCap.recordConversation(recipient, receivedAt);
+  return attributeReply(campaignDb, {
+    recipient,
+    messageId,
+    body: msg.body,
+    receivedAt,
+    windowHours: getReplyAttributionWindowHours(),
+  });
+}
+
+/** Opt-outs detected by the first-contact agent go to the central registry, which every sender checks. */
+function registerAgentOptOut({ contactId, phone, message }) {
+  if (!campaignDb) return;
+  if (!phone) {
+    console.warn('[opt-out]', contactId, 'pediu para sair, mas o número não foi resolvido; registre manualmente com npm run opt-out.');
+    return;
+  }
+  if (addOptOut(campaignDb, phone, { source: OPT_OUT_SOURCE.AGENT, message })) {
+    console.log('[opt-out]', phone, 'registrado; não receberá novas campanhas.');
+  }
+}
+
 function runSuggestionForChat(chat) {
   if (!enableSuggestion) return;
   suggestReply(chat)
@@ -61,12 +122,23 @@ attachListeners(client, {
   },
   onPrivateMessage(msg) {
     console.log('[private]', msg.from, msg.body?.slice(0, 80) || (msg.type === 'ptt' ? '[áudio]' : ''));
+    const attribution = attributeIncoming(msg)
+      .then((campaign) => {
+        if (campaign) console.log('[reply]', msg.from, 'respondeu à campanha', campaign.campaignId, `(${campaign.campaignName})`);
+        return campaign;
+      })
+      .catch((err) => {
+        console.error('[reply] erro na atribuição:', err.message);
+        return null;
+      });
     if (enableFirstContactAgent && firstContactAgent) {
-      firstContactAgent.handleIncomingMessage(client, msg)
+      attribution
+        .then((campaign) => firstContactAgent.handleIncomingMessage(client, msg, { campaign }))
         .then((decision) => {
           if (!decision || decision.action === 'ignore') return;
           console.log('[first-contact]', JSON.stringify({
             contactId: decision.contactId,
+            campaignId: decision.campaignId,
             action: decision.action,
             intent: decision.intent,
             confidence: Number.isFinite(decision.confidence) ? Number(decision.confidence.toFixed(2)) : 0,
@@ -94,18 +166,42 @@ client.on('auth_failure', (msg) => {
 });
 
 let batchAlreadyRun = false;
+let ackTracker = null;
 client.on('ready', async () => {
+  if (!ackTracker) {
+    campaignDb = openCampaignDb();
+    frequencyCap = createFrequencyCap(campaignDb, getFrequencyCapRules());
+    ackTracker = createAckTracker(campaignDb, toTransport(client));
+    console.log('Recibos de entrega: registrando entregue/lido das mensagens de campanha.');
+    console.log(`Respostas: atribuídas à última campanha enviada ao número nas últimas ${getReplyAttributionWindowHours()}h.`);
+  }
   if (batchPathToRun && !batchAlreadyRun) {
     batchAlreadyRun = true;
     try {
-      const { items } = loadBatchItems(batchPathToRun);
+      const loaded = loadBatchItems(batchPathToRun);
+      const variants = resolveVariants(campaignDb, loaded.variants, loaded.variantMode);
+      const templateErrors = validateBatchTemplates(loaded.items, { defaults: getBatchTemplateDefaults(), variants });
+      if (templateErrors.length > 0) {
+        const first = templateErrors[0];
+        throw new Error(`${templateErrors.length} item(ns) com template inválido (item ${first.index + 1}: ${first.error})`);
+      }
+      const campaignId = createCampaign(campaignDb, {
+        batchPath: loaded.absolutePath,
+        items: loaded.items,
+        variants,
+        variantMode: loaded.variantMode,
+      });
+      const items = applySuppression(getPendingItems(campaignDb, campaignId));
       const useBrowserSend = process.env.BATCH_USE_BROWSER_SEND !== 'false';
       const skipIfEverSent = batchForce ? false : getBatchSkipIfEverSent();
       const skipIfSentToday = skipIfEverSent;
       const runLimit = Math.max(0, getBatchMaxPerRun());
       const cooldown = getBatchCooldown();
       const stopRules = getBatchHealthStopRules();
-      console.log('[batch] Enviando lote:', batchPathToRun, '(' + items.length + ' contato(s)). Agente continua ligado.');
+      const sendWindow = loadSendWindowPolicy();
+      if (sendWindow) console.log('[batch] Janela de envio:', sendWindow.describe());
+      console.log('[batch] Enviando lote:', batchPathToRun, '(' + items.length + ' contato(s)), campanha ' + campaignId + '. Agente continua ligado.');
+      console.log(`[batch] Controle: npm run batch-control -- pause|resume|stop ${campaignId}`);
       function onStep(step) {
         const { type, contactId, reason, error } = step;
         if (type === 'contact_start') console.log('[batch]', step.current + '/' + step.total, contactId);
@@ -114,9 +210,23 @@ client.on('ready', async () => {
           addToSentList(contactId);
         }
         if (type === 'send_fail' || type === 'verify_fail') console.log('[batch] Falha', contactId, error || reason);
-        if (type === 'already_sent') console.log('[batch] Ignorado', contactId, reason);
+        if (type === 'already_sent' || type === 'skipped') console.log('[batch] Ignorado', contactId, reason);
+        if (type === 'number_corrected') console.log('[batch] Número registrado no WhatsApp:', contactId, '->', step.sendTo);
+        if (type === 'window_closed') console.log('[batch] Janela de envio fechada; pausando até', new Date(step.opensAt).toLocaleString('pt-BR'));
+        if (type === 'window_opened') console.log('[batch] Janela de envio aberta; retomando.');
+        if (type === 'schedule_wait') console.log('[batch] Agendado', contactId, '- aguardando até', new Date(step.dueAt).toLocaleString('pt-BR'));
+        if (type === 'expired') console.log('[batch] Expirado', contactId, reason);
+        if (type === 'retry_scheduled') console.log('[batch] Falha temporária', contactId, '- nova tentativa', step.retry, 'às', new Date(step.retryAt).toLocaleTimeString('pt-BR'));
+        if (type === 'paused') console.log('[batch] Pausado; retome com: npm run batch-control -- resume', campaignId);
+        if (type === 'resumed') console.log('[batch] Retomado.');
+        if (type === 'stopping') console.log('[batch] Parando após o item atual; o agente continua ligado.');
+        if (type === 'rate_change') {
+          console.log(`[batch] Ritmo ${step.direction === 'slower' ? 'reduzido' : 'normalizando'} (${reason}): intervalo ${(step.minDelayMs / 1000).toFixed(0)}-${(step.maxDelayMs / 1000).toFixed(0)}s`);
+        }
       }
-      const result = await runBatch(client, items, {
+      const control = createBatchControl();
+      const controlFile = watchControlFile(control, `campaign-${campaignId}`);
+      const run = startBatch(client, items, {
         sendTimeoutMs: getBatchSendTimeoutMs(),
         useBrowserSend,
         skipIfEverSent,
@@ -130,9 +240,31 @@ client.on('ready', async () => {
         stopFailRate: stopRules.failRate,
         stopMinAttempts: stopRules.minAttempts,
         stopBlockLikeCount: stopRules.blockLikeCount,
+        campaign: { db: campaignDb, id: campaignId },
+        sender: getSessionClientId(),
+        sendWindow,
+        templateDefaults: getBatchTemplateDefaults(),
+        adaptiveRate: getBatchAdaptiveRate(),
+        retry: getBatchRetryPolicy(),
+        priority: getBatchLeadPriority(),
+        numberChecks: createNumberCheckCache(campaignDb, { ttlHours: getNumberCheckTtlHours() }),
+        frequencyCap,
+        ackTracker,
+        control,
         onStep,
       });
+      const detachEventLog = attachEventLog(run, getEventLogPath(campaignId), { campaignId });
+      const result = await run.done.finally(() => {
+        detachEventLog();
+        controlFile.close();
+      });
       console.log('[batch] Concluído. Enviados:', result.sent, 'Falhas:', result.failed);
+      if (control.isStopping()) console.log(`[batch] Parado a pedido; continue com: npm run batch -- --resume ${campaignId}`);
+      if (result.deadLetter.length > 0) {
+        const deadLetterPath = getDeadLetterPath(campaignId);
+        appendDeadLetter(deadLetterPath, result.deadLetter);
+        console.log('[batch] Falhas definitivas salvas em:', deadLetterPath);
+      }
     } catch (err) {
       console.error('[batch] Erro ao enviar lote:', err.message);
     }
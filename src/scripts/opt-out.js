@@ -0,0 +1,85 @@
+/**
+ * Manage the opt-out registry (see opt-out-registry.js), which every sender checks before sending.
+ * Usage:
+ *   node src/scripts/opt-out.js add <número> [mensagem]   Register a number (source "manual")
+ *   node src/scripts/opt-out.js remove <número>           Remove a number (e.g. registered by mistake)
+ *   node src/scripts/opt-out.js list                      List the registry, newest first
+ *   node src/scripts/opt-out.js import <arquivo>          Import a JSON array, the first-contact memory file or a text/CSV list
+ *   node src/scripts/opt-out.js import-replies            Import the replies flagged as opt-out by reply attribution
+ */
+const fs = require('fs');
+const path = require('path');
+const { openCampaignDb } = require('../campaign-store');
+const {
+  OPT_OUT_SOURCE,
+  addOptOut,
+  removeOptOut,
+  getOptOut,
+  listOptOuts,
+  parseOptOutList,
+  importOptOuts,
+  importReplyOptOuts,
+} = require('../opt-out-registry');
+
+const [command, arg, ...rest] = process.argv.slice(2);
+
+function usage() {
+  console.error('Usage: node src/scripts/opt-out.js add <número> [mensagem]');
+  console.error('       node src/scripts/opt-out.js remove <número>');
+  console.error('       node src/scripts/opt-out.js list');
+  console.error('       node src/scripts/opt-out.js import <arquivo.json|.txt|.csv>');
+  console.error('       node src/scripts/opt-out.js import-replies');
+  process.exit(1);
+}
+
+function readList(filePath) {
+  const absolutePath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+  const raw = fs.readFileSync(absolutePath, 'utf8');
+  try {
+    return parseOptOutList(JSON.parse(raw));
+  } catch (_) {
+    return parseOptOutList(raw);
+  }
+}
+
+if (!command || ((command === 'add' || command === 'remove' || command === 'import') && !arg)) usage();
+
+const db = openCampaignDb();
+try {
+  if (command === 'add') {
+    const message = rest.join(' ').trim();
+    if (addOptOut(db, arg, { source: OPT_OUT_SOURCE.MANUAL, message: message || null })) {
+      console.log('Opt-out registrado:', getOptOut(db, arg).contact);
+    } else {
+      const entry = getOptOut(db, arg);
+      console.log(entry ? `Já estava registrado (${entry.source}, ${entry.optedOutAt}).` : `Número inválido: ${arg}`);
+    }
+  } else if (command === 'remove') {
+    console.log(removeOptOut(db, arg) ? 'Removido do registro de opt-out.' : 'Número não estava no registro.');
+  } else if (command === 'list') {
+    const entries = listOptOuts(db);
+    console.log(`--- Opt-out: ${entries.length} contato(s) ---`);
+    entries.forEach((e) => {
+      console.log(`  ${e.contact}  ${e.optedOutAt}  ${e.source}${e.message ? `  "${e.message.slice(0, 80)}"` : ''}`);
+    });
+  } else if (command === 'import') {
+    let entries;
+    try {
+      entries = readList(arg);
+    } catch (err) {
+      console.error('Erro ao ler o arquivo:', err.message);
+      process.exitCode = 1;
+      entries = null;
+    }
+    if (entries) {
+      const added = importOptOuts(db, entries);
+      console.log(`Importados ${added} de ${entries.length} número(s) (${entries.length - added} já estavam no registro ou são inválidos).`);
+    }
+  } else if (command === 'import-replies') {
+    console.log(`Importados ${importReplyOptOuts(db)} opt-out(s) das respostas de campanha.`);
+  } else {
+    usage();
+  }
+} finally {
+  db.close();
+}
@@ -0,0 +1,51 @@
+/**
+ * Delivery report of a campaign from the stored message acks (see delivery-receipts.js):
+ * delivery rate, read rate, median time-to-read and the numbers still at a single tick.
+ * Usage: node src/scripts/report-delivery.js <campaignId> [--hours=24]
+ * --hours overrides BATCH_SINGLE_TICK_HOURS. The report is also saved to reports/delivery-campaign-<id>.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const { openCampaignDb, getCampaign } = require('../campaign-store');
+const { getDeliveryReport } = require('../delivery-receipts');
+const { formatDuration } = require('../batch-preview');
+const { getBatchSingleTickHours } = require('../config');
+
+const args = process.argv.slice(2);
+const campaignId = parseInt(args.find((a) => !a.startsWith('--')), 10);
+const hoursArg = (args.find((a) => a.startsWith('--hours=')) || '').replace('--hours=', '');
+const singleTickHours = hoursArg ? parseFloat(hoursArg) : getBatchSingleTickHours();
+if (!Number.isInteger(campaignId) || !Number.isFinite(singleTickHours)) {
+  console.error('Usage: node src/scripts/report-delivery.js <campaignId> [--hours=24]');
+  process.exit(1);
+}
+
+const db = openCampaignDb();
+const campaign = getCampaign(db, campaignId);
+if (!campaign) {
+  console.error('Campanha não encontrada:', campaignId);
+  process.exit(1);
+}
+const report = getDeliveryReport(db, campaignId, { singleTickHours });
+db.close();
+
+const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+console.log(`--- Entrega da campanha ${campaignId} (${campaign.name}) ---`);
+console.log('Mensagens rastreadas:', report.tracked);
+console.log(`Entregues: ${report.delivered} (${pct(report.deliveryRate)})`);
+console.log(`Lidas: ${report.read} (${pct(report.readRate)})`);
+console.log('Áudios ouvidos:', report.played);
+console.log('Tempo mediano até a leitura:', report.medianTimeToReadMs == null ? '-' : formatDuration(report.medianTimeToReadMs));
+if (report.errors > 0) console.log('Com erro de envio:', report.errors);
+console.log(`Só um tique há mais de ${singleTickHours}h (provável número inválido): ${report.singleTick.length}`);
+report.singleTick.forEach((r) => console.log(`  ${r.contact} – enviado ${new Date(r.sentAt).toLocaleString('pt-BR')} (${r.hoursSinceSent}h)`));
+
+const reportDir = path.join(process.cwd(), 'reports');
+fs.mkdirSync(reportDir, { recursive: true });
+const reportPath = path.join(reportDir, `delivery-campaign-${campaignId}.json`);
+fs.writeFileSync(
+  reportPath,
+  JSON.stringify({ generatedAt: new Date().toISOString(), campaignId, singleTickHours, ...report }, null, 2),
+  'utf8'
+);
+console.log('Relatório salvo em:', reportPath);
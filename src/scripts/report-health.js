@@ -0,0 +1,45 @@
+/**
+ * Rebuild the HTML health report (see health-report.js) of a stored run.
+ * Usage: node src/scripts/report-health.js <campaignId>                 Latest run of that campaign in reports/
+ *        node src/scripts/report-health.js <reports/batch-health-*.json>  That run
+ *        node src/scripts/report-health.js <logs/campaign-<id>.ndjson>    Every run in the campaign's event log (batch-events.js)
+ * The page is written next to the JSON report or event log (same name, .html).
+ */
+const fs = require('fs');
+const path = require('path');
+const { writeHealthReportHtml, findHealthReport } = require('../health-report');
+const { readEventLog, replayEvents } = require('../batch-events');
+
+const arg = process.argv.slice(2).find((a) => !a.startsWith('--'));
+if (!arg) {
+  console.error('Usage: node src/scripts/report-health.js <campaignId | reports/batch-health-*.json | logs/campaign-<id>.ndjson>');
+  process.exit(1);
+}
+
+let jsonPath;
+if (/^\d+$/.test(arg)) {
+  jsonPath = findHealthReport(parseInt(arg, 10));
+  if (!jsonPath) {
+    console.error(`Nenhum relatório da campanha ${arg} em reports/ (batch-health-*.json).`);
+    process.exit(1);
+  }
+} else {
+  jsonPath = path.isAbsolute(arg) ? arg : path.join(process.cwd(), arg);
+}
+
+let report;
+try {
+  if (path.extname(jsonPath) === '.ndjson') {
+    const events = readEventLog(jsonPath);
+    const started = events.find((e) => e.campaignId != null);
+    const result = replayEvents(events);
+    report = { generatedAt: new Date().toISOString(), campaignId: started ? started.campaignId : null, batchPath: jsonPath, result };
+    console.log(`Eventos: ${events.length} em ${result.runs} execução(ões).`);
+  } else {
+    report = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  }
+} catch (e) {
+  console.error('Invalid JSON or read error:', e.message);
+  process.exit(1);
+}
+console.log('Relatório HTML:', writeHealthReportHtml(report, jsonPath));
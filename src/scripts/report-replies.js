@@ -0,0 +1,46 @@
+/**
+ * Reply-rate report from the replies attributed to campaigns (see reply-attribution.js):
+ * per campaign, per message template body and per sending profile.
+ * Usage: node src/scripts/report-replies.js [campaignId]
+ * Without a campaign id every campaign is included. The report is also saved to reports/replies[-campaign-<id>].json.
+ */
+const fs = require('fs');
+const path = require('path');
+const { openCampaignDb, getCampaign } = require('../campaign-store');
+const { getReplyReport } = require('../reply-attribution');
+
+const arg = process.argv[2];
+const campaignId = arg ? parseInt(arg, 10) : null;
+if (arg && !Number.isInteger(campaignId)) {
+  console.error('Usage: node src/scripts/report-replies.js [campaignId]');
+  process.exit(1);
+}
+
+const db = openCampaignDb();
+if (campaignId != null && !getCampaign(db, campaignId)) {
+  console.error('Campanha não encontrada:', campaignId);
+  process.exit(1);
+}
+const report = getReplyReport(db, campaignId != null ? { campaignId } : {});
+db.close();
+
+const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+const line = (label, r) => console.log(`  ${label} – ${r.replied}/${r.sent} (${pct(r.replyRate)})`);
+const preview = (text) => (text.length > 70 ? text.slice(0, 70) + '...' : text);
+
+console.log(campaignId != null ? `--- Respostas da campanha ${campaignId} ---` : '--- Respostas por campanha ---');
+console.log(`Enviados: ${report.sent} | Responderam: ${report.replied} (${pct(report.replyRate)})`);
+if (campaignId == null) {
+  console.log('Por campanha:');
+  report.byCampaign.forEach((r) => line(`${r.campaignId} (${r.name})`, r));
+}
+console.log('Por template:');
+report.byTemplate.forEach((r) => line(r.template ? `"${preview(r.template)}"` : '(sem template do banco)', r));
+console.log('Por perfil de envio:');
+report.bySender.forEach((r) => line(r.sender || '(não informado)', r));
+
+const reportDir = path.join(process.cwd(), 'reports');
+fs.mkdirSync(reportDir, { recursive: true });
+const reportPath = path.join(reportDir, campaignId != null ? `replies-campaign-${campaignId}.json` : 'replies.json');
+fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), campaignId, ...report }, null, 2), 'utf8');
+console.log('Relatório salvo em:', reportPath);
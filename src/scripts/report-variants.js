@@ -0,0 +1,51 @@
+/**
+ * A/B test report of a campaign (see ab-test.js): reply rate and opt-out rate per variant with 95%
+ * confidence intervals, and each variant compared with the first one (two-proportion z-test).
+ * Replies are the ones attributed by `npm run listen` (reply-attribution.js).
+ * Usage: node src/scripts/report-variants.js <campaignId>
+ * The report is also saved to reports/variants-campaign-<id>.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const { openCampaignDb, getCampaign } = require('../campaign-store');
+const { getVariantReport } = require('../ab-test');
+
+const campaignId = parseInt(process.argv[2], 10);
+if (!Number.isInteger(campaignId)) {
+  console.error('Usage: node src/scripts/report-variants.js <campaignId>');
+  process.exit(1);
+}
+
+const db = openCampaignDb();
+const campaign = getCampaign(db, campaignId);
+if (!campaign) {
+  console.error('Campanha não encontrada:', campaignId);
+  process.exit(1);
+}
+const report = getVariantReport(db, campaignId);
+db.close();
+if (report.variants.length === 0) {
+  console.error(`Campanha ${campaignId} não é um teste A/B (o lote não declarou variantes).`);
+  process.exit(1);
+}
+
+const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+const ci = ([lo, hi]) => `[${pct(lo)} – ${pct(hi)}]`;
+const preview = (text) => (text.length > 60 ? text.slice(0, 60) + '...' : text).replace(/\s+/g, ' ');
+
+console.log(`--- Teste A/B da campanha ${campaignId} (${campaign.name}), modo ${report.mode} ---`);
+report.variants.forEach((v) => {
+  console.log(`Variante ${v.name}${v.templateId != null ? ` (template ${v.templateId})` : ''}: "${preview(v.body)}"`);
+  console.log(`  Enviados: ${v.sent} | Respostas: ${v.replied} (${pct(v.replyRate)} ${ci(v.replyCi)}) | Opt-out: ${v.optedOut} (${pct(v.optOutRate)} ${ci(v.optOutCi)})`);
+});
+console.log('Comparação com a variante de controle (IC 95%, teste z de duas proporções):');
+report.comparisons.forEach((c) => {
+  const verdict = (t) => (t.significant ? 'significativo' : 'não significativo');
+  console.log(`  ${c.variant} vs ${c.control}: respostas ${c.reply.diff >= 0 ? '+' : ''}${(c.reply.diff * 100).toFixed(1)} p.p. (p=${c.reply.pValue.toFixed(3)}, ${verdict(c.reply)}); opt-out ${c.optOut.diff >= 0 ? '+' : ''}${(c.optOut.diff * 100).toFixed(1)} p.p. (p=${c.optOut.pValue.toFixed(3)}, ${verdict(c.optOut)})`);
+});
+
+const reportDir = path.join(process.cwd(), 'reports');
+fs.mkdirSync(reportDir, { recursive: true });
+const reportPath = path.join(reportDir, `variants-campaign-${campaignId}.json`);
+fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), campaignId, ...report }, null, 2), 'utf8');
+console.log('Relatório salvo em:', reportPath);
@@ -4,11 +4,14 @@
  * Usage: node src/scripts/resend-fixed-numbers.js [path-to-batch.json] [--dry-run]
  * Default batch: batch_lucas/batch-output.json
  * Output: batch_lucas/batch-resend-fixed.json then runs batch on it (unless --dry-run).
+ * Numbers in the opt-out registry (opt-out-registry.js) are left out of the resend batch.
  */
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { normalizeContactWithFix } = require('../batch-sender');
+const { openCampaignDb } = require('../campaign-store');
+const { createOptOutRegistry } = require('../opt-out-registry');
 
 const argv = process.argv.slice(2);
 const dryRun = argv.includes('--dry-run');
@@ -31,15 +34,23 @@ if (!Array.isArray(items) || items.length === 0) {
   process.exit(1);
 }
 
+const db = openCampaignDb();
+const optOuts = createOptOutRegistry(db);
 const resendItems = [];
+let optedOut = 0;
 for (const { contact, message } of items) {
   const { normalized, wasFixed } = normalizeContactWithFix(contact);
-  if (wasFixed) {
+  if (wasFixed && optOuts.has(normalized)) {
+    optedOut++;
+  } else if (wasFixed) {
     const digitsOnly = normalized.replace('@c.us', '');
     resendItems.push({ contact: digitsOnly, message });
   }
 }
 
+db.close();
+if (optedOut > 0) console.log(`Skipped ${optedOut} contact(s) in the opt-out registry.`);
+
 if (resendItems.length === 0) {
   console.log('No contacts needed the 13-digit fix. Nothing to resend.');
   process.exit(0);
@@ -3,102 +3,261 @@
  * All messages are sent from a single browser session (one WhatsApp client); no additional
  * browser instances are created for individual messages.
  * If no session exists, opens a browser with the QR code to sync WhatsApp first, then sends.
- * Usage: node src/scripts/run-batch.js <path-to-batch.json>
+ * Usage: node src/scripts/run-batch.js <path-to-batch.json|.jsonl|.csv> [--columns=phone=Telefone 1,name=Nome,message=Mensagem]
+ *        node src/scripts/run-batch.js --resume <campaignId>
  * Batch file format: [ { "contact": "5511999999999", "message": "Hello" }, ... ]
+ * or, for an A/B test, { "variants": [...], "variantMode": "weighted"|"bandit", "items": [...] } (see ab-test.js).
+ * A .jsonl file (one item per line) or a .csv export (see batch-csv.js) can be given directly; --columns
+ * (or BATCH_CSV_COLUMNS) names the CSV columns of the phone, the name and the message template.
+ * Messages may use {{variables}} from the item fields, {{saudacao}} and {a|b} spintax
+ * (see message-renderer.js); they are checked before the run and rendered at send time.
+ * Every run is stored as a campaign in data/messages.db (see campaign-store.js); the batch
+ * file itself is never modified. --resume continues with the items still pending, including
+ * those waiting for a retry after a transient failure (see retry-queue.js). Permanent failures and
+ * given-up retries are written to reports/dead-letter-campaign-<id>.json.
+ * While sending, Ctrl+C stops after the current item (a second Ctrl+C exits at once) and
+ * npm run batch-control -- pause|resume|stop <campaignId> controls the run from another terminal
+ * (see batch-control.js); a stopped campaign continues with --resume.
+ * Every event of the run (skips with their reason, attempts, sends, failures, cooldowns, stop) is
+ * appended to logs/campaign-<id>.ndjson (see batch-events.js).
+ * --dry-run sends nothing: it writes a CSV + HTML preview (normalized number, skip reason,
+ * rendered message, estimated duration) to reports/ and exits without opening WhatsApp.
+ * Items are checked against the batch schema (batch-schema.js) first: any error (misspelled field,
+ * empty message, number written as a JSON number...) stops the run unless --lenient is given, in which
+ * case the items with errors are left out. npm run validate-batch lists the problems without running.
  */
 const fs = require('fs');
 const path = require('path');
 const QRCode = require('qrcode');
 const { createClient } = require('../client');
 const { createQRServer } = require('../qr-server');
-const { runBatch } = require('../batch-sender');
-const { loadBatchItems, addToSentList } = require('../batch-loader');
+const { startBatch, VERIFY_DELAY_MS, STOPPED_BY_OPERATOR } = require('../batch-sender');
+const { buildBatchPreview, renderPreviewCsv, renderPreviewHtml, formatDuration, SKIP_REASON_LABELS } = require('../batch-preview');
+const { readBatchFile, loadBatchItems, applySuppression, addToSentList } = require('../batch-loader');
+const { formatBatchIssue } = require('../batch-schema');
+const { loadSendWindowPolicy } = require('../send-window');
+const { validateBatchTemplates, applyVariantText } = require('../message-renderer');
+const { resolveVariants, getCampaignVariants, pickVariant } = require('../ab-test');
+const { createNumberCheckCache } = require('../number-check');
+const { createFrequencyCap } = require('../frequency-cap');
+const { createOptOutRegistry } = require('../opt-out-registry');
+const { appendDeadLetter, getDeadLetterPath } = require('../retry-queue');
+const { getDeliveryReport } = require('../delivery-receipts');
+const { writeHealthReportHtml } = require('../health-report');
+const { createBatchControl, watchControlFile, handleControlSignals } = require('../batch-control');
+const { getEventLogPath, attachEventLog } = require('../batch-events');
+const { getLogger } = require('../logger');
+const {
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  setCampaignStatus,
+  getPendingItems,
+  getCampaignCounts,
+  getRetrySummary,
+} = require('../campaign-store');
 const {
   getBatchDelayRange,
   getBatchSendTimeoutMs,
   getBatchSkipIfEverSent,
   getSessionClientId,
   getBatchRequireOptIn,
-  getBatchSuppressionFile,
   getBatchMaxPerRun,
   getBatchCooldown,
   getBatchHealthStopRules,
+  getBatchAdaptiveRate,
+  getBatchRetryPolicy,
+  getBatchLeadPriority,
+  getBatchSingleTickHours,
+  getBatchTemplateDefaults,
+  getNumberCheckTtlHours,
+  getFrequencyCapRules,
   getAuthDataPath,
 } = require('../config');
 
 /** Fixed port for QR page so the URL is predictable if the browser does not open automatically. */
 const QR_SERVER_PORT = 37831;
 
-const DEBUG_LOG_PATH = path.join(__dirname, '..', '..', 'debug-386a07.log');
-function debugLogRunBatch(payload) {
-  try {
-    fs.appendFileSync(DEBUG_LOG_PATH, JSON.stringify({ ...payload, sessionId: '386a07', timestamp: Date.now() }) + '\n');
-  } catch (_) {}
-}
+const log = getLogger('batch');
 
 const args = process.argv.slice(2);
-const batchPath = args.find((a) => !a.startsWith('--'));
+const resumeFlagIndex = args.indexOf('--resume');
+const resumeValue = resumeFlagIndex >= 0
+  ? args[resumeFlagIndex + 1]
+  : (args.find((a) => a.startsWith('--resume=')) || '').replace('--resume=', '');
+const batchPath = args.find((a, i) => !a.startsWith('--') && !(resumeFlagIndex >= 0 && i === resumeFlagIndex + 1));
 const forceListOnly = args.includes('--force');
 const useApiSend = args.includes('--api');
 const pilotMode = args.includes('--pilot');
+const dryRun = args.includes('--dry-run');
+const lenient = args.includes('--lenient');
+const columns = (args.find((a) => a.startsWith('--columns=')) || '').slice('--columns='.length);
 if (useApiSend) process.env.BATCH_USE_BROWSER_SEND = 'false';
-if (!batchPath) {
-  console.error('Usage: node src/scripts/run-batch.js <path-to-batch.json> [--force] [--pilot] [--api]');
-  console.error('  --force  Enviar APENAS para a lista (não pula quem já recebeu; envia para todos no arquivo).');
-  console.error('  --pilot  Limita execução para um lote pequeno e gera relatório de saúde da campanha.');
+const resumeCampaignId = resumeValue ? parseInt(resumeValue, 10) : 0;
+if ((!batchPath && !resumeValue) || (resumeValue && !Number.isInteger(resumeCampaignId))) {
+  console.error('Usage: node src/scripts/run-batch.js <path-to-batch.json|.jsonl|.csv> [--force] [--pilot] [--api] [--dry-run] [--lenient] [--columns=...]');
+  console.error('       node src/scripts/run-batch.js --resume <campaignId> [--force] [--pilot] [--api] [--dry-run]');
+  console.error('  --force   Enviar APENAS para a lista (não pula quem já recebeu; envia para todos no arquivo).');
+  console.error('  --pilot   Limita execução para um lote pequeno e gera relatório de saúde da campanha.');
+  console.error('  --resume  Continua uma campanha interrompida a partir dos itens ainda pendentes.');
+  console.error('  --dry-run Não envia nada: gera prévia (CSV + HTML) em reports/ com números, ignorados, mensagens e duração estimada.');
+  console.error('  --columns=phone=<coluna>,name=<coluna>,message=<coluna>  Colunas do arquivo .csv (padrão: BATCH_CSV_COLUMNS ou phone/telefone, full_name/nome, message/mensagem).');
+  console.error('  --lenient Ignora os itens com erro de formato em vez de não iniciar (veja npm run validate-batch).');
   process.exit(1);
 }
 
-const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
-if (!fs.existsSync(absolutePath)) {
-  console.error('File not found:', absolutePath);
-  process.exit(1);
+/** Contacts processed per run in --pilot mode. */
+const PILOT_CAP = 50;
+
+/** Max contacts processed in this run (BATCH_MAX_PER_RUN, capped in pilot mode; 0 = no limit). */
+function getRunLimit() {
+  const maxPerRun = Math.max(0, getBatchMaxPerRun());
+  if (!pilotMode) return maxPerRun;
+  return maxPerRun > 0 ? Math.min(maxPerRun, PILOT_CAP) : PILOT_CAP;
 }
 
-let items;
-try {
-  const raw = fs.readFileSync(absolutePath, 'utf8');
-  items = JSON.parse(raw);
-} catch (e) {
-  console.error('Invalid JSON or read error:', e.message);
-  process.exit(1);
+/**
+ * --dry-run: write the preview to reports/ and exit without connecting to WhatsApp.
+ * In an A/B test each item is previewed with a variant drawn by the declared weights.
+ */
+function runDryRun(list, label, variants = []) {
+  const range = getBatchDelayRange();
+  const cooldown = getBatchCooldown();
+  const useBrowserSend = process.env.BATCH_USE_BROWSER_SEND !== 'false';
+  const previewItems = variants.length > 0
+    ? list.map((item) => ({ ...item, message: applyVariantText(item.message, pickVariant(variants).body) }))
+    : list;
+  const preview = buildBatchPreview(previewItems, {
+    requireOptIn: getBatchRequireOptIn(),
+    maxPerRun: getRunLimit(),
+    templateDefaults: getBatchTemplateDefaults(),
+    optOuts: createOptOutRegistry(campaignDb),
+    numberChecks: createNumberCheckCache(campaignDb, { ttlHours: getNumberCheckTtlHours() }),
+    frequencyCap: createFrequencyCap(campaignDb, getFrequencyCapRules()),
+    minDelayMs: range.minMs,
+    maxDelayMs: range.maxMs,
+    cooldownEvery: cooldown.every,
+    cooldownMinMs: cooldown.minMs,
+    cooldownMaxMs: cooldown.maxMs,
+    // Fixed wait per send: pause after a browser send, or the wait before verifying.
+    perSendMs: useBrowserSend ? 2500 : VERIFY_DELAY_MS,
+  });
+  const { summary } = preview;
+
+  const reportDir = path.join(process.cwd(), 'reports');
+  fs.mkdirSync(reportDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const csvPath = path.join(reportDir, `batch-preview-${stamp}.csv`);
+  const htmlPath = path.join(reportDir, `batch-preview-${stamp}.html`);
+  fs.writeFileSync(csvPath, renderPreviewCsv(preview), 'utf8');
+  fs.writeFileSync(htmlPath, renderPreviewHtml(preview, { title: `Prévia: ${label}` }), 'utf8');
+
+  console.log(`--- Dry run (nada foi enviado): ${label} ---`);
+  console.log(`Itens: ${summary.total} | A enviar: ${summary.toSend} | Números corrigidos: ${summary.fixedNumbers} | Erros de template: ${summary.templateErrors}`);
+  Object.entries(summary.skipped).forEach(([reason, n]) => console.log(`  Ignorados (${SKIP_REASON_LABELS[reason] || reason}): ${n}`));
+  console.log(`Duração estimada: ${formatDuration(summary.duration.minMs)} – ${formatDuration(summary.duration.maxMs)} (sem pausas fora da janela de envio).`);
+  console.log('Quem já recebeu mensagem (ou recebeu hoje) só é detectado no envio real.');
+  console.log(`Prévia: ${htmlPath}`);
+  console.log(`        ${csvPath}`);
+  process.exit(summary.templateErrors > 0 ? 1 : 0);
 }
 
-if (!Array.isArray(items) || items.length === 0) {
-  console.error('Batch file must be a non-empty array of { contact, message }.');
+/** Abort before any send when a message template cannot be rendered for some item (with any A/B variant). */
+function exitOnTemplateErrors(list, variants) {
+  const errors = validateBatchTemplates(list, { defaults: getBatchTemplateDefaults(), variants });
+  if (errors.length === 0) return;
+  console.error(`Erro nos templates de mensagem: ${errors.length} item(ns) não podem ser renderizados.`);
+  errors.slice(0, 20).forEach((e) => console.error(`  Item ${e.index + 1} (${e.contact}): ${e.error}`));
+  if (errors.length > 20) console.error(`  ... e mais ${errors.length - 20}.`);
   process.exit(1);
 }
-debugLogRunBatch({ location: 'run-batch.js:start', message: 'batch file loaded', data: { itemCount: items.length, firstContact: items[0] && items[0].contact } });
 
-function normalizeContactDigits(contact) {
-  return String(contact || '').replace(/@.*$/, '').replace(/\D/g, '');
-}
+const campaignDb = openCampaignDb();
+let campaignId;
+let absolutePath;
+let items;
+let variants = [];
 
-function loadSuppressionSet() {
-  const suppressionPath = getBatchSuppressionFile();
-  if (!suppressionPath) return new Set();
-  const absoluteSuppressionPath = path.isAbsolute(suppressionPath)
-    ? suppressionPath
-    : path.join(process.cwd(), suppressionPath);
-  if (!fs.existsSync(absoluteSuppressionPath)) {
-    console.warn(`Aviso: BATCH_SUPPRESSION_FILE não encontrado: ${absoluteSuppressionPath}`);
-    return new Set();
+if (resumeCampaignId) {
+  const campaign = getCampaign(campaignDb, resumeCampaignId);
+  if (!campaign) {
+    console.error('Campanha não encontrada:', resumeCampaignId);
+    process.exit(1);
+  }
+  if (campaign.status === CAMPAIGN_STATUS.COMPLETED) {
+    console.log(`Campanha ${campaign.id} já foi concluída; nada a retomar.`);
+    process.exit(0);
+  }
+  campaignId = campaign.id;
+  absolutePath = campaign.batchPath || '';
+  items = applySuppression(getPendingItems(campaignDb, campaignId));
+  variants = getCampaignVariants(campaignDb, campaignId).variants;
+  if (dryRun) runDryRun(items, `campanha ${campaignId} (${campaign.name})`, variants);
+  if (items.length === 0) {
+    setCampaignStatus(campaignDb, campaignId, CAMPAIGN_STATUS.COMPLETED);
+    console.log(`Campanha ${campaignId} não tem itens pendentes; marcada como concluída.`);
+    process.exit(0);
+  }
+  exitOnTemplateErrors(items, variants);
+  setCampaignStatus(campaignDb, campaignId, CAMPAIGN_STATUS.RUNNING);
+  console.log(`Retomando campanha ${campaignId} (${campaign.name}): ${items.length} de ${campaign.totalItems} item(ns) pendente(s).`);
+} else {
+  absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
+  if (!fs.existsSync(absolutePath)) {
+    console.error('File not found:', absolutePath);
+    process.exit(1);
   }
+
   try {
-    const raw = fs.readFileSync(absoluteSuppressionPath, 'utf8');
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) {
-      console.warn('Aviso: arquivo de supressão deve ser um array JSON de números/ids.');
-      return new Set();
-    }
-    const set = new Set(parsed.map((v) => normalizeContactDigits(v)).filter(Boolean));
-    console.log(`Lista de supressão carregada: ${set.size} contato(s).`);
-    return set;
-  } catch (err) {
-    console.warn(`Aviso: falha ao ler lista de supressão (${err.message}).`);
-    return new Set();
+    items = readBatchFile(absolutePath, { columns }).list;
+  } catch (e) {
+    console.error('Invalid batch file or read error:', e.message);
+    process.exit(1);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    console.error('Batch file must be a non-empty array of { contact, message }.');
+    process.exit(1);
+  }
+
+  let batchLoaded;
+  try {
+    batchLoaded = loadBatchItems(absolutePath, { lenient, columns });
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  const { errors: itemErrors, warnings: itemWarnings } = batchLoaded.validation;
+  if (itemErrors.length > 0) {
+    console.warn(`--lenient: ${itemErrors.length} erro(s) de formato; itens com erro ficam de fora:`);
+    itemErrors.forEach((issue) => console.warn(`  ${formatBatchIssue(issue)}`));
   }
+  if (itemWarnings.length > 0) {
+    console.warn(`Avisos no arquivo (${itemWarnings.length}):`);
+    itemWarnings.forEach((issue) => console.warn(`  ${formatBatchIssue(issue)}`));
+  }
+  try {
+    variants = resolveVariants(campaignDb, batchLoaded.variants, batchLoaded.variantMode);
+  } catch (e) {
+    console.error('Variantes A/B inválidas:', e.message);
+    process.exit(1);
+  }
+  if (dryRun) runDryRun(batchLoaded.items, path.basename(absolutePath), variants);
+  exitOnTemplateErrors(batchLoaded.items, variants);
+  campaignId = createCampaign(campaignDb, {
+    batchPath: absolutePath,
+    items: batchLoaded.items,
+    variants,
+    variantMode: batchLoaded.variantMode,
+  });
+  items = applySuppression(getPendingItems(campaignDb, campaignId));
+  console.log(`Campanha criada: ${campaignId} (retome com: npm run batch -- --resume ${campaignId})`);
+}
+if (variants.length > 0) {
+  console.log(`Teste A/B: variantes ${variants.map((v) => v.name).join(', ')} (modo ${getCampaignVariants(campaignDb, campaignId).mode}); relatório: npm run report:variants -- ${campaignId}`);
 }
+log.debug('run-batch: items loaded', { itemCount: items.length, firstContact: items[0] && items[0].contact });
 
 function writeCampaignReport(report) {
   try {
@@ -107,16 +266,13 @@ function writeCampaignReport(report) {
     const stamp = new Date().toISOString().replace(/[:.]/g, '-');
     const reportPath = path.join(reportDir, `batch-health-${stamp}.json`);
     fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
-    return reportPath;
+    return { reportPath, htmlPath: writeHealthReportHtml(report, reportPath) };
   } catch (err) {
     console.warn(`Aviso: não foi possível salvar relatório: ${err.message}`);
-    return '';
+    return null;
   }
 }
 
-let batchLoaded = loadBatchItems(absolutePath);
-items = batchLoaded.items;
-
 // Remove Chrome lock files so we can start even if a previous process didn't close cleanly.
 const projectRoot = path.join(__dirname, '..', '..');
 const sessionDir = path.join(projectRoot, getAuthDataPath(), 'session-' + getSessionClientId());
@@ -183,6 +339,12 @@ client.on('ready', async () => {
       case 'already_sent':
         console.log(`${prefix}  → Já enviado (ignorado): ${step.reason}`);
         return;
+      case 'skipped':
+        console.log(`${prefix}  → Ignorado (${SKIP_REASON_LABELS[step.skipReason] || step.skipReason}): ${step.reason}`);
+        return;
+      case 'number_corrected':
+        console.log(`${prefix}  Número registrado no WhatsApp: ${step.sendTo} (resultado de validate-numbers).`);
+        return;
       case 'attempt_start':
         console.log(`${prefix}  Tentativa ${(attempt || 0) + 1}/${step.maxAttempts}: enviando...`);
         return;
@@ -210,6 +372,42 @@ client.on('ready', async () => {
       case 'done':
         if (!step.success) console.log(`${prefix}  → Resultado final: FALHOU. ${step.error}`);
         return;
+      case 'window_closed':
+        console.log(`\n  [Janela de envio fechada] Pausando até ${new Date(step.opensAt).toLocaleString('pt-BR')} (${(step.waitMs / 60000).toFixed(0)} min).`);
+        return;
+      case 'window_opened':
+        console.log('  [Janela de envio aberta] Retomando envios.');
+        return;
+      case 'cooldown':
+        console.log(`  [Cooldown] ${step.reason} Pausa de ${(step.cooldownMs / 1000).toFixed(0)}s.`);
+        return;
+      case 'retry_scheduled':
+        console.log(`${prefix}  → Falha temporária; nova tentativa ${step.retry} às ${new Date(step.retryAt).toLocaleTimeString('pt-BR')}.`);
+        return;
+      case 'schedule_wait':
+        console.log(`${prefix}  Agendado: aguardando até ${new Date(step.dueAt).toLocaleString('pt-BR')} (${(step.waitMs / 60000).toFixed(0)} min).`);
+        return;
+      case 'expired':
+        console.log(`${prefix}  → Expirado: ${step.reason}`);
+        return;
+      case 'retry_wait':
+        console.log(`${prefix}  Aguardando ${(step.waitMs / 1000).toFixed(0)}s para a nova tentativa ${step.retry} (backoff).`);
+        return;
+      case 'retry_start':
+        console.log(`\n  [Nova tentativa ${step.retry}/${step.maxRetries}] ${contactId}`);
+        return;
+      case 'paused':
+        console.log(`\n  [Pausado] ${step.reason} Retome com: npm run batch-control -- resume ${campaignId}`);
+        return;
+      case 'resumed':
+        console.log('  [Retomado] Continuando o envio.');
+        return;
+      case 'stopping':
+        console.log(`\n  [Parando] ${step.reason}`);
+        return;
+      case 'rate_change':
+        console.log(`  [Ritmo ${step.direction === 'slower' ? 'reduzido' : 'normalizando'}] ${reason}: intervalo ${(step.minDelayMs / 1000).toFixed(0)}-${(step.maxDelayMs / 1000).toFixed(0)}s (x${step.factor}).`);
+        return;
       default:
         break;
     }
@@ -219,11 +417,19 @@ client.on('ready', async () => {
   const skipIfEverSent = forceListOnly ? false : getBatchSkipIfEverSent();
   const skipIfSentToday = skipIfEverSent;
   const requireOptIn = getBatchRequireOptIn();
-  const maxPerRun = Math.max(0, getBatchMaxPerRun());
   const cooldown = getBatchCooldown();
   const stopRules = getBatchHealthStopRules();
-  const pilotCap = 50;
-  const runLimit = pilotMode ? (maxPerRun > 0 ? Math.min(maxPerRun, pilotCap) : pilotCap) : maxPerRun;
+  const adaptiveRate = getBatchAdaptiveRate();
+  const retryPolicy = getBatchRetryPolicy();
+  const leadPriority = getBatchLeadPriority();
+  let sendWindow;
+  try {
+    sendWindow = loadSendWindowPolicy();
+  } catch (err) {
+    console.error('Janela de envio inválida:', err.message);
+    process.exit(1);
+  }
+  const runLimit = getRunLimit();
   if (useBrowserSend) {
     console.log('Modo: envio via navegador (digita a mensagem inteira antes de enviar).');
   }
@@ -250,11 +456,31 @@ client.on('ready', async () => {
   if (stopRules.blockLikeCount > 0) {
     console.log(`Stop automático por erros críticos: ${stopRules.blockLikeCount} erro(s) com padrão de bloqueio.`);
   }
+  if (sendWindow) {
+    console.log(`Janela de envio: ${sendWindow.describe()}. Fora dela o lote pausa e retoma sozinho.`);
+  }
+  if (adaptiveRate) {
+    console.log(`Ritmo adaptativo: intervalos aumentam (até x${adaptiveRate.maxFactor}) com erros e voltam ao normal após ${adaptiveRate.recoverAfter} envios saudáveis.`);
+  }
+  if (leadPriority.order === 'newest' || leadPriority.hotLeadHours > 0) {
+    const orderLabel = leadPriority.order === 'newest' ? 'leads mais recentes primeiro' : 'ordem do arquivo';
+    console.log(`Prioridade: ${orderLabel}${leadPriority.hotLeadHours > 0 ? `; leads com até ${leadPriority.hotLeadHours}h vão na frente` : ''} (pela data de criação do lead).`);
+  }
+  if (retryPolicy.maxRetries > 0) {
+    console.log(`Falhas temporárias: até ${retryPolicy.maxRetries} nova(s) tentativa(s) no fim da execução (backoff a partir de ${(retryPolicy.baseDelayMs / 1000).toFixed(0)}s).`);
+  }
+
+  const control = createBatchControl();
+  const controlFile = watchControlFile(control, `campaign-${campaignId}`);
+  const releaseSignals = handleControlSignals(control);
+  console.log(`Controle: Ctrl+C para parar após o item atual; em outro terminal: npm run batch-control -- pause|resume|stop ${campaignId}`);
+  const eventLogPath = getEventLogPath(campaignId);
+  console.log(`Log de eventos: ${eventLogPath}`);
 
   try {
-    debugLogRunBatch({ location: 'run-batch.js:beforeRunBatch', message: 'client ready, calling runBatch', data: { itemCount: items.length } });
+    log.debug('run-batch: client ready, starting the run', { itemCount: items.length });
     console.log('Enviando para cada contato (passo a passo abaixo):');
-    const result = await runBatch(client, items, {
+    const run = startBatch(client, items, {
       sendTimeoutMs: getBatchSendTimeoutMs(),
       useBrowserSend,
       skipIfEverSent,
@@ -268,11 +494,25 @@ client.on('ready', async () => {
       stopFailRate: stopRules.failRate,
       stopMinAttempts: stopRules.minAttempts,
       stopBlockLikeCount: stopRules.blockLikeCount,
+      campaign: { db: campaignDb, id: campaignId },
+      sender: getSessionClientId(),
+      sendWindow,
+      templateDefaults: getBatchTemplateDefaults(),
+      adaptiveRate,
+      retry: retryPolicy,
+      priority: leadPriority,
+      numberChecks: createNumberCheckCache(campaignDb, { ttlHours: getNumberCheckTtlHours() }),
+      frequencyCap: createFrequencyCap(campaignDb, getFrequencyCapRules()),
+      control,
       onProgress: (current, total, contactId) => {
         // Progress is also emitted as contact_start in onStep
       },
       onStep: verboseStep,
     });
+    const detachEventLog = attachEventLog(run, eventLogPath, { campaignId });
+    const result = await run.done.finally(detachEventLog);
+    controlFile.close();
+    releaseSignals();
     console.log('');
     console.log('--- Passo 4: Resumo ---');
     if (batchAborted) {
@@ -280,20 +520,38 @@ client.on('ready', async () => {
     } else {
       console.log('Envio concluído. Enviados:', result.sent, 'Falhas:', result.failed);
     }
-    if (result.stoppedEarly) {
+    if (result.stopReason === STOPPED_BY_OPERATOR) {
+      console.warn('Envio parado a pedido, após o item em andamento.');
+    } else if (result.stoppedEarly) {
       console.warn('Envio pausado automaticamente:', result.stopReason || 'guardrail acionado.');
     }
     result.results.forEach((r) => {
       let suffix = '';
       if (r.retried > 0) suffix = ` (após ${r.retried} nova(s) tentativa(s))`;
+      if (r.retryCount > 0) suffix = ` (após ${r.retryCount} retry(s) com backoff)`;
+      if (r.retryScheduled) suffix = ' (falha temporária; aguardando nova tentativa)';
       if (r.alreadySent) suffix = ' (já enviado; ignorado)';
       if (r.skippedSameDay) suffix = ' (já enviado hoje; ignorado)';
       if (r.skippedAlreadyReceived) suffix = ' (já recebeu anteriormente; ignorado)';
       if (r.skippedOptOut) suffix = ' (opt-out; ignorado)';
       if (r.skippedMissingConsent) suffix = ' (sem opt-in; ignorado)';
       if (r.skippedSuppressionList) suffix = ' (lista de supressão; ignorado)';
-      console.log(r.success ? `  OK ${r.contact}${suffix}` : `  FALHA ${r.contact}: ${r.error}`);
+      if (r.skippedInvalidNumber) suffix = ' (número fora do WhatsApp; ignorado)';
+      if (r.skippedFrequencyCap) suffix = ` (limite de frequência: ${r.rule}; ignorado)`;
+      if (r.expired) suffix = ' (prazo notAfter vencido; expirado)';
+      if (r.leadAgeMs != null) suffix += ` (lead de ${formatDuration(r.leadAgeMs)})`;
+      console.log(r.success ? `  OK ${r.contact}${suffix}` : `  FALHA ${r.contact}: ${r.error}${suffix}`);
     });
+    let deadLetterPath = '';
+    if (result.deadLetter.length > 0) {
+      try {
+        deadLetterPath = getDeadLetterPath(campaignId);
+        appendDeadLetter(deadLetterPath, result.deadLetter);
+        console.log(`Falhas definitivas (${result.deadLetter.length}) salvas em: ${deadLetterPath}`);
+      } catch (err) {
+        console.warn(`Aviso: não foi possível salvar o dead-letter: ${err.message}`);
+      }
+    }
     const attempts = result.metrics?.attempts || 0;
     const failRate = attempts > 0 ? ((result.metrics.failRate || 0) * 100).toFixed(2) : '0.00';
     console.log('');
@@ -301,13 +559,34 @@ client.on('ready', async () => {
     console.log(`Tentativas: ${attempts}`);
     console.log(`Taxa de falha: ${failRate}%`);
     console.log(`Erros com padrão de bloqueio: ${result.metrics?.blockLikeErrors || 0}`);
+    if (adaptiveRate) {
+      console.log(`Mudanças de ritmo: ${result.metrics.rateChanges.length} (fator final x${result.metrics.rateFactor.toFixed(2)})`);
+    }
     if (result.metrics?.skipped) {
       const sk = result.metrics.skipped;
-      console.log(`Ignorados -> opt-out: ${sk.optOut}, sem opt-in: ${sk.missingConsent}, supressão: ${sk.suppressionList}, já receberam: ${sk.alreadyReceived}, hoje: ${sk.sentToday}`);
+      console.log(`Ignorados -> opt-out: ${sk.optOut}, sem opt-in: ${sk.missingConsent}, supressão: ${sk.suppressionList}, já receberam: ${sk.alreadyReceived}, hoje: ${sk.sentToday}, fora do WhatsApp: ${sk.invalidNumber}, limite de frequência: ${sk.frequencyCap}, expirados: ${sk.expired}`);
+    }
+    if (result.metrics?.leadAge) {
+      const { leadAge } = result.metrics;
+      console.log(`Idade do lead no envio -> mediana: ${formatDuration(leadAge.medianMs)}, mais novo: ${formatDuration(leadAge.minMs)}, mais antigo: ${formatDuration(leadAge.maxMs)} (${leadAge.count} lead(s) com data)`);
+    }
+    const campaignCounts = getCampaignCounts(campaignDb, campaignId);
+    const retrySummary = getRetrySummary(campaignDb, campaignId);
+    console.log(`Campanha ${campaignId} -> pendentes: ${campaignCounts.pending}, verificados: ${campaignCounts.verified}, enviados: ${campaignCounts.sent}, ignorados: ${campaignCounts.skipped}, expirados: ${campaignCounts.expired}, falhas: ${campaignCounts.failed}`);
+    console.log(`Novas tentativas -> enviados após retry: ${retrySummary.retriedSucceeded}, desistidos: ${retrySummary.gaveUp}, aguardando: ${retrySummary.waiting}`);
+    const delivery = getDeliveryReport(campaignDb, campaignId, { singleTickHours: getBatchSingleTickHours() });
+    console.log(`Entrega até agora -> entregues: ${delivery.delivered}/${delivery.tracked}, lidas: ${delivery.read}/${delivery.tracked} (leituras posteriores: npm run listen; relatório: npm run report:delivery -- ${campaignId})`);
+    if (campaignCounts.pending + campaignCounts.retry > 0) {
+      console.log(`Para continuar de onde parou: npm run batch -- --resume ${campaignId}`);
     }
     const report = {
       generatedAt: new Date().toISOString(),
       batchPath: absolutePath,
+      campaignId,
+      campaignCounts,
+      retrySummary,
+      delivery,
+      deadLetterPath: deadLetterPath || null,
       options: {
         pilotMode,
         useBrowserSend,
@@ -317,7 +596,12 @@ client.on('ready', async () => {
         runLimit,
         cooldown,
         stopRules,
+        sendWindow: sendWindow ? sendWindow.describe() : null,
+        adaptiveRate,
+        retryPolicy,
+        leadPriority,
       },
+      rateChanges: result.metrics.rateChanges,
       result,
       recommendation: (() => {
         const isHealthy = (result.metrics?.failRate || 0) <= 0.1 && (result.metrics?.blockLikeErrors || 0) === 0;
@@ -335,10 +619,17 @@ client.on('ready', async () => {
         };
       })(),
     };
-    const reportPath = writeCampaignReport(report);
-    if (reportPath) console.log(`Relatório salvo em: ${reportPath}`);
+    const saved = writeCampaignReport(report);
+    if (saved) {
+      console.log(`Relatório salvo em: ${saved.reportPath}`);
+      console.log(`Relatório HTML: ${saved.htmlPath} (gere de novo com: npm run report:health -- ${campaignId})`);
+    }
+    // Close Chrome properly so no session lock is left behind for the next run.
+    await client.destroy().catch(() => {});
     process.exit(result.failed > 0 ? 1 : 0);
   } catch (err) {
+    controlFile.close();
+    releaseSignals();
     console.error('Batch run error:', err.message || err);
     process.exit(1);
   }
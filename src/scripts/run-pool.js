@@ -0,0 +1,239 @@
+/**
+ * Run one batch across several WhatsApp sessions (sender pool). Items are distributed across
+ * the sessions; each session has its own daily cap and health guardrails and is taken out of
+ * rotation automatically when they trip, while the others keep sending.
+ * Each session must already be linked (SESSION_ID=<name> npm run session).
+ *
+ * Usage: node src/scripts/run-pool.js <path-to-batch.json> --sessions=lucas:80,thiago,bruno:50 [--force]
+ *        node src/scripts/run-pool.js --resume <campaignId> --sessions=lucas,thiago
+ * name:cap sets the daily cap for that session; without it BATCH_POOL_DAILY_CAP is used.
+ * Transient failures are retried by the pool (BATCH_RETRY_*); permanent ones and given-up retries
+ * go to reports/dead-letter-campaign-<id>.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('../client');
+const { runPool, parseSessionsSpec } = require('../sender-pool');
+const { loadBatchItems, applySuppression } = require('../batch-loader');
+const { loadSendWindowPolicy } = require('../send-window');
+const { validateBatchTemplates } = require('../message-renderer');
+const { resolveVariants } = require('../ab-test');
+const { createNumberCheckCache } = require('../number-check');
+const { createFrequencyCap } = require('../frequency-cap');
+const { appendDeadLetter, getDeadLetterPath } = require('../retry-queue');
+const {
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  setCampaignStatus,
+  getPendingItems,
+  getCampaignCounts,
+  getRetrySummary,
+} = require('../campaign-store');
+const {
+  getBatchSendTimeoutMs,
+  getBatchSkipIfEverSent,
+  getBatchRequireOptIn,
+  getBatchMaxPerRun,
+  getBatchCooldown,
+  getBatchHealthStopRules,
+  getBatchAdaptiveRate,
+  getBatchRetryPolicy,
+  getBatchLeadPriority,
+  getBatchPoolDailyCap,
+  getBatchTemplateDefaults,
+  getNumberCheckTtlHours,
+  getFrequencyCapRules,
+  getAuthDataPath,
+} = require('../config');
+
+/** Max wait for each session to become ready. */
+const READY_TIMEOUT_MS = 120000;
+
+const args = process.argv.slice(2);
+const resumeFlagIndex = args.indexOf('--resume');
+const resumeCampaignId = resumeFlagIndex >= 0 ? parseInt(args[resumeFlagIndex + 1], 10) : 0;
+const batchPath = args.find((a, i) => !a.startsWith('--') && !(resumeFlagIndex >= 0 && i === resumeFlagIndex + 1));
+const sessionsSpec = (args.find((a) => a.startsWith('--sessions=')) || '').replace('--sessions=', '');
+const forceListOnly = args.includes('--force');
+
+if ((!batchPath && !resumeCampaignId) || !sessionsSpec) {
+  console.error('Usage: node src/scripts/run-pool.js <path-to-batch.json> --sessions=lucas:80,thiago,bruno [--force]');
+  console.error('       node src/scripts/run-pool.js --resume <campaignId> --sessions=lucas,thiago');
+  process.exit(1);
+}
+
+let sessionSpecs;
+try {
+  sessionSpecs = parseSessionsSpec(sessionsSpec, getBatchPoolDailyCap());
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+function removeChromeLocks(sessionName) {
+  const projectRoot = path.join(__dirname, '..', '..');
+  const sessionDir = path.join(projectRoot, getAuthDataPath(), 'session-' + sessionName);
+  ['SingletonLock', 'SingletonSocket', 'SingletonCookie', 'lockfile'].forEach((name) => {
+    try {
+      const fp = path.join(sessionDir, name);
+      if (fs.existsSync(fp)) fs.unlinkSync(fp);
+    } catch (_) {}
+  });
+}
+
+/**
+ * Initialize a client for the session and resolve when ready; rejects on QR (not linked) or timeout.
+ */
+function connectSession(name) {
+  removeChromeLocks(name);
+  const client = createClient({ headless: false, clientId: name });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('timeout aguardando sessão ficar pronta')), READY_TIMEOUT_MS);
+    client.once('ready', () => {
+      clearTimeout(timer);
+      resolve(client);
+    });
+    client.once('qr', () => {
+      clearTimeout(timer);
+      reject(new Error(`sessão sem login; rode: SESSION_ID=${name} npm run session`));
+    });
+    client.once('auth_failure', (msg) => {
+      clearTimeout(timer);
+      reject(new Error(`falha de autenticação: ${msg}`));
+    });
+    client.initialize().catch((err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  }).catch(async (err) => {
+    try {
+      await client.destroy();
+    } catch (_) {}
+    throw err;
+  });
+}
+
+async function main() {
+  const campaignDb = openCampaignDb();
+  let campaignId;
+  if (resumeCampaignId) {
+    const campaign = getCampaign(campaignDb, resumeCampaignId);
+    if (!campaign) {
+      console.error('Campanha não encontrada:', resumeCampaignId);
+      process.exit(1);
+    }
+    campaignId = campaign.id;
+    setCampaignStatus(campaignDb, campaignId, CAMPAIGN_STATUS.RUNNING);
+  } else {
+    const loaded = loadBatchItems(batchPath);
+    const variants = resolveVariants(campaignDb, loaded.variants, loaded.variantMode);
+    const templateErrors = validateBatchTemplates(loaded.items, { defaults: getBatchTemplateDefaults(), variants });
+    if (templateErrors.length > 0) {
+      console.error(`Erro nos templates de mensagem: ${templateErrors.length} item(ns) não podem ser renderizados.`);
+      templateErrors.slice(0, 20).forEach((e) => console.error(`  Item ${e.index + 1} (${e.contact}): ${e.error}`));
+      process.exit(1);
+    }
+    campaignId = createCampaign(campaignDb, {
+      batchPath: loaded.absolutePath,
+      items: loaded.items,
+      variants,
+      variantMode: loaded.variantMode,
+    });
+  }
+  const items = applySuppression(getPendingItems(campaignDb, campaignId));
+  console.log(`Campanha ${campaignId}: ${items.length} item(ns) pendente(s).`);
+
+  const sessions = [];
+  for (const spec of sessionSpecs) {
+    console.log(`Conectando sessão "${spec.name}" (limite diário: ${spec.dailyCap || 'sem limite'})...`);
+    try {
+      const client = await connectSession(spec.name);
+      sessions.push({ ...spec, client });
+      console.log(`  Sessão "${spec.name}" pronta.`);
+    } catch (err) {
+      console.error(`  Sessão "${spec.name}" fora do pool: ${err.message}`);
+    }
+  }
+  if (sessions.length === 0) {
+    console.error('Nenhuma sessão disponível.');
+    process.exit(1);
+  }
+
+  const skipIfEverSent = forceListOnly ? false : getBatchSkipIfEverSent();
+  const cooldown = getBatchCooldown();
+  const stopRules = getBatchHealthStopRules();
+  const result = await runPool(sessions, items, {
+    sendTimeoutMs: getBatchSendTimeoutMs(),
+    useBrowserSend: process.env.BATCH_USE_BROWSER_SEND !== 'false',
+    skipIfEverSent,
+    skipIfSentToday: skipIfEverSent,
+    checkAlreadySent: !forceListOnly,
+    requireOptIn: getBatchRequireOptIn(),
+    maxPerRun: Math.max(0, getBatchMaxPerRun()),
+    cooldownEvery: cooldown.every,
+    cooldownMinMs: cooldown.minMs,
+    cooldownMaxMs: cooldown.maxMs,
+    stopFailRate: stopRules.failRate,
+    stopMinAttempts: stopRules.minAttempts,
+    stopBlockLikeCount: stopRules.blockLikeCount,
+    sendWindow: loadSendWindowPolicy(),
+    templateDefaults: getBatchTemplateDefaults(),
+    adaptiveRate: getBatchAdaptiveRate(),
+    retry: getBatchRetryPolicy(),
+    priority: getBatchLeadPriority(),
+    numberChecks: createNumberCheckCache(campaignDb, { ttlHours: getNumberCheckTtlHours() }),
+    frequencyCap: createFrequencyCap(campaignDb, getFrequencyCapRules()),
+    campaign: { db: campaignDb, id: campaignId },
+    onStep: (step) => {
+      const tag = `[${step.session}]`;
+      if (step.type === 'contact_start') console.log(tag, 'Enviando para', step.contactId);
+      if (step.type === 'send_ok' || step.type === 'verify_match') console.log(tag, 'OK', step.contactId);
+      if (step.type === 'send_fail' || step.type === 'verify_fail') console.log(tag, 'Falha', step.contactId, step.error || step.reason);
+      if (step.type === 'already_sent' || step.type === 'skipped') console.log(tag, 'Ignorado', step.contactId, step.reason);
+      if (step.type === 'number_corrected') console.log(tag, 'Número registrado no WhatsApp:', step.contactId, '->', step.sendTo);
+      if (step.type === 'cooldown') console.log(tag, `Cooldown de ${(step.cooldownMs / 1000).toFixed(0)}s.`);
+      if (step.type === 'window_closed') console.log(tag, 'Janela de envio fechada; pausando até', new Date(step.opensAt).toLocaleString('pt-BR'));
+      if (step.type === 'schedule_wait') console.log(tag, 'Agendado', step.contactId, '- aguardando até', new Date(step.dueAt).toLocaleString('pt-BR'));
+      if (step.type === 'expired') console.log(tag, 'Expirado', step.contactId, step.reason);
+      if (step.type === 'retry_scheduled') console.log(tag, `Falha temporária ${step.contactId}; nova tentativa ${step.retry} às ${new Date(step.retryAt).toLocaleTimeString('pt-BR')}.`);
+      if (step.type === 'session_retired') console.warn(tag, 'Sessão retirada do pool:', step.reason);
+      if (step.type === 'rate_change') {
+        console.log(tag, `Ritmo ${step.direction === 'slower' ? 'reduzido' : 'normalizando'} (${step.reason}): intervalo ${(step.minDelayMs / 1000).toFixed(0)}-${(step.maxDelayMs / 1000).toFixed(0)}s.`);
+      }
+    },
+  });
+
+  console.log('');
+  console.log('--- Resumo do pool ---');
+  console.log('Enviados:', result.sent, 'Falhas:', result.failed, 'Restantes:', result.remaining);
+  result.sessions.forEach((s) => {
+    const status = s.active ? 'ativa' : `retirada (${s.retiredReason})`;
+    const rate = s.rateFactor > 1 ? `, ritmo x${s.rateFactor.toFixed(2)}` : '';
+    console.log(`  ${s.name}: enviados ${s.sent}, falhas ${s.failed}, bloqueio ${s.blockLikeErrors}, hoje ${s.sentToday}/${s.dailyCap || '∞'}${rate} – ${status}`);
+  });
+  const retrySummary = getRetrySummary(campaignDb, campaignId);
+  console.log(`Novas tentativas -> enviados após retry: ${retrySummary.retriedSucceeded}, desistidos: ${retrySummary.gaveUp}, aguardando: ${retrySummary.waiting}`);
+  if (result.deadLetter.length > 0) {
+    const deadLetterPath = getDeadLetterPath(campaignId);
+    appendDeadLetter(deadLetterPath, result.deadLetter);
+    console.log(`Falhas definitivas (${result.deadLetter.length}) salvas em: ${deadLetterPath}`);
+  }
+  const counts = getCampaignCounts(campaignDb, campaignId);
+  if (counts.pending + counts.retry > 0) {
+    console.log(`Campanha ${campaignId} com ${counts.pending + counts.retry} pendente(s). Retome com: npm run batch:pool -- --resume ${campaignId} --sessions=${sessionsSpec}`);
+  }
+
+  for (const s of sessions) {
+    try {
+      await s.client.destroy();
+    } catch (_) {}
+  }
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('Pool error:', err.message || err);
+  process.exit(1);
+});
@@ -3,20 +3,66 @@
  * Opens a visible Chrome window, goes to web.whatsapp.com, waits for you to log in
  * (scan QR if needed), then sends each contact's message with random delays.
  *
- * Usage: node src/scripts/send-list-puppeteer.js <path-to-batch.json>
+ * Usage: node src/scripts/send-list-puppeteer.js <path-to-batch.json|.jsonl|.csv> [profileDir] [--lenient] [--columns=phone=...,name=...,message=...]
+ *        node src/scripts/send-list-puppeteer.js --resume <campaignId> [profileDir]
  * Example: node src/scripts/send-list-puppeteer.js batch_lucas/batch-output.json
  *
- * Batch file format: [ { "contact": "5511999999999", "message": "Hello" }, ... ]
+ * Batch file format: [ { "contact": "5511999999999", "message": "Hello" }, ... ], or a .jsonl / .csv file
+ * (see batch-csv.js; --columns or BATCH_CSV_COLUMNS names the phone, name and message template columns).
+ * Progress is stored as a campaign in data/messages.db (see campaign-store.js); the batch
+ * file is never modified. --resume continues with the items still pending. Transient failures
+ * are kept for a retry on the next --resume (after their backoff, BATCH_RETRY_*); permanent ones go
+ * to reports/dead-letter-campaign-<id>.json.
+ * Items are checked against the batch schema (batch-schema.js) before the campaign is created; any error
+ * stops the run unless --lenient is given, which leaves the items with errors out.
+ * Ctrl+C stops after the current contact (a second Ctrl+C exits at once) and
+ * npm run batch-control -- pause|resume|stop <campaignId> controls the run from another terminal
+ * (batch-control.js); the browser is closed normally and the rest stays pending for --resume.
+ * Contacts in the opt-out registry (opt-out-registry.js) or blocked by the frequency cap (FREQUENCY_CAP_*, see frequency-cap.js) are skipped before the browser opens their chat.
+ * Items with sendAt / notBefore / notAfter (batch-schedule.js) are sent like in runBatch: unscheduled items first, the
+ * others held until due, and the ones past notAfter recorded as expired instead of sent late.
  */
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const puppeteer = require('puppeteer');
-const { getBatchDelayRange, getPuppeteerExecutablePath, getBatchCooldown, getBatchMaxPerRun } = require('../config');
+const {
+  getBatchDelayRange,
+  getPuppeteerExecutablePath,
+  getBatchCooldown,
+  getBatchMaxPerRun,
+  getBatchTemplateDefaults,
+  getBatchRetryPolicy,
+  getFrequencyCapRules,
+} = require('../config');
 const { openChatAndSendMessage } = require('../send-via-browser');
-const { toBrazilWhatsApp } = require('../batch-lucas-utils');
-const { ensureBrazilian13Digits } = require('../batch-sender');
+const { isPermanentSendError } = require('../batch-sender');
+const { phoneDigits } = require('../phone');
+const { planRetry, buildDeadLetterEntry, appendDeadLetter, getDeadLetterPath, DEAD_LETTER_REASON } = require('../retry-queue');
+const { resolveItemsMedia } = require('../batch-media');
+const { hasTemplateSyntax, renderMessage, validateBatchTemplates, applyVariantText } = require('../message-renderer');
+const { resolveVariants, getCampaignVariants, assignVariant } = require('../ab-test');
+const { readBatchFile } = require('../batch-loader');
+const { validateBatchItems, formatBatchIssue } = require('../batch-schema');
+const { createFrequencyCap } = require('../frequency-cap');
+const { createOptOutRegistry } = require('../opt-out-registry');
+const { SKIP_REASON } = require('../batch-events');
+const { orderBySchedule, isItemExpired, getItemWaitMs, getItemSchedule } = require('../batch-schedule');
+const { createBatchControl, watchControlFile, handleControlSignals } = require('../batch-control');
 const { generateMessage } = require('../llm-service');
+const {
+  ITEM_STATUS,
+  CAMPAIGN_STATUS,
+  openCampaignDb,
+  createCampaign,
+  getCampaign,
+  setCampaignStatus,
+  getPendingItems,
+  updateItemStatus,
+  finishCampaign,
+  getCampaignCounts,
+  getRetrySummary,
+} = require('../campaign-store');
 
 const WHATSAPP_WEB_URL = 'https://web.whatsapp.com';
 
@@ -35,9 +81,7 @@ function randomDelayMs(minMs, maxMs) {
 }
 
 function normalizeContact(contact) {
-  const digits = toBrazilWhatsApp(contact);
-  if (!digits.length) return '';
-  return ensureBrazilian13Digits(digits);
+  return phoneDigits(contact);
 }
 
 module.exports = { normalizeContact, randomDelayMs, sleep };
@@ -62,12 +106,22 @@ async function waitForLogin(page, timeoutMs = 120000) {
   return false;
 }
 
+/** Abort before opening the browser when a message template cannot be rendered for some item. */
+function exitOnTemplateErrors(list, templateDefaults, variants) {
+  const errors = validateBatchTemplates(list, { defaults: templateDefaults, variants });
+  if (errors.length === 0) return;
+  console.error(`Erro nos templates de mensagem: ${errors.length} item(ns) não podem ser renderizados.`);
+  errors.slice(0, 20).forEach((e) => console.error(`  Item ${e.index + 1} (${e.contact}): ${e.error}`));
+  process.exit(1);
+}
+
 async function openChatAndSendMessagePuppeteer(browserOrPage, contact, message, options = {}) {
   const phone = normalizeContact(contact);
   if (!phone) throw new Error('Invalid contact: ' + contact);
 
   const result = await openChatAndSendMessage(browserOrPage, phone, message, {
     timeoutMs: options.timeoutMs || 60000,
+    media: options.media,
   });
   
   if (result.skipped) {
@@ -83,43 +137,124 @@ async function openChatAndSendMessagePuppeteer(browserOrPage, contact, message,
 }
 
 async function main() {
-  const batchPath = process.argv[2];
-  if (!batchPath) {
-    console.error('Usage: node src/scripts/send-list-puppeteer.js <path-to-batch.json>');
+  const args = process.argv.slice(2);
+  const resumeFlagIndex = args.indexOf('--resume');
+  const resumeCampaignId = resumeFlagIndex >= 0 ? parseInt(args[resumeFlagIndex + 1], 10) : 0;
+  const positional = args.filter((a, i) => !a.startsWith('--') && !(resumeFlagIndex >= 0 && i === resumeFlagIndex + 1));
+  const batchPath = resumeCampaignId ? null : positional[0];
+  const lenient = args.includes('--lenient');
+  const columns = (args.find((a) => a.startsWith('--columns=')) || '').slice('--columns='.length);
+  if ((!batchPath && !resumeCampaignId) || (resumeFlagIndex >= 0 && !Number.isInteger(resumeCampaignId))) {
+    console.error('Usage: node src/scripts/send-list-puppeteer.js <path-to-batch.json|.jsonl|.csv> [profileDir] [--lenient] [--columns=phone=...,name=...,message=...]');
+    console.error('       node src/scripts/send-list-puppeteer.js --resume <campaignId> [profileDir]');
     process.exit(1);
   }
 
-  const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
-  if (!fs.existsSync(absolutePath)) {
-    console.error('File not found:', absolutePath);
-    process.exit(1);
-  }
+  const profileName = (resumeCampaignId ? positional[0] : positional[1]) || process.env.PROFILE_NAME || '.puppeteer_wa_web_profile';
+  const userDataDir = path.join(process.cwd(), profileName);
+
+  let agentName = "Corretor";
+  if (profileName.includes("lucas")) agentName = "Lucas Roberto";
+  else if (profileName.includes("thiago")) agentName = "Thiago";
+  else if (profileName.includes("bruno")) agentName = "Bruno";
 
+  // {{broker}} defaults to the profile's broker unless BATCH_BROKER_NAME is set.
+  const templateDefaults = { broker: agentName, ...getBatchTemplateDefaults() };
+
+  const campaignDb = openCampaignDb();
+  let campaignId;
   let items;
-  try {
-    const raw = fs.readFileSync(absolutePath, 'utf8');
-    items = JSON.parse(raw);
-  } catch (e) {
-    console.error('Invalid JSON or read error:', e.message);
-    process.exit(1);
-  }
 
-  if (!Array.isArray(items) || items.length === 0) {
-    console.error('Batch file must be a non-empty array of { contact, message }.');
-    process.exit(1);
+  if (resumeCampaignId) {
+    const campaign = getCampaign(campaignDb, resumeCampaignId);
+    if (!campaign) {
+      console.error('Campanha não encontrada:', resumeCampaignId);
+      process.exit(1);
+    }
+    campaignId = campaign.id;
+    items = getPendingItems(campaignDb, campaignId);
+    if (items.length === 0) {
+      setCampaignStatus(campaignDb, campaignId, CAMPAIGN_STATUS.COMPLETED);
+      console.log(`Campanha ${campaignId} não tem itens pendentes.`);
+      process.exit(0);
+    }
+    exitOnTemplateErrors(items, templateDefaults, getCampaignVariants(campaignDb, campaignId).variants);
+    setCampaignStatus(campaignDb, campaignId, CAMPAIGN_STATUS.RUNNING);
+    console.log(`Retomando campanha ${campaignId}: ${items.length} de ${campaign.totalItems} item(ns) pendente(s).`);
+  } else {
+    const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
+    if (!fs.existsSync(absolutePath)) {
+      console.error('File not found:', absolutePath);
+      process.exit(1);
+    }
+
+    let list;
+    let batchFile;
+    try {
+      batchFile = readBatchFile(absolutePath, { columns });
+      list = batchFile.list;
+    } catch (e) {
+      console.error('Invalid batch file or read error:', e.message);
+      process.exit(1);
+    }
+
+    if (!Array.isArray(list) || list.length === 0) {
+      console.error('Batch file must be a non-empty array of { contact, message }.');
+      process.exit(1);
+    }
+
+    const validation = validateBatchItems(list, { variants: batchFile.variants, baseDir: path.dirname(absolutePath) });
+    if (validation.errors.length > 0) {
+      const log = lenient ? console.warn : console.error;
+      log(`Batch com ${validation.errors.length} erro(s) de formato${lenient ? ' (--lenient: itens com erro ficam de fora)' : ''}:`);
+      validation.errors.forEach((issue) => log(`  ${formatBatchIssue(issue)}`));
+      if (!lenient) {
+        console.error('Corrija o arquivo ou use --lenient.');
+        process.exit(1);
+      }
+      const invalid = new Set(validation.errors.map((e) => e.index));
+      list = list.filter((_, index) => !invalid.has(index));
+      if (list.length === 0) {
+        console.error('Nenhum item válido no arquivo.');
+        process.exit(1);
+      }
+    }
+    if (validation.warnings.length > 0) {
+      console.warn(`Avisos no arquivo (${validation.warnings.length}):`);
+      validation.warnings.forEach((issue) => console.warn(`  ${formatBatchIssue(issue)}`));
+    }
+
+    try {
+      list = resolveItemsMedia(list, path.dirname(absolutePath));
+    } catch (e) {
+      console.error(e.message);
+      process.exit(1);
+    }
+    let variants;
+    try {
+      variants = resolveVariants(campaignDb, batchFile.variants, batchFile.variantMode);
+    } catch (e) {
+      console.error('Variantes A/B inválidas:', e.message);
+      process.exit(1);
+    }
+    exitOnTemplateErrors(list, templateDefaults, variants);
+
+    campaignId = createCampaign(campaignDb, {
+      batchPath: absolutePath,
+      items: list,
+      variants,
+      variantMode: batchFile.variantMode,
+    });
+    items = getPendingItems(campaignDb, campaignId);
+    console.log(`Campanha criada: ${campaignId} (retome com --resume ${campaignId})`);
   }
 
+  items = orderBySchedule(items);
+
   const range = getBatchDelayRange();
   const cooldown = getBatchCooldown();
   const maxPerRun = getBatchMaxPerRun();
   const executablePath = getPuppeteerExecutablePath();
-  const profileName = process.argv[3] || process.env.PROFILE_NAME || '.puppeteer_wa_web_profile';
-  const userDataDir = path.join(process.cwd(), profileName);
-
-  let agentName = "Corretor";
-  if (profileName.includes("lucas")) agentName = "Lucas Roberto";
-  else if (profileName.includes("thiago")) agentName = "Thiago";
-  else if (profileName.includes("bruno")) agentName = "Bruno";
 
   console.log('--- Envio via WhatsApp Web (Puppeteer, headless: false) ---');
   console.log('Abrindo o navegador. Faça login no WhatsApp Web se ainda não estiver conectado.');
@@ -158,21 +293,71 @@ async function main() {
   console.log('');
 
   const results = [];
+  const deadLetter = [];
+  const retryPolicy = getBatchRetryPolicy();
+  const frequencyCap = createFrequencyCap(campaignDb, getFrequencyCapRules());
+  const optOuts = createOptOutRegistry(campaignDb);
   let sent = 0;
   let failed = 0;
   let totalProcessed = 0;
   const initialLength = items.length;
 
-  while (items.length > 0) {
+  const control = createBatchControl();
+  const controlFile = watchControlFile(control, `campaign-${campaignId}`);
+  const releaseSignals = handleControlSignals(control);
+  control.onChange((command) => {
+    if (command === 'stop') console.log('\n[Parando] Termina o contato atual e encerra.');
+  });
+  console.log(`Controle: Ctrl+C para parar após o contato atual; em outro terminal: npm run batch-control -- pause|resume|stop ${campaignId}`);
+  // Holds while paused; true when a stop was requested.
+  const holdForControl = async () => {
+    if (control.isPaused()) {
+      console.log(`\n[Pausado] Retome com: npm run batch-control -- resume ${campaignId}`);
+      await control.waitUntilResumed();
+      if (!control.isStopping()) console.log('[Retomado] Continuando o envio.');
+    }
+    return control.isStopping();
+  };
+  const expire = (item, contactId) => {
+    const notAfter = getItemSchedule(item).notAfter.toISOString();
+    console.log(`[--] ${contactId} – EXPIRADO: prazo do item (notAfter ${notAfter}) vencido; não enviado.`);
+    results.push({ contact: contactId, success: false, skipped: true, error: `notAfter ${notAfter} vencido` });
+    updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.EXPIRED, skipReason: SKIP_REASON.EXPIRED });
+  };
+  // Checked when an item comes up and again after its waits (a scheduled item may be held for hours).
+  const skipIfOptedOut = (item, contactId) => {
+    if (item.optOut !== true && !optOuts.has(contactId)) return false;
+    console.log(`[--] ${contactId} – PULADO: contato pediu para não receber mensagens (opt-out).`);
+    results.push({ contact: contactId, success: false, skipped: true, error: 'opt-out' });
+    updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.OPT_OUT });
+    return true;
+  };
+  const skipIfCapped = (item, contactId) => {
+    const capped = frequencyCap.check(contactId);
+    if (!capped) return false;
+    console.log(`[--] ${contactId} – PULADO (${capped.rule}): ${capped.reason}`);
+    results.push({ contact: contactId, success: false, skipped: true, error: capped.reason, rule: capped.rule });
+    updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.SKIPPED, skipReason: `${SKIP_REASON.FREQUENCY_CAP}:${capped.rule}` });
+    return true;
+  };
+
+  for (const item of items) {
     if (maxPerRun > 0 && totalProcessed >= maxPerRun) {
       console.log(`\nLimite de envios por rodada atingido (${maxPerRun}). Interrompendo envio.`);
       break;
     }
+    if (await holdForControl()) break;
 
-    const item = items[0];
-    const { contact, message, name, context } = item;
+    const { contact, message, name, context, media } = item;
     const contactId = normalizeContact(contact);
-    
+
+    if (skipIfOptedOut(item, contactId)) continue;
+    if (isItemExpired(item)) {
+      expire(item, contactId);
+      continue;
+    }
+    if (skipIfCapped(item, contactId)) continue;
+
     let messageToPass = message;
     if (name && context) {
       messageToPass = async (chatHistory) => {
@@ -183,19 +368,63 @@ async function main() {
     if (totalProcessed > 0 && cooldown.every > 0 && totalProcessed % cooldown.every === 0) {
       const cooldownMs = randomDelayMs(cooldown.minMs, cooldown.maxMs);
       console.log(`\n[PAUSA LONGA] Descansando por ${(cooldownMs / 60000).toFixed(1)} minutos...\n`);
-      await sleep(cooldownMs);
+      await control.sleep(cooldownMs);
     }
 
     const delay = randomDelayMs(range.minMs, range.maxMs);
-    await sleep(delay);
+    await control.sleep(delay);
 
     console.log(`[${totalProcessed + 1}/${initialLength}] ${contactId} – aguardou ${(delay / 1000).toFixed(1)}s`);
 
+    const retryWaitMs = item.retryAt ? Date.parse(item.retryAt) - Date.now() : 0;
+    if (retryWaitMs > 0) {
+      console.log(`  Nova tentativa ${item.retryCount}: aguardando ${(retryWaitMs / 1000).toFixed(0)}s (backoff)...`);
+      await control.sleep(retryWaitMs);
+    }
+    const scheduleWaitMs = getItemWaitMs(item);
+    if (scheduleWaitMs > 0) {
+      console.log(`  Agendado: aguardando até ${getItemSchedule(item).dueAt.toLocaleString('pt-BR')}...`);
+      await control.sleep(scheduleWaitMs);
+    }
+    if (await holdForControl()) break;
+    if (skipIfOptedOut(item, contactId)) continue;
+    if (isItemExpired(item)) {
+      expire(item, contactId);
+      continue;
+    }
+    if (skipIfCapped(item, contactId)) continue;
+
+    if (typeof messageToPass !== 'function') {
+      const variant = assignVariant(campaignDb, campaignId, item);
+      if (variant) messageToPass = applyVariantText(messageToPass, variant.body);
+    }
+    if (typeof messageToPass === 'string' && hasTemplateSyntax(messageToPass)) {
+      try {
+        messageToPass = renderMessage(messageToPass, item, { defaults: templateDefaults });
+      } catch (err) {
+        console.log(`  → Falha: ${err.message}`);
+        results.push({ contact: contactId, success: false, error: err.message });
+        updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.FAILED, error: err.message });
+        deadLetter.push(buildDeadLetterEntry(item, { contactId, error: err.message, reason: DEAD_LETTER_REASON.TEMPLATE }));
+        failed++;
+        totalProcessed++;
+        continue;
+      }
+    }
+
     let erroAconteceu = null;
     let foiPulado = false;
     try {
-      await openChatAndSendMessagePuppeteer(browser, contactId, messageToPass);
+      await openChatAndSendMessagePuppeteer(browser, contactId, messageToPass, { media });
       results.push({ contact: contactId, success: true });
+      updateItemStatus(campaignDb, item.campaignItemId, {
+        status: ITEM_STATUS.SENT,
+        attempted: true,
+        sender: path.basename(profileName),
+        recipient: contactId,
+        sentAt: new Date().toISOString(),
+      });
+      frequencyCap.recordSent(contactId, { source: `campaign:${campaignId}` });
       sent++;
       console.log(`  → Enviado.`);
       await sleep(1200);
@@ -204,6 +433,8 @@ async function main() {
         foiPulado = true;
         console.log(`  → PULADO: ${err.message}`);
         results.push({ contact: contactId, success: false, skipped: true, error: err.message });
+        // The message generator skipped after reading the chat history (recent conversation, no interest).
+        updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.SKIPPED, skipReason: SKIP_REASON.ALREADY_RECEIVED, error: err.message });
       } else {
         erroAconteceu = err;
         const msg = err && err.message ? err.message : String(err);
@@ -212,29 +443,41 @@ async function main() {
         console.log(`  → Falha: ${msg}`);
       }
     }
-    
-    // Remove o item processado e salva a lista restante no arquivo (apenas se for sucesso ou pulado)
-    if (results[results.length - 1].success || foiPulado) {
-      items.shift();
-      fs.writeFileSync(absolutePath, JSON.stringify(items, null, 2));
-    } else {
-      // Se deu falha, removemos também pra nao travar, mas logamos
-      items.shift();
-      fs.writeFileSync(absolutePath, JSON.stringify(items, null, 2));
-    }
 
-    if (!foiPulado) {
-      // Se a falha for rede/desconexão/detatched frame (erro grave no Puppeteer), paramos o script.
-      const errMsg = erroAconteceu && erroAconteceu.message ? erroAconteceu.message : '';
+    if (erroAconteceu) {
+      // Se a falha for rede/desconexão/detatched frame (erro grave no Puppeteer), paramos o script
+      // e deixamos o item pendente para ser retomado com --resume.
+      const errMsg = erroAconteceu.message || String(erroAconteceu);
 
       if (errMsg.includes('Detached') || errMsg.includes('ERR_ABORTED') || errMsg.includes('Target closed') || errMsg.includes('Execution context') || errMsg.includes('detached Frame')) {
          console.error('ERRO CRÍTICO NO NAVEGADOR. PARANDO EXECUÇÃO PARA NÃO PULAR CLIENTES...');
          break;
       }
+      const { retryItem, deadLetterReason } = planRetry(item, { permanent: isPermanentSendError(errMsg), policy: retryPolicy });
+      if (retryItem) {
+        console.log(`  → Falha temporária; fica para nova tentativa (${retryItem.retryCount}/${retryPolicy.maxRetries}) no próximo --resume.`);
+        updateItemStatus(campaignDb, item.campaignItemId, {
+          status: ITEM_STATUS.RETRY,
+          error: errMsg,
+          attempted: true,
+          retryCount: retryItem.retryCount,
+          retryAt: retryItem.retryAt,
+        });
+      } else {
+        updateItemStatus(campaignDb, item.campaignItemId, { status: ITEM_STATUS.FAILED, error: errMsg, attempted: true });
+        deadLetter.push(buildDeadLetterEntry(item, { contactId, error: errMsg, reason: deadLetterReason }));
+      }
     }
     
     totalProcessed++;
   }
+  controlFile.close();
+  releaseSignals();
+  if (control.isStopping()) console.log('\nEnvio parado a pedido, após o contato em andamento.');
+
+  const campaignStatus = finishCampaign(campaignDb, campaignId);
+  const counts = getCampaignCounts(campaignDb, campaignId);
+  const retrySummary = getRetrySummary(campaignDb, campaignId);
 
   console.log('');
   console.log('--- Resumo ---');
@@ -242,6 +485,17 @@ async function main() {
   results.forEach((r) => {
     console.log(r.success ? `  OK ${r.contact}` : `  FALHA ${r.contact}: ${r.error}`);
   });
+  console.log(`Campanha ${campaignId} (${campaignStatus}) -> pendentes: ${counts.pending}, enviados: ${counts.sent}, ignorados: ${counts.skipped}, expirados: ${counts.expired}, falhas: ${counts.failed}`);
+  console.log(`Novas tentativas -> enviados após retry: ${retrySummary.retriedSucceeded}, desistidos: ${retrySummary.gaveUp}, aguardando: ${retrySummary.waiting}`);
+  if (deadLetter.length > 0) {
+    const deadLetterPath = getDeadLetterPath(campaignId);
+    appendDeadLetter(deadLetterPath, deadLetter);
+    console.log(`Falhas definitivas (${deadLetter.length}) salvas em: ${deadLetterPath}`);
+  }
+  if (counts.pending + counts.retry > 0) {
+    console.log(`Para continuar de onde parou: node src/scripts/send-list-puppeteer.js --resume ${campaignId} ${profileName}`);
+  }
+  campaignDb.close();
 
   await sleep(3000);
   await browser.close();
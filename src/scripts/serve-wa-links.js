@@ -2,10 +2,13 @@
  * Start the WA links server: serves a page with wa.me links from a batch JSON file.
  * Usage: node src/scripts/serve-wa-links.js [path-to-batch.json]
  * Env: BATCH_FILE (path to batch JSON), LINKS_SERVER_PORT (default 3456).
+ * Numbers in the opt-out registry (data/messages.db, see opt-out-registry.js) are left out of the page.
  */
 require('dotenv').config();
 const path = require('path');
 const { createWaLinksServer, DEFAULT_PORT } = require('../wa-links-server');
+const { openCampaignDb } = require('../campaign-store');
+const { createOptOutRegistry } = require('../opt-out-registry');
 
 const batchPath = process.env.BATCH_FILE || process.argv[2];
 if (!batchPath) {
@@ -18,7 +21,7 @@ const port = parseInt(process.env.LINKS_SERVER_PORT || String(DEFAULT_PORT), 10)
 const resolvedPath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
 
 try {
-  createWaLinksServer(resolvedPath, port);
+  createWaLinksServer(resolvedPath, port, { optOuts: createOptOutRegistry(openCampaignDb()) });
 } catch (err) {
   console.error(err.message);
   process.exit(1);
@@ -0,0 +1,65 @@
+/**
+ * Check a batch file without sending anything: every item against the batch schema (batch-schema.js)
+ * and every message template (message-renderer.js), listing all problems with their item number.
+ * Usage: node src/scripts/validate-batch.js <path-to-batch.json|.jsonl|.csv> [--columns=phone=...,name=...,message=...]
+ * Exits with 1 when there are errors (run-batch and send-list-puppeteer would refuse the file without
+ * --lenient); warnings (invalid or repeated numbers, misspelled optional fields) are listed but do not fail.
+ */
+const path = require('path');
+const { readBatchFile } = require('../batch-loader');
+const { validateBatchItems, formatBatchIssue } = require('../batch-schema');
+const { validateBatchTemplates } = require('../message-renderer');
+const { resolveVariants } = require('../ab-test');
+const { openCampaignDb } = require('../campaign-store');
+const { getBatchTemplateDefaults } = require('../config');
+
+const args = process.argv.slice(2);
+const batchPath = args.find((a) => !a.startsWith('--'));
+const columns = (args.find((a) => a.startsWith('--columns=')) || '').slice('--columns='.length);
+if (!batchPath) {
+  console.error('Usage: node src/scripts/validate-batch.js <path-to-batch.json|.jsonl|.csv> [--columns=phone=...,name=...,message=...]');
+  process.exit(1);
+}
+
+const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
+let batchFile;
+try {
+  batchFile = readBatchFile(absolutePath, { columns });
+} catch (e) {
+  console.error('Invalid batch file or read error:', e.message);
+  process.exit(1);
+}
+
+const { errors, warnings } = validateBatchItems(batchFile.list, { variants: batchFile.variants, baseDir: path.dirname(absolutePath) });
+
+let variants = [];
+const db = openCampaignDb();
+try {
+  variants = resolveVariants(db, batchFile.variants, batchFile.variantMode);
+} catch (e) {
+  errors.push({ index: null, contact: '', field: 'variants', error: e.message });
+} finally {
+  db.close();
+}
+
+// Templates are only checked on items the schema accepts (a missing message is already reported).
+const invalid = new Set(errors.map((e) => e.index));
+const checked = Array.isArray(batchFile.list) ? batchFile.list.filter((_, index) => !invalid.has(index)) : [];
+const indexes = Array.isArray(batchFile.list) ? batchFile.list.map((_, index) => index).filter((index) => !invalid.has(index)) : [];
+validateBatchTemplates(checked, { defaults: getBatchTemplateDefaults(), variants }).forEach((e) => {
+  errors.push({ index: indexes[e.index], contact: e.contact, field: 'message', error: e.error });
+});
+errors.sort((a, b) => (a.index ?? -1) - (b.index ?? -1));
+
+const total = Array.isArray(batchFile.list) ? batchFile.list.length : 0;
+console.log(`--- ${path.basename(absolutePath)}: ${total} item(ns), ${errors.length} erro(s), ${warnings.length} aviso(s) ---`);
+if (errors.length > 0) {
+  console.log('Erros:');
+  errors.forEach((issue) => console.log(`  ${formatBatchIssue(issue)}`));
+}
+if (warnings.length > 0) {
+  console.log('Avisos:');
+  warnings.forEach((issue) => console.log(`  ${formatBatchIssue(issue)}`));
+}
+if (errors.length === 0) console.log('Arquivo válido.');
+process.exitCode = errors.length > 0 ? 1 : 0;
@@ -0,0 +1,114 @@
+/**
+ * Check which numbers of a batch are on WhatsApp before sending (see number-check.js).
+ * Each number is looked up with the session's client (getNumberId / isRegisteredUser), trying the
+ * normalized number and its variant without the 9, with NUMBER_CHECK_DELAY_MIN_MS–MAX_MS between lookups.
+ * Results are cached in data/messages.db for NUMBER_CHECK_TTL_HOURS; the batch scripts then skip the
+ * invalid numbers and send to the registered variant.
+ * Usage: node src/scripts/validate-numbers.js <path-to-batch.json> [--force]
+ * --force checks every number again, ignoring the cache. The result is also saved to reports/number-check-<stamp>.json.
+ * Needs a saved session (npm run session); the browser runs headless.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('../client');
+const { toTransport } = require('../transports');
+const { readBatchFile } = require('../batch-loader');
+const { openCampaignDb } = require('../campaign-store');
+const { CHECK_STATUS, validateNumbers } = require('../number-check');
+const { getNumberCheckTtlHours, getNumberCheckDelayRange } = require('../config');
+
+const args = process.argv.slice(2);
+const batchPath = args.find((a) => !a.startsWith('--'));
+const force = args.includes('--force');
+if (!batchPath) {
+  console.error('Usage: node src/scripts/validate-numbers.js <path-to-batch.json> [--force]');
+  console.error('  --force  Ignora o cache e verifica todos os números de novo.');
+  process.exit(1);
+}
+
+const absolutePath = path.isAbsolute(batchPath) ? batchPath : path.join(process.cwd(), batchPath);
+let list;
+try {
+  list = readBatchFile(absolutePath).list;
+} catch (e) {
+  console.error('Invalid batch file or read error:', e.message);
+  process.exit(1);
+}
+if (!Array.isArray(list) || list.length === 0) {
+  console.error('Batch file must be a non-empty array of { contact, message }.');
+  process.exit(1);
+}
+const contacts = list.map((item) => item && item.contact).filter(Boolean);
+
+const STATUS_LABELS = {
+  [CHECK_STATUS.VALID]: 'no WhatsApp',
+  [CHECK_STATUS.CORRECTED]: 'no WhatsApp como',
+  [CHECK_STATUS.INVALID]: 'FORA do WhatsApp',
+  [CHECK_STATUS.ERROR]: 'erro na verificação:',
+};
+
+const db = openCampaignDb();
+const client = createClient({ headless: true });
+let started = false;
+
+function finish(code) {
+  db.close();
+  client.destroy().catch(() => {}).finally(() => process.exit(code));
+}
+
+client.on('qr', () => {
+  console.error('Sessão não encontrada: rode "npm run session" para escanear o QR code e tente de novo.');
+  finish(1);
+});
+
+client.on('auth_failure', (msg) => {
+  console.error('Auth failure:', msg);
+  finish(1);
+});
+
+client.on('ready', async () => {
+  if (started) return;
+  started = true;
+  const range = getNumberCheckDelayRange();
+  const ttlHours = getNumberCheckTtlHours();
+  console.log(`Verificando ${contacts.length} contato(s) de ${path.basename(absolutePath)} (intervalo ${range.minMs / 1000}-${range.maxMs / 1000}s entre consultas${force ? ', ignorando o cache' : `, cache de ${ttlHours}h`}).`);
+
+  let checked = 0;
+  try {
+    const summary = await validateNumbers(toTransport(client), db, contacts, {
+      ttlHours,
+      minDelayMs: range.minMs,
+      maxDelayMs: range.maxMs,
+      force,
+      onResult: (r) => {
+        checked++;
+        const detail = r.status === CHECK_STATUS.CORRECTED ? ` ${r.registered}` : r.status === CHECK_STATUS.ERROR ? ` ${r.error}` : '';
+        console.log(`  [${checked}] ${r.number}: ${STATUS_LABELS[r.status]}${detail}${r.cached ? ' (cache)' : ''}`);
+      },
+    });
+
+    console.log('');
+    console.log(`Números: ${summary.total} | válidos: ${summary.valid} | corrigidos (com/sem 9): ${summary.corrected} | fora do WhatsApp: ${summary.invalid} | erros: ${summary.errors} | do cache: ${summary.cached}`);
+    if (summary.invalid + summary.corrected > 0) {
+      console.log('No envio (npm run batch / batch:pool / listen) os números fora do WhatsApp são ignorados e os corrigidos recebem no número registrado.');
+    }
+    if (summary.errors > 0) console.log('Números com erro não foram salvos no cache; rode de novo para verificá-los.');
+
+    const reportDir = path.join(process.cwd(), 'reports');
+    fs.mkdirSync(reportDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportPath = path.join(reportDir, `number-check-${stamp}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), batchPath: absolutePath, ...summary }, null, 2), 'utf8');
+    console.log('Relatório salvo em:', reportPath);
+    finish(0);
+  } catch (err) {
+    console.error('Erro na verificação:', err.message || err);
+    finish(1);
+  }
+});
+
+console.log('Conectando ao WhatsApp...');
+client.initialize().catch((err) => {
+  console.error('Connection failed:', err && err.message ? err.message : err);
+  finish(1);
+});
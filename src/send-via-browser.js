@@ -6,8 +6,18 @@
  * When given a Browser (e.g. client.pupBrowser), opens a NEW tab so the main
  * WhatsApp Web page is never navigated (avoids "Execution context was destroyed").
  * When given a Page, uses that page directly (for standalone Puppeteer scripts).
+ *
+ * Media attachments (options.media) are uploaded after the text through the attach menu and
+ * the browser file chooser, with the caption typed in the media preview.
  */
 
+const path = require('path');
+const { getMediaKind } = require('./batch-media');
+const { phoneDigits: normalizePhoneDigits } = require('./phone');
+const { getLogger } = require('./logger');
+
+const log = getLogger('browser');
+
 const WHATSAPP_WEB_SEND_URL = 'https://web.whatsapp.com/send';
 
 /** Selectors for CHAT message input ONLY (footer of open conversation, NOT search box). */
@@ -21,11 +31,45 @@ const MESSAGE_INPUT_SELECTORS = [
   'footer [contenteditable="true"]',
 ];
 
+/** Attach ("+" / clip) button in the chat footer. */
+const ATTACH_BUTTON_SELECTORS = [
+  '#main footer [data-icon="plus-rounded"]',
+  '#main footer [data-icon="plus"]',
+  '#main footer [data-icon="attach-menu-plus"]',
+  '#main footer [data-icon="clip"]',
+  '#main footer [title="Anexar"]',
+  '#main footer [title="Attach"]',
+];
+
+/** Attach menu entries (pt-BR and English UI): photos/videos keep the preview, anything else goes as document. */
+const ATTACH_MENU_LABELS = {
+  media: ['Fotos e vídeos', 'Photos & videos', 'Photos & Videos'],
+  document: ['Documento', 'Document'],
+};
+
+/** Caption input and send button of the media preview. */
+const MEDIA_CAPTION_SELECTORS = [
+  '[data-testid="media-caption-input-container"] [contenteditable="true"]',
+  'div[aria-label="Adicione uma legenda"][contenteditable="true"]',
+  'div[aria-label="Add a caption"][contenteditable="true"]',
+  'div[contenteditable="true"][data-tab="undefined"]',
+];
+const MEDIA_SEND_SELECTORS = [
+  '[data-testid="send"]',
+  'div[aria-label="Enviar"]',
+  'div[aria-label="Send"]',
+  '[data-icon="send"]',
+  '[data-icon="wds-ic-send-filled"]',
+];
+
 const DEFAULT_WAIT_AFTER_NAV_MS = 3500;
 const DEFAULT_WAIT_INPUT_READY_MS = 300;
 const DEFAULT_WAIT_AFTER_PASTE_MS = 600;
 const DEFAULT_WAIT_AFTER_SEND_MS = 2500;
 const DEFAULT_NAV_TIMEOUT_MS = 15000;
+const DEFAULT_WAIT_ATTACH_MENU_MS = 600;
+const DEFAULT_WAIT_MEDIA_PREVIEW_MS = 1500;
+const DEFAULT_MEDIA_UPLOAD_TIMEOUT_MS = 30000;
 
 /**
  * Wait for the message input to be visible and return it.
@@ -82,6 +126,114 @@ async function insertFullMessage(page, input, message) {
   }
 }
 
+/** First element matching any of the selectors, or null. */
+async function findFirst(page, selectors) {
+  for (const sel of selectors) {
+    try {
+      const el = await page.$(sel);
+      if (el) return el;
+    } catch (_) {}
+  }
+  return null;
+}
+
+/** Attach menu entry whose text matches one of the labels, or null. */
+async function findAttachMenuItem(page, labels) {
+  const handle = await page.evaluateHandle((wanted) => {
+    const nodes = document.querySelectorAll('li, [role="button"], [role="menuitem"]');
+    for (const node of nodes) {
+      const text = (node.innerText || '').trim();
+      if (wanted.some((w) => text === w || text.startsWith(w))) return node;
+    }
+    return null;
+  }, labels);
+  const el = handle.asElement();
+  if (!el) {
+    await handle.dispose();
+    return null;
+  }
+  return el;
+}
+
+function countOutgoingMessages(page) {
+  return page.evaluate(() => document.querySelectorAll('#main div.message-out').length);
+}
+
+/**
+ * Upload attachments in the chat that is already open: attach button, menu entry, file chooser,
+ * optional caption in the preview, send. Each upload is confirmed by a new outgoing message.
+ * @param {import('puppeteer').Page} page
+ * @param {Array<{ path: string, caption?: string }>} media - Absolute file paths (see batch-media.js)
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Max wait for the file chooser (default 15000)
+ * @param {number} [options.mediaUploadTimeoutMs] - Max wait for the attachment to appear in the chat (default 30000)
+ * @param {number} [options.waitAttachMenuMs] - Ms to wait for the attach menu to open (default 600)
+ * @param {number} [options.waitMediaPreviewMs] - Ms to wait for the media preview (default 1500)
+ * @param {number} [options.waitAfterSendMs] - Ms to wait after each attachment is sent (default 2500)
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+async function sendMediaOnPage(page, media, options = {}) {
+  const timeoutMs = options.timeoutMs ?? DEFAULT_NAV_TIMEOUT_MS;
+  const uploadTimeoutMs = options.mediaUploadTimeoutMs ?? DEFAULT_MEDIA_UPLOAD_TIMEOUT_MS;
+  const waitAttachMenuMs = options.waitAttachMenuMs ?? DEFAULT_WAIT_ATTACH_MENU_MS;
+  const waitMediaPreviewMs = options.waitMediaPreviewMs ?? DEFAULT_WAIT_MEDIA_PREVIEW_MS;
+  const waitAfterSendMs = options.waitAfterSendMs ?? DEFAULT_WAIT_AFTER_SEND_MS;
+
+  for (const entry of media || []) {
+    const fileName = path.basename(entry.path);
+    try {
+      const before = await countOutgoingMessages(page);
+      const attachButton = await findFirst(page, ATTACH_BUTTON_SELECTORS);
+      if (!attachButton) return { success: false, error: 'Attach button not found' };
+      await attachButton.click();
+      await attachButton.dispose();
+      await new Promise((r) => setTimeout(r, waitAttachMenuMs));
+
+      const kind = getMediaKind(entry.path);
+      const labels = kind === 'image' || kind === 'video' ? ATTACH_MENU_LABELS.media : ATTACH_MENU_LABELS.document;
+      const menuItem = await findAttachMenuItem(page, labels);
+      if (!menuItem) {
+        await page.keyboard.press('Escape');
+        return { success: false, error: `Attach menu entry not found (${labels[0]})` };
+      }
+      const [chooser] = await Promise.all([page.waitForFileChooser({ timeout: timeoutMs }), menuItem.click()]);
+      await menuItem.dispose();
+      await chooser.accept([entry.path]);
+      await new Promise((r) => setTimeout(r, waitMediaPreviewMs));
+
+      if (entry.caption) {
+        const captionInput = await findFirst(page, MEDIA_CAPTION_SELECTORS);
+        if (!captionInput) {
+          await page.keyboard.press('Escape');
+          return { success: false, error: 'Caption input not found in media preview' };
+        }
+        await insertFullMessage(page, captionInput, entry.caption);
+        await captionInput.dispose();
+      }
+
+      const sendButton = await findFirst(page, MEDIA_SEND_SELECTORS);
+      if (sendButton) {
+        await sendButton.click();
+        await sendButton.dispose();
+      } else {
+        await page.keyboard.press('Enter');
+      }
+
+      const deadline = Date.now() + uploadTimeoutMs;
+      let after = await countOutgoingMessages(page);
+      while (after <= before && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 500));
+        after = await countOutgoingMessages(page);
+      }
+      if (after <= before) return { success: false, error: `Anexo não apareceu no chat após enviar (${fileName})` };
+      await new Promise((r) => setTimeout(r, waitAfterSendMs));
+    } catch (err) {
+      return { success: false, error: `Falha ao anexar ${fileName}: ${err && (err.message || String(err))}` };
+    }
+  }
+  return { success: true };
+}
+
 /**
  * Open the chat via the send URL and send the message by typing and pressing Enter.
  * Waits for the page and input to be ready so the full message is sent.
@@ -94,6 +246,7 @@ async function insertFullMessage(page, input, message) {
  * @param {number} [options.waitInputReadyMs] - Ms to wait after input is found before paste (default 400)
  * @param {number} [options.waitAfterPasteMs] - Ms to wait after pasting full message, before Enter (default 800)
  * @param {number} [options.waitAfterSendMs] - Ms to wait after pressing Enter (default 1000)
+ * @param {Array<{ path: string, caption?: string }>} [options.media] - Attachments sent after the text (see sendMediaOnPage)
  * @returns {Promise<{ success: boolean, error?: string }>}
  */
 async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, options = {}) {
@@ -102,21 +255,11 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
   const waitInputReadyMs = options.waitInputReadyMs ?? DEFAULT_WAIT_INPUT_READY_MS;
   const waitAfterPasteMs = options.waitAfterPasteMs ?? DEFAULT_WAIT_AFTER_PASTE_MS;
   const waitAfterSendMs = options.waitAfterSendMs ?? DEFAULT_WAIT_AFTER_SEND_MS;
+  const media = Array.isArray(options.media) ? options.media : [];
 
-  let digits = String(phoneDigits).replace(/\D/g, '');
+  const digits = normalizePhoneDigits(phoneDigits);
   if (!digits.length) return { success: false, error: 'Invalid phone digits' };
-  // #region agent log
-  const isBrazilian = digits.startsWith('55') || (digits.length <= 11 && digits.length >= 10 && !/^1\d{10}$/.test(digits));
-  if (!isBrazilian) {
-    fetch('http://127.0.0.1:7780/ingest/2d06ff85-62dc-47c7-a26c-754c464f4f22',{method:'POST',headers:{'Content-Type':'application/json','X-Debug-Session-Id':'1c1dbc'},body:JSON.stringify({sessionId:'1c1dbc',location:'send-via-browser.js:openChatAndSendMessageOnPage',message:'Non-BR digits: no 55 prepend',data:{phoneDigits,digitsUsed:digits},timestamp:Date.now(),hypothesisId:'H2'})}).catch(()=>{});
-  } else {
-  // #endregion
-  if (!digits.startsWith('55')) digits = '55' + digits;
-  while (digits.length < 13 && digits.length >= 4) {
-    digits = digits.slice(0, 4) + '9' + digits.slice(4);
-  }
-  }
-  
+
   const url = `${WHATSAPP_WEB_SEND_URL}/?phone=${digits}`;
   try {
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
@@ -174,6 +317,7 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
           resultMsg = resultMsg.message || '';
         }
         const finalMessage = String(resultMsg);
+        if (!finalMessage && media.length > 0) return await sendMediaOnPage(page, media, options);
 
         await new Promise((r) => setTimeout(r, waitInputReadyMs));
         await insertFullMessage(page, retry, finalMessage);
@@ -189,6 +333,7 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
           return sub.length > 0 && text.includes(sub);
         }, finalMessage.slice(0, 80));
         if (!verifiedRetry) return { success: false, error: 'Mensagem não apareceu no chat após enviar' };
+        if (media.length > 0) return await sendMediaOnPage(page, media, options);
         return { success: true };
       }
     } catch (e) {
@@ -222,7 +367,7 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
     });
     chatTexts = historyData.texts || [];
   } catch (err) {
-    console.error("Error evaluating history:", err);
+    log.error('Error evaluating history', { error: err });
   }
 
   try {
@@ -234,6 +379,7 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
       resultMsg = resultMsg.message || '';
     }
     const finalMessage = String(resultMsg);
+    if (!finalMessage && media.length > 0) return await sendMediaOnPage(page, media, options);
 
     await new Promise((r) => setTimeout(r, waitInputReadyMs));
     await insertFullMessage(page, input, finalMessage);
@@ -249,6 +395,7 @@ async function openChatAndSendMessageOnPage(page, phoneDigits, messageOrFn, opti
       return sub.length > 0 && text.includes(sub);
     }, finalMessage.slice(0, 80));
     if (!verified) return { success: false, error: 'Mensagem não apareceu no chat após enviar (confira no navegador)' };
+    if (media.length > 0) return await sendMediaOnPage(page, media, options);
     return { success: true };
   } catch (err) {
     return { success: false, error: err && (err.message || String(err)) };
@@ -291,6 +438,7 @@ module.exports = {
   WHATSAPP_WEB_SEND_URL,
   MESSAGE_INPUT_SELECTORS,
   waitForMessageInput,
+  sendMediaOnPage,
   openChatAndSendMessage,
   openChatAndSendMessageOnPage,
 };
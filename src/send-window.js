@@ -0,0 +1,175 @@
+/**
+ * Sending windows (quiet hours) for batch campaigns. A policy is a list of weekly windows
+ * evaluated in a fixed time zone plus a list of holidays on which nothing is sent.
+ * runBatch checks the policy before each send and pauses until the next window opens.
+ *
+ * Window spec (BATCH_SEND_WINDOWS): "mon-fri 09:00-19:00; sat 09:00-13:00".
+ * Days: sun, mon, tue, wed, thu, fri, sat (ranges like mon-fri or single days).
+ */
+const fs = require('fs');
+const path = require('path');
+const { getBatchSendWindowConfig } = require('./config');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** How far ahead nextOpening looks before giving up (days). */
+const MAX_LOOKAHEAD_DAYS = 21;
+
+function parseTimeOfDay(hhmm) {
+  const m = String(hhmm).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Invalid time "${hhmm}" (expected HH:MM)`);
+  const hours = parseInt(m[1], 10);
+  const minutes = parseInt(m[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) throw new Error(`Invalid time "${hhmm}"`);
+  return hours * 60 + minutes;
+}
+
+function parseDays(spec) {
+  const days = new Set();
+  for (const part of String(spec).toLowerCase().split('/')) {
+    const [from, to] = part.split('-').map((d) => DAY_NAMES.indexOf(d.trim().slice(0, 3)));
+    if (from < 0 || (to !== undefined && to < 0)) throw new Error(`Invalid day(s) "${spec}"`);
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+    for (let d = from; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === to) break;
+    }
+  }
+  return [...days];
+}
+
+/**
+ * Parse a window spec string into structured windows.
+ * @param {string} spec - e.g. "mon-fri 09:00-19:00; sat 09:00-13:00"
+ * @returns {Array<{ days: number[], startMin: number, endMin: number }>}
+ */
+function parseSendWindows(spec) {
+  return String(spec || '')
+    .split(/[;,\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const m = entry.match(/^(\S+)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+      if (!m) throw new Error(`Invalid send window "${entry}" (expected e.g. "mon-fri 09:00-19:00")`);
+      const startMin = parseTimeOfDay(m[2]);
+      const endMin = parseTimeOfDay(m[3]);
+      if (endMin <= startMin) throw new Error(`Invalid send window "${entry}": end must be after start`);
+      return { days: parseDays(m[1]), startMin, endMin };
+    });
+}
+
+/**
+ * Local calendar fields of a date in the given time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ isoDate: string, weekday: number, minuteOfDay: number }}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => (parts.find((p) => p.type === type) || {}).value;
+  return {
+    isoDate: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: DAY_NAMES.indexOf(String(get('weekday')).toLowerCase().slice(0, 3)),
+    minuteOfDay: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10),
+  };
+}
+
+/**
+ * Create a send-window policy.
+ * @param {object} params
+ * @param {Array<{ days: number[], startMin: number, endMin: number }>|string} params.windows - Parsed windows or spec string
+ * @param {string} [params.timeZone] - IANA zone (default America/Sao_Paulo)
+ * @param {string[]} [params.holidays] - Dates (YYYY-MM-DD, local to timeZone) with no sending
+ * @returns {{ timeZone: string, isOpen: function(Date=): boolean, nextOpening: function(Date=): Date|null, describe: function(): string }}
+ */
+function createSendWindowPolicy({ windows, timeZone = 'America/Sao_Paulo', holidays = [] }) {
+  const parsed = typeof windows === 'string' ? parseSendWindows(windows) : windows || [];
+  const holidaySet = new Set(holidays.map((d) => String(d).slice(0, 10)));
+
+  function isOpen(date = new Date()) {
+    const { isoDate, weekday, minuteOfDay } = getZonedParts(date, timeZone);
+    if (holidaySet.has(isoDate)) return false;
+    return parsed.some((w) => w.days.includes(weekday) && minuteOfDay >= w.startMin && minuteOfDay < w.endMin);
+  }
+
+  function nextOpening(date = new Date()) {
+    if (isOpen(date)) return date;
+    const base = new Date(Math.floor(date.getTime() / 60000) * 60000);
+    const { minuteOfDay } = getZonedParts(base, timeZone);
+    let best = null;
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      for (const w of parsed) {
+        const deltaMin = offset * 1440 + w.startMin - minuteOfDay;
+        if (deltaMin <= 0) continue;
+        const candidate = new Date(base.getTime() + deltaMin * 60000);
+        if (best && candidate >= best) continue;
+        // Offsets can drift by DST changes; nudge forward until the window is really open.
+        for (let nudge = 0; nudge <= 120; nudge += 15) {
+          const c = new Date(candidate.getTime() + nudge * 60000);
+          if (isOpen(c)) {
+            best = c;
+            break;
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  function describe() {
+    const text = parsed
+      .map((w) => {
+        const fmt = (m) => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+        return `${w.days.map((d) => DAY_NAMES[d]).join('/')} ${fmt(w.startMin)}-${fmt(w.endMin)}`;
+      })
+      .join('; ');
+    return `${text} (${timeZone}${holidaySet.size ? `, ${holidaySet.size} feriado(s)` : ''})`;
+  }
+
+  return { timeZone, isOpen, nextOpening, describe };
+}
+
+/**
+ * Read holiday dates from a JSON file: ["2026-12-25", ...] or [{ "date": "2026-12-25", "name": "Natal" }, ...].
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function loadHolidays(filePath) {
+  if (!filePath) return [];
+  const absolute = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+  if (!fs.existsSync(absolute)) throw new Error(`Holiday file not found: ${absolute}`);
+  const parsed = JSON.parse(fs.readFileSync(absolute, 'utf8'));
+  if (!Array.isArray(parsed)) throw new Error('Holiday file must be a JSON array of dates');
+  return parsed.map((h) => (h && typeof h === 'object' ? h.date : h)).filter(Boolean);
+}
+
+/**
+ * Build the policy from BATCH_SEND_WINDOWS / BATCH_TIMEZONE / BATCH_HOLIDAYS_FILE.
+ * @returns {ReturnType<typeof createSendWindowPolicy>|null} null when no windows are configured
+ */
+function loadSendWindowPolicy() {
+  const { windows, timeZone, holidaysFile } = getBatchSendWindowConfig();
+  if (!windows) return null;
+  return createSendWindowPolicy({ windows, timeZone, holidays: loadHolidays(holidaysFile) });
+}
+
+module.exports = {
+  parseSendWindows,
+  getZonedParts,
+  createSendWindowPolicy,
+  loadHolidays,
+  loadSendWindowPolicy,
+};
@@ -0,0 +1,229 @@
+/**
+ * Sender pool: distribute one batch across several WhatsApp sessions (one per broker profile)
+ * instead of running a separate process with its own copy of the list per profile.
+ * Each session pulls the next item from a shared queue and sends it through runBatch, so all
+ * skip rules, delays, sending windows and campaign recording stay the same. Every session has
+ * its own daily cap and health counters (fail rate and block-like errors, same guardrail as
+ * runBatch); when a session trips them it is taken out of rotation and the others keep going.
+ * With options.adaptiveRate each session also gets its own rate controller, so one session
+ * slowing down does not slow down the others. With options.retry, items that failed with a
+ * transient error go back to the end of the shared queue and may be retried by any session.
+ * With a campaign, each session records the delivery acks of its messages for the whole pool run.
+ * Items are taken in order of due time (sendAt / notBefore, see batch-schedule.js), after the
+ * lead-freshness order of options.priority (see lead-priority.js).
+ */
+const { runBatch, randomDelayMs, sleep, getGuardrailStopReason } = require('./batch-sender');
+const { countSentTodayBySender, finishCampaign } = require('./campaign-store');
+const { createRateController } = require('./rate-controller');
+const { createAckTracker } = require('./delivery-receipts');
+const { toTransport } = require('./transports');
+const { getBatchDelayRange } = require('./config');
+const { orderBySchedule } = require('./batch-schedule');
+const { orderByPriority, summarizeLeadAges } = require('./lead-priority');
+
+/**
+ * @param {Array<{ name: string, client: object, dailyCap?: number }>} sessions - Ready whatsapp-web.js clients
+ * @param {Array<{ contact: string, message: string }>} items
+ * @param {object} [options] - Same as runBatch options. maxPerRun, cooldown and stop rules apply per session.
+ * @param {function(object): void} [options.onStep] - runBatch steps tagged with { session }, plus session_retired / session_cooldown
+ * @returns {Promise<{ sent: number, failed: number, results: Array<object>, sessions: Array<object>, metrics: object, deadLetter: Array<object>, remaining: number, stoppedEarly: boolean, stopReason: string }>}
+ */
+async function runPool(sessions, items, options = {}) {
+  const onStep = options.onStep || (() => {});
+  const maxPerRun = Number.isFinite(options.maxPerRun) ? options.maxPerRun : 0;
+  const cooldownEvery = Number.isFinite(options.cooldownEvery) ? options.cooldownEvery : 0;
+  const cooldownMinMs = Number.isFinite(options.cooldownMinMs) ? options.cooldownMinMs : 0;
+  const cooldownMaxMs = Number.isFinite(options.cooldownMaxMs) ? options.cooldownMaxMs : 0;
+  const rules = {
+    stopFailRate: Number.isFinite(options.stopFailRate) ? options.stopFailRate : 0,
+    stopMinAttempts: Number.isFinite(options.stopMinAttempts) ? options.stopMinAttempts : 0,
+    stopBlockLikeCount: Number.isFinite(options.stopBlockLikeCount) ? options.stopBlockLikeCount : 0,
+  };
+  const campaign = options.campaign && options.campaign.db ? options.campaign : null;
+  const delayRange = getBatchDelayRange();
+  const newRateController = () =>
+    createRateController({
+      minDelayMs: options.minDelayMs ?? delayRange.minMs,
+      maxDelayMs: options.maxDelayMs ?? delayRange.maxMs,
+      ...options.adaptiveRate,
+    });
+
+  const queue = orderBySchedule(options.priority ? orderByPriority(items, options.priority) : items);
+  const results = [];
+  const skipped = {};
+  const deadLetter = [];
+  const retry = { scheduled: 0, succeeded: 0, gaveUp: 0 };
+  // Result slot of an item put back in the queue for a retry (its outcome replaces the slot).
+  const retrySlots = new Map();
+  const states = sessions.map((s) => ({
+    name: s.name,
+    client: s.client,
+    dailyCap: Number.isFinite(s.dailyCap) ? s.dailyCap : 0,
+    sentToday: campaign ? countSentTodayBySender(campaign.db, s.name) : 0,
+    active: true,
+    retiredReason: '',
+    sent: 0,
+    failed: 0,
+    attempts: 0,
+    failedAttempts: 0,
+    blockLikeErrors: 0,
+    templateErrors: 0,
+    processedCount: 0,
+    rateController: options.adaptiveRate ? newRateController() : null,
+    ackTracker: campaign
+      ? createAckTracker(campaign.db, toTransport(s.client, { useBrowserSend: options.useBrowserSend === true }))
+      : null,
+  }));
+
+  function retire(state, reason) {
+    state.active = false;
+    state.retiredReason = reason;
+    onStep({ type: 'session_retired', session: state.name, reason });
+  }
+
+  async function worker(state) {
+    while (state.active && queue.length > 0) {
+      if (state.dailyCap > 0 && state.sentToday >= state.dailyCap) {
+        retire(state, `Daily cap reached (${state.sentToday}/${state.dailyCap}).`);
+        break;
+      }
+      if (maxPerRun > 0 && state.processedCount >= maxPerRun) {
+        retire(state, `maxPerRun limit reached (${maxPerRun}).`);
+        break;
+      }
+
+      const item = queue.shift();
+      let res;
+      try {
+        res = await runBatch(state.client, [item], {
+          ...options,
+          maxPerRun: 0,
+          cooldownEvery: 0,
+          stopFailRate: 0,
+          stopMinAttempts: 0,
+          stopBlockLikeCount: 0,
+          finishCampaign: false,
+          drainRetries: false,
+          sender: state.name,
+          rateController: state.rateController || undefined,
+          ackTracker: state.ackTracker || undefined,
+          onProgress: undefined,
+          onStep: (step) => onStep({ ...step, session: state.name }),
+        });
+      } catch (err) {
+        queue.unshift(item);
+        retire(state, `Session error: ${err.message || err}`);
+        break;
+      }
+
+      if (res.results.length === 0) {
+        // Item was not processed (e.g. no sending window ahead); give it back and stop this session.
+        queue.unshift(item);
+        retire(state, res.stopReason || 'Item not processed.');
+        break;
+      }
+
+      res.results.forEach((r) => {
+        if (retrySlots.has(item)) results[retrySlots.get(item)] = { ...r, session: state.name };
+        else results.push({ ...r, session: state.name });
+      });
+      res.retryQueue.forEach((retryItem) => {
+        retrySlots.set(retryItem, retrySlots.has(item) ? retrySlots.get(item) : results.length - 1);
+        queue.push(retryItem);
+      });
+      deadLetter.push(...res.deadLetter);
+      Object.entries(res.metrics.skipped).forEach(([k, n]) => {
+        skipped[k] = (skipped[k] || 0) + n;
+      });
+      Object.keys(retry).forEach((k) => {
+        retry[k] += res.metrics.retry[k];
+      });
+      state.sent += res.sent;
+      state.failed += res.failed;
+      state.attempts += res.metrics.attempts;
+      state.failedAttempts += res.metrics.failedAttempts;
+      state.blockLikeErrors += res.metrics.blockLikeErrors;
+      state.templateErrors += res.metrics.templateErrors || 0;
+      state.processedCount += res.metrics.processedCount;
+      if (res.metrics.attempts > 0) state.sentToday += res.sent;
+
+      const reason = getGuardrailStopReason({ ...state, failed: state.failedAttempts }, rules);
+      if (reason) {
+        retire(state, reason);
+        break;
+      }
+
+      if (cooldownEvery > 0 && res.metrics.processedCount > 0 && state.processedCount % cooldownEvery === 0 && queue.length > 0) {
+        const coolMs = randomDelayMs(Math.max(0, cooldownMinMs), Math.max(cooldownMinMs, cooldownMaxMs));
+        onStep({ type: 'cooldown', session: state.name, reason: `Cooldown após ${state.processedCount} envios processados.`, cooldownMs: coolMs });
+        await sleep(coolMs);
+      }
+    }
+  }
+
+  await Promise.all(states.map((state) => worker(state)));
+  states.forEach((state) => state.ackTracker && state.ackTracker.stop());
+
+  if (campaign && options.finishCampaign !== false) finishCampaign(campaign.db, campaign.id);
+
+  const totals = states.reduce(
+    (acc, s) => ({
+      sent: acc.sent + s.sent,
+      failed: acc.failed + s.failed,
+      attempts: acc.attempts + s.attempts,
+      failedAttempts: acc.failedAttempts + s.failedAttempts,
+      blockLikeErrors: acc.blockLikeErrors + s.blockLikeErrors,
+      processedCount: acc.processedCount + s.processedCount,
+    }),
+    { sent: 0, failed: 0, attempts: 0, failedAttempts: 0, blockLikeErrors: 0, processedCount: 0 }
+  );
+  const stoppedEarly = queue.length > 0;
+
+  return {
+    sent: totals.sent,
+    failed: totals.failed,
+    results,
+    sessions: states.map(({ client, rateController, ackTracker, ...s }) => ({
+      ...s,
+      rateFactor: rateController ? rateController.factor : 1,
+      rateChanges: rateController ? rateController.history : [],
+    })),
+    metrics: {
+      totalItems: items.length,
+      attempts: totals.attempts,
+      processedCount: totals.processedCount,
+      failedAttempts: totals.failedAttempts,
+      failRate: totals.attempts > 0 ? totals.failedAttempts / totals.attempts : 0,
+      blockLikeErrors: totals.blockLikeErrors,
+      retry: { ...retry, pending: queue.filter((i) => i.retryCount > 0).length },
+      skipped,
+      leadAge: summarizeLeadAges(results),
+    },
+    deadLetter,
+    remaining: queue.length,
+    stoppedEarly,
+    stopReason: stoppedEarly ? `All sessions out of rotation with ${queue.length} item(s) left.` : '',
+  };
+}
+
+/**
+ * Parse "--sessions" spec: "lucas:80,thiago,bruno:50" -> [{ name, dailyCap }].
+ * Sessions without an explicit cap get defaultCap.
+ * @param {string} spec
+ * @param {number} [defaultCap]
+ * @returns {Array<{ name: string, dailyCap: number }>}
+ */
+function parseSessionsSpec(spec, defaultCap = 0) {
+  return String(spec || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, cap] = entry.split(':');
+      const parsedCap = cap !== undefined ? parseInt(cap, 10) : defaultCap;
+      if (!name || !Number.isFinite(parsedCap) || parsedCap < 0) throw new Error(`Invalid session "${entry}" (expected name or name:dailyCap)`);
+      return { name: name.trim(), dailyCap: parsedCap };
+    });
+}
+
+module.exports = { runPool, parseSessionsSpec };
@@ -6,6 +6,9 @@ const { createMemoryService } = require('./contact-memory');
 const { appendDecision } = require('./decision-logger');
 const { detectIntentByRules, getNextState, INTENTS, STATES } = require('./first-contact-policy');
 const { loadKnowledgeFromPdf } = require('./knowledge-from-pdf');
+const { toTransport } = require('../transports');
+const { contactDigits } = require('../phone');
+const { resolveReplySender } = require('../reply-attribution');
 
 /** Mensagem ao encerrar após qualificação + condições (vai fazer simulação). */
 const QUALIFICATION_CLOSING_MESSAGE = 'Vou fazer a simulação com os dados que você passou. Em breve um corretor da Aptom Imóveis entra em contato com o resultado (entrada e parcelas).';
@@ -186,7 +189,18 @@ function buildFallbackReply(intent, contact) {
   }
 }
 
-async function generateReplyWithAI({ thread, intent, summary, qualificationCollected, missingTopics, phaseHint = '' }) {
+/**
+ * Linha do prompt com a campanha de origem do lead (ver reply-attribution.js).
+ * @param {{ name?: string, sentAt?: string }|null} campaign
+ * @returns {string}
+ */
+function buildCampaignHint(campaign) {
+  if (!campaign) return '';
+  const sentAt = campaign.sentAt ? ` em ${new Date(campaign.sentAt).toLocaleDateString('pt-BR')}` : '';
+  return `\nOrigem do lead: respondeu ao disparo da campanha "${campaign.name || campaign.id}"${sentAt}.`;
+}
+
+async function generateReplyWithAI({ thread, intent, summary, qualificationCollected, missingTopics, phaseHint = '', campaignHint = '' }) {
   const key = (() => {
     try {
       return getOpenAiApiKey();
@@ -230,7 +244,7 @@ async function generateReplyWithAI({ thread, intent, summary, qualificationColle
 
 Este contato já recebeu a mensagem de apresentação. Não se apresente de novo; continue a conversa de forma natural.
 
-O que já sabemos sobre o cliente: ${qualificationCollected || 'nada ainda'}.${phaseHint || ''}
+O que já sabemos sobre o cliente: ${qualificationCollected || 'nada ainda'}.${phaseHint || ''}${campaignHint || ''}
 ${topicsHint ? topicsHint + '\n' : ''}
 Intenção da última mensagem: ${intent}. Contexto geral: ${summary || 'sem resumo prévio'}.
 
@@ -259,18 +273,24 @@ Responda em uma ou duas frases curtas. Varie o começo da frase (evite repetir "
   return typeof text === 'string' ? text.trim() : '';
 }
 
+/**
+ * @param {object} [options] - Também memoryPath, decisionsLogPath, confidenceThreshold, replyDelay e requireHumanForSensitive (padrões do config.js)
+ * @param {function({ contactId: string, phone: string|null, message: string, campaignId: number|null }): void} [options.onOptOut] - Chamado quando o contato pede para não receber mais mensagens (ex.: gravar no registro de opt-out, opt-out-registry.js); phone: número real do contato (resolveReplySender, também para chats @lid), null quando não foi possível resolver
+ */
 function createFirstContactAgent(options = {}) {
   const memory = createMemoryService(options.memoryPath);
   const confidenceThreshold = options.confidenceThreshold ?? getFirstContactConfidenceThreshold();
   const replyDelay = options.replyDelay || getFirstContactReplyDelayRange();
   const requireHumanForSensitive = options.requireHumanForSensitive ?? getFirstContactRequireHumanForSensitive();
 
-  function contactDigits(id) {
-    return String(id || '').replace(/@.*$/, '').replace(/\D/g, '');
-  }
-
-  async function handleIncomingMessage(client, msg) {
+  /**
+   * @param {Client|import('../transports').Transport} client - Client do whatsapp-web.js ou um transport (respostas via sendText)
+   * @param {object} msg - mensagem recebida (formato whatsapp-web.js)
+   * @param {{ campaign?: { campaignId: number, campaignName: string, campaignItemId: number, sentAt: string }|null }} [context] - campaign: campanha que originou a resposta (attributeReply em reply-attribution.js); fica salva no contato
+   */
+  async function handleIncomingMessage(client, msg, context = {}) {
     if (!msg || msg.fromMe) return { action: 'ignore', reason: 'mensagem-do-proprio-agente' };
+    const transport = toTransport(client);
 
     const chat = await msg.getChat();
     if (chat.isGroup) return { action: 'ignore', reason: 'grupo-nao-suportado' };
@@ -286,6 +306,12 @@ function createFirstContactAgent(options = {}) {
       return { action: 'ignore', reason: 'evento-duplicado' };
     }
 
+    if (context.campaign && (!contact.campaign || contact.campaign.campaignItemId !== context.campaign.campaignItemId)) {
+      const { campaignId, campaignName, campaignItemId, sentAt } = context.campaign;
+      memory.updateContact(memoryKey, { campaign: { id: campaignId, name: campaignName, campaignItemId, sentAt } });
+    }
+    const campaignId = contact.campaign ? contact.campaign.id : null;
+
     const normalized = await normalizeMessage(msg);
     const content = safeContent(normalized);
     memory.appendMessage(memoryKey, { role: 'user', content, messageId });
@@ -297,8 +323,7 @@ function createFirstContactAgent(options = {}) {
       const replyText = QUALIFICATION_CLOSING_MESSAGE;
       const delay = randomDelayMs(replyDelay.minMs, replyDelay.maxMs);
       await sleep(delay);
-      const sentMsg = await client.sendMessage(contactId, replyText);
-      const sentId = sentMsg?.id?._serialized || sentMsg?.id?.id || '';
+      const sentId = (await transport.sendText(contactId, replyText)).id || '';
       memory.appendMessage(memoryKey, { role: 'assistant', content: replyText, messageId: sentId });
       memory.updateContact(memoryKey, {
         state: STATES.ESCALATE_HUMAN,
@@ -318,12 +343,14 @@ function createFirstContactAgent(options = {}) {
         pendingFields: [],
         replyText,
         messageId,
+        campaignId,
         qualification: contactAfterExtract.qualification,
       }, options.decisionsLogPath);
       return {
         action: 'escalate',
         reason: 'qualificacao_completa',
         contactId,
+        campaignId,
         intent: 'qualificacao',
         confidence: 1,
         state: STATES.ESCALATE_HUMAN,
@@ -344,6 +371,10 @@ function createFirstContactAgent(options = {}) {
       action = 'reply';
       memory.updateContact(memoryKey, { doNotContact: true });
       reason = 'opt-out-confirmacao';
+      if (typeof options.onOptOut === 'function') {
+        const phone = (await resolveReplySender(msg)) || null;
+        options.onOptOut({ contactId: memoryKey, phone, message: content, campaignId });
+      }
     } else if (contact.doNotContact) {
       action = 'ignore';
       reason = 'contato-em-do-not-contact';
@@ -388,13 +419,13 @@ function createFirstContactAgent(options = {}) {
         qualificationCollected: allCollected || 'nada ainda',
         missingTopics,
         phaseHint,
+        campaignHint: buildCampaignHint(c.campaign),
       });
       const scriptedQuestion = nextFieldKey ? getQuestionForNextField(nextFieldKey) : '';
       replyText = (aiReply && aiReply.trim()) ? aiReply.trim() : (scriptedQuestion || buildFallbackReply(detection.intent, c));
       const delay = randomDelayMs(replyDelay.minMs, replyDelay.maxMs);
       await sleep(delay);
-      const sentMsg = await client.sendMessage(contactId, replyText);
-      const sentId = sentMsg?.id?._serialized || sentMsg?.id?.id || '';
+      const sentId = (await transport.sendText(contactId, replyText)).id || '';
       memory.appendMessage(memoryKey, { role: 'assistant', content: replyText, messageId: sentId });
       memory.updateContact(memoryKey, { lastOutgoingMessageId: sentId });
     }
@@ -403,8 +434,7 @@ function createFirstContactAgent(options = {}) {
       replyText = QUALIFICATION_CLOSING_MESSAGE;
       const delay = randomDelayMs(replyDelay.minMs, replyDelay.maxMs);
       await sleep(delay);
-      const sentMsg = await client.sendMessage(contactId, replyText);
-      const sentId = sentMsg?.id?._serialized || sentMsg?.id?.id || '';
+      const sentId = (await transport.sendText(contactId, replyText)).id || '';
       memory.appendMessage(memoryKey, { role: 'assistant', content: replyText, messageId: sentId });
       memory.updateContact(memoryKey, { lastOutgoingMessageId: sentId, handedOff: true });
     }
@@ -429,12 +459,14 @@ function createFirstContactAgent(options = {}) {
       pendingFields,
       replyText,
       messageId,
+      campaignId,
     }, options.decisionsLogPath);
 
     return {
       action,
       reason,
       contactId,
+      campaignId,
       intent: detection.intent,
       confidence: detection.confidence,
       state: memory.getContact(memoryKey).state,
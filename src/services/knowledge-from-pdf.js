@@ -5,6 +5,9 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { getLogger } = require('../logger');
+
+const log = getLogger('agent');
 
 let cachedText = null;
 let cachedPath = null;
@@ -33,7 +36,7 @@ async function loadKnowledgeFromPdf(pdfPath) {
     cachedText = text;
     return text;
   } catch (err) {
-    console.error('[knowledge-from-pdf] Failed to load PDF:', resolved, err.message);
+    log.error('knowledge-from-pdf: failed to load PDF', { path: resolved, error: err.message });
     return '';
   }
 }
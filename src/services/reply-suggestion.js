@@ -1,5 +1,8 @@
 const { getOpenAiApiKey } = require('../config');
 const { transcribeAudio } = require('./transcription');
+const { getLogger } = require('../logger');
+
+const log = getLogger('agent');
 
 const CHAT_COMPLETIONS_URL = 'https://api.openai.com/v1/chat/completions';
 const DEFAULT_MODEL = 'gpt-4o-mini';
@@ -25,7 +28,7 @@ async function normalizeMessage(msg, transcribe = transcribeAudio) {
       content = await transcribe(buffer, media.mimetype || 'audio/ogg');
       if (!content) return null;
     } catch (err) {
-      console.error('[reply-suggestion] transcription failed:', err.message);
+      log.error('reply-suggestion: transcription failed', { error: err.message });
       content = '[áudio não transcrito]';
     }
   } else {
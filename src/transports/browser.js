@@ -0,0 +1,68 @@
+/**
+ * Puppeteer transport: opens the chat through the WhatsApp Web send URL in a new tab and types
+ * the message (see send-via-browser.js). It avoids "número desconhecido" for numbers without a chat,
+ * and a send only resolves once the message shows up in the chat, so there is no separate verify step.
+ * Reading the last messages, number lookups and acks need a whatsapp-web.js client; with a bare
+ * page/browser they return null / throw / never fire. The id of a sent message is read back from the chat through the
+ * client (null without one), so delivery acks can still be matched to it.
+ */
+const { openChatAndSendMessage } = require('../send-via-browser');
+const { contactDigits } = require('../phone');
+const { resolveChatId, lookupRegisteredNumber, getLastMessageFromMeWithDate, getLastMessageFromContactWithDate, subscribeToAcks } = require('./wwebjs');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+/**
+ * @param {object} target
+ * @param {Client} [target.client] - whatsapp-web.js Client; its pupBrowser (or pupPage) is used for sending
+ * @param {import('puppeteer').Browser|import('puppeteer').Page} [target.browser] - Used when there is no client
+ * @param {object} [sendOptions] - Extra options for openChatAndSendMessage (waits, etc.)
+ * @returns {import('./index').Transport}
+ */
+function createBrowserTransport(target = {}, sendOptions = {}) {
+  const client = target.client || null;
+
+  async function openAndSend(chatId, text, media, opts = {}) {
+    const pageOrBrowser = client ? client.pupPage || client.pupBrowser : target.browser || target.page;
+    if (!pageOrBrowser || (client && !client.pupBrowser)) throw new Error('No browser (pupBrowser) available');
+    const result = await openChatAndSendMessage(pageOrBrowser, contactDigits(chatId), text, {
+      ...sendOptions,
+      timeoutMs: opts.timeoutMs || DEFAULT_TIMEOUT_MS,
+      media,
+    });
+    if (!result.success) throw new Error(result.error || 'Browser send failed');
+    if (client && client.pupPage) {
+      try {
+        await client.pupPage.goto('https://web.whatsapp.com', { waitUntil: 'domcontentloaded', timeout: 10000 });
+      } catch (_) {}
+    }
+    const last = await transport.fetchLastOutgoing(chatId);
+    return { id: (last && last.id) || null };
+  }
+
+  const transport = {
+    name: 'browser',
+    verifiesOnSend: true,
+    client,
+    // The send URL takes the phone number, so the recipient stays as given (never a LID).
+    resolveRecipient: async (contactId) => contactId,
+    sendText: (chatId, content, opts) => openAndSend(chatId, content, [], opts),
+    sendMedia: (chatId, entry, opts) => openAndSend(chatId, '', [entry], opts),
+    async fetchLastOutgoing(chatId) {
+      if (!client || typeof client.getChatById !== 'function') return null;
+      return getLastMessageFromMeWithDate(client, await resolveChatId(client, chatId));
+    },
+    async fetchLastIncoming(chatId) {
+      if (!client || typeof client.getChatById !== 'function') return null;
+      return getLastMessageFromContactWithDate(client, await resolveChatId(client, chatId));
+    },
+    async lookupNumber(contactId) {
+      if (!client) throw new Error('Number check needs a whatsapp-web.js client');
+      return lookupRegisteredNumber(client, contactId);
+    },
+    onAck: (listener) => subscribeToAcks(client, listener),
+  };
+  return transport;
+}
+
+module.exports = { createBrowserTransport };
@@ -0,0 +1,156 @@
+/**
+ * Deterministic in-memory transport for tests and dry runs on CI (no Chrome, no WhatsApp).
+ * Every send is recorded in `sent` and becomes the chat's last outgoing message, so verification
+ * and skip rules behave like on a real session. Failures are configured per number:
+ *   invalidNumbers  - send rejects with "invalid wid" (permanent error) and lookupNumber answers null
+ *   timeoutNumbers  - send rejects with "Send timeout"
+ *   blockedNumbers  - send rejects with a block-like error (429); blockAfter does it for every send after N
+ *   silentNumbers   - send resolves but the message never shows in the chat (verification fails)
+ * Acks: SERVER right away, DEVICE after deliveryDelayMs, READ after readDelayMs more (when set).
+ */
+const { getMediaKind } = require('../batch-media');
+const { contactDigits } = require('../phone');
+
+/** Same values as whatsapp-web.js MessageAck. */
+const ACK = { ERROR: -1, PENDING: 0, SERVER: 1, DEVICE: 2, READ: 3, PLAYED: 4 };
+
+function digitSet(list) {
+  return new Set((list || []).map(contactDigits));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string[]} [options.invalidNumbers]
+ * @param {string[]} [options.timeoutNumbers]
+ * @param {string[]} [options.blockedNumbers]
+ * @param {number} [options.blockAfter] - After this many accepted sends, every send fails block-like (0 = never)
+ * @param {string[]} [options.silentNumbers]
+ * @param {number} [options.deliveryDelayMs] - Delay before the DEVICE ack (default 0)
+ * @param {number|null} [options.readDelayMs] - Delay after delivery before the READ ack (default: never read)
+ * @param {Object<string, Array<string|{ body: string, timestamp?: number, hasMedia?: boolean }>>} [options.history] - Messages we already sent, by number
+ * @param {function(): number} [options.now] - Clock in ms (default Date.now)
+ * @returns {import('./index').Transport & { sent: Array<object>, simulateIncoming: function(string, string): object, close: function(): void }}
+ */
+function createFakeTransport(options = {}) {
+  const invalid = digitSet(options.invalidNumbers);
+  const timeouts = digitSet(options.timeoutNumbers);
+  const blocked = digitSet(options.blockedNumbers);
+  const silent = digitSet(options.silentNumbers);
+  const blockAfter = options.blockAfter > 0 ? options.blockAfter : 0;
+  const deliveryDelayMs = options.deliveryDelayMs > 0 ? options.deliveryDelayMs : 0;
+  const readDelayMs = Number.isFinite(options.readDelayMs) ? options.readDelayMs : null;
+  const now = options.now || Date.now;
+
+  const chats = new Map();
+  const incoming = new Map();
+  const listeners = new Set();
+  const timers = new Set();
+  const sent = [];
+  let seq = 0;
+
+  const chatFor = (chatId) => {
+    const digits = contactDigits(chatId);
+    if (!chats.has(digits)) chats.set(digits, []);
+    return chats.get(digits);
+  };
+
+  Object.entries(options.history || {}).forEach(([number, messages]) => {
+    const list = chatFor(number);
+    messages.forEach((m) => {
+      const msg = typeof m === 'string' ? { body: m } : m;
+      list.push({ body: msg.body || '', timestamp: msg.timestamp ?? Math.floor(now() / 1000) - 86400, hasMedia: msg.hasMedia === true });
+    });
+  });
+
+  function emitAck(messageId, chatId, ack) {
+    listeners.forEach((listener) => listener({ messageId, chatId, ack }));
+  }
+
+  function later(fn, ms) {
+    if (ms <= 0) return fn();
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, ms);
+    timers.add(timer);
+  }
+
+  async function deliver(chatId, message) {
+    const digits = contactDigits(chatId);
+    if (invalid.has(digits)) throw new Error(`invalid wid: ${digits} is not a WhatsApp user`);
+    if (timeouts.has(digits)) throw new Error('Send timeout (fake transport)');
+    if (blocked.has(digits) || (blockAfter > 0 && sent.length >= blockAfter)) {
+      throw new Error('Too many requests (429)');
+    }
+    const id = `fake_${++seq}`;
+    const entry = { id, chatId, ...message, timestamp: Math.floor(now() / 1000) };
+    sent.push(entry);
+    if (!silent.has(digits)) chatFor(chatId).push(entry);
+    emitAck(id, chatId, ACK.SERVER);
+    later(() => {
+      emitAck(id, chatId, ACK.DEVICE);
+      if (readDelayMs != null) later(() => emitAck(id, chatId, ACK.READ), readDelayMs);
+    }, deliveryDelayMs);
+    return { id };
+  }
+
+  return {
+    name: 'fake',
+    verifiesOnSend: false,
+    sent,
+    resolveRecipient: async (contactId) => `${contactDigits(contactId)}@c.us`,
+    sendText: (chatId, content) => deliver(chatId, { body: String(content), hasMedia: false }),
+    sendMedia: (chatId, entry) =>
+      deliver(chatId, {
+        body: (entry && entry.caption) || '',
+        hasMedia: true,
+        type: entry && entry.path ? getMediaKind(entry.path) : 'media',
+        mediaPath: (entry && entry.path) || null,
+      }),
+    async fetchLastOutgoing(chatId) {
+      const list = chats.get(contactDigits(chatId)) || [];
+      const last = list[list.length - 1];
+      if (!last) return null;
+      return { body: last.body, timestamp: last.timestamp, ...(last.hasMedia && { hasMedia: true, type: last.type || 'media' }) };
+    },
+    async fetchLastIncoming(chatId) {
+      const list = incoming.get(contactDigits(chatId)) || [];
+      const last = list[list.length - 1];
+      return last ? { body: last.body, timestamp: last.timestamp } : null;
+    },
+    lookupNumber: async (contactId) => (invalid.has(contactDigits(contactId)) ? null : contactDigits(contactId)),
+    onAck(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    /**
+     * Build an incoming message shaped like a whatsapp-web.js Message (for listeners and the agent);
+     * it also lands in the chat, where fetchLastIncoming reads it.
+     * @param {string} contact - Number or id of the sender
+     * @param {string} body
+     */
+    simulateIncoming(contact, body) {
+      const digits = contactDigits(contact);
+      const timestamp = Math.floor(now() / 1000);
+      if (!incoming.has(digits)) incoming.set(digits, []);
+      incoming.get(digits).push({ body, timestamp });
+      return {
+        id: { _serialized: `fake_in_${++seq}` },
+        from: `${digits}@c.us`,
+        body,
+        type: 'chat',
+        fromMe: false,
+        hasMedia: false,
+        timestamp,
+        getChat: async () => ({ isGroup: false }),
+      };
+    },
+    /** Cancel pending acks. */
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+}
+
+module.exports = { ACK, createFakeTransport };
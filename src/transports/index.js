@@ -0,0 +1,49 @@
+/**
+ * Transports: how runBatch and the first-contact agent reach WhatsApp.
+ *   wwebjs  - whatsapp-web.js client.sendMessage (default)
+ *   browser - Puppeteer, typing into the chat opened by the send URL (BATCH_USE_BROWSER_SEND)
+ *   fake    - in-memory, deterministic; for tests and CI without Chrome
+ * Code that takes a `client` also accepts a transport; toTransport picks the implementation.
+ */
+const { createWwebjsTransport } = require('./wwebjs');
+const { createBrowserTransport } = require('./browser');
+const { ACK, createFakeTransport } = require('./fake');
+
+/**
+ * @typedef {object} Transport
+ * @property {string} name - 'wwebjs' | 'browser' | 'fake'
+ * @property {boolean} verifiesOnSend - True when a send only resolves once the message is in the chat (no verify step after it)
+ * @property {function(string): Promise<string>} resolveRecipient - Contact id (5511...@c.us) -> chat id to send to (may be a LID)
+ * @property {function(string, string|object, { timeoutMs?: number }=): Promise<{ id: string|null }>} sendText - Rejects on failure
+ * @property {function(string, { path: string, caption?: string }, { timeoutMs?: number }=): Promise<{ id: string|null }>} sendMedia - Rejects on failure
+ * @property {function(string): Promise<{ body: string, timestamp: number, id?: string, hasMedia?: boolean, type?: string }|null>} fetchLastOutgoing - Our last message in the chat (timestamp in Unix seconds)
+ * @property {function(string): Promise<{ body: string, timestamp: number }|null>} fetchLastIncoming - The contact's last message in the chat (timestamp in Unix seconds)
+ * @property {function(string): Promise<string|null>} lookupNumber - Digits of the number a contact id is registered under on WhatsApp, null when it is not registered; rejects when the check itself fails
+ * @property {function(function({ messageId: string, chatId: string, ack: number }): void): function(): void} onAck - Subscribe to delivery acks (ACK values); returns unsubscribe
+ */
+
+/** True if the object implements the transport interface (as opposed to a raw whatsapp-web.js client). */
+function isTransport(target) {
+  return Boolean(target) && typeof target.sendText === 'function' && typeof target.resolveRecipient === 'function';
+}
+
+/**
+ * Wrap a whatsapp-web.js client as a transport; transports are returned as they are.
+ * @param {Client|Transport} clientOrTransport
+ * @param {{ useBrowserSend?: boolean }} [options] - useBrowserSend: send through client.pupBrowser instead of sendMessage
+ * @returns {Transport}
+ */
+function toTransport(clientOrTransport, options = {}) {
+  if (isTransport(clientOrTransport)) return clientOrTransport;
+  if (options.useBrowserSend) return createBrowserTransport({ client: clientOrTransport });
+  return createWwebjsTransport(clientOrTransport);
+}
+
+module.exports = {
+  ACK,
+  isTransport,
+  toTransport,
+  createWwebjsTransport,
+  createBrowserTransport,
+  createFakeTransport,
+};
@@ -0,0 +1,216 @@
+/**
+ * whatsapp-web.js transport: sends with client.sendMessage, resolves LID chat ids and reads our
+ * last message with chat.fetchMessages. Acks come from the client's `message_ack` event.
+ */
+const { loadMessageMedia } = require('../batch-media');
+const { getLogger } = require('../logger');
+const { contactDigits } = require('../phone');
+
+const log = getLogger('session');
+
+/**
+ * Run a promise with a timeout; rejects with Error('Send timeout') if not settled in time.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  if (ms <= 0) return promise;
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Send timeout after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Resolve chat ID to the format required by WhatsApp (LID when needed).
+ * Avoids "No LID for user" when sending to numbers that require LID (Lexical ID).
+ * Tries: existing chat by number (often has LID) -> getContactLidAndPhone (lid then pn) -> getNumberId -> original.
+ * @param {Client} client - whatsapp-web.js Client (must be ready)
+ * @param {string} contactId - e.g. "5511999999999@c.us"
+ * @returns {Promise<string>} - contactId to use for sendMessage/getChatById (lid or pn or original)
+ */
+async function resolveChatId(client, contactId) {
+  const digits = contactDigits(contactId);
+  log.debug('resolveChatId: entry', { contactId, digits });
+
+  // 1) If we have getChats, find an existing chat for this number; its id may already be LID
+  if (typeof client.getChats === 'function') {
+    try {
+      const chats = await client.getChats();
+      const match = chats.find((c) => {
+        if (!c || !c.id) return false;
+        const id = typeof c.id === 'string' ? c.id : c.id._serialized;
+        if (!id) return false;
+        const chatDigits = id.replace(/@.*$/, '').replace(/\D/g, '');
+        return chatDigits === digits || id === contactId;
+      });
+      if (match) {
+        const id = typeof match.id === 'string' ? match.id : match.id._serialized;
+        if (id) {
+          log.debug('resolveChatId: resolved via getChats', { contactId, resolvedId: id });
+          return id;
+        }
+      }
+    } catch (e) {
+      log.debug('resolveChatId: getChats threw', { contactId, error: e && e.message });
+    }
+  }
+
+  // 2) getContactLidAndPhone returns { lid, pn }; prefer lid for sendMessage (may throw for some contacts)
+  if (typeof client.getContactLidAndPhone === 'function') {
+    try {
+      const result = await client.getContactLidAndPhone([contactId]);
+      if (Array.isArray(result) && result[0]) {
+        const { lid, pn } = result[0];
+        if (lid) return lid;
+        if (pn) return pn;
+      }
+    } catch (_) {}
+  }
+
+  // 3) getNumberId can return the canonical ID (sometimes LID)
+  if (typeof client.getNumberId === 'function') {
+    try {
+      const wid = await client.getNumberId(contactId);
+      if (wid && typeof wid === 'object' && wid._serialized) {
+        log.debug('resolveChatId: resolved via getNumberId', { contactId, resolvedId: wid._serialized });
+        return wid._serialized;
+      }
+      if (typeof wid === 'string') return wid;
+    } catch (e) {
+      log.debug('resolveChatId: getNumberId threw', { contactId, error: e && e.message });
+    }
+  }
+
+  log.debug('resolveChatId: fallback to original contactId', { contactId });
+  return contactId;
+}
+
+/**
+ * Number a contact is registered under on WhatsApp (client.getNumberId, or client.isRegisteredUser
+ * on clients without it). Unlike resolveChatId, errors are not swallowed: a failed lookup is not a
+ * "not registered" answer.
+ * @param {Client} client - whatsapp-web.js Client (must be ready)
+ * @param {string} contactId - e.g. "5511999999999@c.us"
+ * @returns {Promise<string|null>} digits of the registered number, or null when it is not a WhatsApp user
+ */
+async function lookupRegisteredNumber(client, contactId) {
+  if (typeof client.getNumberId === 'function') {
+    const wid = await client.getNumberId(contactId);
+    if (!wid) return null;
+    // A LID does not carry the phone number; the number asked about is the registered one.
+    return wid.server === 'lid' || !wid.user ? contactDigits(contactId) : contactDigits(wid.user);
+  }
+  if (typeof client.isRegisteredUser === 'function') {
+    return (await client.isRegisteredUser(contactId)) ? contactDigits(contactId) : null;
+  }
+  throw new Error('Client cannot check numbers (no getNumberId or isRegisteredUser)');
+}
+
+/**
+ * Get the last message we sent in a chat with its timestamp, or null if none or error.
+ * @param {Client} client - whatsapp-web.js Client (must be ready)
+ * @param {string} contactId - WhatsApp id e.g. "5511999999999@c.us"
+ * @param {number} [limit] - Max messages to fetch from us (default 30)
+ * @returns {Promise<{ body: string, timestamp: number, id?: string, hasMedia?: boolean, type?: string }|null>} - timestamp is Unix seconds;
+ *   for media messages body is the caption ('' when none) and hasMedia/type are set; id is the serialized message id
+ */
+async function getLastMessageFromMeWithDate(client, contactId, limit = 30) {
+  try {
+    const chat = await client.getChatById(contactId);
+    const messages = await chat.fetchMessages({ fromMe: true, limit });
+    if (!Array.isArray(messages) || messages.length === 0) return null;
+    const last = messages[messages.length - 1];
+    if (!last) return null;
+    const body = typeof last.body === 'string' ? last.body : '';
+    const timestamp = typeof last.timestamp === 'number' ? last.timestamp : 0;
+    return {
+      body,
+      timestamp,
+      ...(last.id && last.id._serialized && { id: last.id._serialized }),
+      ...(last.hasMedia === true && { hasMedia: true, type: last.type || 'media' }),
+    };
+  } catch (e) {
+    log.debug('getLastMessageFromMeWithDate: getChatById or fetchMessages failed', { contactId, error: e && e.message });
+    return null;
+  }
+}
+
+/**
+ * Get the contact's last message in a chat (their side of the conversation), or null if none or error.
+ * @param {Client} client - whatsapp-web.js Client (must be ready)
+ * @param {string} contactId - WhatsApp id e.g. "5511999999999@c.us"
+ * @param {number} [limit] - Max messages to fetch from the contact (default 30)
+ * @returns {Promise<{ body: string, timestamp: number }|null>} - timestamp is Unix seconds
+ */
+async function getLastMessageFromContactWithDate(client, contactId, limit = 30) {
+  try {
+    const chat = await client.getChatById(contactId);
+    const messages = await chat.fetchMessages({ fromMe: false, limit });
+    const last = Array.isArray(messages) ? messages[messages.length - 1] : null;
+    if (!last) return null;
+    return { body: typeof last.body === 'string' ? last.body : '', timestamp: typeof last.timestamp === 'number' ? last.timestamp : 0 };
+  } catch (e) {
+    log.debug('getLastMessageFromContactWithDate: getChatById or fetchMessages failed', { contactId, error: e && e.message });
+    return null;
+  }
+}
+
+function sentMessageId(msg) {
+  return (msg && msg.id && (msg.id._serialized || msg.id.id)) || null;
+}
+
+/**
+ * Subscribe to delivery acks of a whatsapp-web.js client.
+ * @param {Client} client
+ * @param {function({ messageId: string, chatId: string, ack: number }): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+function subscribeToAcks(client, listener) {
+  if (!client || typeof client.on !== 'function') return () => {};
+  const handler = (msg, ack) => listener({ messageId: sentMessageId(msg), chatId: msg && msg.to, ack });
+  client.on('message_ack', handler);
+  return () => {
+    if (typeof client.off === 'function') client.off('message_ack', handler);
+    else if (typeof client.removeListener === 'function') client.removeListener('message_ack', handler);
+  };
+}
+
+/**
+ * Transport over a ready whatsapp-web.js Client.
+ * @param {Client} client
+ * @returns {import('./index').Transport}
+ */
+function createWwebjsTransport(client) {
+  const send = (promise, opts) => (opts && opts.timeoutMs > 0 ? withTimeout(promise, opts.timeoutMs) : promise);
+  return {
+    name: 'wwebjs',
+    verifiesOnSend: false,
+    client,
+    resolveRecipient: (contactId) => resolveChatId(client, contactId),
+    async sendText(chatId, content, opts = {}) {
+      return { id: sentMessageId(await send(client.sendMessage(chatId, content), opts)) };
+    },
+    async sendMedia(chatId, entry, opts = {}) {
+      const media = entry && entry.path ? loadMessageMedia(entry) : entry;
+      const caption = entry && entry.caption;
+      return { id: sentMessageId(await send(client.sendMessage(chatId, media, caption ? { caption } : {}), opts)) };
+    },
+    fetchLastOutgoing: (chatId) => getLastMessageFromMeWithDate(client, chatId),
+    fetchLastIncoming: (chatId) => getLastMessageFromContactWithDate(client, chatId),
+    lookupNumber: (contactId) => lookupRegisteredNumber(client, contactId),
+    onAck: (listener) => subscribeToAcks(client, listener),
+  };
+}
+
+module.exports = {
+  withTimeout,
+  resolveChatId,
+  lookupRegisteredNumber,
+  getLastMessageFromMeWithDate,
+  getLastMessageFromContactWithDate,
+  subscribeToAcks,
+  createWwebjsTransport,
+};
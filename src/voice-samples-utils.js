@@ -1,9 +1,10 @@
 /**
  * Utilities for the voice-samples listener: normalize phone, detect sender, and file naming.
  */
+const { phoneDigits } = require('./phone');
 
 function normalizePhoneToDigits(phone) {
-  return String(phone || '').replace(/\D/g, '');
+  return phoneDigits(phone);
 }
 
 /**
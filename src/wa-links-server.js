@@ -8,12 +8,13 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { phoneDigits } = require('./phone');
 
 const DEFAULT_PORT = 3456;
 
 function normalizePhone(contact) {
   if (typeof contact !== 'string') return '';
-  return contact.replace(/\D/g, '');
+  return phoneDigits(contact);
 }
 
 function buildWaMeUrl(contact, message) {
@@ -163,7 +164,14 @@ function renderPage(items) {
 </html>`;
 }
 
-function createWaLinksServer(batchPath, port = DEFAULT_PORT) {
+/**
+ * @param {string} batchPath
+ * @param {number} [port]
+ * @param {{ optOuts?: { has: function(string): boolean } }} [options] - optOuts: opt-out registry (opt-out-registry.js); its numbers get no link, checked on every page load
+ * @returns {http.Server}
+ */
+function createWaLinksServer(batchPath, port = DEFAULT_PORT, options = {}) {
+  const optOuts = options.optOuts || null;
   let items;
   try {
     items = loadBatch(batchPath);
@@ -177,7 +185,7 @@ function createWaLinksServer(batchPath, port = DEFAULT_PORT) {
       res.end('Not found');
       return;
     }
-    const html = renderPage(items);
+    const html = renderPage(optOuts ? items.filter((item) => !optOuts.has(item.contact)) : items);
     res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
     res.end(html);
   });